@@ -21,7 +21,26 @@ const commands = [
   // /help
   new SlashCommandBuilder()
     .setName('help')
-    .setDescription('❓ Tampilkan panduan penggunaan bot'),
+    .setDescription('❓ Tampilkan panduan penggunaan bot')
+    .addStringOption(option =>
+      option
+        .setName('command')
+        .setDescription('Nama command untuk info detail')
+        .setRequired(false)
+        .addChoices(
+          { name: 'analyze', value: 'analyze' },
+          { name: 'validate', value: 'validate' },
+          { name: 'schema', value: 'schema' },
+          { name: 'drift', value: 'drift' },
+          { name: 'compare', value: 'compare' },
+          { name: 'history', value: 'history' },
+          { name: 'clean', value: 'clean' },
+          { name: 'convert', value: 'convert' },
+          { name: 'create', value: 'create' },
+          { name: 'template', value: 'template' },
+          { name: 'format', value: 'format' }
+        )
+    ),
 
   // /stats
   new SlashCommandBuilder()
@@ -43,6 +62,204 @@ const commands = [
         .setName('deep')
         .setDescription('Analisis mendalam (lebih detail)')
         .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('workbook')
+        .setDescription('Analisis semua sheet & relasi antar sheet (default: aktif jika >1 sheet)')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('near_duplicates')
+        .setDescription('Cari baris mirip (nama/telepon/alamat), contoh: "PT Maju Jaya" vs "Maju Jaya, PT"')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('outlier_method')
+        .setDescription('Metode deteksi outlier')
+        .setRequired(false)
+        .addChoices(
+          { name: '📦 IQR (default)', value: 'iqr' },
+          { name: '📈 Z-score', value: 'zscore' },
+          { name: '🛡️ Modified Z-score (MAD)', value: 'mad' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('outlier_group')
+        .setDescription('Outlier per grup: auto, Jabatan, atau Gaji:Jabatan,Harga:Produk')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('outlier_relations')
+        .setDescription('Cek nilai tidak wajar terhadap kolom lain (Ongkir vs Berat, Total vs Qty)')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('forensic')
+        .setDescription('Mode forensik klaim & faktur: Benford, angka bulat, batas approval, faktur ganda, hari libur')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('approval_limits')
+        .setDescription('Batas persetujuan untuk mode forensik, contoh: 5jt,10jt,50jt')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('quality_profile')
+        .setDescription('Profil skor kualitas (bobot dimensi, kolom kritis & penalti)')
+        .setRequired(false)
+        .addChoices(
+          { name: '📊 Umum (default)', value: 'default' },
+          { name: '💰 Keuangan', value: 'finance' },
+          { name: '👥 SDM & Payroll', value: 'hr' },
+          { name: '📇 CRM & Marketing', value: 'crm' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('profile_config')
+        .setDescription('Profil custom (JSON/YAML), contoh: {"extends":"finance","penalties":{"OUTLIER":2}}')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('dataset')
+        .setDescription('Simpan skor ke riwayat dataset ini untuk tren (kosong = tidak disimpan)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('sampling')
+        .setDescription('Cara memilih baris jika file > 10.000 baris (default: acak reservoir)')
+        .setRequired(false)
+        .addChoices(
+          { name: '🎲 Acak reservoir (default)', value: 'reservoir' },
+          { name: '📏 Sistematis (tiap baris ke-k)', value: 'systematic' },
+          { name: '🧩 Berstrata per kolom (isi stratify_by)', value: 'stratified' },
+          { name: '⏮️ Baris awal saja', value: 'head' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('stratify_by')
+        .setDescription('Kolom strata untuk sampling berstrata, contoh: Bulan atau Cabang')
+        .setRequired(false)
+    ),
+
+  // /validate
+  new SlashCommandBuilder()
+    .setName('validate')
+    .setDescription('✅ Validasi data dengan aturan sendiri (JSON/YAML)')
+    .addAttachmentOption(option =>
+      option
+        .setName('file')
+        .setDescription('File Excel/CSV yang akan divalidasi')
+        .setRequired(true)
+    )
+    .addAttachmentOption(option =>
+      option
+        .setName('rules')
+        .setDescription('File aturan atau schema (.json / .yml / .yaml)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('rules_text')
+        .setDescription('Aturan langsung, contoh: {"columns":{"NIK":{"required":true,"unique":true}}}')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('report')
+        .setDescription('Generate laporan Excel lengkap')
+        .setRequired(false)
+    ),
+
+  // /schema
+  new SlashCommandBuilder()
+    .setName('schema')
+    .setDescription('🗂️ Buat schema dari file (JSON Schema / Table Schema)')
+    .addAttachmentOption(option =>
+      option
+        .setName('file')
+        .setDescription('File Excel/CSV contoh')
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('format')
+        .setDescription('Format schema (default: JSON Schema)')
+        .setRequired(false)
+        .addChoices(
+          { name: '📋 JSON Schema', value: 'json-schema' },
+          { name: '📦 Frictionless Table Schema', value: 'table-schema' }
+        )
+    ),
+
+  // /history
+  new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('📈 Riwayat & tren skor kualitas per dataset (server ini / DM kamu)')
+    .addStringOption(option =>
+      option
+        .setName('dataset')
+        .setDescription('Nama dataset (kosong = daftar semua dataset)')
+        .setRequired(false)
+    )
+    .addIntegerOption(option =>
+      option
+        .setName('limit')
+        .setDescription('Jumlah analisis terakhir yang ditampilkan tren-nya (default: semua)')
+        .setRequired(false)
+        .setMinValue(2)
+        .setMaxValue(100)
+    ),
+
+  // /drift
+  new SlashCommandBuilder()
+    .setName('drift')
+    .setDescription('🧭 Deteksi perubahan struktur antara dua versi file')
+    .addAttachmentOption(option =>
+      option
+        .setName('base')
+        .setDescription('File lama (acuan)')
+        .setRequired(true)
+    )
+    .addAttachmentOption(option =>
+      option
+        .setName('current')
+        .setDescription('File baru yang dibandingkan')
+        .setRequired(true)
+    ),
+
+  // /compare
+  new SlashCommandBuilder()
+    .setName('compare')
+    .setDescription('🔀 Bandingkan isi dua versi file berdasarkan kolom kunci')
+    .addAttachmentOption(option =>
+      option
+        .setName('base')
+        .setDescription('File lama (acuan)')
+        .setRequired(true)
+    )
+    .addAttachmentOption(option =>
+      option
+        .setName('current')
+        .setDescription('File baru yang dibandingkan')
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('key')
+        .setDescription('Kolom kunci, contoh: NIK atau Kode,Cabang (kosong = otomatis)')
+        .setRequired(false)
     ),
 
   // /clean
@@ -66,6 +283,53 @@ const commands = [
           { name: '💼 Financial - Optimasi data keuangan', value: 'financial' },
           { name: '🔧 Full - Semua pembersihan', value: 'full' }
         )
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('merge_duplicates')
+        .setDescription('Gabungkan baris mirip (nama/telepon/alamat) jadi satu golden record')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('survivorship')
+        .setDescription('Record utama saat menggabungkan baris mirip')
+        .setRequired(false)
+        .addChoices(
+          { name: '📋 Paling lengkap', value: 'most_complete' },
+          { name: '📅 Tanggal terbaru', value: 'latest' },
+          { name: '1️⃣ Baris pertama', value: 'first' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('match_columns')
+        .setDescription('Kolom pembanding, contoh: Nama,Telepon (kosong = otomatis)')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('migrate_npwp')
+        .setDescription('Ubah NPWP 15 digit ke format 16 digit (0 + NPWP lama)')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('add_nitku')
+        .setDescription('Tambah kolom NITKU 22 digit (NPWP 16 digit + 000000) saat migrasi NPWP')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('split_address')
+        .setDescription('Pecah alamat jadi jalan, nomor, RT/RW, kelurahan, kecamatan, kota, provinsi & kode pos')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('address_columns')
+        .setDescription('Kolom alamat yang dipecah, contoh: Alamat,Alamat KTP (kosong = otomatis)')
+        .setRequired(false)
     ),
 
   // /convert
@@ -9,6 +9,9 @@ import { responseBuilder } from '../handlers/responseBuilder.js';
 import { DataAnalyzer } from '../../engine/analyzer.js';
 import { ReportGenerator } from '../../engine/reporter.js';
 import { ExcelFormatter } from '../../engine/formatter.js';
+import { qualityProfiles } from '../../engine/profiles.js';
+import { qualityHistory } from '../../engine/history.js';
+import { historyOwner } from './history.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // COMMAND DEFINITION
@@ -35,6 +38,95 @@ export default {
         .setName('report')
         .setDescription('Generate laporan Excel lengkap')
         .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('workbook')
+        .setDescription('Analisis semua sheet & relasi antar sheet (default: aktif jika >1 sheet)')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('near_duplicates')
+        .setDescription('Cari baris mirip (nama/telepon/alamat), contoh: "PT Maju Jaya" vs "Maju Jaya, PT"')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('outlier_method')
+        .setDescription('Metode deteksi outlier')
+        .setRequired(false)
+        .addChoices(
+          { name: '📦 IQR (default)', value: 'iqr' },
+          { name: '📈 Z-score', value: 'zscore' },
+          { name: '🛡️ Modified Z-score (MAD)', value: 'mad' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('outlier_group')
+        .setDescription('Outlier per grup: auto, Jabatan, atau Gaji:Jabatan,Harga:Produk')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('outlier_relations')
+        .setDescription('Cek nilai tidak wajar terhadap kolom lain (Ongkir vs Berat, Total vs Qty)')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('forensic')
+        .setDescription('Mode forensik klaim & faktur: Benford, angka bulat, batas approval, faktur ganda, hari libur')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('approval_limits')
+        .setDescription('Batas persetujuan untuk mode forensik, contoh: 5jt,10jt,50jt')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('quality_profile')
+        .setDescription('Profil skor kualitas (bobot dimensi, kolom kritis & penalti)')
+        .setRequired(false)
+        .addChoices(
+          { name: '📊 Umum (default)', value: 'default' },
+          { name: '💰 Keuangan', value: 'finance' },
+          { name: '👥 SDM & Payroll', value: 'hr' },
+          { name: '📇 CRM & Marketing', value: 'crm' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('profile_config')
+        .setDescription('Profil custom (JSON/YAML), contoh: {"extends":"finance","penalties":{"OUTLIER":2}}')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('dataset')
+        .setDescription('Simpan skor ke riwayat dataset ini untuk tren (kosong = tidak disimpan)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('sampling')
+        .setDescription('Cara memilih baris jika file > 10.000 baris (default: acak reservoir)')
+        .setRequired(false)
+        .addChoices(
+          { name: '🎲 Acak reservoir (default)', value: 'reservoir' },
+          { name: '📏 Sistematis (tiap baris ke-k)', value: 'systematic' },
+          { name: '🧩 Berstrata per kolom (isi stratify_by)', value: 'stratified' },
+          { name: '⏮️ Baris awal saja', value: 'head' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('stratify_by')
+        .setDescription('Kolom strata untuk sampling berstrata, contoh: Bulan atau Cabang')
+        .setRequired(false)
     ),
 
   cooldown: 5,
@@ -46,6 +138,18 @@ export default {
     const attachment = interaction.options.getAttachment('file');
     const deepAnalysis = interaction.options.getBoolean('deep') ?? true;
     const generateReport = interaction.options.getBoolean('report') ?? false;
+    const workbookOption = interaction.options.getBoolean('workbook');
+    const nearDuplicates = interaction.options.getBoolean('near_duplicates') ?? false;
+    const outlierMethod = interaction.options.getString('outlier_method') || 'iqr';
+    const outlierGroupBy = interaction.options.getString('outlier_group');
+    const multivariateOutliers = interaction.options.getBoolean('outlier_relations') ?? false;
+    const forensicMode = interaction.options.getBoolean('forensic') ?? false;
+    const approvalLimits = interaction.options.getString('approval_limits');
+    const qualityProfile = interaction.options.getString('quality_profile');
+    const profileConfig = interaction.options.getString('profile_config');
+    const datasetName = interaction.options.getString('dataset');
+    const samplingMethod = interaction.options.getString('sampling') || (interaction.options.getString('stratify_by') ? 'stratified' : 'reservoir');
+    const stratifyBy = interaction.options.getString('stratify_by');
 
     // Defer reply (analysis might take time)
     await interaction.deferReply();
@@ -54,12 +158,47 @@ export default {
       // Process file
       const fileResult = await fileHandler.processAttachment(attachment);
       
-      // Analyze
-      const analyzer = new DataAnalyzer({ deepAnalysis });
-      const analysisResult = await analyzer.analyze(fileResult.parsedData);
+      const { parsedData } = fileResult;
+      const analyzeWorkbook = workbookOption ?? parsedData.totalSheets > 1;
+
+      // Analyze (semua sheet jika mode workbook)
+      const analyzer = new DataAnalyzer({
+        deepAnalysis,
+        fuzzyDuplicates: nearDuplicates,
+        outlierMethod,
+        outlierGroupBy: outlierGroupBy || null,
+        multivariateOutliers,
+        forensicMode,
+        approvalLimits: approvalLimits || null,
+        samplingMethod,
+        stratifyBy: stratifyBy || null,
+        // Profil custom mewarisi pilihan quality_profile bila tidak menyebut "extends"
+        qualityProfile: qualityProfiles.resolve(profileConfig || qualityProfile || 'default', qualityProfile || 'default')
+      });
+      let analysisResult;
+      let workbookResult = null;
 
-      // Build response embed
-      const embed = responseBuilder.buildAnalysisEmbed(analysisResult, attachment.name);
+      if (analyzeWorkbook) {
+        workbookResult = await analyzer.analyzeWorkbook(parsedData);
+        analysisResult = workbookResult.sheets[parsedData.activeSheet]
+          || Object.values(workbookResult.sheets)[0];
+      } else {
+        analysisResult = await analyzer.analyze(parsedData);
+      }
+
+      // Riwayat dataset untuk tren skor hanya jika user memberi nama dataset
+      const history = datasetName ? qualityHistory.record(analysisResult, {
+        filename: attachment.name,
+        dataset: datasetName,
+        sheet: parsedData.activeSheet,
+        owner: historyOwner(interaction)
+      }) : null;
+
+      // Build response embeds
+      const embeds = [responseBuilder.buildAnalysisEmbed(analysisResult, attachment.name, history)];
+      if (workbookResult) {
+        embeds.push(responseBuilder.buildWorkbookEmbed(workbookResult, attachment.name));
+      }
 
       // Prepare attachments
       const attachments = [];
@@ -85,7 +224,7 @@ export default {
 
       // Send response
       await interaction.editReply({
-        embeds: [embed],
+        embeds,
         files: attachments,
         components: [buttons]
       });
@@ -97,6 +236,7 @@ export default {
       interaction.client.analysisCache = interaction.client.analysisCache || new Map();
       interaction.client.analysisCache.set(interaction.user.id, {
         result: analysisResult,
+        workbook: workbookResult,
         parsedData: fileResult.parsedData,
         filename: attachment.name,
         timestamp: Date.now()
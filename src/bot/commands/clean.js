@@ -47,6 +47,53 @@ export default {
         .setName('format_output')
         .setDescription('Format output dengan styling profesional')
         .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('merge_duplicates')
+        .setDescription('Gabungkan baris mirip (nama/telepon/alamat) jadi satu golden record')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('survivorship')
+        .setDescription('Record utama saat menggabungkan baris mirip')
+        .setRequired(false)
+        .addChoices(
+          { name: '📋 Paling lengkap', value: 'most_complete' },
+          { name: '📅 Tanggal terbaru', value: 'latest' },
+          { name: '1️⃣ Baris pertama', value: 'first' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('match_columns')
+        .setDescription('Kolom pembanding, contoh: Nama,Telepon (kosong = otomatis)')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('migrate_npwp')
+        .setDescription('Ubah NPWP 15 digit ke format 16 digit (0 + NPWP lama)')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('add_nitku')
+        .setDescription('Tambah kolom NITKU 22 digit (NPWP 16 digit + 000000) saat migrasi NPWP')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('split_address')
+        .setDescription('Pecah alamat jadi jalan, nomor, RT/RW, kelurahan, kecamatan, kota, provinsi & kode pos')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('address_columns')
+        .setDescription('Kolom alamat yang dipecah, contoh: Alamat,Alamat KTP (kosong = otomatis)')
+        .setRequired(false)
     ),
 
   cooldown: 5,
@@ -59,6 +106,13 @@ export default {
     const mode = interaction.options.getString('mode') || 'standard';
     const fixCalculations = interaction.options.getBoolean('fix_calculations') ?? true;
     const formatOutput = interaction.options.getBoolean('format_output') ?? true;
+    const mergeDuplicates = interaction.options.getBoolean('merge_duplicates') ?? false;
+    const survivorship = interaction.options.getString('survivorship') || 'most_complete';
+    const matchColumns = interaction.options.getString('match_columns');
+    const migrateNpwp = interaction.options.getBoolean('migrate_npwp') ?? false;
+    const addNitku = interaction.options.getBoolean('add_nitku') ?? false;
+    const splitAddress = interaction.options.getBoolean('split_address') ?? false;
+    const addressColumns = interaction.options.getString('address_columns');
 
     await interaction.deferReply();
 
@@ -119,6 +173,25 @@ export default {
           };
       }
 
+      // Golden record dari baris mirip (opt-in, semua mode)
+      if (mergeDuplicates) {
+        Object.assign(cleanerOptions, {
+          mergeDuplicates: true,
+          survivorship,
+          duplicateColumns: matchColumns || null
+        });
+      }
+
+      // NPWP 15 → 16 digit, NITKU hanya bersama migrasi (opt-in, semua mode)
+      if (migrateNpwp || addNitku) {
+        Object.assign(cleanerOptions, { migrateNpwp: true, addNitku });
+      }
+
+      // Pecah kolom alamat (opt-in, semua mode)
+      if (splitAddress || addressColumns) {
+        Object.assign(cleanerOptions, { splitAddress: true, addressColumns: addressColumns || null });
+      }
+
       // Clean data
       const cleaner = new DataCleaner(cleanerOptions);
       const cleanResult = await cleaner.clean(fileResult.parsedData);
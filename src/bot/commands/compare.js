@@ -0,0 +1,87 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// COMPARE.JS - /compare Command (bandingkan baris versi lama vs versi baru)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { SlashCommandBuilder, AttachmentBuilder } from 'discord.js';
+import { fileHandler } from '../handlers/fileHandler.js';
+import { responseBuilder } from '../handlers/responseBuilder.js';
+import { DataComparer } from '../../engine/comparer.js';
+import { ExcelFormatter } from '../../engine/formatter.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COMMAND DEFINITION
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('compare')
+    .setDescription('🔀 Bandingkan isi dua versi file berdasarkan kolom kunci')
+    .addAttachmentOption(option =>
+      option
+        .setName('base')
+        .setDescription('File lama (acuan)')
+        .setRequired(true)
+    )
+    .addAttachmentOption(option =>
+      option
+        .setName('current')
+        .setDescription('File baru yang dibandingkan')
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('key')
+        .setDescription('Kolom kunci, contoh: NIK atau Kode,Cabang (kosong = otomatis)')
+        .setRequired(false)
+    ),
+
+  cooldown: 5,
+
+  /**
+   * 🚀 Execute command
+   */
+  async execute(interaction, bot) {
+    const baseAttachment = interaction.options.getAttachment('base');
+    const currentAttachment = interaction.options.getAttachment('current');
+    const keyColumn = interaction.options.getString('key');
+
+    await interaction.deferReply();
+
+    try {
+      const baseFile = await fileHandler.processAttachment(baseAttachment);
+      const currentFile = await fileHandler.processAttachment(currentAttachment);
+
+      const comparer = new DataComparer();
+      const result = await comparer.compare(baseFile.parsedData, currentFile.parsedData, { keyColumn });
+
+      const embed = responseBuilder.buildCompareEmbed(result, baseAttachment.name, currentAttachment.name);
+
+      // Workbook dengan highlight perubahan
+      const formatter = new ExcelFormatter();
+      const buffer = await formatter.formatComparison(
+        result,
+        currentFile.parsedData.sheets[result.summary.currentSheet]
+      );
+      const outputName = currentAttachment.name.replace(/\.[^/.]+$/, '') + '_compare.xlsx';
+
+      await interaction.editReply({
+        embeds: [embed],
+        files: [new AttachmentBuilder(buffer, { name: outputName })]
+      });
+
+      // Update bot stats
+      bot.stats.filesProcessed += 2;
+
+    } catch (error) {
+      console.error('Compare error:', error);
+
+      const errorEmbed = responseBuilder.buildErrorEmbed(
+        'Gagal Membandingkan Data',
+        error.message
+      );
+
+      await interaction.editReply({ embeds: [errorEmbed] });
+    }
+  }
+};
@@ -0,0 +1,78 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// DRIFT.JS - /drift Command (bandingkan struktur dua versi laporan)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { SlashCommandBuilder, AttachmentBuilder } from 'discord.js';
+import { fileHandler } from '../handlers/fileHandler.js';
+import { responseBuilder } from '../handlers/responseBuilder.js';
+import { DriftDetector } from '../../engine/drift.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COMMAND DEFINITION
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('drift')
+    .setDescription('🧭 Deteksi perubahan struktur antara dua versi file')
+    .addAttachmentOption(option =>
+      option
+        .setName('base')
+        .setDescription('File lama (acuan)')
+        .setRequired(true)
+    )
+    .addAttachmentOption(option =>
+      option
+        .setName('current')
+        .setDescription('File baru yang dibandingkan')
+        .setRequired(true)
+    ),
+
+  cooldown: 5,
+
+  /**
+   * 🚀 Execute command
+   */
+  async execute(interaction, bot) {
+    const baseAttachment = interaction.options.getAttachment('base');
+    const currentAttachment = interaction.options.getAttachment('current');
+
+    await interaction.deferReply();
+
+    try {
+      const baseFile = await fileHandler.processAttachment(baseAttachment);
+      const currentFile = await fileHandler.processAttachment(currentAttachment);
+
+      const detector = new DriftDetector();
+      const result = await detector.detect(baseFile.parsedData, currentFile.parsedData);
+
+      const embed = responseBuilder.buildDriftEmbed(result, baseAttachment.name, currentAttachment.name);
+
+      // Laporan lengkap (JSON) jika perubahan lebih banyak dari yang muat di embed
+      const files = [];
+      if (result.findings.length > 12) {
+        const reportName = currentAttachment.name.replace(/\.[^/.]+$/, '') + '_drift.json';
+        files.push(new AttachmentBuilder(
+          Buffer.from(JSON.stringify(result, null, 2), 'utf-8'),
+          { name: reportName }
+        ));
+      }
+
+      await interaction.editReply({ embeds: [embed], files });
+
+      // Update bot stats
+      bot.stats.filesProcessed += 2;
+
+    } catch (error) {
+      console.error('Drift error:', error);
+
+      const errorEmbed = responseBuilder.buildErrorEmbed(
+        'Gagal Membandingkan File',
+        error.message
+      );
+
+      await interaction.editReply({ embeds: [errorEmbed] });
+    }
+  }
+};
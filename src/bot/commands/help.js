@@ -3,13 +3,60 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { BOT_CONFIG } from '../../utils/constants.js';
+
+const HELP_COMMANDS = ['analyze', 'validate', 'schema', 'drift', 'compare', 'history', 'clean', 'convert', 'create', 'template', 'format'];
+
+// Batas isi satu field embed Discord
+const FIELD_LIMIT = 1024;
+
+/**
+ * 📖 Daftar opsi satu command, diambil langsung dari definisi slash command-nya
+ */
+function buildCommandHelp(command) {
+  const { name, description, options = [] } = command.data.toJSON();
+  const lines = options.map(option =>
+    `\`${option.name}\`${option.required ? ' (wajib)' : ''} - ${option.description}`);
+
+  // Opsi banyak (mis. /analyze) dipecah ke beberapa field
+  const fields = [];
+  for (const line of lines) {
+    const last = fields[fields.length - 1];
+    if (last && last.value.length + line.length + 1 <= FIELD_LIMIT) {
+      last.value += `\n${line}`;
+    } else {
+      fields.push({ name: fields.length === 0 ? '⚙️ Opsi' : '⚙️ Opsi (lanjutan)', value: line, inline: false });
+    }
+  }
+
+  return new EmbedBuilder()
+    .setTitle(`📖 /${name}`)
+    .setDescription(description)
+    .setColor(0x5865F2)
+    .addFields(fields.length > 0 ? fields : [{ name: '⚙️ Opsi', value: 'Tanpa opsi', inline: false }])
+    .setFooter({ text: 'Detail fitur & field API: docs/FEATURES.md' });
+}
 
 export default {
   data: new SlashCommandBuilder()
     .setName('help')
-    .setDescription('❓ Tampilkan panduan penggunaan bot'),
+    .setDescription('❓ Tampilkan panduan penggunaan bot')
+    .addStringOption(option =>
+      option
+        .setName('command')
+        .setDescription('Nama command untuk info detail')
+        .setRequired(false)
+        .addChoices(...HELP_COMMANDS.map(name => ({ name, value: name })))
+    ),
 
   async execute(interaction, bot) {
+    const commandName = interaction.options.getString('command');
+    const command = commandName ? bot.commands.get(commandName) : null;
+    if (command) {
+      await interaction.reply({ embeds: [buildCommandHelp(command)] });
+      return;
+    }
+
     const embed = new EmbedBuilder()
       .setTitle('📊 Excel Intelligence Bot - Help')
       .setDescription('Bot cerdas untuk analisis dan pengolahan file Excel/CSV')
@@ -20,6 +67,11 @@ export default {
           value: [
             '`/ping` - Cek apakah bot aktif',
             '`/analyze` - Analisis file Excel/CSV',
+            '`/validate` - Validasi data dengan aturan sendiri',
+            '`/schema` - Export schema (JSON Schema / Table Schema)',
+            '`/drift` - Bandingkan struktur dua versi file',
+            '`/compare` - Bandingkan isi dua versi file per baris',
+            '`/history` - Riwayat & tren skor kualitas per dataset',
             '`/clean` - Bersihkan dan perbaiki data',
             '`/convert` - Konversi ke format lain',
             '`/create` - Buat Excel dari instruksi',
@@ -32,7 +84,7 @@ export default {
         },
         {
           name: '📁 Format Didukung',
-          value: '`.xlsx` `.xls` `.csv` `.json`',
+          value: BOT_CONFIG.SUPPORTED_EXTENSIONS.map(ext => `\`${ext}\``).join(' '),
           inline: true
         },
         {
@@ -41,7 +93,7 @@ export default {
           inline: true
         }
       )
-      .setFooter({ text: 'Excel Intelligence Bot v2.0' })
+      .setFooter({ text: 'Opsi tiap command: /help command:<nama> • Excel Intelligence Bot v2.0' })
       .setTimestamp();
 
     await interaction.reply({ embeds: [embed] });
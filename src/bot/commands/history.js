@@ -0,0 +1,86 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// HISTORY.JS - /history Command (tren skor kualitas per dataset)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { SlashCommandBuilder } from 'discord.js';
+import { responseBuilder } from '../handlers/responseBuilder.js';
+import { qualityHistory } from '../../engine/history.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Pemilik riwayat: satu server berbagi riwayat; di DM riwayat milik user sendiri
+ */
+export const historyOwner = (interaction) => (
+  interaction.guildId ? `guild:${interaction.guildId}` : `user:${interaction.user.id}`
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COMMAND DEFINITION
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('📈 Riwayat & tren skor kualitas per dataset (server ini / DM kamu)')
+    .addStringOption(option =>
+      option
+        .setName('dataset')
+        .setDescription('Nama dataset (kosong = daftar semua dataset)')
+        .setRequired(false)
+    )
+    .addIntegerOption(option =>
+      option
+        .setName('limit')
+        .setDescription('Jumlah analisis terakhir yang ditampilkan tren-nya (default: semua)')
+        .setRequired(false)
+        .setMinValue(2)
+        .setMaxValue(100)
+    ),
+
+  cooldown: 3,
+
+  /**
+   * 🚀 Execute command
+   */
+  async execute(interaction, bot) {
+    const dataset = interaction.options.getString('dataset');
+    const limit = interaction.options.getInteger('limit');
+    const owner = historyOwner(interaction);
+
+    try {
+      if (!dataset) {
+        await interaction.reply({ embeds: [responseBuilder.buildDatasetListEmbed(qualityHistory.list({ owner }))] });
+        return;
+      }
+
+      // Boleh nama dataset atau nama file ("payroll_2025-03.xlsx" → "payroll")
+      const history = qualityHistory.getHistory(dataset, { limit, owner })
+        ?? qualityHistory.getHistory(qualityHistory.datasetId(dataset), { limit, owner });
+
+      if (!history) {
+        const errorEmbed = responseBuilder.buildErrorEmbed(
+          'Dataset Tidak Ditemukan',
+          `Belum ada riwayat untuk "${dataset}". Jalankan \`/history\` tanpa opsi untuk melihat daftar dataset.`
+        );
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+        return;
+      }
+
+      await interaction.reply({ embeds: [responseBuilder.buildHistoryEmbed(history)] });
+
+    } catch (error) {
+      console.error('History error:', error);
+
+      const errorEmbed = responseBuilder.buildErrorEmbed(
+        'Gagal Membaca Riwayat',
+        error.message
+      );
+
+      await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+    }
+  }
+};
@@ -12,6 +12,31 @@ export const commandList = [
     description: 'Analisis file Excel/CSV secara mendalam',
     file: 'analyze.js'
   },
+  {
+    name: 'validate',
+    description: 'Validasi data dengan aturan sendiri (JSON/YAML)',
+    file: 'validate.js'
+  },
+  {
+    name: 'schema',
+    description: 'Export schema (JSON Schema / Table Schema)',
+    file: 'schema.js'
+  },
+  {
+    name: 'drift',
+    description: 'Bandingkan struktur dua versi file',
+    file: 'drift.js'
+  },
+  {
+    name: 'compare',
+    description: 'Bandingkan isi dua versi file per baris',
+    file: 'compare.js'
+  },
+  {
+    name: 'history',
+    description: 'Riwayat & tren skor kualitas per dataset',
+    file: 'history.js'
+  },
   {
     name: 'clean',
     description: 'Bersihkan dan perbaiki data',
@@ -0,0 +1,90 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEMA.JS - /schema Command (export JSON Schema / Table Schema)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { SlashCommandBuilder, AttachmentBuilder } from 'discord.js';
+import { fileHandler } from '../handlers/fileHandler.js';
+import { responseBuilder } from '../handlers/responseBuilder.js';
+import { DataAnalyzer } from '../../engine/analyzer.js';
+import { SchemaGenerator } from '../../engine/schema.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COMMAND DEFINITION
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('schema')
+    .setDescription('🗂️ Buat schema dari file (JSON Schema / Table Schema)')
+    .addAttachmentOption(option =>
+      option
+        .setName('file')
+        .setDescription('File Excel/CSV contoh')
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('format')
+        .setDescription('Format schema (default: JSON Schema)')
+        .setRequired(false)
+        .addChoices(
+          { name: '📋 JSON Schema', value: 'json-schema' },
+          { name: '📦 Frictionless Table Schema', value: 'table-schema' }
+        )
+    ),
+
+  cooldown: 5,
+
+  /**
+   * 🚀 Execute command
+   */
+  async execute(interaction, bot) {
+    const attachment = interaction.options.getAttachment('file');
+    const format = interaction.options.getString('format') || 'json-schema';
+
+    await interaction.deferReply();
+
+    try {
+      // Process file
+      const fileResult = await fileHandler.processAttachment(attachment);
+
+      const analyzer = new DataAnalyzer({ deepAnalysis: false });
+      const analysisResult = await analyzer.analyze(fileResult.parsedData);
+
+      const baseName = attachment.name.replace(/\.[^/.]+$/, '');
+      const generator = new SchemaGenerator({ title: baseName });
+      const schema = generator.generate(analysisResult, format);
+
+      const outputFilename = `${baseName}.schema.json`;
+      const file = new AttachmentBuilder(
+        Buffer.from(JSON.stringify(schema, null, 2), 'utf-8'),
+        { name: outputFilename }
+      );
+
+      const embed = responseBuilder.buildSchemaEmbed(
+        generator.infer(analysisResult),
+        format,
+        attachment.name
+      );
+
+      await interaction.editReply({
+        embeds: [embed],
+        files: [file]
+      });
+
+      // Update bot stats
+      bot.stats.filesProcessed++;
+
+    } catch (error) {
+      console.error('Schema error:', error);
+
+      const errorEmbed = responseBuilder.buildErrorEmbed(
+        'Gagal Membuat Schema',
+        error.message
+      );
+
+      await interaction.editReply({ embeds: [errorEmbed] });
+    }
+  }
+};
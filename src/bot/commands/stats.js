@@ -3,6 +3,7 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { responseBuilder } from '../handlers/responseBuilder.js';
 
 export default {
   data: new SlashCommandBuilder()
@@ -23,6 +24,7 @@ export default {
         { name: '📁 Files Processed', value: String(stats.filesProcessed), inline: true },
         { name: '❌ Errors', value: String(stats.errors), inline: true }
       )
+      .addFields(responseBuilder.buildCacheStatsField(stats.cache))
       .setFooter({ text: 'Excel Intelligence Bot v2.0' })
       .setTimestamp();
 
@@ -0,0 +1,142 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VALIDATE.JS - /validate Command (aturan validasi dari user)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { SlashCommandBuilder, AttachmentBuilder } from 'discord.js';
+import { fileHandler } from '../handlers/fileHandler.js';
+import { responseBuilder } from '../handlers/responseBuilder.js';
+import { DataAnalyzer } from '../../engine/analyzer.js';
+import { dataValidator } from '../../engine/validator.js';
+import { ReportGenerator } from '../../engine/reporter.js';
+import { fileParser } from '../../utils/fileParser.js';
+import { getFileExtension, formatFileSize } from '../../utils/helpers.js';
+
+const RULE_EXTENSIONS = ['json', 'yml', 'yaml', 'txt'];
+const MAX_RULE_FILE_SIZE = 256 * 1024;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COMMAND DEFINITION
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('validate')
+    .setDescription('✅ Validasi data dengan aturan sendiri (JSON/YAML)')
+    .addAttachmentOption(option =>
+      option
+        .setName('file')
+        .setDescription('File Excel/CSV yang akan divalidasi')
+        .setRequired(true)
+    )
+    .addAttachmentOption(option =>
+      option
+        .setName('rules')
+        .setDescription('File aturan atau schema (.json / .yml / .yaml)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('rules_text')
+        .setDescription('Aturan langsung, contoh: {"columns":{"NIK":{"required":true,"unique":true}}}')
+        .setRequired(false)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('report')
+        .setDescription('Generate laporan Excel lengkap')
+        .setRequired(false)
+    ),
+
+  cooldown: 5,
+
+  /**
+   * 🚀 Execute command
+   */
+  async execute(interaction, bot) {
+    const attachment = interaction.options.getAttachment('file');
+    const rulesAttachment = interaction.options.getAttachment('rules');
+    const rulesText = interaction.options.getString('rules_text');
+    const generateReport = interaction.options.getBoolean('report') ?? false;
+
+    if (!rulesAttachment && !rulesText) {
+      await interaction.reply({
+        embeds: [responseBuilder.buildErrorEmbed(
+          'Aturan Belum Diisi',
+          'Lampirkan file aturan (`rules`) atau tulis aturan di `rules_text` (JSON/YAML).'
+        )],
+        ephemeral: true
+      });
+      return;
+    }
+
+    // Defer reply (validation might take time)
+    await interaction.deferReply();
+
+    try {
+      // Aturan dibaca & dicek dulu sebelum file data diunduh
+      const rules = dataValidator.parseRules(
+        rulesAttachment ? await this.readRulesFile(rulesAttachment) : rulesText
+      );
+
+      const fileResult = await fileHandler.processAttachment(attachment);
+      const { parsedData } = fileResult;
+
+      const analyzer = new DataAnalyzer({ deepAnalysis: false, rules });
+      const analysisResult = await analyzer.analyze(parsedData);
+
+      const embeds = [
+        responseBuilder.buildValidationEmbed(analysisResult.validation, attachment.name),
+        responseBuilder.buildAnalysisEmbed(analysisResult, attachment.name)
+      ];
+
+      // Prepare attachments
+      const attachments = [];
+
+      // Generate report if requested (pelanggaran masuk sheet Issues)
+      if (generateReport) {
+        const reporter = new ReportGenerator();
+        const reportBuffer = await reporter.generateAnalysisReport(analysisResult, parsedData);
+
+        const reportFilename = attachment.name.replace(/\.[^/.]+$/, '') + '_validation.xlsx';
+        attachments.push(new AttachmentBuilder(reportBuffer, { name: reportFilename }));
+      }
+
+      // Send response
+      await interaction.editReply({
+        embeds,
+        files: attachments
+      });
+
+      // Update bot stats
+      bot.stats.filesProcessed++;
+
+    } catch (error) {
+      console.error('Validate error:', error);
+
+      const errorEmbed = responseBuilder.buildErrorEmbed(
+        'Gagal Memvalidasi',
+        error.message
+      );
+
+      await interaction.editReply({ embeds: [errorEmbed] });
+    }
+  },
+
+  /**
+   * 📄 Unduh & decode file aturan
+   */
+  async readRulesFile(attachment) {
+    const ext = getFileExtension(attachment.name);
+
+    if (!RULE_EXTENSIONS.includes(ext)) {
+      throw new Error(`File aturan harus ${RULE_EXTENSIONS.map(e => `.${e}`).join(', ')}`);
+    }
+    if (attachment.size > MAX_RULE_FILE_SIZE) {
+      throw new Error(`File aturan terlalu besar. Maksimum: ${formatFileSize(MAX_RULE_FILE_SIZE)}`);
+    }
+
+    const buffer = await fileHandler.downloadFile(attachment.url);
+    return fileParser.decodeText(buffer).text;
+  }
+};
@@ -30,7 +30,7 @@ if (!fs.existsSync(TEMP_DIR)) {
 
 export class FileHandler {
   constructor() {
-    this.supportedExtensions = ['.xlsx', '.xls', '.csv', '.json'];
+    this.supportedExtensions = BOT_CONFIG.SUPPORTED_EXTENSIONS;
     this.maxFileSize = BOT_CONFIG.MAX_FILE_SIZE;
     
     // Cleanup old files periodically
@@ -173,6 +173,7 @@ export class FileHandler {
         
         const filePath = path.join(TEMP_DIR, file);
         const stats = fs.statSync(filePath);
+        if (stats.isDirectory()) continue; // temp/cache dikelola utils/cache.js
         const age = now - stats.mtimeMs;
 
         if (age > maxAge) {
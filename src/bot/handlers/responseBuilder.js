@@ -12,8 +12,8 @@ import {
   AttachmentBuilder
 } from 'discord.js';
 
-import { BOT_CONFIG } from '../../utils/constants.js';
-import { formatRupiah, formatNumber, formatPercentage } from '../../utils/helpers.js';
+import { BOT_CONFIG, ISSUE_TYPES } from '../../utils/constants.js';
+import { formatRupiah, formatNumber, formatPercentage, formatFileSize } from '../../utils/helpers.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // RESPONSE BUILDER CLASS
@@ -32,7 +32,7 @@ export class ResponseBuilder {
   /**
    * 📊 Build analysis result embed
    */
-  buildAnalysisEmbed(analysisResult, filename) {
+  buildAnalysisEmbed(analysisResult, filename, history = null) {
     const score = analysisResult.qualityScore;
     const summary = analysisResult.summary;
     const issues = analysisResult.issues;
@@ -60,7 +60,8 @@ export class ResponseBuilder {
           name: '🎯 Skor Kualitas',
           value: [
             `**${score.overall}%** (${score.grade})`,
-            `${this.getScoreEmoji(score.overall)} ${score.gradeLabel}`
+            `${this.getScoreEmoji(score.overall)} ${score.gradeLabel}`,
+            ...(score.profile && score.profile.id !== 'default' ? [`🎚️ Profil: ${score.profile.name}`] : [])
           ].join('\n'),
           inline: true
         },
@@ -81,14 +82,14 @@ export class ResponseBuilder {
     // Add issues if any
     if (issues.total > 0) {
       const issuesList = [];
-      if (issues.bySeverity.error?.length) {
-        issuesList.push(`❌ **${issues.bySeverity.error.length}** Error`);
+      if (issues.counts.bySeverity.error) {
+        issuesList.push(`❌ **${issues.counts.bySeverity.error}** Error`);
       }
-      if (issues.bySeverity.warning?.length) {
-        issuesList.push(`⚠️ **${issues.bySeverity.warning.length}** Warning`);
+      if (issues.counts.bySeverity.warning) {
+        issuesList.push(`⚠️ **${issues.counts.bySeverity.warning}** Warning`);
       }
-      if (issues.bySeverity.info?.length) {
-        issuesList.push(`ℹ️ **${issues.bySeverity.info.length}** Info`);
+      if (issues.counts.bySeverity.info) {
+        issuesList.push(`ℹ️ **${issues.counts.bySeverity.info}** Info`);
       }
 
       embed.addFields({
@@ -98,6 +99,79 @@ export class ResponseBuilder {
       });
     }
 
+    // File besar: angka di atas dari sampel, estimasi seluruh file + selang kepercayaan
+    const sampling = summary.sampling;
+    if (sampling) {
+      const estimates = sampling.estimates;
+      const confidence = estimates ? Math.round(estimates.confidence * 100) : null;
+      const lines = [sampling.note];
+      if (estimates) {
+        const { totalIssues, completeness } = estimates;
+        lines.push(
+          `**Perkiraan issue:** ~${formatNumber(totalIssues.estimate)} (${formatNumber(totalIssues.lower)}–${formatNumber(totalIssues.upper)}, ${confidence}%)`,
+          `**Perkiraan kelengkapan:** ${completeness.overall.estimate}% ± ${completeness.overall.margin}%`
+        );
+      }
+      embed.addFields({
+        name: `🎲 Sampel ${formatNumber(sampling.size)} dari ${formatNumber(sampling.population)} baris`,
+        value: lines.join('\n').substring(0, 1024),
+        inline: false
+      });
+    }
+
+    // Near-duplicate (opt-in fuzzyDuplicates)
+    const nearDuplicates = analysisResult.nearDuplicates;
+    if (nearDuplicates?.clusterCount > 0) {
+      embed.addFields({
+        name: '👯 Kemungkinan Duplikat',
+        value: [
+          `**${nearDuplicates.clusterCount}** kelompok (${nearDuplicates.rowCount} baris) mirip ≥ ${Math.round(nearDuplicates.threshold * 100)}%`,
+          ...nearDuplicates.clusters.slice(0, 3).map(c => `• Baris ${c.rows.join(', ')}`)
+        ].join('\n').slice(0, 1024),
+        inline: false
+      });
+    }
+
+    // Mode forensik: jumlah temuan per pemeriksaan
+    if (analysisResult.forensic) {
+      const counts = issues.counts?.byType ?? {};
+      const findings = [
+        [ISSUE_TYPES.DUPLICATE_INVOICE, '🧾'],
+        [ISSUE_TYPES.BELOW_APPROVAL_LIMIT, '🚧'],
+        [ISSUE_TYPES.BENFORD_DEVIATION, '📐'],
+        [ISSUE_TYPES.ROUND_NUMBER_BIAS, '🔘'],
+        [ISSUE_TYPES.HOLIDAY_TRANSACTION, '📆'],
+        [ISSUE_TYPES.WEEKEND_TRANSACTION, '📆']
+      ]
+        .filter(([type]) => counts[type.code] > 0)
+        .map(([type, emoji]) => `${emoji} ${type.name}: **${counts[type.code]}**`);
+
+      embed.addFields({
+        name: '🕵️ Forensik',
+        value: (findings.length > 0 ? findings.join('\n') : '✅ Tidak ada temuan').slice(0, 1024),
+        inline: false
+      });
+    }
+
+    // Time series (deep analysis dengan kolom tanggal)
+    const timeSeries = analysisResult.deepInsights?.timeSeries ?? [];
+    if (timeSeries.length > 0) {
+      embed.addFields({
+        name: '📅 Tren Waktu',
+        value: timeSeries.slice(0, 2).map(ts => this.formatTimeSeries(ts)).join('\n\n').slice(0, 1024),
+        inline: false
+      });
+    }
+
+    // Riwayat dataset: dibandingkan dengan analisis sebelumnya
+    if (history?.trend.runs > 1) {
+      embed.addFields({
+        name: `📈 Riwayat \`${history.dataset}\` (${history.trend.runs}x)`,
+        value: this.formatTrend(history.trend).slice(0, 1024),
+        inline: false
+      });
+    }
+
     // Add suggestions
     if (analysisResult.suggestions?.length > 0) {
       const topSuggestions = analysisResult.suggestions
@@ -115,6 +189,75 @@ export class ResponseBuilder {
     return embed;
   }
 
+  /**
+   * 📈 Build quality history embed (satu dataset)
+   */
+  buildHistoryEmbed(history) {
+    const { trend } = history;
+    const recent = history.entries.slice(-10).reverse();
+
+    let color = this.colors.INFO;
+    if (trend.direction === 'naik') color = this.colors.SUCCESS;
+    else if (trend.direction === 'turun') color = this.colors.ERROR;
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📈 Riwayat Kualitas: ${history.name}`)
+      .setDescription([
+        `🏷️ Dataset: \`${history.dataset}\``,
+        `🔁 **${history.totalEntries}** analisis sejak ${history.createdAt.slice(0, 10)}`,
+        `\`${this.getSparkline(trend.scores.map(point => point.score))}\``
+      ].join('\n'))
+      .setColor(color)
+      .addFields(
+        {
+          name: '📊 Skor',
+          value: [
+            `Terakhir: **${trend.latest.score}%** (${trend.latest.grade})`,
+            `Terbaik: ${trend.best}% | Terburuk: ${trend.worst}%`,
+            `Rata-rata: ${trend.average}%`
+          ].join('\n'),
+          inline: true
+        },
+        {
+          name: '🔎 Perubahan Terakhir',
+          value: trend.runs > 1 ? this.formatTrend(trend).slice(0, 1024) : 'Baru satu kali dianalisis',
+          inline: false
+        },
+        {
+          name: `🗓️ ${recent.length} Analisis Terakhir`,
+          value: recent
+            .map(entry => `\`${entry.at.slice(0, 16).replace('T', ' ')}\` ${entry.score}% (${entry.grade}) · ${formatNumber(entry.rows)} baris · ${entry.filename ?? '-'}`)
+            .join('\n')
+            .slice(0, 1024),
+          inline: false
+        }
+      )
+      .setTimestamp()
+      .setFooter({ text: 'Excel Intelligence Bot' });
+
+    return embed;
+  }
+
+  /**
+   * 📚 Build dataset list embed (semua dataset yang punya riwayat)
+   */
+  buildDatasetListEmbed(datasets) {
+    const trendEmoji = { naik: '📈', turun: '📉', stabil: '➡️', baru: '🆕' };
+
+    return new EmbedBuilder()
+      .setTitle('📚 Dataset dengan Riwayat Kualitas')
+      .setDescription(datasets.length > 0
+        ? datasets
+          .slice(0, 20)
+          .map(d => `${trendEmoji[d.direction]} \`${d.dataset}\` · **${d.score}%** (${d.grade}) · ${d.runs}x · ${d.updatedAt.slice(0, 10)}`)
+          .join('\n')
+          .slice(0, 4000)
+        : 'Belum ada riwayat. Jalankan `/analyze` terlebih dahulu.')
+      .setColor(this.colors.PRIMARY)
+      .setFooter({ text: 'Gunakan /history dataset:<nama> untuk melihat tren' })
+      .setTimestamp();
+  }
+
   /**
    * 📊 Build column analysis embed
    */
@@ -143,6 +286,282 @@ export class ResponseBuilder {
     return embed;
   }
 
+  /**
+   * 📚 Build workbook (multi-sheet) analysis embed
+   */
+  buildWorkbookEmbed(workbookResult, filename) {
+    const { summary, overview, relationships, sharedSchemas, qualityScore } = workbookResult;
+
+    let color = this.colors.SUCCESS;
+    if (qualityScore.overall < 50) color = this.colors.ERROR;
+    else if (qualityScore.overall < 75) color = this.colors.WARNING;
+
+    const sheetList = overview
+      .slice(0, 10)
+      .map(s => `${this.getScoreEmoji(s.qualityScore)} **${s.sheet}**: ${formatNumber(s.rows)} baris, ${s.columns} kolom (${s.grade})`)
+      .join('\n');
+
+    const embed = new EmbedBuilder()
+      .setTitle('📚 Analisis Workbook')
+      .setDescription(`File: \`${filename}\`\nSkor gabungan: **${qualityScore.overall}%** (${qualityScore.grade})`)
+      .setColor(color)
+      .addFields({
+        name: `📑 Sheet (${summary.analyzedSheets}/${summary.totalSheets})`,
+        value: sheetList,
+        inline: false
+      })
+      .setTimestamp()
+      .setFooter({ text: 'Excel Intelligence Bot' });
+
+    if (relationships.length > 0) {
+      const relationList = relationships.slice(0, 5).map(rel => {
+        const orphanText = rel.orphans.count > 0 ? ` | ⚠️ ${rel.orphans.count} orphan` : ' | ✅';
+        return `🔗 ${rel.childSheet}.**${rel.childColumn}** → ${rel.parentSheet}.**${rel.parentColumn}** (${rel.coverage}%)${orphanText}`;
+      });
+
+      embed.addFields({
+        name: '🔗 Relasi Antar Sheet',
+        value: relationList.join('\n'),
+        inline: false
+      });
+
+      const orphanSamples = relationships
+        .filter(rel => rel.orphans.count > 0)
+        .slice(0, 3)
+        .map(rel => {
+          const samples = rel.orphans.samples.slice(0, 5).map(s => `\`${s.value}\` (baris ${s.row})`).join(', ');
+          return `**${rel.childSheet}.${rel.childColumn}**: ${samples}`;
+        });
+
+      if (orphanSamples.length > 0) {
+        embed.addFields({
+          name: '🚫 Contoh Orphan Key',
+          value: orphanSamples.join('\n'),
+          inline: false
+        });
+      }
+    }
+
+    if (sharedSchemas.length > 0) {
+      embed.addFields({
+        name: '🗂️ Skema Sama',
+        value: sharedSchemas.slice(0, 5).map(schema => {
+          const mismatch = schema.typeMismatches.length > 0
+            ? ` ⚠️ beda tipe: ${schema.typeMismatches.map(m => m.column).join(', ')}`
+            : '';
+          return `${schema.sheets.join(', ')}${mismatch}`;
+        }).join('\n'),
+        inline: false
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * ✅ Build validation (aturan user) embed
+   */
+  buildValidationEmbed(validation, filename) {
+    const { valid, rulesApplied, violations, bySeverity, byRule, details } = validation;
+
+    let color = this.colors.SUCCESS;
+    if (!valid) color = this.colors.ERROR;
+    else if (violations > 0) color = this.colors.WARNING;
+
+    const status = valid
+      ? `${this.emojis.SUCCESS} **Lolos validasi**`
+      : `${this.emojis.ERROR} **Tidak lolos validasi**`;
+
+    const embed = new EmbedBuilder()
+      .setTitle('✅ Hasil Validasi Aturan')
+      .setDescription(`File: \`${filename}\`\n${status}`)
+      .setColor(color)
+      .addFields({
+        name: '📋 Ringkasan',
+        value: [
+          `📏 **Aturan:** ${rulesApplied}`,
+          `🚫 **Pelanggaran:** ${formatNumber(violations)}`,
+          `❌ ${bySeverity.error || 0} Error | ⚠️ ${bySeverity.warning || 0} Warning | ℹ️ ${bySeverity.info || 0} Info`
+        ].join('\n'),
+        inline: false
+      })
+      .setTimestamp()
+      .setFooter({ text: 'Excel Intelligence Bot' });
+
+    const ruleList = Object.entries(byRule)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 8)
+      .map(([rule, count]) => `• **${rule}**: ${formatNumber(count)}`);
+
+    if (ruleList.length > 0) {
+      embed.addFields({
+        name: '📏 Pelanggaran per Aturan',
+        value: ruleList.join('\n').slice(0, 1024),
+        inline: false
+      });
+    }
+
+    if (details.length > 0) {
+      const samples = details
+        .slice(0, 8)
+        .map(issue => `${issue.row ? `Baris ${issue.row}: ` : ''}${issue.message}`)
+        .join('\n');
+
+      embed.addFields({
+        name: '🔎 Contoh Pelanggaran',
+        value: samples.slice(0, 1024),
+        inline: false
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * 🗂️ Build schema export embed
+   */
+  buildSchemaEmbed(columns, format, filename) {
+    const formatLabel = format === 'table-schema' ? 'Frictionless Table Schema' : 'JSON Schema';
+
+    const columnList = columns.slice(0, 15).map(col => {
+      const flags = [col.required && 'wajib', col.unique && 'unik'].filter(Boolean);
+      const flagText = flags.length > 0 ? ` (${flags.join(', ')})` : '';
+      return `${this.getTypeEmoji(col.type ?? 'unknown')} **${col.name}**: ${col.type ?? 'bebas'}${flagText}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle('🗂️ Schema Data')
+      .setDescription(`File: \`${filename}\`\nFormat: **${formatLabel}**`)
+      .setColor(this.colors.INFO)
+      .addFields({
+        name: `📊 Kolom (${columns.length})`,
+        value: columnList.join('\n').slice(0, 1024) || 'Tidak ada kolom',
+        inline: false
+      })
+      .setTimestamp()
+      .setFooter({ text: 'Validasi file berikutnya dengan /validate + file schema ini' });
+
+    return embed;
+  }
+
+  /**
+   * 🧭 Build drift (perubahan struktur antar file) embed
+   */
+  buildDriftEmbed(driftResult, baseName, currentName) {
+    const { summary, findings } = driftResult;
+
+    let color = this.colors.SUCCESS;
+    if (summary.severity === 'error') color = this.colors.ERROR;
+    else if (summary.severity === 'warning') color = this.colors.WARNING;
+    else if (summary.severity === 'info') color = this.colors.INFO;
+
+    const rowChange = summary.rowChange !== null
+      ? ` (${summary.rowChange > 0 ? '+' : ''}${summary.rowChange}%)`
+      : '';
+
+    const embed = new EmbedBuilder()
+      .setTitle('🧭 Deteksi Perubahan Struktur')
+      .setDescription(`Lama: \`${baseName}\`\nBaru: \`${currentName}\``)
+      .setColor(color)
+      .addFields({
+        name: '📋 Ringkasan',
+        value: [
+          `${this.emojis.EXCEL} **Baris:** ${formatNumber(summary.baseRows)} → ${formatNumber(summary.currentRows)}${rowChange}`,
+          `📊 **Kolom:** ${summary.baseColumns} → ${summary.currentColumns} (${summary.matchedColumns} cocok)`,
+          summary.hasDrift
+            ? `❌ ${summary.bySeverity.error || 0} | ⚠️ ${summary.bySeverity.warning || 0} | ℹ️ ${summary.bySeverity.info || 0}`
+            : `${this.emojis.SUCCESS} Tidak ada perubahan struktur`
+        ].join('\n'),
+        inline: false
+      })
+      .setTimestamp()
+      .setFooter({ text: 'Excel Intelligence Bot' });
+
+    if (findings.length > 0) {
+      const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+      const findingList = findings
+        .slice(0, 12)
+        .map(finding => `${icons[finding.severity]} ${finding.message}`)
+        .join('\n');
+
+      embed.addFields({
+        name: `🔎 Perubahan (${findings.length})`,
+        value: findingList.slice(0, 1024),
+        inline: false
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * 🔀 Build compare (perbandingan baris berdasarkan kunci) embed
+   */
+  buildCompareEmbed(comparison, baseName, currentName) {
+    const { summary, columns, modified } = comparison;
+
+    const embed = new EmbedBuilder()
+      .setTitle('🔀 Perbandingan Data')
+      .setDescription([
+        `Lama: \`${baseName}\``,
+        `Baru: \`${currentName}\``,
+        `🔑 Kunci: **${summary.keyColumns.join(', ')}**${summary.keyDetected ? ' (otomatis)' : ''}`
+      ].join('\n'))
+      .setColor(summary.hasChanges ? this.colors.WARNING : this.colors.SUCCESS)
+      .addFields(
+        {
+          name: '📋 Ringkasan',
+          value: [
+            `${this.emojis.EXCEL} **Baris:** ${formatNumber(summary.baseRows)} → ${formatNumber(summary.currentRows)}`,
+            `🟢 **Baru:** ${formatNumber(summary.added)}`,
+            `🔴 **Dihapus:** ${formatNumber(summary.removed)}`,
+            `🟡 **Berubah:** ${formatNumber(summary.modified)} baris (${formatNumber(summary.changedCells)} sel)`,
+            `⚪ **Sama:** ${formatNumber(summary.unchanged)}`
+          ].join('\n'),
+          inline: false
+        }
+      )
+      .setTimestamp()
+      .setFooter({ text: 'Detail lengkap ada di file Excel terlampir' });
+
+    if (modified.length > 0) {
+      const changeList = modified.slice(0, 5).map(m => {
+        const cells = m.changes
+          .slice(0, 3)
+          .map(c => `${c.column}: \`${c.before ?? '-'}\` → \`${c.after ?? '-'}\``)
+          .join(', ');
+        const more = m.changes.length > 3 ? ` (+${m.changes.length - 3})` : '';
+        return `**${m.key}**: ${cells}${more}`;
+      });
+
+      embed.addFields({
+        name: '🟡 Contoh Perubahan',
+        value: changeList.join('\n').slice(0, 1024),
+        inline: false
+      });
+    }
+
+    const notes = [];
+    if (columns.added.length > 0) notes.push(`➕ Kolom baru: ${columns.added.join(', ')}`);
+    if (columns.removed.length > 0) notes.push(`➖ Kolom dihapus: ${columns.removed.join(', ')}`);
+    if (summary.duplicateKeys.base + summary.duplicateKeys.current > 0) {
+      notes.push(`⚠️ Kunci kembar: ${summary.duplicateKeys.base} (lama) / ${summary.duplicateKeys.current} (baru), baris pertama yang dipakai`);
+    }
+    if (summary.emptyKeys.base + summary.emptyKeys.current > 0) {
+      notes.push(`⚠️ Kunci kosong dilewati: ${summary.emptyKeys.base} (lama) / ${summary.emptyKeys.current} (baru)`);
+    }
+
+    if (notes.length > 0) {
+      embed.addFields({
+        name: '📝 Catatan',
+        value: notes.join('\n').slice(0, 1024),
+        inline: false
+      });
+    }
+
+    return embed;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // CLEANING EMBEDS
   // ─────────────────────────────────────────────────────────────────────────────
@@ -180,6 +599,21 @@ export class ResponseBuilder {
       .setTimestamp()
       .setFooter({ text: 'Excel Intelligence Bot' });
 
+    // Golden record hasil penggabungan baris mirip
+    const merges = cleanResult.merges || [];
+    if (merges.length > 0) {
+      const lines = merges.slice(0, 5).map(m =>
+        `• Baris ${m.rows.join(', ')} → utama baris ${m.survivor} (${Math.round(m.similarity * 100)}%)`
+      );
+      if (merges.length > 5) lines.push(`...dan ${merges.length - 5} cluster lainnya`);
+
+      embed.addFields({
+        name: '👯 Golden Record',
+        value: lines.join('\n').substring(0, 1024),
+        inline: false
+      });
+    }
+
     return embed;
   }
 
@@ -398,12 +832,35 @@ export class ResponseBuilder {
           name: '❌ Errors',
           value: formatNumber(stats.errors),
           inline: true
-        }
+        },
+        this.buildCacheStatsField(stats.cache)
       )
       .setTimestamp()
       .setFooter({ text: 'Excel Intelligence Bot v2.0' });
   }
 
+  /**
+   * 🗄️ Field hit/miss cache parse & analisis (lihat utils/cache.js)
+   */
+  buildCacheStatsField(cache) {
+    if (!cache?.enabled) {
+      return { name: '🗄️ Cache', value: 'Nonaktif (RESULT_CACHE=false)', inline: false };
+    }
+
+    const kindLabels = { parse: 'Parse', analysis: 'Analisis' };
+    const lines = [
+      `**Hit rate:** ${cache.hitRate ?? 0}% (${formatNumber(cache.hits)} hit / ${formatNumber(cache.misses)} miss)`,
+      ...Object.entries(cache.byKind).map(([kind, counts]) =>
+        `${kindLabels[kind] ?? kind}: ${formatNumber(counts.hits)} hit / ${formatNumber(counts.misses)} miss`),
+      `**Memori:** ${cache.entries}/${cache.maxEntries} entri, ${formatFileSize(cache.memorySize)} / ${formatFileSize(cache.maxMemorySize)}`
+    ];
+    if (cache.disk) {
+      lines.push(`**Disk:** ${cache.disk.entries} entri, ${formatFileSize(cache.disk.size)} / ${formatFileSize(cache.disk.maxSize)} (${formatNumber(cache.diskHits)} hit)`);
+    }
+
+    return { name: '🗄️ Cache', value: lines.join('\n'), inline: false };
+  }
+
   /**
    * ❓ Build help embed
    */
@@ -416,6 +873,11 @@ export class ResponseBuilder {
 
     const commandList = [
       { name: '/analyze', desc: 'Analisis file Excel/CSV' },
+      { name: '/validate', desc: 'Validasi data dengan aturan sendiri' },
+      { name: '/schema', desc: 'Export schema (JSON Schema / Table Schema)' },
+      { name: '/drift', desc: 'Bandingkan struktur dua versi file' },
+      { name: '/compare', desc: 'Bandingkan isi dua versi file per baris' },
+      { name: '/history', desc: 'Riwayat & tren skor kualitas per dataset' },
       { name: '/clean', desc: 'Bersihkan dan perbaiki data' },
       { name: '/convert', desc: 'Konversi ke format lain' },
       { name: '/create', desc: 'Buat Excel dari teks/instruksi' },
@@ -433,7 +895,7 @@ export class ResponseBuilder {
 
     embed.addFields({
       name: '📁 Format Didukung',
-      value: '`.xlsx` `.xls` `.csv` `.json`',
+      value: BOT_CONFIG.SUPPORTED_EXTENSIONS.map(ext => `\`${ext}\``).join(' '),
       inline: true
     });
 
@@ -535,6 +997,69 @@ export class ResponseBuilder {
     return '▓'.repeat(filled) + '░'.repeat(5 - filled);
   }
 
+  /**
+   * Ringkasan satu time series: frekuensi, periode kosong, tren & growth per metrik
+   */
+  formatTimeSeries(ts) {
+    const percent = (value) => `${value > 0 ? '+' : ''}${formatNumber(value, 1)}%`;
+    const trendEmoji = { naik: '📈', turun: '📉', stabil: '➡️' };
+
+    const lines = [`**${ts.dateColumn}** · ${ts.frequencyLabel} · ${ts.start} s/d ${ts.end}`];
+    if (ts.coverage?.missingPeriods > 0) {
+      lines.push(`⚠️ ${ts.coverage.missingPeriods} periode tanpa data`);
+    }
+
+    // Kolom nilai (Rupiah) lebih informatif daripada jumlah baris
+    const metrics = ts.metrics.filter(m => m.column !== null);
+    for (const metric of (metrics.length > 0 ? metrics : ts.metrics).slice(0, 3)) {
+      const parts = [];
+      if (metric.trend) parts.push(`${metric.trend.direction} (${percent(metric.trend.slopePercent)}/${ts.granularityLabel})`);
+      if (metric.mom !== null) parts.push(`MoM ${percent(metric.mom)}`);
+      if (metric.yoy !== null) parts.push(`YoY ${percent(metric.yoy)}`);
+      if (metric.seasonality?.detected) parts.push(`🔁 puncak ${metric.seasonality.peak}`);
+      lines.push(`${trendEmoji[metric.trend?.direction] ?? '📊'} ${metric.label}: ${parts.join(' | ') || '-'}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Ringkasan tren riwayat: perubahan skor, baris & tipe issue baru/teratasi
+   */
+  formatTrend(trend) {
+    const signed = (value, decimals = 0) => `${value > 0 ? '+' : ''}${formatNumber(value, decimals)}`;
+    const trendEmoji = { naik: '📈', turun: '📉', stabil: '➡️' };
+    const typeName = (code) => ISSUE_TYPES[code]?.name ?? code;
+
+    const lines = [
+      `${trendEmoji[trend.direction]} Skor ${signed(trend.scoreChange, 2)} poin (total ${signed(trend.totalChange, 2)})`,
+      `${this.emojis.EXCEL} Baris ${signed(trend.rowChange)}${trend.rowChangePercent !== null ? ` (${signed(trend.rowChangePercent, 1)}%)` : ''}`
+    ];
+    if (trend.newIssueTypes.length > 0) {
+      lines.push(`🆕 Masalah baru: ${trend.newIssueTypes.map(i => `${typeName(i.type)} (${i.count})`).join(', ')}`);
+    }
+    if (trend.resolvedIssueTypes.length > 0) {
+      lines.push(`✅ Teratasi: ${trend.resolvedIssueTypes.map(i => typeName(i.type)).join(', ')}`);
+    }
+    if (trend.profileChanged) {
+      lines.push('🎚️ Profil skor berbeda dari analisis sebelumnya');
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Sparkline skor: ▁▂▃▄▅▆▇█ (rentang minimal 10 poin agar selisih kecil tidak terlihat drastis)
+   */
+  getSparkline(scores) {
+    const blocks = '▁▂▃▄▅▆▇█';
+    const recent = scores.slice(-30);
+    const max = Math.max(...recent);
+    const min = Math.min(Math.min(...recent), max - 10);
+    return recent
+      .map(score => blocks[Math.min(blocks.length - 1, Math.floor(((score - min) / (max - min)) * blocks.length))])
+      .join('');
+  }
+
   /**
    * Get type emoji
    */
@@ -553,6 +1078,13 @@ export class ResponseBuilder {
       url: '🔗',
       nik: '🪪',
       npwp: '📋',
+      nitku: '🏢',
+      nip: '🏛️',
+      nkk: '👨‍👩‍👧',
+      bpjs_kesehatan: '🏥',
+      bpjs_ketenagakerjaan: '👷',
+      bank_account: '🏦',
+      plate_number: '🚗',
       boolean: '✔️',
       empty: '⬜',
       mixed: '🔀',
@@ -16,6 +16,7 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
 import dotenv from 'dotenv';
+import { resultCache } from '../utils/cache.js';
 
 dotenv.config();
 
@@ -238,7 +239,8 @@ export class ExcelBot {
       servers: this.client.guilds?.cache?.size || 0,
       users: this.client.users?.cache?.size || 0,
       commands: this.commands.size,
-      ping: this.client.ws?.ping || 0
+      ping: this.client.ws?.ping || 0,
+      cache: resultCache.stats()
     };
   }
 
@@ -9,26 +9,102 @@ import {
   ISSUE_TYPES,
   INDONESIA_PROVINCE_CODES,
   TAX_RATES,
-  QUALITY_THRESHOLDS,
   BOT_CONFIG
 } from '../utils/constants.js';
 
 import {
   parseNumber,
+  parseNumberDetailed,
+  numberConvention,
+  countNumberConventions,
+  detectNumberLocale,
   parseDate,
   validateNIK,
   validateNPWP,
+  validateNITKU,
+  validateNIP,
+  validateNKK,
+  validateBPJS,
+  validateBankAccount,
+  validatePlateNumber,
   validateEmail,
   validatePhoneID,
   normalizeString,
   isEmpty,
   calculateStats,
-  detectOutliers,
+  formatNumber,
   stringSimilarity,
   formatRupiah,
-  formatPercentage
+  formatPercentage,
+  hashString
 } from '../utils/helpers.js';
 
+import { describeDistribution, pearson, spearman, cramersV, correlationStrength } from '../utils/statistics.js';
+
+import { dataValidator } from './validator.js';
+import { TimeSeriesAnalyzer } from './timeseries.js';
+import { DuplicateMatcher } from './dedup.js';
+import { ValueClusterer, MATCH_METHODS } from './clusterer.js';
+import { OutlierDetector } from './outliers.js';
+import { ForensicAnalyzer } from './forensic.js';
+import { qualityProfiles, UNIQUENESS_ISSUES } from './profiles.js';
+import { RowSampler } from './sampler.js';
+import { resultCache } from '../utils/cache.js';
+import { wilayahRegistry } from '../utils/wilayah.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// IDENTIFIER CHECKS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Validasi & issue per tipe identitas; context = nama bank baris/header (khusus rekening)
+const IDENTIFIER_CHECKS = {
+  [DATA_TYPES.NITKU]: {
+    validate: (value) => validateNITKU(value),
+    issue: ISSUE_TYPES.INVALID_NPWP,
+    label: 'NITKU',
+    fix: 'NITKU = NPWP 16 digit + 6 digit tempat usaha (000000 untuk pusat), simpan kolom sebagai teks'
+  },
+  [DATA_TYPES.NIP]: {
+    validate: (value) => validateNIP(value),
+    issue: ISSUE_TYPES.INVALID_NIP,
+    label: 'NIP',
+    fix: 'Perbaiki NIP (tgl lahir 8 + TMT CPNS 6 + jenis kelamin 1 + nomor urut 3) & simpan kolom sebagai teks'
+  },
+  [DATA_TYPES.NKK]: {
+    validate: (value) => validateNKK(value),
+    issue: ISSUE_TYPES.INVALID_NKK,
+    label: 'Nomor KK',
+    fix: 'Cocokkan dengan Kartu Keluarga & simpan kolom sebagai teks'
+  },
+  [DATA_TYPES.BPJS_KESEHATAN]: {
+    validate: (value) => validateBPJS(value, 'Kesehatan'),
+    issue: ISSUE_TYPES.INVALID_BPJS,
+    label: 'Nomor BPJS Kesehatan',
+    fix: 'Cocokkan dengan kartu JKN-KIS (13 digit) & simpan kolom sebagai teks'
+  },
+  [DATA_TYPES.BPJS_KETENAGAKERJAAN]: {
+    validate: (value) => validateBPJS(value, 'Ketenagakerjaan'),
+    issue: ISSUE_TYPES.INVALID_BPJS,
+    label: 'Nomor BPJS Ketenagakerjaan',
+    fix: 'Cocokkan dengan nomor KPJ (11 digit) & simpan kolom sebagai teks'
+  },
+  [DATA_TYPES.BANK_ACCOUNT]: {
+    validate: (value, bank) => validateBankAccount(value, bank),
+    issue: ISSUE_TYPES.INVALID_BANK_ACCOUNT,
+    label: 'Nomor rekening',
+    fix: 'Cocokkan dengan buku tabungan & simpan kolom sebagai teks agar nol di depan tidak hilang'
+  },
+  [DATA_TYPES.PLATE_NUMBER]: {
+    validate: (value) => validatePlateNumber(value),
+    issue: ISSUE_TYPES.INVALID_PLATE_NUMBER,
+    label: 'Plat nomor',
+    fix: 'Tulis sebagai kode wilayah, angka & huruf (mis. B 1234 XYZ)'
+  }
+};
+
+// Data hasil dekode yang dihitung per kolom identitas
+const IDENTITY_FIELDS = ['gender', 'province', 'region', 'bank', 'program', 'format'];
+
 // ─────────────────────────────────────────────────────────────────────────────
 // MAIN ANALYZER CLASS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -40,12 +116,48 @@ export class DataAnalyzer {
       detectOutliers: options.detectOutliers ?? true,
       checkCalculations: options.checkCalculations ?? true,
       ppnRate: options.ppnRate ?? TAX_RATES.PPN,
-      outlierThreshold: options.outlierThreshold ?? 1.5,
+      outlierMethod: options.outlierMethod ?? 'iqr', // 'iqr' | 'zscore' | 'mad'
+      outlierThreshold: options.outlierThreshold ?? null, // null = default metode (IQR 1.5, z 3, MAD 3.5)
+      outlierGroupBy: options.outlierGroupBy ?? null, // "Jabatan" | "Gaji:Jabatan,Harga:Produk" | 'auto'
+      multivariateOutliers: options.multivariateOutliers ?? false, // Nilai tidak wajar terhadap kolom lain (Harga vs Qty)
       similarityThreshold: options.similarityThreshold ?? 0.85,
-      maxRowsAnalyze: options.maxRowsAnalyze ?? 10000
+      maxRowsAnalyze: options.maxRowsAnalyze ?? 10000,
+      samplingMethod: options.samplingMethod ?? 'reservoir', // File > maxRowsAnalyze: 'head' | 'reservoir' | 'systematic' | 'stratified'
+      stratifyBy: options.stratifyBy ?? null, // Kolom strata untuk 'stratified' ("Bulan", "Cabang")
+      samplingSeed: options.samplingSeed ?? null, // null = seed tetap (hasil bisa diulang)
+      confidenceLevel: options.confidenceLevel ?? 0.95, // Selang kepercayaan estimasi dari sampel
+      streamSampleSize: options.streamSampleSize ?? BOT_CONFIG.STREAM_SAMPLE_SIZE,
+      streamUniqueLimit: options.streamUniqueLimit ?? BOT_CONFIG.STREAM_UNIQUE_LIMIT,
+      streamDuplicateLimit: options.streamDuplicateLimit ?? BOT_CONFIG.STREAM_DUPLICATE_LIMIT, // Signature baris yang dilacak untuk duplikat
+      keyUniqueness: options.keyUniqueness ?? 0.95,
+      relationshipThreshold: options.relationshipThreshold ?? 0.6,
+      correlationThreshold: options.correlationThreshold ?? 0.5, // |r| / Cramér's V minimal untuk dilaporkan
+      maxCategories: options.maxCategories ?? 20, // Kolom teks dengan nilai unik ≤ ini dianggap kategori
+      fuzzyDuplicates: options.fuzzyDuplicates ?? false, // Opt-in: cari baris mirip (nama/telepon/alamat)
+      duplicateColumns: options.duplicateColumns ?? null, // Kolom pembanding ("Nama,Telepon"), null = otomatis
+      duplicateThreshold: options.duplicateThreshold ?? 0.85, // Skor kemiripan baris minimal (0..1)
+      forensicMode: options.forensicMode ?? false, // Opt-in: Benford, angka bulat, batas approval, faktur ganda, hari libur
+      approvalLimits: options.approvalLimits ?? null, // "5jt,10jt" / [5000000, 10000000], null = batas umum
+      holidays: options.holidays ?? null, // Libur tambahan (YYYY-MM-DD) selain libur nasional
+      invoiceColumn: options.invoiceColumn ?? null, // Kolom nomor faktur, null = otomatis
+      qualityProfile: options.qualityProfile ?? 'default', // 'finance' | 'hr' | 'crm' | profil custom (object/JSON/YAML)
+      numberLocale: options.numberLocale ?? null, // Paksa 'id' / 'en', default dari file
+      columnLocales: options.columnLocales ?? {}, // Locale per kolom: { Harga: 'id', Amount: 'en' }
+      rules: options.rules ?? null, // Aturan validasi user (JSON/YAML/object, lihat validator.js)
+      checkNikConsistency: options.checkNikConsistency ?? true, // NIK vs kolom Tanggal Lahir, Jenis Kelamin & Alamat
+      cache: options.cache ?? true // Pakai ulang hasil untuk isi file & opsi yang sama (lihat utils/cache.js)
     };
     
     this.analysisResult = null;
+    this.profile = qualityProfiles.resolve(this.options.qualityProfile);
+    this.numberLocale = null;
+    this.columnLocales = {};
+    this.nearDuplicates = null;
+    this.typoClusters = [];
+    this.outlierSummary = null;
+    this.forensicSummary = null;
+    this.rowNumber = (i) => i + 2; // Index baris yang dianalisis → nomor baris di file
+    this.workbookMode = false; // true selama analyzeWorkbook(): opsi kolom yang tidak ada di sheet dilewati
   }
 
   /**
@@ -61,28 +173,68 @@ export class DataAnalyzer {
       throw new Error('Sheet kosong atau tidak ditemukan');
     }
 
-    // Limit rows for performance
-    const rowsToAnalyze = sheet.rows.slice(0, this.options.maxRowsAnalyze);
+    // Sampler dibuat di depan: kolom strata yang salah langsung error, berapa pun jumlah barisnya
+    const sampler = this.createSampler(sheet.headers);
+
+    // File & opsi sama sudah pernah dianalisis (mis. /analyze lalu /clean): pakai hasilnya
+    const cacheKey = this.analysisCacheKey(parsedData, sheetName || parsedData.activeSheet);
+    const cached = cacheKey ? resultCache.get('analysis', cacheKey) : undefined;
+    if (cached && (cached.deep || !this.options.deepAnalysis)) {
+      return this.restoreCachedAnalysis(cached);
+    }
+
+    // Konvensi angka file (1.234,56 vs 1,234.56) untuk semua parseNumber
+    this.numberLocale = this.options.numberLocale ?? sheet.numberLocale ?? null;
+    this.columnLocales = {};
+    this.nearDuplicates = null;
+    this.typoClusters = [];
+    this.outlierSummary = null;
+    this.forensicSummary = null;
+    this.rowNumber = (i) => i + 2;
+
+    // File besar: analisis sampel (reservoir/sistematis/stratified) agar tidak hanya baris awal
+    const sample = sheet.rows.length > this.options.maxRowsAnalyze
+      ? this.sampleRows(sheet, sampler)
+      : null;
+    const rowsToAnalyze = sample ? sample.rows : sheet.rows.slice(0, this.options.maxRowsAnalyze);
+    if (sample) {
+      this.rowNumber = (i) => rowsToAnalyze[i]._rowIndex ?? sample.positions[i] + 2;
+    }
     
     // 1️⃣ Analyze column types
-    const columnAnalysis = this.analyzeColumns(sheet.headers, rowsToAnalyze);
+    const columnAnalysis = this.analyzeColumns(sheet.headers, rowsToAnalyze, sheet.cellModel);
     
     // 2️⃣ Detect issues
-    const issues = await this.detectIssues(sheet.headers, rowsToAnalyze, columnAnalysis);
+    let issues = await this.detectIssues(sheet.headers, rowsToAnalyze, columnAnalysis, sheet.cellModel?.formulas);
+    const sampling = sample ? this.buildSamplingSummary(sample, sheet.headers, issues) : null;
+
+    // Aturan user dicek di semua baris & ditaruh paling depan agar masuk details
+    let validation = null;
+    if (this.options.rules) {
+      const ruleSet = dataValidator.parseRules(this.options.rules);
+      const ruleIssues = dataValidator.validateRows(sheet.headers, sheet.rows, ruleSet, {
+        localeFor: (header) => this.localeFor(header)
+      });
+      const tally = dataValidator.tallyIssues(dataValidator.createTally(), ruleIssues);
+      validation = this.buildValidationSummary(tally, ruleSet, ruleIssues.slice(0, 100));
+      issues = [...ruleIssues, ...issues];
+    }
+
+    const issueCounts = this.countIssues(issues);
     
     // 3️⃣ Calculate quality score
-    const qualityScore = this.calculateQualityScore(rowsToAnalyze, issues, columnAnalysis);
+    const qualityScore = this.calculateQualityScore(rowsToAnalyze.length, issueCounts.byType, columnAnalysis);
     
     // 4️⃣ Generate statistics
     const statistics = this.generateStatistics(sheet.headers, rowsToAnalyze, columnAnalysis);
     
     // 5️⃣ Generate suggestions
-    const suggestions = this.generateSuggestions(issues, columnAnalysis, qualityScore);
+    const suggestions = this.generateSuggestions(issueCounts.byType, columnAnalysis, qualityScore);
     
     // 6️⃣ Deep analysis (if enabled)
     let deepInsights = null;
     if (this.options.deepAnalysis) {
-      deepInsights = await this.performDeepAnalysis(sheet.headers, rowsToAnalyze, columnAnalysis);
+      deepInsights = await this.performDeepAnalysis(sheet.headers, rowsToAnalyze, columnAnalysis, statistics);
     }
 
     const endTime = Date.now();
@@ -91,8 +243,11 @@ export class DataAnalyzer {
       summary: {
         totalRows: sheet.rows.length,
         analyzedRows: rowsToAnalyze.length,
+        sampling,
         totalColumns: sheet.headers.length,
         headers: sheet.headers,
+        encoding: parsedData.metadata?.encoding ?? null,
+        numberLocale: this.numberLocale,
         analysisTime: `${endTime - startTime}ms`
       },
       columnAnalysis,
@@ -100,8 +255,14 @@ export class DataAnalyzer {
         total: issues.length,
         byType: this.groupIssuesByType(issues),
         bySeverity: this.groupIssuesBySeverity(issues),
-        details: issues.slice(0, 100) // Limit details untuk performance
+        details: issues.slice(0, 100), // Limit details untuk performance
+        counts: issueCounts
       },
+      validation,
+      nearDuplicates: this.nearDuplicates,
+      typoClusters: this.typoClusters.slice(0, 100),
+      outliers: this.outlierSummary,
+      forensic: this.forensicSummary,
       qualityScore,
       statistics,
       suggestions,
@@ -113,22 +274,130 @@ export class DataAnalyzer {
       }
     };
 
+    if (cacheKey) {
+      const { metadata } = this.analysisResult;
+      resultCache.set('analysis', cacheKey, {
+        deep: this.options.deepAnalysis,
+        // Opsi diganti opsi pemanggil saat dipulihkan (profil hasil resolve berisi fungsi, tidak bisa ke disk)
+        result: { ...this.analysisResult, metadata: { ...metadata, options: null } },
+        state: {
+          numberLocale: this.numberLocale,
+          columnLocales: this.columnLocales,
+          nearDuplicates: this.nearDuplicates,
+          typoClusters: this.typoClusters,
+          outlierSummary: this.outlierSummary,
+          forensicSummary: this.forensicSummary
+        }
+      });
+    }
+
+    return this.analysisResult;
+  }
+
+  /**
+   * Key cache analisis: hash isi file (dari fileParser) + sheet + opsi yang memengaruhi hasil
+   * deepAnalysis tidak ikut: hasil deep juga melayani permintaan tanpa deep (/format setelah /analyze)
+   */
+  analysisCacheKey(parsedData, sheetName) {
+    const contentHash = parsedData.metadata?.contentHash;
+    if (!this.options.cache || !contentHash) return null;
+
+    const { deepAnalysis, cache, qualityProfile, ...options } = this.options;
+    return resultCache.key('analysis', contentHash, {
+      sheet: sheetName,
+      workbookMode: this.workbookMode,
+      profile: this.profileSummary(),
+      options
+    });
+  }
+
+  /**
+   * Pulihkan hasil & state analyzer dari cache (cleaner memakai toNumber & typoClusters)
+   */
+  restoreCachedAnalysis({ result, state }) {
+    Object.assign(this, state);
+    this.analysisResult = {
+      ...result,
+      deepInsights: this.options.deepAnalysis ? result.deepInsights : null,
+      metadata: { ...result.metadata, options: this.options, cached: true }
+    };
     return this.analysisResult;
   }
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SAMPLING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Sampler sesuai opsi; kolom strata divalidasi jika header diberikan
+   */
+  createSampler(headers = null) {
+    const sampler = new RowSampler({
+      method: this.options.samplingMethod,
+      size: this.options.maxRowsAnalyze,
+      ...(this.options.samplingSeed !== null ? { seed: this.options.samplingSeed } : {}),
+      stratifyBy: this.options.stratifyBy,
+      confidence: this.options.confidenceLevel,
+      ignoreMissingColumns: this.workbookMode
+    });
+    if (headers && sampler.options.method === 'stratified') {
+      sampler.findHeader(headers, sampler.options.stratifyBy);
+    }
+    return sampler;
+  }
+
+  /**
+   * 🎲 Sampel baris untuk file yang lebih besar dari maxRowsAnalyze (lihat sampler.js)
+   */
+  sampleRows(sheet, sampler) {
+    return { ...sampler.sample(sheet.rows, sheet.headers), sampler };
+  }
+
+  /**
+   * Cara sampel diambil, estimasi issue & kelengkapan seluruh file, plus penjelasannya
+   * Aturan validasi user tidak ikut: sudah dicek di semua baris
+   */
+  buildSamplingSummary(sample, headers, issues) {
+    const { groupPopulations, ...plan } = sample.plan;
+    const estimates = sample.sampler.estimate(sample, headers, issues, this.rowNumber);
+
+    return {
+      ...plan,
+      fraction: Math.round(plan.fraction * 10000) / 10000,
+      note: sample.sampler.describe(sample.plan, estimates),
+      estimates
+    };
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // COLUMN ANALYSIS
   // ─────────────────────────────────────────────────────────────────────────────
 
+  /**
+   * Locale angka sebuah kolom: opsi per kolom → deteksi kolom → locale file
+   */
+  localeFor(header = null) {
+    if (header === null) return this.numberLocale;
+    return this.options.columnLocales[header] ?? this.columnLocales[header] ?? this.numberLocale;
+  }
+
+  /**
+   * parseNumber dengan konvensi angka kolom/file yang sedang dianalisis
+   */
+  toNumber(value, header = null) {
+    return parseNumber(value, this.localeFor(header));
+  }
+
   /**
    * Analyze each column's data type and characteristics
+   * @param {Object} cellModel - Tipe & format asli dari file Excel (opsional)
    */
-  analyzeColumns(headers, rows) {
+  analyzeColumns(headers, rows, cellModel = null) {
     const analysis = {};
 
     for (const header of headers) {
       const values = rows.map(row => row[header]);
-      analysis[header] = this.analyzeColumn(header, values);
+      analysis[header] = this.analyzeColumn(header, values, cellModel?.columns?.[header]);
     }
 
     return analysis;
@@ -137,11 +406,14 @@ export class DataAnalyzer {
   /**
    * Analyze single column
    */
-  analyzeColumn(header, values) {
+  analyzeColumn(header, values, nativeColumn = null) {
     const nonEmptyValues = values.filter(v => !isEmpty(v));
+
+    // Konvensi angka kolom (dipakai juga oleh deteksi tipe di bawah)
+    const numberFormat = this.analyzeNumberFormat(header, nonEmptyValues);
     
     // Detect primary data type
-    const typeDetection = this.detectColumnType(header, nonEmptyValues);
+    const typeDetection = this.applyNativeFormat(this.detectColumnType(header, nonEmptyValues), nativeColumn);
     
     // Count unique values
     const uniqueValues = new Set(values.map(v => String(v).toLowerCase().trim()));
@@ -157,6 +429,7 @@ export class DataAnalyzer {
       detectedType: typeDetection.type,
       confidence: typeDetection.confidence,
       typeDetails: typeDetection.details,
+      typeDistribution: typeDetection.distribution ?? {},
       totalValues: values.length,
       nonEmptyCount: nonEmptyValues.length,
       emptyCount: values.length - nonEmptyValues.length,
@@ -165,7 +438,52 @@ export class DataAnalyzer {
       sampleValues,
       isNumeric: this.isNumericType(typeDetection.type),
       isDate: typeDetection.type === DATA_TYPES.DATE || typeDetection.type === DATA_TYPES.DATETIME,
-      isIdentifier: this.isIdentifierType(typeDetection.type)
+      isIdentifier: this.isIdentifierType(typeDetection.type),
+      identity: this.summarizeIdentity(typeDetection.type, nonEmptyValues),
+      numberFormat
+    };
+  }
+
+  /**
+   * 🔢 Konvensi angka kolom: 1.234,56 (id) vs 1,234.56 (en)
+   * Nilai seperti "1.500" dicatat sebagai ambigu jika tidak ada locale yang memutuskan
+   */
+  analyzeNumberFormat(header, values) {
+    const conventions = countNumberConventions(values);
+    const columnLocale = detectNumberLocale(values);
+
+    let locale = null;
+    let source = null;
+    if (this.options.columnLocales[header]) {
+      locale = this.options.columnLocales[header];
+      source = 'option';
+    } else if (columnLocale) {
+      locale = columnLocale;
+      source = 'column';
+    } else if (this.numberLocale) {
+      locale = this.numberLocale;
+      source = 'file';
+    }
+    if (source === 'column') this.columnLocales[header] = locale;
+
+    const ambiguousSamples = [];
+    let ambiguousCount = 0;
+    for (const value of values) {
+      if (typeof value !== 'string') continue;
+      const parsed = parseNumberDetailed(value);
+      if (!parsed.ambiguous) continue;
+      ambiguousCount++;
+      if (ambiguousSamples.length < 3) {
+        ambiguousSamples.push({ value, id: parsed.value, en: parsed.alternative });
+      }
+    }
+
+    return {
+      locale,
+      source,
+      conventions,
+      mixed: conventions.id > 0 && conventions.en > 0,
+      ambiguous: { count: ambiguousCount, resolved: locale !== null, samples: ambiguousSamples }
     };
   }
 
@@ -183,8 +501,9 @@ export class DataAnalyzer {
     const typeCounts = {};
     const typeDetails = {};
     
+    const locale = this.localeFor(header);
     for (const value of values) {
-      const detectedType = this.detectValueType(value, headerLower);
+      const detectedType = this.detectValueType(value, headerLower, locale);
       typeCounts[detectedType.type] = (typeCounts[detectedType.type] || 0) + 1;
       
       if (!typeDetails[detectedType.type]) {
@@ -218,17 +537,50 @@ export class DataAnalyzer {
     };
   }
 
+  /**
+   * 📐 Format angka asli Excel (Rp, $, %) lebih akurat daripada tebakan dari nilai
+   */
+  applyNativeFormat(typeDetection, nativeColumn) {
+    if (!nativeColumn?.numFmt || nativeColumn.type !== 'n') return typeDetection;
+
+    // Buang kode locale [$-421] & teks literal sebelum mencari simbol
+    const numFmt = nativeColumn.numFmt.replace(/\[\$-[0-9A-F]+\]/gi, '');
+    const symbols = numFmt.replace(/"[^"]*"/g, '');
+
+    if (/Rp|IDR/i.test(numFmt)) {
+      return { ...typeDetection, type: DATA_TYPES.CURRENCY, details: { currency: 'IDR' } };
+    }
+    if (/\$|USD/.test(numFmt)) {
+      return { ...typeDetection, type: DATA_TYPES.CURRENCY, details: { currency: 'USD' } };
+    }
+    if (symbols.includes('%')) {
+      return { ...typeDetection, type: DATA_TYPES.PERCENTAGE, details: {} };
+    }
+
+    return typeDetection;
+  }
+
   /**
    * Detect type of single value
    */
-  detectValueType(value, headerHint = '') {
+  detectValueType(value, headerHint = '', locale = this.numberLocale) {
     if (isEmpty(value)) {
       return { type: DATA_TYPES.EMPTY, details: {} };
     }
 
+    // Tanggal asli dari sel Excel
+    if (value instanceof Date) {
+      const hasTime = value.getUTCHours() + value.getUTCMinutes() + value.getUTCSeconds() > 0;
+      return { type: hasTime ? DATA_TYPES.DATETIME : DATA_TYPES.DATE, details: { parsed: value } };
+    }
+
     const strValue = String(value).trim();
     
     // === INDONESIA SPECIFIC ===
+
+    // NIP, No. KK, BPJS, rekening & plat (sebelum NIK: No. KK juga 16 digit)
+    const identifier = this.detectIdentifierType(value, strValue, headerHint);
+    if (identifier) return identifier;
     
     // NIK (16 digit)
     if (PATTERNS.NIK.test(strValue.replace(/\D/g, ''))) {
@@ -238,9 +590,9 @@ export class DataAnalyzer {
       }
     }
     
-    // NPWP
+    // NPWP (bertitik 15 digit, atau 16 digit badan); NIK sebagai NPWP dikenali lewat header
     if (PATTERNS.NPWP.test(strValue) || PATTERNS.NPWP_NEW.test(strValue.replace(/\D/g, ''))) {
-      return { type: DATA_TYPES.NPWP, details: {} };
+      return { type: DATA_TYPES.NPWP, details: validateNPWP(strValue).data ?? {} };
     }
     
     // Phone Indonesia
@@ -250,10 +602,13 @@ export class DataAnalyzer {
     
     // === CURRENCY ===
     
-    // Rupiah
+    const number = parseNumberDetailed(strValue, locale);
+
+    // Rupiah (termasuk "Rp 1.250.000,-" & "(Rp 150.000)")
     if (PATTERNS.CURRENCY_IDR.test(strValue) || 
+        (/^\(?[-+]?\s*(Rp|IDR)/i.test(strValue) && number.exact) ||
         (headerHint.match(/(harga|total|gaji|nominal|rupiah|idr|bayar|biaya|tarif)/i) && 
-         parseNumber(strValue) !== null)) {
+         number.value !== null)) {
       return { type: DATA_TYPES.CURRENCY, details: { currency: 'IDR' } };
     }
     
@@ -298,13 +653,12 @@ export class DataAnalyzer {
       return { type: DATA_TYPES.BOOLEAN, details: {} };
     }
     
-    // === NUMBER ===
-    const numValue = parseNumber(strValue);
-    if (numValue !== null && strValue.match(/^[\d.,\-+\s]+$/)) {
-      if (Number.isInteger(numValue)) {
-        return { type: DATA_TYPES.INTEGER, details: { value: numValue } };
+    // === NUMBER === (termasuk "(150.000)" & singkatan "1,5 jt")
+    if (number.exact && number.value !== null) {
+      if (Number.isInteger(number.value)) {
+        return { type: DATA_TYPES.INTEGER, details: { value: number.value } };
       }
-      return { type: DATA_TYPES.FLOAT, details: { value: numValue } };
+      return { type: DATA_TYPES.FLOAT, details: { value: number.value } };
     }
     
     // === DEFAULT: STRING ===
@@ -316,8 +670,130 @@ export class DataAnalyzer {
             DATA_TYPES.CURRENCY, DATA_TYPES.PERCENTAGE].includes(type);
   }
 
+  /**
+   * 🪪 NPWP, NITKU, NIP, No. KK, BPJS, rekening & plat nomor
+   * Panjang digitnya saling tumpang tindih (No. KK = NIK = NPWP orang pribadi, BPJS Kesehatan = rekening Mandiri),
+   * jadi header kolom yang menentukan; tanpa header hanya NITKU, NIP & plat yang strukturnya valid.
+   * Nilai rusak ("1.23457E+14") tetap diberi tipe agar dilaporkan, bukan dibaca sebagai angka
+   */
+  detectIdentifierType(value, strValue, headerHint = '') {
+    const digits = strValue.replace(/[\s.\-]/g, '');
+    const numeric = /^\d{8,}$/.test(digits) || PATTERNS.SCIENTIFIC_NOTATION.test(strValue);
+    const typed = (type, validation) => ({ type, details: validation.data ?? {} });
+
+    // "Iuran BPJS", "Saldo Rekening" berisi nominal, bukan nomor identitas
+    if (numeric && headerHint && !PATTERNS.AMOUNT_HEADER.test(headerHint)) {
+      if (PATTERNS.NITKU_HEADER.test(headerHint)) {
+        return typed(DATA_TYPES.NITKU, validateNITKU(value));
+      }
+      if (PATTERNS.NPWP_HEADER.test(headerHint)) {
+        return typed(DATA_TYPES.NPWP, validateNPWP(value));
+      }
+      if (PATTERNS.BANK_ACCOUNT_HEADER.test(headerHint)) {
+        return typed(DATA_TYPES.BANK_ACCOUNT, validateBankAccount(value, headerHint));
+      }
+      if (PATTERNS.NKK_HEADER.test(headerHint)) {
+        return typed(DATA_TYPES.NKK, validateNKK(value));
+      }
+      if (PATTERNS.BPJS_HEADER.test(headerHint)) {
+        const employment = PATTERNS.BPJS_KETENAGAKERJAAN_HEADER.test(headerHint) ||
+          (!PATTERNS.BPJS_KESEHATAN_HEADER.test(headerHint) && PATTERNS.BPJS_KETENAGAKERJAAN.test(digits));
+        return employment
+          ? typed(DATA_TYPES.BPJS_KETENAGAKERJAAN, validateBPJS(value, 'Ketenagakerjaan'))
+          : typed(DATA_TYPES.BPJS_KESEHATAN, validateBPJS(value, 'Kesehatan'));
+      }
+      if (PATTERNS.NIP_HEADER.test(headerHint)) {
+        return typed(DATA_TYPES.NIP, validateNIP(value));
+      }
+    }
+
+    if (PATTERNS.NITKU.test(digits)) {
+      const validation = validateNITKU(digits);
+      if (validation.valid) return typed(DATA_TYPES.NITKU, validation);
+    }
+
+    if (PATTERNS.NIP.test(digits) && (PATTERNS.NIP.test(strValue) || PATTERNS.NIP_WITH_FORMAT.test(strValue))) {
+      const validation = validateNIP(strValue);
+      if (validation.valid) return typed(DATA_TYPES.NIP, validation);
+    }
+
+    if (PATTERNS.PLATE_NUMBER.test(strValue.toUpperCase())) {
+      const validation = validatePlateNumber(strValue);
+      if (validation.valid || PATTERNS.PLATE_HEADER.test(headerHint)) {
+        return typed(DATA_TYPES.PLATE_NUMBER, validation);
+      }
+    }
+
+    return null;
+  }
+
   isIdentifierType(type) {
-    return [DATA_TYPES.NIK, DATA_TYPES.NPWP, DATA_TYPES.EMAIL, DATA_TYPES.PHONE].includes(type);
+    return [DATA_TYPES.NIK, DATA_TYPES.NPWP, DATA_TYPES.EMAIL, DATA_TYPES.PHONE, ...Object.keys(IDENTIFIER_CHECKS)].includes(type);
+  }
+
+  /**
+   * 🪪 Ringkasan hasil dekode kolom identitas: jenis kelamin & tahun lahir (NIK/NIP),
+   * provinsi (NIK/No. KK), wilayah plat, bank & program BPJS
+   */
+  summarizeIdentity(type, values) {
+    const validate = { [DATA_TYPES.NIK]: validateNIK, [DATA_TYPES.NPWP]: validateNPWP }[type] ??
+      IDENTIFIER_CHECKS[type]?.validate;
+    if (!validate) return null;
+
+    const summary = { valid: 0, invalid: 0 };
+    let minYear = null;
+    let maxYear = null;
+
+    for (const value of values) {
+      const validation = validate(value);
+      if (!validation.valid) {
+        summary.invalid++;
+        continue;
+      }
+      summary.valid++;
+
+      for (const field of IDENTITY_FIELDS) {
+        const key = validation.data?.[field];
+        if (!key) continue;
+        summary[field] ??= {};
+        summary[field][key] = (summary[field][key] ?? 0) + 1;
+      }
+
+      const year = parseInt(validation.data?.birthDate?.slice(-4));
+      if (year) {
+        minYear = minYear === null ? year : Math.min(minYear, year);
+        maxYear = maxYear === null ? year : Math.max(maxYear, year);
+      }
+    }
+
+    if (minYear !== null) summary.birthYears = { min: minYear, max: maxYear };
+    return summary;
+  }
+
+  /**
+   * Kolom nama bank di samping kolom rekening (untuk cek panjang nomor per bank)
+   */
+  findBankColumn(headers, accountHeader) {
+    return headers.find(h => h !== accountHeader &&
+      PATTERNS.BANK_NAME_HEADER.test(h) && !PATTERNS.BANK_ACCOUNT_HEADER.test(h)) ?? null;
+  }
+
+  /**
+   * Nilai kolom untuk deteksi issue; kolom rekening membawa nama bank per baris
+   * (kolom Bank, atau header seperti "No Rek BCA")
+   */
+  columnValues(headers, rows, header, colAnalysis, rowNumber = this.rowNumber) {
+    const bankColumn = colAnalysis?.detectedType === DATA_TYPES.BANK_ACCOUNT
+      ? this.findBankColumn(headers, header)
+      : null;
+
+    return rows.map((row, idx) => {
+      const entry = { value: row[header], rowIndex: rowNumber(idx) };
+      if (colAnalysis?.detectedType === DATA_TYPES.BANK_ACCOUNT) {
+        entry.bank = (bankColumn && !isEmpty(row[bankColumn])) ? String(row[bankColumn]) : header;
+      }
+      return entry;
+    });
   }
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -327,76 +803,142 @@ export class DataAnalyzer {
   /**
    * 🔍 Detect all issues in data
    */
-  async detectIssues(headers, rows, columnAnalysis) {
+  async detectIssues(headers, rows, columnAnalysis, formulas = {}) {
     const issues = [];
 
     // 1. Check for duplicates
-    issues.push(...this.detectDuplicates(rows, headers));
+    const duplicates = this.detectDuplicates(rows, headers, new Map(), this.rowNumber);
+    issues.push(...duplicates);
+
+    // 1b. Near-duplicates (nama/telepon/alamat mirip), opt-in
+    if (this.options.fuzzyDuplicates) {
+      issues.push(...this.detectNearDuplicates(rows, headers, columnAnalysis, new Set(duplicates.map(d => d.row))));
+    }
     
     // 2. Check for empty rows
     issues.push(...this.detectEmptyRows(rows, headers));
     
     // 3. Check each column for specific issues
     for (const header of headers) {
-      const values = rows.map((row, idx) => ({ value: row[header], rowIndex: idx + 2 }));
       const colAnalysis = columnAnalysis[header];
+      const values = this.columnValues(headers, rows, header, colAnalysis);
       
       // Format consistency
       issues.push(...this.detectFormatInconsistency(header, values, colAnalysis));
+      issues.push(...this.detectMixedNumberFormat(header, values, colAnalysis));
       
       // Validation based on type
       issues.push(...this.detectValidationErrors(header, values, colAnalysis));
       
       // Whitespace issues
       issues.push(...this.detectWhitespaceIssues(header, values));
-      
-      // Outliers (for numeric columns)
-      if (colAnalysis.isNumeric && this.options.detectOutliers) {
-        issues.push(...this.detectOutlierIssues(header, values));
-      }
+    }
+
+    // 3a. NIK vs tanggal lahir, jenis kelamin & alamat di baris yang sama
+    if (this.options.checkNikConsistency) {
+      issues.push(...this.detectNIKMismatches(headers, rows, columnAnalysis));
+    }
+
+    // 3b. Outliers (per kolom, per grup & antar kolom)
+    if (this.options.detectOutliers) {
+      issues.push(...this.detectOutlierIssues(headers, rows, columnAnalysis));
     }
     
     // 4. Check calculations (PPN, Total, etc)
     if (this.options.checkCalculations) {
-      issues.push(...this.detectCalculationErrors(rows, headers, columnAnalysis));
+      issues.push(...this.detectCalculationErrors(rows, headers, columnAnalysis, formulas));
     }
     
     // 5. Detect potential typos
     issues.push(...this.detectTypos(rows, headers, columnAnalysis));
 
+    // 6. Forensik klaim biaya & faktur vendor, opt-in
+    if (this.options.forensicMode) {
+      issues.push(...this.detectForensicIssues(headers, rows, columnAnalysis, new Set(duplicates.map(d => d.row))));
+    }
+
     return issues;
   }
 
   /**
    * Detect duplicate rows
+   * @param {Map} seen - Signature yang sudah dilihat (dipakai lintas chunk saat streaming)
+   * @param {Function} rowNumber - Index array → nomor baris di file
+   * @param {number} limit - Batas signature di `seen`; setelah penuh, baris baru tidak dilacak lagi
    */
-  detectDuplicates(rows, headers) {
+  detectDuplicates(rows, headers, seen = new Map(), rowNumber = (i) => i + 2, limit = Infinity) {
     const issues = [];
-    const seen = new Map();
     
     for (let i = 0; i < rows.length; i++) {
-      // Create row signature (exclude _rowIndex)
-      const signature = headers.map(h => String(rows[i][h] || '').trim().toLowerCase()).join('|');
+      // Create row signature (exclude _rowIndex), di-hash agar hemat memori
+      const signature = hashString(headers.map(h => String(rows[i][h] || '').trim().toLowerCase()).join('|'));
       
       if (seen.has(signature)) {
         issues.push({
           type: ISSUE_TYPES.DUPLICATE.code,
           severity: ISSUE_TYPES.DUPLICATE.severity,
-          row: i + 2,
+          row: rowNumber(i),
           column: null,
-          message: `Baris duplikat dari baris ${seen.get(signature) + 2}`,
-          originalRow: seen.get(signature) + 2,
+          message: `Baris duplikat dari baris ${seen.get(signature)}`,
+          originalRow: seen.get(signature),
           autoFixable: true,
           fix: 'Hapus salah satu baris'
         });
-      } else {
-        seen.set(signature, i);
+      } else if (seen.size < limit) {
+        seen.set(signature, rowNumber(i));
       }
     }
     
     return issues;
   }
 
+  /**
+   * 👯 Detect near-duplicate rows ("PT Maju Jaya" vs "Maju Jaya, PT")
+   * Hasil cluster disimpan di this.nearDuplicates
+   * @param {Set} exactDuplicates - Nomor baris yang sudah ditandai duplikat persis (tidak dilaporkan ulang)
+   */
+  detectNearDuplicates(rows, headers, columnAnalysis, exactDuplicates = new Set()) {
+    const matcher = new DuplicateMatcher({
+      threshold: this.options.duplicateThreshold,
+      ignoreMissingColumns: this.workbookMode
+    });
+    const result = matcher.findClusters(rows, headers, columnAnalysis, {
+      columns: this.options.duplicateColumns
+    }, this.rowNumber);
+
+    this.nearDuplicates = {
+      columns: result.fields,
+      threshold: this.options.duplicateThreshold,
+      clusterCount: result.clusters.length,
+      rowCount: result.clusters.reduce((sum, c) => sum + c.size, 0),
+      clusters: result.clusters.slice(0, 100)
+    };
+
+    const issues = [];
+    for (const cluster of result.clusters) {
+      const [firstRow, ...otherRows] = cluster.rows;
+
+      for (const row of otherRows) {
+        if (exactDuplicates.has(row)) continue;
+
+        const score = Math.max(...cluster.pairs.filter(p => p.rows.includes(row)).map(p => p.score));
+        issues.push({
+          type: ISSUE_TYPES.NEAR_DUPLICATE.code,
+          severity: ISSUE_TYPES.NEAR_DUPLICATE.severity,
+          row,
+          column: null,
+          message: `Kemungkinan duplikat dari baris ${firstRow} (kemiripan ${Math.round(score * 100)}%)`,
+          originalRow: firstRow,
+          cluster: cluster.id,
+          autoFixable: true,
+          fix: 'Gabungkan menjadi satu record (golden record)'
+        });
+      }
+    }
+
+    return issues;
+  }
+
   /**
    * Detect empty rows
    */
@@ -413,7 +955,7 @@ export class DataAnalyzer {
         issues.push({
           type: ISSUE_TYPES.EMPTY_ROW.code,
           severity: ISSUE_TYPES.EMPTY_ROW.severity,
-          row: i + 2,
+          row: this.rowNumber(i),
           column: null,
           message: 'Baris kosong',
           autoFixable: true,
@@ -458,6 +1000,34 @@ export class DataAnalyzer {
     return issues;
   }
 
+  /**
+   * Kolom yang mencampur 1.234,56 (id) dan 1,234.56 (en)
+   */
+  detectMixedNumberFormat(header, values, colAnalysis) {
+    const numberFormat = colAnalysis.numberFormat;
+    if (!numberFormat?.mixed) return [];
+
+    const samples = { id: [], en: [] };
+    for (const { value, rowIndex } of values) {
+      const convention = numberConvention(value);
+      if (convention && samples[convention].length < 3) {
+        samples[convention].push({ value, rowIndex });
+      }
+    }
+
+    const { id, en } = numberFormat.conventions;
+    return [{
+      type: ISSUE_TYPES.MIXED_NUMBER_FORMAT.code,
+      severity: ISSUE_TYPES.MIXED_NUMBER_FORMAT.severity,
+      row: null,
+      column: header,
+      message: `Kolom "${header}" mencampur format angka Indonesia (1.234,56: ${id} nilai) dan US (1,234.56: ${en} nilai)`,
+      details: samples,
+      autoFixable: false,
+      fix: `Seragamkan pemisah ribuan/desimal (saat ini dibaca sebagai ${numberFormat.locale === 'en' ? 'US' : 'Indonesia'})`
+    }];
+  }
+
   /**
    * Detect validation errors based on detected type
    */
@@ -465,10 +1035,30 @@ export class DataAnalyzer {
     const issues = [];
     const type = colAnalysis.detectedType;
     
-    for (const { value, rowIndex } of values) {
+    const identifierCheck = IDENTIFIER_CHECKS[type];
+
+    for (const { value, rowIndex, bank } of values) {
       if (isEmpty(value)) continue;
       
       let validation = null;
+
+      // NIP, No. KK, BPJS, rekening & plat nomor
+      if (identifierCheck) {
+        validation = identifierCheck.validate(value, bank ?? header);
+        if (!validation.valid) {
+          issues.push({
+            type: identifierCheck.issue.code,
+            severity: identifierCheck.issue.severity,
+            row: rowIndex,
+            column: header,
+            value,
+            message: `${identifierCheck.label} tidak valid: ${validation.error}`,
+            autoFixable: false,
+            fix: identifierCheck.fix
+          });
+        }
+        continue;
+      }
       
       switch (type) {
         case DATA_TYPES.NIK:
@@ -540,6 +1130,100 @@ export class DataAnalyzer {
     return issues;
   }
 
+  /**
+   * 🪪 Cocokkan NIK dengan kolom lain di baris yang sama
+   * Tanggal lahir & jenis kelamin harus sama persis (warning); wilayah NIK vs alamat hanya info
+   * karena domisili bisa pindah. Hanya NIK yang valid yang dicek (NIK rusak sudah dilaporkan)
+   */
+  detectNIKMismatches(headers, rows, columnAnalysis, rowNumber = this.rowNumber) {
+    const nikColumn = headers.find(h => columnAnalysis[h]?.detectedType === DATA_TYPES.NIK);
+    if (!nikColumn) return [];
+
+    const others = headers.filter(h => h !== nikColumn);
+    const birthColumn = others.find(h => PATTERNS.BIRTH_DATE_HEADER.test(h));
+    const genderColumn = others.find(h => PATTERNS.GENDER_HEADER.test(h));
+    const addressColumn = others.find(h => PATTERNS.ADDRESS_HEADER.test(h));
+    if (!birthColumn && !genderColumn && !addressColumn) return [];
+
+    const issues = [];
+    const mismatch = (issueType, row, column, value, message, fix) => ({
+      type: issueType.code,
+      severity: issueType.severity,
+      row,
+      column,
+      value,
+      message,
+      autoFixable: false,
+      fix
+    });
+
+    rows.forEach((row, idx) => {
+      const nik = row[nikColumn];
+      if (isEmpty(nik)) return;
+      const validation = validateNIK(nik);
+      if (!validation.valid) return;
+
+      const nikDigits = String(nik).replace(/\D/g, '');
+      const rowIndex = rowNumber(idx);
+
+      if (birthColumn && !isEmpty(row[birthColumn])) {
+        const birth = this.birthDateParts(row[birthColumn]);
+        let day = parseInt(nikDigits.substring(6, 8));
+        if (day > 40) day -= 40;
+        const month = parseInt(nikDigits.substring(8, 10));
+        const year = parseInt(nikDigits.substring(10, 12));
+
+        // Abad tidak tertulis di NIK: cukup DDMMYY (lansia kelahiran 1920-an bukan 2020-an)
+        if (birth && (birth.day !== day || birth.month !== month || birth.year % 100 !== year)) {
+          const nikDate = `${String(day).padStart(2, '0')}/${nikDigits.substring(8, 10)}/${nikDigits.substring(10, 12)}`;
+          issues.push(mismatch(ISSUE_TYPES.NIK_MISMATCH, rowIndex, birthColumn, row[birthColumn],
+            `Tanggal lahir di NIK (${nikDate}) berbeda dengan kolom ${birthColumn}`,
+            'Cek ulang NIK atau tanggal lahir'));
+        }
+      }
+
+      if (genderColumn && !isEmpty(row[genderColumn])) {
+        const gender = this.normalizeGender(row[genderColumn]);
+        if (gender && gender !== validation.data.gender) {
+          issues.push(mismatch(ISSUE_TYPES.NIK_MISMATCH, rowIndex, genderColumn, row[genderColumn],
+            `NIK menunjukkan ${validation.data.gender}, kolom ${genderColumn} berisi "${row[genderColumn]}"`,
+            'Cek ulang NIK atau jenis kelamin (tanggal lahir perempuan di NIK ditambah 40)'));
+        }
+      }
+
+      if (addressColumn && !isEmpty(row[addressColumn])) {
+        const address = wilayahRegistry.matchAddress(row[addressColumn], nikDigits.substring(0, 6));
+        if (address.status === 'mismatch') {
+          const region = address.region.regency ?? address.region.province;
+          issues.push(mismatch(ISSUE_TYPES.NIK_REGION_MISMATCH, rowIndex, addressColumn, row[addressColumn],
+            `NIK terdaftar di ${region}, alamat menyebut ${address.mentioned.join(', ')}`,
+            'Wajar jika pindah domisili; pastikan NIK milik orang yang sama'));
+        }
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Tanggal dari sel Date (UTC, lihat fileParser) atau teks → { day, month, year }
+   */
+  birthDateParts(value) {
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) return null;
+      return { day: value.getUTCDate(), month: value.getUTCMonth() + 1, year: value.getUTCFullYear() };
+    }
+    const date = parseDate(value);
+    return date ? { day: date.getDate(), month: date.getMonth() + 1, year: date.getFullYear() } : null;
+  }
+
+  normalizeGender(value) {
+    const text = String(value).trim().toLowerCase();
+    if (/^(l|lk|laki(-|\s)?laki|pria|m|male|man)$/.test(text)) return 'Laki-laki';
+    if (/^(p|pr|perempuan|wanita|f|female|woman)$/.test(text)) return 'Perempuan';
+    return null;
+  }
+
   /**
    * Detect whitespace issues
    */
@@ -584,72 +1268,232 @@ export class DataAnalyzer {
   }
 
   /**
-   * Detect outlier values
+   * 🎯 Detect outliers (lihat outliers.js)
+   * Kolom dengan kolom grup (outlierGroupBy) dinilai per grup: Gaji Rp 50 jt wajar untuk Direktur, tidak untuk Staff
+   * Ringkasan metode, grup & relasi disimpan di this.outlierSummary
    */
-  detectOutlierIssues(header, values) {
-    const issues = [];
-    
-    const numericValues = values
-      .map(v => parseNumber(v.value))
-      .filter(v => v !== null);
-    
-    if (numericValues.length < 10) return issues; // Need enough data
-    
-    const outliers = detectOutliers(
-      values.map(v => v.value), 
-      this.options.outlierThreshold
-    );
-    
-    for (const outlier of outliers) {
-      const originalItem = values[outlier.index];
-      issues.push({
+  detectOutlierIssues(headers, rows, columnAnalysis) {
+    const detector = new OutlierDetector({
+      method: this.options.outlierMethod,
+      threshold: this.options.outlierThreshold,
+      groupBy: this.options.outlierGroupBy,
+      multivariate: this.options.multivariateOutliers,
+      maxCategories: this.options.maxCategories,
+      ignoreMissingColumns: this.workbookMode
+    });
+
+    const { outliers, summary } = detector.detect(headers, rows, columnAnalysis, (value, header) => this.toNumber(value, header), this.rowNumber);
+    this.outlierSummary = { ...summary, count: outliers.length };
+
+    const format = (value) => formatNumber(value, Math.abs(value) >= 100 || Number.isInteger(value) ? 0 : 2);
+
+    return outliers.map(outlier => {
+      const reason = outlier.direction === 'low' ? 'Terlalu kecil' : 'Terlalu besar';
+      const range = `wajar ${format(outlier.lower)} – ${format(outlier.upper)}, ${summary.methodLabel}`;
+
+      let message;
+      if (outlier.related) {
+        message = `Tidak wajar terhadap ${outlier.related}: ${reason.toLowerCase()} (perkiraan ${format(outlier.expected)}, ${range})`;
+      } else if (outlier.group) {
+        message = `Nilai tidak wajar untuk ${outlier.group.column} "${outlier.group.value}": ${reason} (${range})`;
+      } else {
+        message = `Nilai tidak wajar: ${reason} (${range})`;
+      }
+
+      return {
         type: ISSUE_TYPES.OUTLIER.code,
         severity: ISSUE_TYPES.OUTLIER.severity,
-        row: originalItem.rowIndex,
-        column: header,
-        value: originalItem.value,
-        message: `Nilai tidak wajar: ${outlier.reason}`,
+        row: outlier.row,
+        column: outlier.column,
+        value: outlier.value,
+        message,
+        method: outlier.method,
+        score: outlier.score,
+        group: outlier.group,
+        related: outlier.related,
         autoFixable: false,
         fix: 'Periksa apakah nilai ini benar'
-      });
-    }
-    
-    return issues;
+      };
+    });
   }
 
   /**
-   * 🔢 Detect calculation errors (PPN, Total, dll)
+   * 🕵️ Detect forensic red flags (lihat forensic.js)
+   * Ringkasan per pemeriksaan disimpan di this.forensicSummary untuk sheet Forensik di laporan
+   * @param {Set} exactDuplicates - Baris duplikat persis (faktur gandanya sudah dilaporkan sebagai DUPLICATE)
    */
-  detectCalculationErrors(rows, headers, columnAnalysis) {
+  detectForensicIssues(headers, rows, columnAnalysis, exactDuplicates = new Set()) {
+    const forensic = new ForensicAnalyzer({
+      ...(this.options.approvalLimits ? { approvalLimits: this.options.approvalLimits } : {}),
+      holidays: this.options.holidays ?? [],
+      invoiceColumn: this.options.invoiceColumn,
+      ignoreMissingColumns: this.workbookMode
+    });
+    const result = forensic.analyze(headers, rows, columnAnalysis, (value, header) => this.toNumber(value, header), this.rowNumber);
     const issues = [];
-    
-    // Find related columns
-    const qtyColumn = headers.find(h => h.toLowerCase().match(/(qty|jumlah|kuantitas|quantity)/));
-    const priceColumn = headers.find(h => h.toLowerCase().match(/(harga|price|unit.?price)/));
-    const subtotalColumn = headers.find(h => h.toLowerCase().match(/(subtotal|sub.?total)/));
-    const ppnColumn = headers.find(h => h.toLowerCase().match(/(ppn|pajak|tax|vat)/));
-    const totalColumn = headers.find(h => h.toLowerCase().match(/^total$/i) || 
-                                           h.toLowerCase().match(/(grand.?total|total.?harga)/));
-    
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      const rowNum = i + 2;
-      
-      // Check Qty × Price = Subtotal
-      if (qtyColumn && priceColumn && subtotalColumn) {
-        const qty = parseNumber(row[qtyColumn]);
-        const price = parseNumber(row[priceColumn]);
-        const subtotal = parseNumber(row[subtotalColumn]);
-        
-        if (qty !== null && price !== null && subtotal !== null) {
-          const expectedSubtotal = qty * price;
-          if (Math.abs(expectedSubtotal - subtotal) > 1) {
-            issues.push({
-              type: ISSUE_TYPES.CALCULATION_ERROR.code,
-              severity: ISSUE_TYPES.CALCULATION_ERROR.severity,
-              row: rowNum,
-              column: subtotalColumn,
-              message: `Subtotal seharusnya ${formatRupiah(expectedSubtotal)} (${qtyColumn} × ${priceColumn})`,
+
+    // Benford: satu issue per kolom & uji yang tidak sesuai
+    for (const test of result.benford.filter(t => t.applicable)) {
+      for (const digitTest of [test.first, test.second]) {
+        if (!digitTest?.nonconforming) continue;
+        const position = digitTest.position === 'first' ? 'pertama' : 'kedua';
+        const excess = digitTest.digits
+          .filter(d => d.z > 1.96 && d.observed > d.expected)
+          .sort((a, b) => b.z - a.z)
+          .slice(0, 3)
+          .map(d => d.digit);
+        issues.push({
+          type: ISSUE_TYPES.BENFORD_DEVIATION.code,
+          severity: ISSUE_TYPES.BENFORD_DEVIATION.severity,
+          row: null,
+          column: test.column,
+          message: `Digit ${position} tidak sesuai Hukum Benford (MAD ${digitTest.mad.toFixed(4)}, ${test.n} nilai)` +
+            (excess.length > 0 ? `, digit ${excess.join(', ')} muncul berlebihan` : ''),
+          position: digitTest.position,
+          mad: digitTest.mad,
+          autoFixable: false,
+          fix: 'Audit sampel transaksi dengan digit yang berlebihan'
+        });
+      }
+    }
+
+    for (const round of result.roundNumbers.filter(r => r.flagged)) {
+      issues.push({
+        type: ISSUE_TYPES.ROUND_NUMBER_BIAS.code,
+        severity: ISSUE_TYPES.ROUND_NUMBER_BIAS.severity,
+        row: null,
+        column: round.column,
+        message: `${formatPercentage(round.share * 100)} nilai adalah angka bulat (${round.count} dari ${round.total}), ` +
+          `terbanyak ${round.top.slice(0, 3).map(t => `${formatNumber(t.value)} (${t.count}×)`).join(', ')}`,
+        autoFixable: false,
+        fix: 'Minta bukti pendukung untuk nominal bulat'
+      });
+    }
+
+    for (const check of result.approvalLimits.checks.filter(c => c.flagged)) {
+      for (const item of check.rows) {
+        issues.push({
+          type: ISSUE_TYPES.BELOW_APPROVAL_LIMIT.code,
+          severity: ISSUE_TYPES.BELOW_APPROVAL_LIMIT.severity,
+          row: item.row,
+          column: check.column,
+          value: item.value,
+          message: `Tepat di bawah batas persetujuan ${formatNumber(check.limit)} ` +
+            `(${check.below} nilai di bawah vs ${check.above} di atas batas)`,
+          limit: check.limit,
+          autoFixable: false,
+          fix: 'Cek apakah klaim dipecah agar tidak perlu persetujuan'
+        });
+      }
+    }
+
+    const { invoiceColumn, amountColumn, groups } = result.duplicateInvoices;
+    for (const group of groups) {
+      const [first, ...others] = group.rows;
+      for (const item of others) {
+        if (exactDuplicates.has(item.row)) continue;
+        const vendor = group.vendor ? ` (${group.vendor})` : '';
+        issues.push({
+          type: ISSUE_TYPES.DUPLICATE_INVOICE.code,
+          severity: ISSUE_TYPES.DUPLICATE_INVOICE.severity,
+          row: item.row,
+          column: invoiceColumn,
+          value: group.invoice,
+          message: group.differentAmounts && amountColumn
+            ? `Faktur ${group.invoice}${vendor} juga ada di baris ${first.row} dengan ${amountColumn} berbeda ` +
+              `(${formatNumber(item.amount ?? 0)} vs ${formatNumber(first.amount ?? 0)})`
+            : `Faktur ${group.invoice}${vendor} juga ada di baris ${first.row} (kemungkinan ditagih dua kali)`,
+          originalRow: first.row,
+          autoFixable: false,
+          fix: 'Verifikasi faktur asli sebelum dibayar'
+        });
+      }
+    }
+
+    const { calendar } = result;
+    if (calendar?.holiday.flagged) {
+      for (const item of calendar.holiday.rows) {
+        issues.push({
+          type: ISSUE_TYPES.HOLIDAY_TRANSACTION.code,
+          severity: ISSUE_TYPES.HOLIDAY_TRANSACTION.severity,
+          row: item.row,
+          column: calendar.dateColumn,
+          value: item.value,
+          message: `Transaksi pada hari libur: ${item.name} (${item.day}, ${item.date})`,
+          autoFixable: false,
+          fix: 'Pastikan transaksi di hari libur memang sah'
+        });
+      }
+    }
+    if (calendar?.weekend.flagged) {
+      for (const item of calendar.weekend.rows) {
+        issues.push({
+          type: ISSUE_TYPES.WEEKEND_TRANSACTION.code,
+          severity: ISSUE_TYPES.WEEKEND_TRANSACTION.severity,
+          row: item.row,
+          column: calendar.dateColumn,
+          value: item.value,
+          message: `Transaksi pada hari ${item.day} (${item.date})`,
+          autoFixable: false,
+          fix: 'Pastikan transaksi di akhir pekan memang sah'
+        });
+      }
+    }
+
+    // Ringkasan untuk laporan: daftar baris dibatasi
+    const limitRows = (list) => ({ ...list, rows: list.rows.slice(0, 100) });
+    this.forensicSummary = {
+      columns: result.columns,
+      benford: result.benford,
+      roundNumbers: result.roundNumbers,
+      approvalLimits: { ...result.approvalLimits, checks: result.approvalLimits.checks.map(limitRows) },
+      duplicateInvoices: { ...result.duplicateInvoices, groups: result.duplicateInvoices.groups.slice(0, 100) },
+      calendar: calendar && {
+        ...calendar,
+        weekend: limitRows(calendar.weekend),
+        holiday: limitRows(calendar.holiday)
+      },
+      count: issues.length
+    };
+
+    return issues;
+  }
+
+  /**
+   * 🔢 Detect calculation errors (PPN, Total, dll)
+   */
+  detectCalculationErrors(rows, headers, columnAnalysis, formulas = {}) {
+    const issues = [];
+    
+    // Find related columns
+    const qtyColumn = headers.find(h => h.toLowerCase().match(/(qty|jumlah|kuantitas|quantity)/));
+    const priceColumn = headers.find(h => h.toLowerCase().match(/(harga|price|unit.?price)/));
+    const subtotalColumn = headers.find(h => h.toLowerCase().match(/(subtotal|sub.?total)/));
+    const ppnColumn = headers.find(h => h.toLowerCase().match(/(ppn|pajak|tax|vat)/));
+    const totalColumn = headers.find(h => h.toLowerCase().match(/^total$/i) || 
+                                           h.toLowerCase().match(/(grand.?total|total.?harga)/));
+    
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const rowNum = this.rowNumber(i);
+      // Sel berformula mengikuti rumus pemilik file, bukan salah ketik
+      const rowFormulas = formulas?.[row._rowIndex] || {};
+      
+      // Check Qty × Price = Subtotal
+      if (qtyColumn && priceColumn && subtotalColumn && !rowFormulas[subtotalColumn]) {
+        const qty = this.toNumber(row[qtyColumn], qtyColumn);
+        const price = this.toNumber(row[priceColumn], priceColumn);
+        const subtotal = this.toNumber(row[subtotalColumn], subtotalColumn);
+        
+        if (qty !== null && price !== null && subtotal !== null) {
+          const expectedSubtotal = qty * price;
+          if (Math.abs(expectedSubtotal - subtotal) > 1) {
+            issues.push({
+              type: ISSUE_TYPES.CALCULATION_ERROR.code,
+              severity: ISSUE_TYPES.CALCULATION_ERROR.severity,
+              row: rowNum,
+              column: subtotalColumn,
+              message: `Subtotal seharusnya ${formatRupiah(expectedSubtotal)} (${qtyColumn} × ${priceColumn})`,
               expected: expectedSubtotal,
               actual: subtotal,
               autoFixable: true,
@@ -660,9 +1504,10 @@ export class DataAnalyzer {
       }
       
       // Check PPN calculation (11%)
-      if (ppnColumn && (subtotalColumn || totalColumn)) {
-        const base = parseNumber(row[subtotalColumn] || row[priceColumn]);
-        const ppn = parseNumber(row[ppnColumn]);
+      if (ppnColumn && (subtotalColumn || totalColumn) && !rowFormulas[ppnColumn]) {
+        const baseColumn = row[subtotalColumn] ? subtotalColumn : priceColumn;
+        const base = this.toNumber(row[baseColumn], baseColumn);
+        const ppn = this.toNumber(row[ppnColumn], ppnColumn);
         
         if (base !== null && ppn !== null && ppn > 0) {
           const expectedPPN = Math.round(base * this.options.ppnRate);
@@ -689,11 +1534,14 @@ export class DataAnalyzer {
   }
 
   /**
-   * Detect potential typos in categorical data
+   * 🧩 Detect typos & variasi penulisan kategori ("Jakrta", "JAKARTA", "Bandoeng")
+   * Nilai unik dikelompokkan lewat fingerprint, kunci fonetik & indeks n-gram (lihat clusterer.js),
+   * cluster disimpan di this.typoClusters untuk fixTypos()
    */
   detectTypos(rows, headers, columnAnalysis) {
     const issues = [];
-    
+    const clusterer = new ValueClusterer({ similarityThreshold: this.options.similarityThreshold });
+
     for (const header of headers) {
       const analysis = columnAnalysis[header];
       
@@ -701,46 +1549,45 @@ export class DataAnalyzer {
       if (analysis.detectedType !== DATA_TYPES.STRING) continue;
       if (analysis.uniqueCount < 3 || analysis.uniqueCount > analysis.totalValues * 0.5) continue;
       
-      // Get all unique values
-      const values = rows.map(r => String(r[header] || '').trim()).filter(v => v);
-      const uniqueValues = [...new Set(values)];
-      
-      // Check for similar values (potential typos)
-      for (let i = 0; i < uniqueValues.length; i++) {
-        for (let j = i + 1; j < uniqueValues.length; j++) {
-          const similarity = stringSimilarity(uniqueValues[i], uniqueValues[j]);
-          
-          if (similarity >= this.options.similarityThreshold && similarity < 1) {
-            // Find which one is more common
-            const count1 = values.filter(v => v === uniqueValues[i]).length;
-            const count2 = values.filter(v => v === uniqueValues[j]).length;
-            
-            const [typo, correct] = count1 < count2 
-              ? [uniqueValues[i], uniqueValues[j]]
-              : [uniqueValues[j], uniqueValues[i]];
-            
-            // Find rows with the typo
-            rows.forEach((row, idx) => {
-              if (String(row[header]).trim() === typo) {
-                issues.push({
-                  type: ISSUE_TYPES.TYPO.code,
-                  severity: ISSUE_TYPES.TYPO.severity,
-                  row: idx + 2,
-                  column: header,
-                  value: typo,
-                  message: `Kemungkinan typo: "${typo}" → "${correct}"`,
-                  suggestion: correct,
-                  similarity: Math.round(similarity * 100),
-                  autoFixable: true,
-                  fix: `Ubah ke "${correct}"`
-                });
-              }
-            });
-            
-            break; // Only report first match per value
-          }
+      // Hitung kemunculan tiap nilai unik
+      const counts = new Map();
+      for (const row of rows) {
+        const value = String(row[header] ?? '').trim();
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+      }
+
+      const clusters = clusterer.cluster(counts);
+      if (clusters.length === 0) continue;
+
+      const corrections = new Map();
+      for (const cluster of clusters) {
+        this.typoClusters.push({ column: header, ...cluster });
+        for (const variant of cluster.variants) {
+          corrections.set(variant.value, { canonical: cluster.canonical, ...variant });
         }
       }
+
+      // Find rows with the typo
+      rows.forEach((row, idx) => {
+        const value = String(row[header] ?? '').trim();
+        const correction = corrections.get(value);
+        if (!correction) return;
+
+        const label = correction.method === MATCH_METHODS.FINGERPRINT ? 'Variasi penulisan' : 'Kemungkinan typo';
+        issues.push({
+          type: ISSUE_TYPES.TYPO.code,
+          severity: ISSUE_TYPES.TYPO.severity,
+          row: this.rowNumber(idx),
+          column: header,
+          value,
+          message: `${label}: "${value}" → "${correction.canonical}"`,
+          suggestion: correction.canonical,
+          similarity: Math.round(correction.similarity * 100),
+          method: correction.method,
+          autoFixable: true,
+          fix: `Ubah ke "${correction.canonical}"`
+        });
+      });
     }
     
     return issues;
@@ -752,64 +1599,54 @@ export class DataAnalyzer {
 
   /**
    * Calculate overall quality score
+   * Bobot dimensi, bobot kolom & penalti per tipe issue diambil dari profil skor (profiles.js)
+   * @param {number} rowCount - Jumlah baris yang dianalisis
+   * @param {Object} issueCounts - Jumlah issue per tipe ({ [code]: count })
    */
-  calculateQualityScore(rows, issues, columnAnalysis) {
-    const totalCells = rows.length * Object.keys(columnAnalysis).length;
-    
-    // === COMPLETENESS (30%) ===
-    // Persentase sel yang terisi
+  calculateQualityScore(rowCount, issueCounts, columnAnalysis) {
+    const profile = this.profile;
+    const columnWeights = Object.fromEntries(
+      Object.keys(columnAnalysis).map(header => [header, qualityProfiles.columnWeight(profile, header)])
+    );
+    const totalWeight = Object.values(columnWeights).reduce((sum, w) => sum + w, 0);
+
+    // === COMPLETENESS ===
+    // Persentase sel yang terisi (kolom kritis dihitung lebih berat)
     let filledCells = 0;
-    for (const col of Object.values(columnAnalysis)) {
-      filledCells += col.nonEmptyCount;
+    for (const [header, col] of Object.entries(columnAnalysis)) {
+      filledCells += col.nonEmptyCount * columnWeights[header];
     }
-    const completeness = (filledCells / totalCells) * 100;
+    const completeness = totalWeight > 0 ? (filledCells / (rowCount * totalWeight)) * 100 : 100;
     
-    // === CONSISTENCY (25%) ===
+    // === CONSISTENCY ===
     // Berdasarkan format consistency
     let consistentColumns = 0;
-    for (const col of Object.values(columnAnalysis)) {
-      if (col.detectedType !== DATA_TYPES.MIXED) {
-        consistentColumns++;
+    for (const [header, col] of Object.entries(columnAnalysis)) {
+      if (col.detectedType !== DATA_TYPES.MIXED && !col.numberFormat?.mixed) {
+        consistentColumns += columnWeights[header];
       }
     }
-    const consistency = (consistentColumns / Object.keys(columnAnalysis).length) * 100;
+    const consistency = totalWeight > 0 ? (consistentColumns / totalWeight) * 100 : 100;
     
-    // === VALIDITY (25%) ===
-    // Berdasarkan jumlah error
-    const errorCount = issues.filter(i => 
-      [ISSUE_TYPES.INVALID_NIK.code, ISSUE_TYPES.INVALID_NPWP.code, 
-       ISSUE_TYPES.INVALID_EMAIL.code, ISSUE_TYPES.CALCULATION_ERROR.code,
-       ISSUE_TYPES.PPN_ERROR.code].includes(i.type)
-    ).length;
-    const validity = Math.max(0, 100 - (errorCount / rows.length) * 100);
+    // === VALIDITY ===
+    // Berdasarkan jumlah error × penalti profil
+    const errorCount = Object.entries(profile.penalties)
+      .filter(([code]) => !UNIQUENESS_ISSUES.includes(code))
+      .reduce((sum, [code, penalty]) => sum + penalty * (issueCounts[code] || 0), 0);
+    const validity = Math.max(0, 100 - (errorCount / rowCount) * 100);
     
-    // === UNIQUENESS (20%) ===
+    // === UNIQUENESS ===
     // Berdasarkan duplikat
-    const duplicateCount = issues.filter(i => i.type === ISSUE_TYPES.DUPLICATE.code).length;
-    const uniqueness = ((rows.length - duplicateCount) / rows.length) * 100;
+    const duplicateCount = UNIQUENESS_ISSUES
+      .reduce((sum, code) => sum + (profile.penalties[code] ?? 0) * (issueCounts[code] || 0), 0);
+    const uniqueness = Math.max(0, ((rowCount - duplicateCount) / rowCount) * 100);
     
     // === OVERALL SCORE ===
-    const overall = (completeness * 0.30) + (consistency * 0.25) + 
-                   (validity * 0.25) + (uniqueness * 0.20);
-    
-    // Determine grade
-    let grade, gradeLabel;
-    if (overall >= QUALITY_THRESHOLDS.EXCELLENT) {
-      grade = 'A';
-      gradeLabel = 'Excellent';
-    } else if (overall >= QUALITY_THRESHOLDS.GOOD) {
-      grade = 'B';
-      gradeLabel = 'Good';
-    } else if (overall >= QUALITY_THRESHOLDS.FAIR) {
-      grade = 'C';
-      gradeLabel = 'Fair';
-    } else if (overall >= QUALITY_THRESHOLDS.POOR) {
-      grade = 'D';
-      gradeLabel = 'Poor';
-    } else {
-      grade = 'F';
-      gradeLabel = 'Very Poor';
-    }
+    const { weights } = profile;
+    const overall = (completeness * weights.completeness) + (consistency * weights.consistency) +
+                   (validity * weights.validity) + (uniqueness * weights.uniqueness);
+    
+    const { grade, gradeLabel } = this.getGrade(overall);
 
     return {
       overall: Math.round(overall * 100) / 100,
@@ -821,10 +1658,29 @@ export class DataAnalyzer {
         validity: Math.round(validity * 100) / 100,
         uniqueness: Math.round(uniqueness * 100) / 100
       },
-      thresholds: QUALITY_THRESHOLDS
+      profile: this.profileSummary(),
+      thresholds: profile.thresholds
     };
   }
 
+  /**
+   * Tentukan grade dari skor 0-100 (ambang dari profil skor)
+   */
+  getGrade(score, thresholds = this.profile.thresholds) {
+    if (score >= thresholds.EXCELLENT) return { grade: 'A', gradeLabel: 'Excellent' };
+    if (score >= thresholds.GOOD) return { grade: 'B', gradeLabel: 'Good' };
+    if (score >= thresholds.FAIR) return { grade: 'C', gradeLabel: 'Fair' };
+    if (score >= thresholds.POOR) return { grade: 'D', gradeLabel: 'Poor' };
+    return { grade: 'F', gradeLabel: 'Very Poor' };
+  }
+
+  /**
+   * Profil skor yang dipakai (ditampilkan di bot, dashboard & laporan)
+   */
+  profileSummary() {
+    return qualityProfiles.describe(this.profile);
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // STATISTICS GENERATION
   // ─────────────────────────────────────────────────────────────────────────────
@@ -840,9 +1696,11 @@ export class DataAnalyzer {
       
       if (analysis.isNumeric) {
         const values = rows.map(r => r[header]);
+        const numbers = values.map(v => this.toNumber(v, header)).filter(v => v !== null && !isNaN(v));
         stats[header] = {
-          ...calculateStats(values),
-          type: analysis.detectedType
+          ...calculateStats(values, this.localeFor(header)),
+          type: analysis.detectedType,
+          distribution: describeDistribution(numbers)
         };
       }
     }
@@ -856,74 +1714,129 @@ export class DataAnalyzer {
 
   /**
    * Generate actionable suggestions
+   * @param {Object} issueCounts - Jumlah issue per tipe ({ [code]: count })
    */
-  generateSuggestions(issues, columnAnalysis, qualityScore) {
+  generateSuggestions(issueCounts, columnAnalysis, qualityScore) {
     const suggestions = [];
     
-    // Group issues by type
-    const issueGroups = this.groupIssuesByType(issues);
-    
     // Priority suggestions based on issues
-    if (issueGroups[ISSUE_TYPES.DUPLICATE.code]?.length > 0) {
+    if (issueCounts[ISSUE_TYPES.DUPLICATE.code] > 0) {
       suggestions.push({
         priority: 'high',
         action: 'remove_duplicates',
-        message: `Hapus ${issueGroups[ISSUE_TYPES.DUPLICATE.code].length} baris duplikat`,
+        message: `Hapus ${issueCounts[ISSUE_TYPES.DUPLICATE.code]} baris duplikat`,
         impact: 'Meningkatkan akurasi data',
         autoFixable: true
       });
     }
+
+    if (issueCounts[ISSUE_TYPES.NEAR_DUPLICATE.code] > 0) {
+      suggestions.push({
+        priority: 'high',
+        action: 'merge_duplicates',
+        message: `Gabungkan ${issueCounts[ISSUE_TYPES.NEAR_DUPLICATE.code]} baris yang kemungkinan duplikat`,
+        impact: 'Satu entitas = satu record (golden record)',
+        autoFixable: true
+      });
+    }
     
-    if (issueGroups[ISSUE_TYPES.EMPTY_ROW.code]?.length > 0) {
+    if (issueCounts[ISSUE_TYPES.DUPLICATE_INVOICE.code] > 0) {
+      suggestions.push({
+        priority: 'high',
+        action: 'review_invoices',
+        message: `Periksa ${issueCounts[ISSUE_TYPES.DUPLICATE_INVOICE.code]} faktur dengan nomor ganda sebelum dibayar`,
+        impact: 'Mencegah pembayaran ganda',
+        autoFixable: false
+      });
+    }
+
+    if (issueCounts[ISSUE_TYPES.EMPTY_ROW.code] > 0) {
       suggestions.push({
         priority: 'medium',
         action: 'remove_empty_rows',
-        message: `Hapus ${issueGroups[ISSUE_TYPES.EMPTY_ROW.code].length} baris kosong`,
+        message: `Hapus ${issueCounts[ISSUE_TYPES.EMPTY_ROW.code]} baris kosong`,
         impact: 'Membersihkan data',
         autoFixable: true
       });
     }
     
-    if (issueGroups[ISSUE_TYPES.WHITESPACE.code]?.length > 0) {
+    if (issueCounts[ISSUE_TYPES.WHITESPACE.code] > 0) {
       suggestions.push({
         priority: 'low',
         action: 'trim_whitespace',
-        message: `Perbaiki ${issueGroups[ISSUE_TYPES.WHITESPACE.code].length} masalah spasi`,
+        message: `Perbaiki ${issueCounts[ISSUE_TYPES.WHITESPACE.code]} masalah spasi`,
         impact: 'Standarisasi format',
         autoFixable: true
       });
     }
     
-    if (issueGroups[ISSUE_TYPES.PPN_ERROR.code]?.length > 0) {
+    if (issueCounts[ISSUE_TYPES.PPN_ERROR.code] > 0) {
       suggestions.push({
         priority: 'high',
         action: 'fix_ppn',
-        message: `Perbaiki ${issueGroups[ISSUE_TYPES.PPN_ERROR.code].length} perhitungan PPN`,
+        message: `Perbaiki ${issueCounts[ISSUE_TYPES.PPN_ERROR.code]} perhitungan PPN`,
         impact: 'Akurasi perhitungan pajak',
         autoFixable: true
       });
     }
     
-    if (issueGroups[ISSUE_TYPES.CALCULATION_ERROR.code]?.length > 0) {
+    if (issueCounts[ISSUE_TYPES.CALCULATION_ERROR.code] > 0) {
       suggestions.push({
         priority: 'high',
         action: 'fix_calculations',
-        message: `Perbaiki ${issueGroups[ISSUE_TYPES.CALCULATION_ERROR.code].length} error perhitungan`,
+        message: `Perbaiki ${issueCounts[ISSUE_TYPES.CALCULATION_ERROR.code]} error perhitungan`,
         impact: 'Akurasi data finansial',
         autoFixable: true
       });
     }
     
-    if (issueGroups[ISSUE_TYPES.FORMAT_INCONSISTENT.code]?.length > 0) {
+    if (issueCounts[ISSUE_TYPES.FORMAT_INCONSISTENT.code] > 0) {
       suggestions.push({
         priority: 'medium',
         action: 'standardize_format',
-        message: `Seragamkan format di ${issueGroups[ISSUE_TYPES.FORMAT_INCONSISTENT.code].length} kolom`,
+        message: `Seragamkan format di ${issueCounts[ISSUE_TYPES.FORMAT_INCONSISTENT.code]} kolom`,
         impact: 'Konsistensi data',
         autoFixable: false
       });
     }
     
+    if (issueCounts[ISSUE_TYPES.MIXED_NUMBER_FORMAT.code] > 0) {
+      suggestions.push({
+        priority: 'medium',
+        action: 'standardize_number_format',
+        message: `Seragamkan format angka (1.234,56 vs 1,234.56) di ${issueCounts[ISSUE_TYPES.MIXED_NUMBER_FORMAT.code]} kolom`,
+        impact: 'Mencegah salah baca nilai (1.500 ≠ 1,5)',
+        autoFixable: false
+      });
+    }
+
+    // Angka seperti "1.500" tanpa locale file/kolom bisa dibaca 1500 atau 1,5
+    const ambiguousColumns = Object.values(columnAnalysis)
+      .filter(col => col.numberFormat?.ambiguous.count > 0 && !col.numberFormat.ambiguous.resolved);
+    if (ambiguousColumns.length > 0) {
+      suggestions.push({
+        priority: 'low',
+        action: 'set_number_locale',
+        message: `Tentukan format angka untuk kolom ${ambiguousColumns.map(col => `"${col.header}"`).join(', ')} (nilai seperti "1.500" dibaca sebagai 1500)`,
+        impact: 'Memastikan nilai ambigu dibaca dengan benar',
+        autoFixable: false
+      });
+    }
+    
+    // NPWP 15 digit belum dimigrasi ke 16 digit (wajib sejak 2024)
+    const legacyNpwpColumns = Object.values(columnAnalysis)
+      .filter(col => col.detectedType === DATA_TYPES.NPWP && col.identity?.format?.npwp15 > 0);
+    if (legacyNpwpColumns.length > 0) {
+      const count = legacyNpwpColumns.reduce((sum, col) => sum + col.identity.format.npwp15, 0);
+      suggestions.push({
+        priority: 'medium',
+        action: 'migrate_npwp',
+        message: `Ubah ${count} NPWP 15 digit di kolom ${legacyNpwpColumns.map(col => `"${col.header}"`).join(', ')} ke format 16 digit`,
+        impact: 'Sesuai format NPWP Coretax DJP',
+        autoFixable: true
+      });
+    }
+
     // Quality score based suggestions
     if (qualityScore.breakdown.completeness < 80) {
       suggestions.push({
@@ -947,11 +1860,15 @@ export class DataAnalyzer {
 
   /**
    * Perform deep analysis for additional insights
+   * @param {Object} statistics - Statistik lengkap (opsional, dipakai saat rows hanya sampel)
    */
-  async performDeepAnalysis(headers, rows, columnAnalysis) {
+  async performDeepAnalysis(headers, rows, columnAnalysis, statistics = null) {
     const insights = {
       patterns: [],
       correlations: [],
+      correlationMatrix: null,
+      distributions: {},
+      timeSeries: [],
       anomalies: [],
       recommendations: []
     };
@@ -964,8 +1881,7 @@ export class DataAnalyzer {
     if (dateColumns.length > 0) {
       insights.patterns.push({
         type: 'date_column',
-        message: `Ditemukan ${dateColumns.length} kolom tanggal: ${dateColumns.join(', ')}`,
-        suggestion: 'Dapat digunakan untuk analisis trend/time series'
+        message: `Ditemukan ${dateColumns.length} kolom tanggal: ${dateColumns.join(', ')}`
       });
     }
     
@@ -977,7 +1893,12 @@ export class DataAnalyzer {
     if (currencyColumns.length > 0) {
       const totals = {};
       for (const col of currencyColumns) {
-        const values = rows.map(r => parseNumber(r[col])).filter(v => v !== null);
+        const exact = statistics?.[col];
+        if (exact && !exact.estimatedFields?.includes('sum')) {
+          totals[col] = exact.sum;
+          continue;
+        }
+        const values = rows.map(r => this.toNumber(r[col], col)).filter(v => v !== null);
         const sum = values.reduce((a, b) => a + b, 0);
         totals[col] = sum;
       }
@@ -994,7 +1915,7 @@ export class DataAnalyzer {
     // Detect identifier columns
     const idColumns = Object.entries(columnAnalysis)
       .filter(([, v]) => v.isIdentifier)
-      .map(([k, v]) => ({ column: k, type: v.detectedType }));
+      .map(([k, v]) => ({ column: k, type: v.detectedType, identity: v.identity }));
     
     if (idColumns.length > 0) {
       insights.patterns.push({
@@ -1004,6 +1925,45 @@ export class DataAnalyzer {
       });
     }
     
+    // Distribusi per kolom angka (persentil, histogram, skewness, kurtosis)
+    const stats = statistics ?? this.generateStatistics(headers, rows, columnAnalysis);
+    for (const [header, stat] of Object.entries(stats)) {
+      if (stat.distribution) insights.distributions[header] = stat.distribution;
+    }
+
+    // Korelasi antar kolom angka & asosiasi antar kolom kategori
+    const numeric = this.analyzeNumericCorrelations(rows, columnAnalysis);
+    insights.correlationMatrix = numeric.matrix;
+    insights.correlations.push(
+      ...numeric.pairs,
+      ...this.analyzeCategoricalAssociations(rows, columnAnalysis)
+    );
+    insights.correlations.sort((a, b) => Math.abs(b.coefficient) - Math.abs(a.coefficient));
+
+    insights.anomalies.push(...this.detectDistributionAnomalies(insights.distributions, numeric.pairs));
+
+    // Time series per kolom tanggal: frekuensi, periode kosong, growth, tren & musiman
+    const valueColumns = Object.values(columnAnalysis)
+      .filter(col => col.detectedType === DATA_TYPES.CURRENCY)
+      .map(col => col.header);
+    const timeSeries = new TimeSeriesAnalyzer();
+
+    for (const dateColumn of dateColumns) {
+      const result = timeSeries.analyze(rows, dateColumn, valueColumns, (value, header) => this.toNumber(value, header));
+      if (!result) continue;
+      insights.timeSeries.push(result);
+
+      if (result.coverage?.missingPeriods > 0) {
+        insights.anomalies.push({
+          type: 'missing_periods',
+          column: dateColumn,
+          count: result.coverage.missingPeriods,
+          gaps: result.coverage.gaps,
+          message: `Kolom "${dateColumn}": ${result.coverage.missingPeriods} periode ${result.frequencyLabel} tanpa data (terpanjang ${result.coverage.gaps[0].from} s/d ${result.coverage.gaps[0].to})`
+        });
+      }
+    }
+
     // Generate final recommendations
     if (insights.patterns.length > 0) {
       insights.recommendations.push({
@@ -1015,6 +1975,797 @@ export class DataAnalyzer {
     return insights;
   }
 
+  /**
+   * 📈 Matriks korelasi Pearson & Spearman antar kolom angka (termasuk currency)
+   * Hanya baris yang kedua nilainya terisi yang dihitung
+   */
+  analyzeNumericCorrelations(rows, columnAnalysis) {
+    const columns = Object.values(columnAnalysis).filter(col => col.isNumeric).map(col => col.header);
+    if (columns.length < 2) return { matrix: null, pairs: [] };
+
+    const values = Object.fromEntries(columns.map(header => [
+      header,
+      rows.map(row => {
+        const value = this.toNumber(row[header], header);
+        return value === null || isNaN(value) ? null : value;
+      })
+    ]));
+
+    const size = columns.length;
+    const matrix = {
+      columns,
+      pearson: columns.map((_, i) => columns.map((__, j) => (i === j ? 1 : null))),
+      spearman: columns.map((_, i) => columns.map((__, j) => (i === j ? 1 : null)))
+    };
+    const pairs = [];
+
+    for (let i = 0; i < size; i++) {
+      for (let j = i + 1; j < size; j++) {
+        const xs = [];
+        const ys = [];
+        values[columns[i]].forEach((x, idx) => {
+          const y = values[columns[j]][idx];
+          if (x !== null && y !== null) {
+            xs.push(x);
+            ys.push(y);
+          }
+        });
+
+        const r = pearson(xs, ys);
+        const rho = spearman(xs, ys);
+        matrix.pearson[i][j] = matrix.pearson[j][i] = r === null ? null : Math.round(r * 10000) / 10000;
+        matrix.spearman[i][j] = matrix.spearman[j][i] = rho === null ? null : Math.round(rho * 10000) / 10000;
+
+        // Kurang dari 5 pasangan terlalu sedikit untuk disimpulkan
+        const coefficient = Math.abs(rho ?? 0) > Math.abs(r ?? 0) ? rho : r;
+        if (xs.length < 5 || coefficient === null || Math.abs(coefficient) < this.options.correlationThreshold) {
+          continue;
+        }
+
+        const direction = coefficient > 0 ? 'positif' : 'negatif';
+        const strength = correlationStrength(coefficient);
+        pairs.push({
+          type: 'numeric',
+          columns: [columns[i], columns[j]],
+          n: xs.length,
+          pearson: matrix.pearson[i][j],
+          spearman: matrix.spearman[i][j],
+          coefficient: Math.round(coefficient * 10000) / 10000,
+          direction,
+          strength,
+          message: `Kolom "${columns[i]}" dan "${columns[j]}" berkorelasi ${direction} ${strength} (r = ${matrix.pearson[i][j] ?? '-'}, ρ = ${matrix.spearman[i][j] ?? '-'})`
+        });
+      }
+    }
+
+    return { matrix, pairs };
+  }
+
+  /**
+   * 🔗 Cramér's V antar kolom kategori (teks dengan sedikit nilai unik, mis. Kota & Provinsi)
+   */
+  analyzeCategoricalAssociations(rows, columnAnalysis) {
+    const columns = Object.values(columnAnalysis)
+      .filter(col => !col.isNumeric && !col.isDate && !col.isIdentifier)
+      .filter(col => col.uniqueCount >= 2 && col.uniqueCount <= this.options.maxCategories && col.uniqueCount < col.totalValues)
+      .map(col => col.header);
+
+    const associations = [];
+
+    for (let i = 0; i < columns.length; i++) {
+      for (let j = i + 1; j < columns.length; j++) {
+        const xs = [];
+        const ys = [];
+        for (const row of rows) {
+          if (isEmpty(row[columns[i]]) || isEmpty(row[columns[j]])) continue;
+          xs.push(String(row[columns[i]]).trim());
+          ys.push(String(row[columns[j]]).trim());
+        }
+
+        const { value, chiSquare, n } = cramersV(xs, ys);
+        if (n < 5 || value === null || value < this.options.correlationThreshold) continue;
+
+        const coefficient = Math.round(value * 10000) / 10000;
+        const strength = correlationStrength(value);
+        associations.push({
+          type: 'categorical',
+          columns: [columns[i], columns[j]],
+          n,
+          cramersV: coefficient,
+          chiSquare: Math.round(chiSquare * 100) / 100,
+          coefficient,
+          strength,
+          message: `Kolom "${columns[i]}" dan "${columns[j]}" saling berhubungan ${strength} (Cramér's V = ${coefficient})`
+        });
+      }
+    }
+
+    return associations;
+  }
+
+  /**
+   * Distribusi yang sangat miring / berekor tebal & kolom yang hampir identik
+   */
+  detectDistributionAnomalies(distributions, numericPairs) {
+    const anomalies = [];
+
+    for (const [header, dist] of Object.entries(distributions)) {
+      if (dist.skewness !== null && Math.abs(dist.skewness) >= 2) {
+        anomalies.push({
+          type: 'skewed_distribution',
+          column: header,
+          skewness: dist.skewness,
+          message: `Distribusi kolom "${header}" sangat miring ke ${dist.skewness > 0 ? 'kanan' : 'kiri'} (skewness ${dist.skewness}); median lebih mewakili daripada rata-rata`
+        });
+      }
+      if (dist.kurtosis !== null && dist.kurtosis >= 7) {
+        anomalies.push({
+          type: 'heavy_tails',
+          column: header,
+          kurtosis: dist.kurtosis,
+          message: `Kolom "${header}" punya banyak nilai ekstrem (kurtosis ${dist.kurtosis})`
+        });
+      }
+    }
+
+    for (const pair of numericPairs) {
+      if (pair.pearson !== null && Math.abs(pair.pearson) >= 0.99) {
+        anomalies.push({
+          type: 'redundant_columns',
+          columns: pair.columns,
+          pearson: pair.pearson,
+          message: `Kolom "${pair.columns[0]}" dan "${pair.columns[1]}" hampir identik secara linear (r = ${pair.pearson}); kemungkinan kolom turunan`
+        });
+      }
+    }
+
+    return anomalies;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // STREAMING ANALYSIS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * 🌊 Analisis file besar chunk per chunk dengan memori terbatas
+   * Jumlah baris, sel kosong, duplikat & error validasi dihitung penuh;
+   * deteksi tipe, median dan deep analysis memakai sampel acak (reservoir).
+   * Outlier & typo butuh seluruh data sekaligus sehingga dilewati.
+   * @param {AsyncIterable} chunks - Output dari fileParser.streamRows()
+   */
+  async analyzeStream(chunks) {
+    const startTime = Date.now();
+
+    const state = {
+      headers: null,
+      sheetName: null,
+      probeAnalysis: null,
+      totalRows: 0,
+      columns: {},
+      seenRows: new Map(),
+      seenRowsCapped: false,
+      sample: [],
+      random: this.createSampler().seededRandom(), // Seed sama dengan RowSampler: sampel bisa diulang
+      issues: { total: 0, byType: {}, bySeverity: {}, samples: {}, details: [] }
+    };
+
+    for await (const chunk of chunks) {
+      if (!state.headers) {
+        this.initStreamState(state, chunk);
+      }
+      this.consumeStreamChunk(state, chunk);
+    }
+
+    if (!state.headers || state.totalRows === 0) {
+      throw new Error('Sheet kosong atau tidak ditemukan');
+    }
+
+    const { headers } = state;
+
+    // 1️⃣ Column analysis (tipe dari sampel, hitungan dari seluruh data)
+    const columnAnalysis = this.finalizeStreamColumns(state);
+
+    // 2️⃣ Format consistency dicek setelah tipe final diketahui
+    for (const header of headers) {
+      const values = state.sample.map(row => ({ value: row[header], rowIndex: row._rowIndex }));
+      this.collectStreamIssues(state, this.detectFormatInconsistency(header, values, columnAnalysis[header]));
+      this.collectStreamIssues(state, this.detectMixedNumberFormat(header, values, columnAnalysis[header]));
+    }
+
+    const issueCounts = { byType: state.issues.byType, bySeverity: state.issues.bySeverity };
+
+    // 3️⃣ Quality score, statistics & suggestions
+    const qualityScore = this.calculateQualityScore(state.totalRows, issueCounts.byType, columnAnalysis);
+    const statistics = this.finalizeStreamStatistics(state, columnAnalysis);
+    const suggestions = this.generateSuggestions(issueCounts.byType, columnAnalysis, qualityScore);
+
+    // 4️⃣ Deep analysis pada sampel
+    let deepInsights = null;
+    if (this.options.deepAnalysis) {
+      deepInsights = await this.performDeepAnalysis(headers, state.sample, columnAnalysis, statistics);
+    }
+
+    const sampledIssues = Object.values(state.issues.samples).flat();
+    const endTime = Date.now();
+
+    this.analysisResult = {
+      summary: {
+        totalRows: state.totalRows,
+        analyzedRows: state.totalRows,
+        totalColumns: headers.length,
+        headers,
+        analysisTime: `${endTime - startTime}ms`,
+        mode: 'stream',
+        sheetName: state.sheetName,
+        encoding: state.encoding,
+        numberLocale: this.numberLocale,
+        sampleSize: state.sample.length,
+        skippedChecks: [
+          ISSUE_TYPES.OUTLIER.code,
+          ISSUE_TYPES.TYPO.code,
+          ...(this.options.fuzzyDuplicates ? [ISSUE_TYPES.NEAR_DUPLICATE.code] : []),
+          ...(this.options.forensicMode ? [
+            ISSUE_TYPES.BENFORD_DEVIATION, ISSUE_TYPES.ROUND_NUMBER_BIAS, ISSUE_TYPES.BELOW_APPROVAL_LIMIT,
+            ISSUE_TYPES.DUPLICATE_INVOICE, ISSUE_TYPES.WEEKEND_TRANSACTION, ISSUE_TYPES.HOLIDAY_TRANSACTION
+          ].map(type => type.code) : [])
+        ],
+        // Jumlah duplikat = batas bawah jika signature baris melebihi streamDuplicateLimit
+        approximateChecks: state.seenRowsCapped ? [ISSUE_TYPES.DUPLICATE.code] : [],
+        duplicateTrackingLimit: this.options.streamDuplicateLimit
+      },
+      columnAnalysis,
+      issues: {
+        total: state.issues.total,
+        byType: this.groupIssuesByType(sampledIssues), // Contoh per tipe, jumlah lengkap di counts
+        bySeverity: this.groupIssuesBySeverity(sampledIssues),
+        details: state.issues.details,
+        counts: issueCounts
+      },
+      validation: state.rules
+        ? this.buildValidationSummary(state.rules.tally, state.rules.ruleSet, state.rules.samples)
+        : null,
+      qualityScore,
+      statistics,
+      suggestions,
+      deepInsights,
+      metadata: {
+        analyzedAt: new Date().toISOString(),
+        analyzerVersion: '2.0.0',
+        options: this.options
+      }
+    };
+
+    return this.analysisResult;
+  }
+
+  /**
+   * Siapkan state streaming dari chunk pertama
+   */
+  initStreamState(state, chunk) {
+    state.headers = chunk.headers;
+    state.sheetName = chunk.sheetName;
+    state.encoding = chunk.encoding ?? null;
+    this.numberLocale = this.options.numberLocale ?? chunk.numberLocale ?? null;
+    this.columnLocales = {};
+    this.rowNumber = (i) => i + 2; // Nomor baris chunk dipetakan ulang oleh sourceRow()
+
+    // Aturan user: context dipakai ulang lintas chunk (cek unique, kolom hilang)
+    if (this.options.rules) {
+      state.rules = {
+        ruleSet: dataValidator.parseRules(this.options.rules),
+        context: {
+          localeFor: (header) => this.localeFor(header),
+          rowNumber: (row, idx) => row._rowIndex ?? state.totalRows + idx + 2
+        },
+        tally: dataValidator.createTally(),
+        samples: []
+      };
+    }
+
+    // Tipe kolom dari chunk pertama dipakai untuk validasi per chunk
+    state.probeAnalysis = this.analyzeColumns(chunk.headers, chunk.rows);
+
+    for (const header of chunk.headers) {
+      state.columns[header] = {
+        nonEmpty: 0,
+        unique: new Set(),
+        uniqueCapped: false,
+        numeric: state.probeAnalysis[header].isNumeric
+          ? { count: 0, sum: 0, min: Infinity, max: -Infinity, mean: 0, m2: 0 }
+          : null
+      };
+    }
+  }
+
+  /**
+   * Proses satu chunk: akumulasi statistik kolom, issue & sampel
+   */
+  consumeStreamChunk(state, chunk) {
+    const { headers, probeAnalysis } = state;
+    const { rows } = chunk;
+    const offset = state.totalRows;
+
+    // Detector lama memakai nomor baris lokal (index + 2), petakan ke baris di file
+    const sourceRow = (localRow) => rows[localRow - 2]?._rowIndex ?? offset + localRow;
+
+    if (state.rules) {
+      const { ruleSet, context, tally, samples } = state.rules;
+      const ruleIssues = dataValidator.validateRows(headers, rows, ruleSet, context);
+      dataValidator.tallyIssues(tally, ruleIssues);
+      samples.push(...ruleIssues.slice(0, 100 - samples.length));
+      this.collectStreamIssues(state, ruleIssues);
+    }
+
+    // Duplikat dilacak lintas chunk; di atas streamDuplicateLimit hanya duplikat dari baris yang sudah dilacak
+    const duplicateLimit = this.options.streamDuplicateLimit;
+    this.collectStreamIssues(state, this.detectDuplicates(rows, headers, state.seenRows, (i) => sourceRow(i + 2), duplicateLimit));
+    if (state.seenRows.size >= duplicateLimit) state.seenRowsCapped = true;
+
+    const localIssues = [...this.detectEmptyRows(rows, headers)];
+
+    for (const header of headers) {
+      const values = this.columnValues(headers, rows, header, probeAnalysis[header], (idx) => idx + 2);
+      const column = state.columns[header];
+
+      for (const { value } of values) {
+        if (!column.uniqueCapped) {
+          column.unique.add(String(value).toLowerCase().trim());
+          column.uniqueCapped = column.unique.size >= this.options.streamUniqueLimit;
+        }
+        if (isEmpty(value)) continue;
+
+        column.nonEmpty++;
+        if (column.numeric) {
+          this.pushRunningStat(column.numeric, this.toNumber(value, header));
+        }
+      }
+
+      localIssues.push(...this.detectValidationErrors(header, values, probeAnalysis[header]));
+      localIssues.push(...this.detectWhitespaceIssues(header, values));
+    }
+
+    if (this.options.checkNikConsistency) {
+      localIssues.push(...this.detectNIKMismatches(headers, rows, probeAnalysis, (idx) => idx + 2));
+    }
+
+    if (this.options.checkCalculations) {
+      localIssues.push(...this.detectCalculationErrors(rows, headers, probeAnalysis));
+    }
+
+    for (const issue of localIssues) {
+      if (issue.row !== null) issue.row = sourceRow(issue.row);
+    }
+    this.collectStreamIssues(state, localIssues);
+
+    // Reservoir sampling: setiap baris punya peluang sama masuk sampel
+    const sampleSize = this.options.streamSampleSize;
+    rows.forEach((row, idx) => {
+      const seen = offset + idx + 1;
+      if (state.sample.length < sampleSize) {
+        state.sample.push(row);
+      } else {
+        const slot = Math.floor(state.random() * seen);
+        if (slot < sampleSize) state.sample[slot] = row;
+      }
+    });
+
+    state.totalRows += rows.length;
+  }
+
+  /**
+   * Ringkasan hasil aturan validasi user + contoh pelanggaran
+   */
+  buildValidationSummary(tally, ruleSet, details) {
+    return {
+      ...dataValidator.summarize(tally, ruleSet),
+      details
+    };
+  }
+
+  /**
+   * Hitung issue & simpan contoh terbatas (bukan semua issue)
+   */
+  collectStreamIssues(state, issues) {
+    const collector = state.issues;
+
+    for (const issue of issues) {
+      collector.total++;
+      collector.byType[issue.type] = (collector.byType[issue.type] || 0) + 1;
+      collector.bySeverity[issue.severity] = (collector.bySeverity[issue.severity] || 0) + 1;
+
+      if (!collector.samples[issue.type]) collector.samples[issue.type] = [];
+      if (collector.samples[issue.type].length < 20) {
+        collector.samples[issue.type].push(issue);
+      }
+      if (collector.details.length < 100) {
+        collector.details.push(issue);
+      }
+    }
+  }
+
+  /**
+   * Update mean/variance secara inkremental (Welford)
+   */
+  pushRunningStat(acc, value) {
+    if (value === null || isNaN(value)) return;
+
+    acc.count++;
+    acc.sum += value;
+    acc.min = Math.min(acc.min, value);
+    acc.max = Math.max(acc.max, value);
+
+    const delta = value - acc.mean;
+    acc.mean += delta / acc.count;
+    acc.m2 += delta * (value - acc.mean);
+  }
+
+  /**
+   * Gabungkan analisis tipe dari sampel dengan hitungan lengkap
+   */
+  finalizeStreamColumns(state) {
+    const sampleAnalysis = this.analyzeColumns(state.headers, state.sample);
+    const analysis = {};
+
+    for (const header of state.headers) {
+      const column = state.columns[header];
+      const fillRate = (column.nonEmpty / state.totalRows) * 100;
+
+      analysis[header] = {
+        ...sampleAnalysis[header],
+        totalValues: state.totalRows,
+        nonEmptyCount: column.nonEmpty,
+        emptyCount: state.totalRows - column.nonEmpty,
+        uniqueCount: column.unique.size,
+        uniqueCountCapped: column.uniqueCapped,
+        fillRate: Math.round(fillRate * 100) / 100
+      };
+    }
+
+    return analysis;
+  }
+
+  /**
+   * Statistik numerik: exact dari running stats, median dari sampel
+   */
+  finalizeStreamStatistics(state, columnAnalysis) {
+    const stats = {};
+
+    for (const header of state.headers) {
+      const analysis = columnAnalysis[header];
+      if (!analysis.isNumeric) continue;
+
+      const sampleValues = state.sample.map(r => r[header]);
+      const sampleStats = calculateStats(sampleValues, this.localeFor(header));
+      const distribution = describeDistribution(
+        sampleValues.map(v => this.toNumber(v, header)).filter(v => v !== null && !isNaN(v))
+      );
+      const running = state.columns[header].numeric;
+
+      // Kolom yang baru terdeteksi numerik di sampel tidak punya running stats
+      if (!running || running.count === 0) {
+        stats[header] = {
+          ...sampleStats,
+          type: analysis.detectedType,
+          distribution,
+          estimatedFields: ['count', 'sum', 'mean', 'min', 'max', 'median', 'stdDev', 'distribution']
+        };
+        continue;
+      }
+
+      stats[header] = {
+        count: running.count,
+        sum: Math.round(running.sum * 100) / 100,
+        mean: Math.round(running.mean * 100) / 100,
+        min: running.min,
+        max: running.max,
+        median: sampleStats.median,
+        stdDev: Math.round(Math.sqrt(running.m2 / running.count) * 100) / 100,
+        type: analysis.detectedType,
+        distribution,
+        estimatedFields: ['median', 'distribution']
+      };
+    }
+
+    return stats;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // WORKBOOK ANALYSIS (MULTI-SHEET)
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * 📚 Analisis seluruh sheet dalam workbook
+   * Selain analisis per sheet, mendeteksi relasi antar sheet (kolom yang
+   * merujuk ke kolom kunci di sheet lain, mis. "Kode Barang"), orphan key,
+   * dan sheet yang memiliki skema sama.
+   */
+  async analyzeWorkbook(parsedData) {
+    const startTime = Date.now();
+    const sheets = {};
+    const skippedSheets = [];
+
+    this.workbookMode = true;
+    try {
+      for (const sheetName of parsedData.sheetNames) {
+        const sheet = parsedData.sheets[sheetName];
+        if (!sheet || sheet.rows.length === 0 || sheet.headers.length === 0) {
+          skippedSheets.push(sheetName);
+          continue;
+        }
+        sheets[sheetName] = await this.analyze(parsedData, sheetName);
+      }
+    } finally {
+      this.workbookMode = false;
+    }
+
+    const analyzedNames = Object.keys(sheets);
+    if (analyzedNames.length === 0) {
+      throw new Error('Workbook tidak memiliki sheet berisi data');
+    }
+
+    const relationships = this.detectRelationships(parsedData, sheets);
+    const sharedSchemas = this.detectSharedSchemas(parsedData, sheets);
+
+    const overview = analyzedNames.map(name => ({
+      sheet: name,
+      rows: sheets[name].summary.totalRows,
+      columns: sheets[name].summary.totalColumns,
+      qualityScore: sheets[name].qualityScore.overall,
+      grade: sheets[name].qualityScore.grade,
+      issues: sheets[name].issues.total
+    }));
+
+    // Skor workbook = rata-rata skor sheet, dibobot jumlah baris
+    const totalRows = overview.reduce((sum, s) => sum + s.rows, 0);
+    const weightedScore = overview.reduce((sum, s) => sum + s.qualityScore * s.rows, 0) / totalRows;
+    const overall = Math.round(weightedScore * 100) / 100;
+
+    const endTime = Date.now();
+
+    return {
+      summary: {
+        totalSheets: parsedData.sheetNames.length,
+        analyzedSheets: analyzedNames.length,
+        skippedSheets,
+        totalRows,
+        analysisTime: `${endTime - startTime}ms`
+      },
+      overview,
+      relationships,
+      sharedSchemas,
+      qualityScore: { overall, ...this.getGrade(overall), profile: this.profileSummary() },
+      suggestions: this.generateWorkbookSuggestions(relationships, sharedSchemas),
+      sheets,
+      metadata: {
+        analyzedAt: new Date().toISOString(),
+        analyzerVersion: '2.0.0',
+        options: this.options
+      }
+    };
+  }
+
+  /**
+   * 🔗 Deteksi kemungkinan foreign key antar sheet
+   * Kolom "parent" adalah kolom yang (hampir) unik; kolom "child" di sheet lain
+   * dianggap merujuk ke parent jika sebagian besar nilainya ada di parent.
+   */
+  detectRelationships(parsedData, sheetAnalyses) {
+    const sheetNames = Object.keys(sheetAnalyses);
+    if (sheetNames.length < 2) return [];
+
+    // Sheet berskema sama (mis. per bulan) adalah data paralel, bukan relasi
+    const signatures = Object.fromEntries(
+      sheetNames.map(name => [name, this.schemaSignature(parsedData.sheets[name].headers)])
+    );
+
+    const columns = [];
+    for (const sheetName of sheetNames) {
+      const sheet = parsedData.sheets[sheetName];
+      const rows = sheet.rows.slice(0, this.options.maxRowsAnalyze);
+
+      sheet.headers.forEach((header, position) => {
+        const colInfo = sheetAnalyses[sheetName].columnAnalysis[header];
+        if (!colInfo || colInfo.nonEmptyCount < 2 || !this.isKeyCandidateType(colInfo.detectedType)) return;
+
+        // Nilai unik (ternormalisasi) → { value, count, row pertama }
+        const values = new Map();
+        rows.forEach((row, idx) => {
+          const value = row[header];
+          if (isEmpty(value)) return;
+          const key = String(value).trim().toLowerCase();
+          const entry = values.get(key);
+          if (entry) entry.count++;
+          else values.set(key, { value: String(value).trim(), count: 1, row: row._rowIndex ?? idx + 2 });
+        });
+
+        const uniqueRatio = values.size / colInfo.nonEmptyCount;
+        columns.push({
+          sheet: sheetName,
+          header,
+          position,
+          values,
+          isNumeric: colInfo.isNumeric,
+          isKey: values.size >= 2 && uniqueRatio >= this.options.keyUniqueness && !this.isRowNumberColumn(header)
+        });
+      });
+    }
+
+    const candidates = [];
+    for (const child of columns) {
+      if (child.values.size < 2) continue;
+      const needed = Math.ceil(child.values.size * this.options.relationshipThreshold);
+      let best = null;
+
+      for (const parent of columns) {
+        if (!parent.isKey || signatures[parent.sheet] === signatures[child.sheet]) continue;
+
+        let matched = 0;
+        let remaining = child.values.size;
+        for (const key of child.values.keys()) {
+          if (parent.values.has(key)) matched++;
+          remaining--;
+          if (matched + remaining < needed) break;
+        }
+        if (matched < 2 || matched < needed) continue;
+
+        const coverage = matched / child.values.size;
+        const nameSimilarity = stringSimilarity(
+          this.normalizeKeyHeader(child.header),
+          this.normalizeKeyHeader(parent.header)
+        );
+        // Angka kecil (qty, umur) mudah "cocok" kebetulan, wajibkan nama kolom mirip
+        if (child.isNumeric && nameSimilarity < 0.5) continue;
+
+        const confidence = coverage * 0.7 + nameSimilarity * 0.3;
+
+        if (!best || confidence > best.confidence) {
+          best = { parent, matched, coverage, confidence };
+        }
+      }
+
+      if (best) candidates.push({ child, ...best });
+    }
+
+    // Relasi dua arah antar kolom kunci (1:1) cukup dilaporkan sekali: dari sisi
+    // yang nilainya lebih sedikit (child ⊂ parent), atau jika seimbang, parent
+    // adalah kolom yang lebih kiri (tabel master biasanya diawali kolom kode)
+    const relationships = candidates.filter((rel, idx) => {
+      const reverseIdx = candidates.findIndex(other => other.child === rel.parent && other.parent === rel.child);
+      if (reverseIdx === -1) return true;
+      if (rel.coverage !== candidates[reverseIdx].coverage) {
+        return rel.coverage > candidates[reverseIdx].coverage;
+      }
+      if (rel.parent.position !== rel.child.position) {
+        return rel.parent.position < rel.child.position;
+      }
+      return idx < reverseIdx;
+    });
+
+    return relationships
+      .map(({ child, parent, matched, coverage, confidence }) => {
+        const orphans = [...child.values.entries()].filter(([key]) => !parent.values.has(key));
+        const coveragePct = Math.round(coverage * 10000) / 100;
+
+        return {
+          childSheet: child.sheet,
+          childColumn: child.header,
+          parentSheet: parent.sheet,
+          parentColumn: parent.header,
+          cardinality: child.isKey ? 'one-to-one' : 'many-to-one',
+          coverage: coveragePct,
+          confidence: Math.round(confidence * 10000) / 100,
+          matchedValues: matched,
+          orphans: {
+            count: orphans.length,
+            rowCount: orphans.reduce((sum, [, entry]) => sum + entry.count, 0),
+            samples: orphans.slice(0, 10).map(([, entry]) => ({ value: entry.value, row: entry.row }))
+          },
+          message: `"${child.sheet}".${child.header} → "${parent.sheet}".${parent.header} (${coveragePct}% cocok)`
+        };
+      })
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * 🗂️ Kelompokkan sheet yang memiliki kolom sama (mis. data per bulan)
+   */
+  detectSharedSchemas(parsedData, sheetAnalyses) {
+    const groups = new Map();
+
+    for (const sheetName of Object.keys(sheetAnalyses)) {
+      const normalized = parsedData.sheets[sheetName].headers.map(h => String(h).trim().toLowerCase());
+      const signature = this.schemaSignature(normalized);
+      if (!groups.has(signature)) groups.set(signature, []);
+      groups.get(signature).push({ sheetName, normalized });
+    }
+
+    return [...groups.values()]
+      .filter(group => group.length > 1)
+      .map(group => {
+        const [first] = group;
+        const sheetNames = group.map(g => g.sheetName);
+        const sameOrder = group.every(g => g.normalized.join('|') === first.normalized.join('|'));
+
+        // Kolom yang tipe datanya berbeda antar sheet
+        const typeMismatches = [];
+        first.normalized.forEach(key => {
+          const types = {};
+          for (const { sheetName, normalized } of group) {
+            const header = parsedData.sheets[sheetName].headers[normalized.indexOf(key)];
+            types[sheetName] = sheetAnalyses[sheetName].columnAnalysis[header]?.detectedType;
+          }
+          if (new Set(Object.values(types)).size > 1) {
+            typeMismatches.push({ column: parsedData.sheets[first.sheetName].headers[first.normalized.indexOf(key)], types });
+          }
+        });
+
+        return {
+          sheets: sheetNames,
+          headers: parsedData.sheets[first.sheetName].headers,
+          sameOrder,
+          typeMismatches,
+          message: `Sheet ${sheetNames.map(n => `"${n}"`).join(', ')} memiliki skema kolom yang sama`
+        };
+      });
+  }
+
+  /**
+   * Saran perbaikan level workbook
+   */
+  generateWorkbookSuggestions(relationships, sharedSchemas) {
+    const suggestions = [];
+
+    for (const rel of relationships) {
+      if (rel.orphans.count === 0) continue;
+      suggestions.push({
+        priority: 'high',
+        action: 'fix_orphan_keys',
+        message: `${rel.orphans.count} nilai ${rel.childColumn} di sheet "${rel.childSheet}" tidak ada di sheet "${rel.parentSheet}"`,
+        impact: 'Menjaga integritas referensi antar sheet',
+        autoFixable: false
+      });
+    }
+
+    for (const schema of sharedSchemas) {
+      suggestions.push({
+        priority: schema.typeMismatches.length > 0 ? 'medium' : 'low',
+        action: 'merge_sheets',
+        message: schema.typeMismatches.length > 0
+          ? `${schema.message}, tapi ${schema.typeMismatches.length} kolom berbeda tipe`
+          : `${schema.message}, bisa digabung menjadi satu tabel`,
+        impact: 'Memudahkan analisis gabungan',
+        autoFixable: false
+      });
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Tipe kolom yang masuk akal sebagai kunci relasi
+   */
+  isKeyCandidateType(type) {
+    return ![
+      DATA_TYPES.EMPTY, DATA_TYPES.BOOLEAN, DATA_TYPES.DATE, DATA_TYPES.DATETIME,
+      DATA_TYPES.TIME, DATA_TYPES.FLOAT, DATA_TYPES.CURRENCY, DATA_TYPES.PERCENTAGE
+    ].includes(type);
+  }
+
+  /**
+   * Kolom nomor urut ("No", "#") selalu unik tapi bukan kunci relasi
+   */
+  isRowNumberColumn(header) {
+    return /^(no\.?|nomor|#|no\.?\s*urut|urutan)$/i.test(String(header).trim());
+  }
+
+  schemaSignature(headers) {
+    return headers.map(h => String(h).trim().toLowerCase()).sort().join('|');
+  }
+
+  normalizeKeyHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // HELPER METHODS
   // ─────────────────────────────────────────────────────────────────────────────
@@ -1035,6 +2786,18 @@ export class DataAnalyzer {
     }, {});
   }
 
+  /**
+   * Hitung jumlah issue per tipe & severity
+   */
+  countIssues(issues) {
+    const counts = { byType: {}, bySeverity: {} };
+    for (const issue of issues) {
+      counts.byType[issue.type] = (counts.byType[issue.type] || 0) + 1;
+      counts.bySeverity[issue.severity] = (counts.bySeverity[issue.severity] || 0) + 1;
+    }
+    return counts;
+  }
+
   /**
    * Get analysis result
    */
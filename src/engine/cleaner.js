@@ -4,25 +4,37 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 import {
-  ISSUE_TYPES,
   DATA_TYPES,
+  PATTERNS,
   TAX_RATES
 } from '../utils/constants.js';
 
 import {
   normalizeString,
   toTitleCase,
-  parseNumber,
   parseDate,
   formatDate,
   formatRupiah,
   normalizePhoneID,
   isEmpty,
   deepClone,
-  calculatePPN
+  calculatePPN,
+  hashString,
+  toNPWP16,
+  identifierText
 } from '../utils/helpers.js';
 
+import { addressParser, ADDRESS_FIELDS } from '../utils/address.js';
+
 import { DataAnalyzer } from './analyzer.js';
+import { DuplicateMatcher } from './dedup.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Aturan pemilihan record utama (survivor) saat menggabungkan baris mirip
+export const SURVIVORSHIP_RULES = ['most_complete', 'latest', 'first'];
 
 // ─────────────────────────────────────────────────────────────────────────────
 // MAIN CLEANER CLASS
@@ -43,11 +55,25 @@ export class DataCleaner {
       fixCalculations: options.fixCalculations ?? true,
       ppnRate: options.ppnRate ?? TAX_RATES.PPN,
       fixTypos: options.fixTypos ?? false, // Opt-in karena bisa salah
+      mergeDuplicates: options.mergeDuplicates ?? false, // Opt-in: gabungkan baris mirip jadi golden record
+      duplicateColumns: options.duplicateColumns ?? null, // Kolom pembanding ("Nama,Telepon"), null = otomatis
+      duplicateThreshold: options.duplicateThreshold ?? 0.85,
+      survivorship: options.survivorship ?? 'most_complete', // 'most_complete' | 'latest' | 'first'
+      survivorshipDateColumn: options.survivorshipDateColumn ?? null, // Untuk 'latest', null = kolom tanggal pertama
+      migrateNpwp: options.migrateNpwp ?? false, // Opt-in: NPWP 15 digit → 16 digit (format Coretax)
+      addNitku: options.addNitku ?? false, // Dengan migrateNpwp: tambah kolom NITKU 22 digit
+      splitAddress: options.splitAddress ?? false, // Opt-in: pecah alamat jadi jalan, RT/RW, kelurahan ... kode pos
+      addressColumns: options.addressColumns ?? null, // Kolom alamat ("Alamat,Alamat KTP"), null = otomatis
       ...options
     };
     
     this.cleaningLog = [];
-    this.analyzer = new DataAnalyzer();
+    this.mergedClusters = [];
+    this.streamSummary = null;
+    this.analyzer = new DataAnalyzer({
+      numberLocale: this.options.numberLocale,
+      columnLocales: this.options.columnLocales
+    });
   }
 
   /**
@@ -57,6 +83,7 @@ export class DataCleaner {
     const options = { ...this.options, ...customOptions };
     const startTime = Date.now();
     this.cleaningLog = [];
+    this.mergedClusters = [];
 
     // Get the sheet to clean
     const targetSheet = sheetName || parsedData.activeSheet;
@@ -68,6 +95,7 @@ export class DataCleaner {
 
     // Clone data untuk cleaning
     let cleanedRows = deepClone(sheet.rows);
+    let headers = sheet.headers;
     const originalCount = cleanedRows.length;
     
     // First, analyze the data
@@ -96,7 +124,7 @@ export class DataCleaner {
 
     // 5️⃣ Standardize dates
     if (options.standardizeDates) {
-      cleanedRows = this.standardizeDates(cleanedRows, sheet.headers, columnAnalysis, options.dateFormat);
+      cleanedRows = this.standardizeDates(cleanedRows, sheet.headers, columnAnalysis, options.dateFormat, sheet.cellModel);
     }
 
     // 6️⃣ Standardize phone numbers
@@ -104,14 +132,29 @@ export class DataCleaner {
       cleanedRows = this.standardizePhones(cleanedRows, sheet.headers, columnAnalysis);
     }
 
+    // 🪪 Migrate NPWP 15 → 16 digit (+ NITKU)
+    if (options.migrateNpwp) {
+      ({ rows: cleanedRows, headers } = this.migrateNPWP(cleanedRows, headers, columnAnalysis, options.addNitku));
+    }
+
+    // 🏠 Split address columns
+    if (options.splitAddress) {
+      ({ rows: cleanedRows, headers } = this.splitAddress(cleanedRows, headers, options.addressColumns));
+    }
+
     // 7️⃣ Fix calculations
     if (options.fixCalculations) {
-      cleanedRows = this.fixCalculations(cleanedRows, sheet.headers, columnAnalysis);
+      cleanedRows = this.fixCalculations(cleanedRows, sheet.headers, columnAnalysis, sheet.cellModel?.formulas);
     }
 
     // 8️⃣ Fix typos (if enabled)
     if (options.fixTypos) {
-      cleanedRows = this.fixTypos(cleanedRows, analysis.issues);
+      cleanedRows = this.fixTypos(cleanedRows, this.analyzer.typoClusters);
+    }
+
+    // 9️⃣ Merge near-duplicates into golden records (if enabled)
+    if (options.mergeDuplicates) {
+      cleanedRows = this.mergeDuplicates(cleanedRows, sheet.headers, columnAnalysis, options);
     }
 
     const endTime = Date.now();
@@ -120,17 +163,19 @@ export class DataCleaner {
     // Update sheet with cleaned data
     const cleanedSheet = {
       ...sheet,
+      headers,
       rows: cleanedRows,
       totalRows: cleanedRows.length
     };
 
-    // Create cleaned parsed data
+    // Create cleaned parsed data (isi berubah: bukan lagi hasil cache file asli)
     const cleanedData = {
       ...parsedData,
       sheets: {
         ...parsedData.sheets,
         [targetSheet]: cleanedSheet
-      }
+      },
+      metadata: { ...parsedData.metadata, contentHash: null }
     };
 
     return {
@@ -143,6 +188,7 @@ export class DataCleaner {
         operationsPerformed: this.cleaningLog.length
       },
       log: this.cleaningLog,
+      merges: this.mergedClusters,
       metadata: {
         cleanedAt: new Date().toISOString(),
         options: options
@@ -154,6 +200,13 @@ export class DataCleaner {
   // CLEANING OPERATIONS
   // ─────────────────────────────────────────────────────────────────────────────
 
+  /**
+   * parseNumber dengan konvensi angka kolom/file hasil analisis terakhir
+   */
+  toNumber(value, header = null) {
+    return this.analyzer.toNumber(value, header);
+  }
+
   /**
    * Remove empty rows
    */
@@ -177,15 +230,15 @@ export class DataCleaner {
 
   /**
    * Remove duplicate rows
+   * @param {Set} seen - Signature yang sudah dilihat (dipakai lintas chunk saat streaming)
    */
-  removeDuplicates(rows, headers) {
+  removeDuplicates(rows, headers, seen = new Set()) {
     const initialCount = rows.length;
-    const seen = new Set();
     
     const filtered = rows.filter(row => {
-      const signature = headers
+      const signature = hashString(headers
         .map(h => String(row[h] || '').trim().toLowerCase())
-        .join('|');
+        .join('|'));
       
       if (seen.has(signature)) {
         return false;
@@ -284,8 +337,10 @@ export class DataCleaner {
 
   /**
    * Standardize date formats
+   * Kolom bertipe tanggal asli (Excel) tetap berisi Date agar tersimpan sebagai tanggal,
+   * teks tanggal di kolom tersebut ikut diubah jadi Date. Kolom teks diseragamkan ke dateFormat.
    */
-  standardizeDates(rows, headers, columnAnalysis, dateFormat = 'dd/MM/yyyy') {
+  standardizeDates(rows, headers, columnAnalysis, dateFormat = 'dd/MM/yyyy', cellModel = null) {
     let fixCount = 0;
     
     // Find date columns
@@ -300,14 +355,19 @@ export class DataCleaner {
       
       for (const header of dateColumns) {
         const value = newRow[header];
-        if (!isEmpty(value)) {
-          const parsed = parseDate(value);
-          if (parsed) {
-            const formatted = formatDate(parsed, dateFormat);
-            if (String(value) !== formatted) {
-              newRow[header] = formatted;
-              fixCount++;
-            }
+        if (isEmpty(value) || value instanceof Date) continue;
+
+        const parsed = parseDate(value);
+        if (!parsed) continue;
+
+        if (cellModel?.columns?.[header]?.type === 'd') {
+          newRow[header] = new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+          fixCount++;
+        } else {
+          const formatted = formatDate(parsed, dateFormat);
+          if (String(value) !== formatted) {
+            newRow[header] = formatted;
+            fixCount++;
           }
         }
       }
@@ -359,10 +419,169 @@ export class DataCleaner {
     return cleaned;
   }
 
+  /**
+   * 🔄 NPWP 15 digit (bertitik atau tidak) → 16 digit: 0 + NPWP lama; NIK sebagai NPWP tetap.
+   * addNitku: kolom NITKU (NPWP 16 digit + 000000) diisi atau disisipkan setelah kolom NPWP.
+   * NPWP cabang tidak diberi NITKU karena nomornya ditetapkan DJP; NPWP tidak valid dibiarkan
+   * @returns {{ rows, headers }}
+   */
+  migrateNPWP(rows, headers, columnAnalysis, addNitku = false) {
+    const npwpColumns = headers.filter(h => columnAnalysis[h]?.detectedType === DATA_TYPES.NPWP);
+    if (npwpColumns.length === 0) return { rows, headers };
+
+    const newHeaders = [...headers];
+    const nitkuColumns = {};
+    if (addNitku) {
+      for (const header of npwpColumns) {
+        const name = npwpColumns.length === 1 ? 'NITKU' : `NITKU ${header}`;
+        const existing = headers.find(h => h === name) ??
+          (npwpColumns.length === 1 ? headers.find(h => PATTERNS.NITKU_HEADER.test(h)) : undefined);
+
+        nitkuColumns[header] = existing ?? name;
+        if (!existing) newHeaders.splice(newHeaders.indexOf(header) + 1, 0, name);
+      }
+    }
+
+    let converted = 0;
+    let nitkuFilled = 0;
+    let branches = 0;
+    let invalid = 0;
+
+    const cleaned = rows.map(row => {
+      const newRow = { ...row };
+
+      for (const header of npwpColumns) {
+        const nitkuColumn = nitkuColumns[header];
+        if (nitkuColumn && newRow[nitkuColumn] === undefined) newRow[nitkuColumn] = '';
+
+        const value = row[header];
+        if (isEmpty(value)) continue;
+
+        const npwp = toNPWP16(value);
+        if (!npwp) {
+          invalid++;
+          continue;
+        }
+
+        if (identifierText(value).trim() !== npwp.npwp16) {
+          newRow[header] = npwp.npwp16;
+          converted++;
+        }
+        if (npwp.branch) branches++;
+
+        if (nitkuColumn && isEmpty(newRow[nitkuColumn]) && npwp.nitku) {
+          newRow[nitkuColumn] = npwp.nitku;
+          nitkuFilled++;
+        }
+      }
+
+      return newRow;
+    });
+
+    if (converted > 0) {
+      this.log('migrate_npwp', `Mengubah ${converted} NPWP ke format 16 digit`, converted);
+    }
+    if (nitkuFilled > 0) {
+      this.log('add_nitku', `Mengisi ${nitkuFilled} NITKU kantor pusat/orang pribadi (NPWP 16 digit + 000000)`, nitkuFilled);
+    }
+    if (branches > 0) {
+      this.log('npwp_branch', `${branches} NPWP cabang: NITKU cabang perlu dicek di Coretax DJP`, branches);
+    }
+    if (invalid > 0) {
+      this.log('invalid_npwp', `${invalid} NPWP tidak valid dibiarkan apa adanya`, invalid);
+    }
+
+    return { rows: cleaned, headers: newHeaders };
+  }
+
+  /**
+   * 🏠 Pecah kolom alamat jadi Jalan, Nomor, RT, RW, Kelurahan, Kecamatan, Kota/Kabupaten, Provinsi & Kode Pos
+   * (lihat utils/address.js). Kolom hasil disisipkan setelah kolom alamat; kolom yang sudah ada
+   * hanya diisi sel kosongnya. Kolom alamat asli tetap dipertahankan
+   * @param {string|string[]} addressColumns - Kolom alamat, null = header seperti "Alamat"/"Address"
+   * @returns {{ rows, headers }}
+   */
+  splitAddress(rows, headers, addressColumns = null) {
+    const columns = this.resolveAddressColumns(headers, addressColumns);
+    if (columns.length === 0) return { rows, headers };
+
+    const newHeaders = [...headers];
+    const targets = {};
+    for (const header of columns) {
+      targets[header] = {};
+      let insertAt = newHeaders.indexOf(header) + 1;
+
+      for (const [field, label] of Object.entries(ADDRESS_FIELDS)) {
+        const name = columns.length === 1 ? label : `${header} - ${label}`;
+        const existing = headers.find(h => h.toLowerCase() === name.toLowerCase());
+        targets[header][field] = existing ?? name;
+        if (!existing) newHeaders.splice(insertAt++, 0, name);
+      }
+    }
+
+    let parsedCount = 0;
+    let postalProvinces = 0;
+
+    const cleaned = rows.map(row => {
+      const newRow = { ...row };
+
+      for (const header of columns) {
+        const fields = targets[header];
+        for (const column of Object.values(fields)) {
+          if (newRow[column] === undefined) newRow[column] = '';
+        }
+        if (isEmpty(row[header])) continue;
+
+        const parsed = addressParser.parse(row[header]);
+        let filled = false;
+        for (const [field, column] of Object.entries(fields)) {
+          if (parsed[field] && isEmpty(newRow[column])) {
+            newRow[column] = parsed[field];
+            filled = true;
+            if (field === 'provinsi' && parsed.provinceSource === 'postal_code') postalProvinces++;
+          }
+        }
+        if (filled) parsedCount++;
+      }
+
+      return newRow;
+    });
+
+    if (parsedCount > 0) {
+      this.log('split_address', `Memecah ${parsedCount} alamat menjadi kolom jalan, nomor, RT/RW, kelurahan, kecamatan, kota/kabupaten, provinsi & kode pos`, parsedCount);
+    }
+    if (postalProvinces > 0) {
+      this.log('infer_province', `${postalProvinces} provinsi diisi dari kode pos`, postalProvinces);
+    }
+
+    return { rows: cleaned, headers: newHeaders };
+  }
+
+  /**
+   * Kolom alamat dari opsi ("Alamat,Alamat KTP"), atau header alamat selain kolom hasil pemecahan
+   */
+  resolveAddressColumns(headers, addressColumns = null) {
+    if (addressColumns) {
+      const names = Array.isArray(addressColumns) ? addressColumns : String(addressColumns).split(',');
+      return names.map(name => name.trim()).filter(Boolean).map(name => {
+        const header = headers.find(h => h.toLowerCase() === name.toLowerCase());
+        if (!header) {
+          throw new Error(`Kolom alamat "${name}" tidak ditemukan`);
+        }
+        return header;
+      });
+    }
+
+    const outputNames = Object.values(ADDRESS_FIELDS).map(label => label.toLowerCase());
+    return headers.filter(h => PATTERNS.ADDRESS_HEADER.test(h) &&
+      !outputNames.some(name => h.toLowerCase() === name || h.toLowerCase().endsWith(` - ${name}`)));
+  }
+
   /**
    * Fix calculation errors (subtotal, PPN, total)
+   * @param {Object} formulas - Formula asli per baris ({ [_rowIndex]: { [header]: formula } }), tidak ditimpa
    */
-  fixCalculations(rows, headers, columnAnalysis) {
+  fixCalculations(rows, headers, columnAnalysis, formulas = {}) {
     let fixCount = 0;
     
     // Find related columns
@@ -375,12 +594,14 @@ export class DataCleaner {
     
     const cleaned = rows.map(row => {
       const newRow = { ...row };
+      // Sel berformula dihitung ulang oleh Excel, jangan diganti angka statis
+      const rowFormulas = formulas?.[row._rowIndex] || {};
       
       // Fix subtotal = qty × price
-      if (qtyColumn && priceColumn && subtotalColumn) {
-        const qty = parseNumber(newRow[qtyColumn]);
-        const price = parseNumber(newRow[priceColumn]);
-        const currentSubtotal = parseNumber(newRow[subtotalColumn]);
+      if (qtyColumn && priceColumn && subtotalColumn && !rowFormulas[subtotalColumn]) {
+        const qty = this.toNumber(newRow[qtyColumn], qtyColumn);
+        const price = this.toNumber(newRow[priceColumn], priceColumn);
+        const currentSubtotal = this.toNumber(newRow[subtotalColumn], subtotalColumn);
         
         if (qty !== null && price !== null) {
           const expectedSubtotal = qty * price;
@@ -392,9 +613,10 @@ export class DataCleaner {
       }
       
       // Fix PPN = base × 11%
-      if (ppnColumn) {
-        const base = parseNumber(newRow[subtotalColumn] || newRow[priceColumn]);
-        const currentPPN = parseNumber(newRow[ppnColumn]);
+      if (ppnColumn && !rowFormulas[ppnColumn]) {
+        const baseColumn = newRow[subtotalColumn] ? subtotalColumn : priceColumn;
+        const base = this.toNumber(newRow[baseColumn], baseColumn);
+        const currentPPN = this.toNumber(newRow[ppnColumn], ppnColumn);
         
         if (base !== null && base > 0) {
           const expectedPPN = calculatePPN(base, this.options.ppnRate);
@@ -406,10 +628,11 @@ export class DataCleaner {
       }
       
       // Fix total = subtotal + ppn
-      if (totalColumn && (subtotalColumn || priceColumn)) {
-        const subtotal = parseNumber(newRow[subtotalColumn] || newRow[priceColumn]);
-        const ppn = ppnColumn ? parseNumber(newRow[ppnColumn]) : 0;
-        const currentTotal = parseNumber(newRow[totalColumn]);
+      if (totalColumn && (subtotalColumn || priceColumn) && !rowFormulas[totalColumn]) {
+        const baseColumn = newRow[subtotalColumn] ? subtotalColumn : priceColumn;
+        const subtotal = this.toNumber(newRow[baseColumn], baseColumn);
+        const ppn = ppnColumn ? this.toNumber(newRow[ppnColumn], ppnColumn) : 0;
+        const currentTotal = this.toNumber(newRow[totalColumn], totalColumn);
         
         if (subtotal !== null) {
           const expectedTotal = subtotal + (ppn || 0);
@@ -432,30 +655,32 @@ export class DataCleaner {
 
   /**
    * Fix detected typos
+   * Setiap varian dalam cluster diganti nilai kanoniknya (per kolom, di semua baris)
+   * @param {Array} typoClusters - Hasil DataAnalyzer.detectTypos(): [{ column, canonical, variants }]
    */
-  fixTypos(rows, issues) {
-    const typoIssues = issues.filter(i => i.type === ISSUE_TYPES.TYPO.code && i.suggestion);
-    
-    if (typoIssues.length === 0) return rows;
+  fixTypos(rows, typoClusters = []) {
+    if (typoClusters.length === 0) return rows;
     
     let fixCount = 0;
     
-    // Create a map of fixes
+    // Create a map of fixes per column
     const fixMap = new Map();
-    for (const issue of typoIssues) {
-      const key = `${issue.row}:${issue.column}`;
-      if (!fixMap.has(key)) {
-        fixMap.set(key, issue.suggestion);
+    for (const cluster of typoClusters) {
+      if (!fixMap.has(cluster.column)) fixMap.set(cluster.column, new Map());
+      for (const variant of cluster.variants) {
+        fixMap.get(cluster.column).set(variant.value, cluster.canonical);
       }
     }
     
-    const cleaned = rows.map((row, idx) => {
-      const rowNum = idx + 2;
+    const cleaned = rows.map(row => {
       const newRow = { ...row };
       
-      for (const [key, suggestion] of fixMap) {
-        const [issueRow, column] = key.split(':');
-        if (parseInt(issueRow) === rowNum) {
+      for (const [column, fixes] of fixMap) {
+        const value = row[column];
+        if (value === null || value === undefined) continue;
+
+        const suggestion = fixes.get(String(value).trim());
+        if (suggestion !== undefined) {
           newRow[column] = suggestion;
           fixCount++;
         }
@@ -471,6 +696,110 @@ export class DataCleaner {
     return cleaned;
   }
 
+  /**
+   * 👯 Gabungkan baris yang kemungkinan duplikat menjadi satu golden record
+   * Survivor dipilih lewat aturan survivorship, sel kosongnya diisi dari anggota cluster lain
+   * @param {Object} options - duplicateColumns, duplicateThreshold, survivorship, survivorshipDateColumn
+   */
+  mergeDuplicates(rows, headers, columnAnalysis, options = this.options) {
+    const rule = options.survivorship ?? 'most_complete';
+    if (!SURVIVORSHIP_RULES.includes(rule)) {
+      throw new Error(`Aturan survivorship "${rule}" tidak dikenal (pilih: ${SURVIVORSHIP_RULES.join(', ')})`);
+    }
+
+    const dateColumn = rule === 'latest'
+      ? this.resolveDateColumn(headers, columnAnalysis, options.survivorshipDateColumn)
+      : null;
+
+    const matcher = new DuplicateMatcher({ threshold: options.duplicateThreshold });
+    const { clusters } = matcher.findClusters(rows, headers, columnAnalysis, {
+      columns: options.duplicateColumns
+    }, (i) => i);
+
+    if (clusters.length === 0) return rows;
+
+    const replaced = new Map();
+    const dropped = new Set();
+
+    for (const cluster of clusters) {
+      const ranked = this.rankSurvivors(cluster.rows.map(i => rows[i]), headers, rule, dateColumn);
+      const golden = { ...ranked[0] };
+
+      // Sel kosong survivor diisi dari anggota berikutnya sesuai urutan aturan
+      const filledFrom = {};
+      for (const header of headers) {
+        if (!isEmpty(golden[header])) continue;
+        const donor = ranked.find(row => !isEmpty(row[header]));
+        if (donor) {
+          golden[header] = donor[header];
+          filledFrom[header] = donor._rowIndex ?? null;
+        }
+      }
+
+      // Golden record menempati posisi anggota pertama di file
+      replaced.set(cluster.rows[0], golden);
+      cluster.rows.slice(1).forEach(i => dropped.add(i));
+
+      this.mergedClusters.push({
+        rows: cluster.rows.map(i => rows[i]._rowIndex ?? i + 2),
+        survivor: ranked[0]._rowIndex ?? null,
+        similarity: cluster.similarity,
+        filledFrom
+      });
+    }
+
+    const merged = rows
+      .map((row, i) => replaced.get(i) ?? row)
+      .filter((_, i) => !dropped.has(i));
+
+    const ruleLabel = rule === 'latest' && !dateColumn ? 'most_complete (kolom tanggal tidak ada)' : rule;
+    this.log(
+      'merge_duplicates',
+      `Menggabungkan ${dropped.size + clusters.length} baris mirip menjadi ${clusters.length} golden record (aturan: ${ruleLabel})`,
+      dropped.size
+    );
+
+    return merged;
+  }
+
+  /**
+   * Urutkan anggota cluster dari calon survivor terbaik
+   * most_complete: sel terisi terbanyak · latest: tanggal terbaru · first: urutan file
+   */
+  rankSurvivors(members, headers, rule, dateColumn = null) {
+    const filled = (row) => headers.filter(h => !isEmpty(row[h])).length;
+    const time = (row) => parseDate(row[dateColumn])?.getTime() ?? -Infinity;
+
+    const ranked = members.map((row, order) => ({ row, order }));
+    ranked.sort((a, b) => {
+      if (rule === 'latest' && dateColumn) {
+        const diff = time(b.row) - time(a.row);
+        if (diff !== 0 && !isNaN(diff)) return diff;
+      }
+      if (rule !== 'first') {
+        const diff = filled(b.row) - filled(a.row);
+        if (diff !== 0) return diff;
+      }
+      return a.order - b.order;
+    });
+
+    return ranked.map(entry => entry.row);
+  }
+
+  /**
+   * Kolom tanggal untuk aturan 'latest' (null jika file tidak punya kolom tanggal)
+   */
+  resolveDateColumn(headers, columnAnalysis, preferred = null) {
+    if (preferred) {
+      const header = headers.find(h => h.toLowerCase() === String(preferred).toLowerCase());
+      if (!header) {
+        throw new Error(`Kolom tanggal "${preferred}" tidak ditemukan`);
+      }
+      return header;
+    }
+    return headers.find(h => columnAnalysis[h]?.isDate) ?? null;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // SPECIALIZED CLEANING METHODS
   // ─────────────────────────────────────────────────────────────────────────────
@@ -528,8 +857,8 @@ export class DataCleaner {
       const valB = b[sortColumn];
       
       // Handle numeric
-      const numA = parseNumber(valA);
-      const numB = parseNumber(valB);
+      const numA = this.toNumber(valA, sortColumn);
+      const numB = this.toNumber(valB, sortColumn);
       
       if (numA !== null && numB !== null) {
         return ascending ? numA - numB : numB - numA;
@@ -566,6 +895,117 @@ export class DataCleaner {
     }));
   }
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // STREAMING CLEAN
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * 🌊 Bersihkan data besar chunk per chunk
+   * Operasi per baris dijalankan di tiap chunk, duplikat dilacak lintas chunk.
+   * Fix typo dilewati karena butuh seluruh data. Ringkasan: getStreamSummary()
+   * @param {AsyncIterable} chunks - Output dari fileParser.streamRows()
+   * @yields {Object} Chunk dengan rows yang sudah dibersihkan
+   */
+  async *cleanStream(chunks, customOptions = {}) {
+    const options = { ...this.options, ...customOptions };
+    const startTime = Date.now();
+    const seen = new Set();
+    const logTotals = new Map();
+    let columnAnalysis = null;
+    let originalCount = 0;
+    let finalCount = 0;
+
+    this.cleaningLog = [];
+    this.streamSummary = null;
+
+    for await (const chunk of chunks) {
+      let { headers } = chunk;
+      let cleanedRows = chunk.rows;
+      originalCount += cleanedRows.length;
+
+      // Tipe kolom & konvensi angka dideteksi dari chunk pertama
+      if (!columnAnalysis) {
+        this.analyzer.numberLocale = options.numberLocale ?? chunk.numberLocale ?? null;
+        this.analyzer.columnLocales = {};
+        columnAnalysis = this.analyzer.analyzeColumns(headers, cleanedRows);
+      }
+
+      if (options.removeEmptyRows) {
+        cleanedRows = this.removeEmptyRows(cleanedRows, headers);
+      }
+      if (options.removeDuplicates) {
+        cleanedRows = this.removeDuplicates(cleanedRows, headers, seen);
+      }
+      if (options.trimWhitespace) {
+        cleanedRows = this.trimWhitespace(cleanedRows, headers);
+      }
+      if (options.normalizeCase) {
+        cleanedRows = this.normalizeCase(cleanedRows, headers, columnAnalysis, options.caseType);
+      }
+      if (options.standardizeDates) {
+        cleanedRows = this.standardizeDates(cleanedRows, headers, columnAnalysis, options.dateFormat);
+      }
+      if (options.standardizePhones) {
+        cleanedRows = this.standardizePhones(cleanedRows, headers, columnAnalysis);
+      }
+      if (options.migrateNpwp) {
+        ({ rows: cleanedRows, headers } = this.migrateNPWP(cleanedRows, headers, columnAnalysis, options.addNitku));
+      }
+      if (options.splitAddress) {
+        ({ rows: cleanedRows, headers } = this.splitAddress(cleanedRows, headers, options.addressColumns));
+      }
+      if (options.fixCalculations) {
+        cleanedRows = this.fixCalculations(cleanedRows, headers, columnAnalysis);
+      }
+
+      // Gabungkan log per chunk menjadi satu entry per operasi
+      for (const entry of this.cleaningLog) {
+        const total = logTotals.get(entry.operation);
+        logTotals.set(entry.operation, {
+          ...entry,
+          affectedCount: (total?.affectedCount || 0) + entry.affectedCount
+        });
+      }
+      this.cleaningLog = [];
+
+      finalCount += cleanedRows.length;
+      yield { ...chunk, headers, rows: cleanedRows };
+    }
+
+    // Pesan log selalu diawali jumlah yang terdampak, ganti dengan total
+    this.cleaningLog = [...logTotals.values()].map(entry => ({
+      ...entry,
+      message: entry.message.replace(/\d+/, entry.affectedCount)
+    }));
+
+    this.streamSummary = {
+      summary: {
+        originalRows: originalCount,
+        cleanedRows: finalCount,
+        rowsRemoved: originalCount - finalCount,
+        cleaningTime: `${Date.now() - startTime}ms`,
+        operationsPerformed: this.cleaningLog.length,
+        mode: 'stream',
+        skippedOperations: [
+          ...(options.fixTypos ? ['fix_typos'] : []),
+          ...(options.mergeDuplicates ? ['merge_duplicates'] : [])
+        ]
+      },
+      log: this.cleaningLog,
+      metadata: {
+        cleanedAt: new Date().toISOString(),
+        options
+      }
+    };
+  }
+
+  /**
+   * Ringkasan hasil cleanStream() terakhir (null jika stream belum selesai)
+   */
+  getStreamSummary() {
+    return this.streamSummary;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // QUICK CLEAN PRESETS
   // ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,281 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// CLUSTERER.JS - 🧩 Value Clustering (typo & variasi penulisan kategori)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { stringSimilarity } from '../utils/helpers.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Ejaan lama / serapan → bentuk yang diucapkan sama (urutan penting)
+const PHONETIC_RULES = [
+  [/oe/g, 'u'], [/dj/g, 'j'], [/tj/g, 'c'], [/sj/g, 'sy'], [/nj/g, 'ny'],
+  [/ch/g, 'kh'], [/kh/g, 'k'], [/sy/g, 's'], [/ph/g, 'f'],
+  [/v/g, 'f'], [/q/g, 'k'], [/x/g, 'ks']
+];
+
+// Cara nilai masuk cluster (untuk pesan issue)
+export const MATCH_METHODS = {
+  FINGERPRINT: 'fingerprint', // Hanya beda huruf besar/kecil, tanda baca, spasi atau urutan kata
+  PHONETIC: 'phonetic', // Bunyi sama ("Bandoeng" / "Bandung")
+  NGRAM: 'ngram' // Ejaan mirip ("Jakrta" / "Jakarta")
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN CLUSTERER CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class ValueClusterer {
+  constructor(options = {}) {
+    this.options = {
+      similarityThreshold: options.similarityThreshold ?? 0.85, // Kemiripan ejaan minimal (n-gram)
+      phoneticThreshold: options.phoneticThreshold ?? 0.7, // Kemiripan minimal jika bunyinya sama
+      ngramSize: options.ngramSize ?? 3,
+      maxPostingSize: options.maxPostingSize ?? 200, // N-gram yang dimiliki lebih banyak nilai dianggap terlalu umum
+      rareGrams: options.rareGrams ?? 3, // Cadangan jika semua n-gram terlalu umum
+      maxNeighbours: options.maxNeighbours ?? 10, // Kandidat terdekat yang diverifikasi per nilai
+      maxBucketSize: options.maxBucketSize ?? 50, // Bucket fonetik lebih besar dari ini dilewati
+      minLength: options.minLength ?? 3 // Nilai lebih pendek (L/P, A/B) tidak dianggap typo
+    };
+  }
+
+  /**
+   * 🧩 MAIN METHOD
+   * Kelompokkan variasi penulisan satu kolom + nilai kanonik yang disarankan
+   * @param {Map<string, number>} counts - Nilai unik → jumlah kemunculan
+   * @returns {Array<{ canonical, count, total, variants: [{ value, count, similarity, method }] }>}
+   */
+  cluster(counts) {
+    // 1️⃣ Nilai dengan fingerprint sama digabung jadi satu node
+    const nodes = new Map();
+    for (const [value, count] of counts) {
+      const clean = this.clean(value);
+      if (clean.replace(/ /g, '').length < this.options.minLength) continue;
+
+      const key = this.fingerprint(value);
+      if (!nodes.has(key)) {
+        nodes.set(key, { key, clean, phonetic: this.phoneticKey(value), digits: this.digits(value), values: [] });
+      }
+      nodes.get(key).values.push({ value, count });
+    }
+
+    const nodeList = [...nodes.values()];
+    const parent = nodeList.map((_, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    const union = (a, b) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+    };
+
+    // 2️⃣ Blocking fonetik: node dengan kunci bunyi sama
+    const buckets = new Map();
+    nodeList.forEach((node, i) => {
+      if (!buckets.has(node.phonetic)) buckets.set(node.phonetic, []);
+      buckets.get(node.phonetic).push(i);
+    });
+    for (const members of buckets.values()) {
+      if (members.length < 2 || members.length > this.options.maxBucketSize) continue;
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          if (this.matchNodes(nodeList[members[i]], nodeList[members[j]])) union(members[i], members[j]);
+        }
+      }
+    }
+
+    // 3️⃣ Nearest-neighbour lewat indeks n-gram
+    const index = this.buildIndex(nodeList);
+    nodeList.forEach((node, i) => {
+      for (const j of this.nearestNeighbours(i, index)) {
+        if (find(i) !== find(j) && this.matchNodes(node, nodeList[j])) union(i, j);
+      }
+    });
+
+    // 4️⃣ Susun cluster, nilai kanonik = paling sering muncul
+    const groups = new Map();
+    nodeList.forEach((node, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(node);
+    });
+
+    const clusters = [];
+    for (const group of groups.values()) {
+      const values = group.flatMap(node => node.values.map(v => ({ ...v, node })));
+      if (values.length < 2) continue;
+
+      values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+      const [canonical, ...others] = values;
+
+      // Cek ulang terhadap kanonik agar rantai A≈B≈C tidak menyeret nilai yang jauh
+      const variants = others
+        .map(v => ({ value: v.value, count: v.count, ...this.matchAgainst(v.node, canonical.node) }))
+        .filter(v => v.method !== null);
+
+      if (variants.length === 0) continue;
+
+      clusters.push({
+        canonical: canonical.value,
+        count: canonical.count,
+        total: canonical.count + variants.reduce((sum, v) => sum + v.count, 0),
+        variants
+      });
+    }
+
+    return clusters.sort((a, b) => b.total - a.total);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // KEYS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Huruf kecil tanpa aksen & tanda baca, spasi dirapikan
+   */
+  clean(value) {
+    return String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Fingerprint: kata unik diurutkan ("Maju Jaya," = "jaya MAJU" → "jaya maju")
+   */
+  fingerprint(value) {
+    return [...new Set(this.clean(value).split(' '))].sort().join(' ');
+  }
+
+  /**
+   * 🔊 Kunci fonetik ala Indonesia: ejaan lama (oe, dj, tj), serapan (kh, sy, ph, v),
+   * h di tengah/akhir kata & vokal setelah huruf pertama diabaikan, huruf ganda dirapatkan
+   * "Bandoeng" / "Bandung" → "bndng", "Muhammad" / "Mohamad" → "md"
+   */
+  phoneticKey(value) {
+    return this.fingerprint(value)
+      .split(' ')
+      .map(token => {
+        let key = token;
+        for (const [pattern, replacement] of PHONETIC_RULES) {
+          key = key.replace(pattern, replacement);
+        }
+        key = key[0] + key.slice(1).replace(/[aiueoh]/g, '');
+        return key.replace(/(.)\1+/g, '$1');
+      })
+      .join(' ');
+  }
+
+  /**
+   * Angka dalam nilai ("Kelas 1" vs "Kelas 2" bukan typo)
+   */
+  digits(value) {
+    return String(value).replace(/\D/g, '');
+  }
+
+  /**
+   * N-gram karakter dengan padding spasi
+   */
+  ngrams(text, n = this.options.ngramSize) {
+    const padded = ` ${text} `;
+    const grams = new Set();
+    for (let i = 0; i <= padded.length - n; i++) {
+      grams.add(padded.slice(i, i + n));
+    }
+    return [...grams];
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // NEAREST-NEIGHBOUR INDEX
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Inverted index n-gram → node
+   */
+  buildIndex(nodeList) {
+    const postings = new Map();
+    const grams = nodeList.map((node, i) => {
+      const nodeGrams = this.ngrams(node.clean);
+      for (const gram of nodeGrams) {
+        if (!postings.has(gram)) postings.set(gram, []);
+        postings.get(gram).push(i);
+      }
+      return nodeGrams;
+    });
+    return { postings, grams };
+  }
+
+  /**
+   * Tetangga terdekat satu node: kandidat dari n-gram yang tidak terlalu umum,
+   * diurutkan jumlah n-gram yang sama, ambil maxNeighbours teratas
+   */
+  nearestNeighbours(i, { postings, grams }) {
+    let rare = grams[i].filter(gram => postings.get(gram).length <= this.options.maxPostingSize);
+    if (rare.length === 0) {
+      rare = [...grams[i]]
+        .sort((a, b) => postings.get(a).length - postings.get(b).length)
+        .slice(0, this.options.rareGrams);
+    }
+
+    const shared = new Map();
+    for (const gram of rare) {
+      for (const j of postings.get(gram)) {
+        if (j !== i) shared.set(j, (shared.get(j) || 0) + 1);
+      }
+    }
+
+    return [...shared.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.options.maxNeighbours)
+      .map(([j]) => j);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // MATCHING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  matchNodes(a, b) {
+    return this.matchAgainst(a, b).method !== null;
+  }
+
+  /**
+   * Apakah node a varian dari node b?
+   * @returns {{ similarity: number, method: string|null }}
+   */
+  matchAgainst(a, b) {
+    if (a.key === b.key) return { similarity: 1, method: MATCH_METHODS.FINGERPRINT };
+    if (a.digits !== b.digits) return { similarity: 0, method: null };
+
+    // Filter panjang: selisih panjang saja sudah melebihi batas kemiripan
+    const minLength = Math.min(a.clean.length, b.clean.length);
+    const maxLength = Math.max(a.clean.length, b.clean.length);
+    const floor = Math.min(this.options.similarityThreshold, this.options.phoneticThreshold);
+    if (minLength / maxLength < floor) return { similarity: 0, method: null };
+
+    const similarity = Math.round(stringSimilarity(a.clean, b.clean) * 1000) / 1000;
+
+    if (similarity >= this.options.similarityThreshold) return { similarity, method: MATCH_METHODS.NGRAM };
+    if (a.phonetic === b.phonetic && similarity >= this.options.phoneticThreshold) {
+      return { similarity, method: MATCH_METHODS.PHONETIC };
+    }
+    return { similarity, method: null };
+  }
+}
+
+// Create singleton
+export const valueClusterer = new ValueClusterer();
+
+export default {
+  ValueClusterer,
+  valueClusterer,
+  MATCH_METHODS
+};
@@ -0,0 +1,266 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// COMPARER.JS - 🔀 Keyed Row Comparison (versi lama vs versi baru)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { PATTERNS } from '../utils/constants.js';
+import { isEmpty, parseDate } from '../utils/helpers.js';
+import { DataAnalyzer } from './analyzer.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Pemisah nilai kunci gabungan (tidak mungkin muncul di sel biasa)
+const KEY_SEPARATOR = '␟';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN COMPARER CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class DataComparer {
+  constructor(options = {}) {
+    this.options = {
+      caseSensitive: options.caseSensitive ?? true,
+      numericTolerance: options.numericTolerance ?? 0, // Selisih angka yang masih dianggap sama
+      maxDuplicateSamples: options.maxDuplicateSamples ?? 20,
+      analyzerOptions: options.analyzerOptions ?? {}
+    };
+  }
+
+  /**
+   * 🔀 MAIN METHOD
+   * Bandingkan baris dua file berdasarkan kolom kunci
+   * @param {string|string[]|null} keyColumn - Kolom kunci ("NIK" / "Kode,Cabang"); null = deteksi otomatis
+   */
+  async compare(baseData, currentData, { keyColumn = null, baseSheet = null, currentSheet = null } = {}) {
+    const startTime = Date.now();
+
+    const base = await this.prepareSide(baseData, baseSheet);
+    const current = await this.prepareSide(currentData, currentSheet);
+
+    const keyColumns = keyColumn
+      ? this.resolveKeyColumns(keyColumn, base.sheet.headers, current.sheet.headers)
+      : this.detectKeyColumns(base.columnAnalysis, current.columnAnalysis);
+
+    const baseIndex = this.indexRows(base.sheet.rows, keyColumns);
+    const currentIndex = this.indexRows(current.sheet.rows, keyColumns);
+
+    const compared = base.sheet.headers.filter(h => current.sheet.headers.includes(h) && !keyColumns.includes(h));
+    const columns = {
+      compared,
+      added: current.sheet.headers.filter(h => !base.sheet.headers.includes(h)),
+      removed: base.sheet.headers.filter(h => !current.sheet.headers.includes(h))
+    };
+
+    const added = [];
+    const removed = [];
+    const modified = [];
+    let unchanged = 0;
+
+    for (const [key, entry] of currentIndex.rows) {
+      const baseEntry = baseIndex.rows.get(key);
+      if (!baseEntry) {
+        added.push({ key: entry.key, row: entry.rowNumber, values: this.rowValues(entry.row, current.sheet.headers) });
+        continue;
+      }
+
+      const changes = compared
+        .filter(header => !this.valuesEqual(baseEntry.row[header], entry.row[header], header, base, current))
+        .map(header => ({ column: header, before: baseEntry.row[header] ?? null, after: entry.row[header] ?? null }));
+
+      if (changes.length > 0) {
+        modified.push({ key: entry.key, baseRow: baseEntry.rowNumber, row: entry.rowNumber, changes });
+      } else {
+        unchanged++;
+      }
+    }
+
+    for (const [key, entry] of baseIndex.rows) {
+      if (currentIndex.rows.has(key)) continue;
+      removed.push({ key: entry.key, row: entry.rowNumber, values: this.rowValues(entry.row, base.sheet.headers) });
+    }
+
+    const changedCells = modified.reduce((sum, m) => sum + m.changes.length, 0);
+
+    return {
+      summary: {
+        baseFile: baseData.metadata?.filename ?? null,
+        currentFile: currentData.metadata?.filename ?? null,
+        baseSheet: base.sheet.name,
+        currentSheet: current.sheet.name,
+        keyColumns,
+        keyDetected: !keyColumn,
+        baseRows: base.sheet.rows.length,
+        currentRows: current.sheet.rows.length,
+        added: added.length,
+        removed: removed.length,
+        modified: modified.length,
+        unchanged,
+        changedCells,
+        duplicateKeys: { base: baseIndex.duplicates.count, current: currentIndex.duplicates.count },
+        emptyKeys: { base: baseIndex.emptyKeys, current: currentIndex.emptyKeys },
+        hasChanges: added.length + removed.length + modified.length > 0,
+        comparisonTime: `${Date.now() - startTime}ms`
+      },
+      columns,
+      added,
+      removed,
+      modified,
+      duplicates: {
+        base: baseIndex.duplicates.samples,
+        current: currentIndex.duplicates.samples
+      }
+    };
+  }
+
+  /**
+   * Ambil sheet + analisis kolom (tipe & konvensi angka) satu file
+   */
+  async prepareSide(parsedData, sheetName) {
+    const name = sheetName || parsedData.activeSheet;
+    const sheet = parsedData.sheets[name];
+    if (!sheet) {
+      throw new Error(`Sheet "${name}" tidak ditemukan`);
+    }
+
+    const analyzer = new DataAnalyzer({ ...this.options.analyzerOptions, deepAnalysis: false });
+    const analysis = await analyzer.analyze(parsedData, name);
+
+    return { sheet, analyzer, columnAnalysis: analysis.columnAnalysis };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // KEY COLUMNS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Validasi kolom kunci pilihan user (dipisah koma untuk kunci gabungan)
+   */
+  resolveKeyColumns(keyColumn, baseHeaders, currentHeaders) {
+    const requested = (Array.isArray(keyColumn) ? keyColumn : String(keyColumn).split(','))
+      .map(k => String(k).trim())
+      .filter(Boolean);
+
+    return requested.map(name => {
+      const match = (headers) => headers.find(h => h === name) ?? headers.find(h => h.toLowerCase() === name.toLowerCase());
+      const inBase = match(baseHeaders);
+      const inCurrent = match(currentHeaders);
+
+      if (!inBase || !inCurrent || inBase !== inCurrent) {
+        const where = !inBase && !inCurrent ? 'kedua file' : !inBase ? 'file lama' : 'file baru';
+        throw new Error(`Kolom kunci "${name}" tidak ditemukan di ${where}`);
+      }
+      return inBase;
+    });
+  }
+
+  /**
+   * 🔑 Deteksi kolom kunci: kolom identitas (NIK, NPWP, email...) yang unik di kedua file,
+   * lalu kolom bernama ID/Kode/No yang unik
+   */
+  detectKeyColumns(baseColumns, currentColumns) {
+    const candidates = Object.values(currentColumns)
+      .filter(col => baseColumns[col.header] && this.isUniqueKey(col) && this.isUniqueKey(baseColumns[col.header]));
+
+    const key = candidates.find(col => col.isIdentifier && baseColumns[col.header].isIdentifier)
+      ?? candidates.find(col => PATTERNS.KEY_HEADER.test(String(col.header).trim()) && !col.isDate);
+
+    if (!key) {
+      throw new Error('Kolom kunci tidak bisa dideteksi otomatis. Tentukan kolom kunci (mis. NIK atau Kode) secara manual');
+    }
+    return [key.header];
+  }
+
+  /**
+   * Kolom terisi penuh & tidak ada nilai kembar
+   */
+  isUniqueKey(col) {
+    return col.totalValues > 0 && col.fillRate === 100 && col.uniqueCount === col.totalValues;
+  }
+
+  /**
+   * Kelompokkan baris berdasarkan nilai kunci (kunci kembar: baris pertama yang dipakai)
+   */
+  indexRows(rows, keyColumns) {
+    const index = new Map();
+    const duplicates = { count: 0, samples: [] };
+    let emptyKeys = 0;
+
+    rows.forEach((row, idx) => {
+      const parts = keyColumns.map(col => this.keyPart(row[col]));
+      if (parts.some(part => part === '')) {
+        emptyKeys++;
+        return;
+      }
+
+      const key = parts.join(KEY_SEPARATOR);
+      const rowNumber = row._rowIndex ?? idx + 2;
+
+      if (index.has(key)) {
+        duplicates.count++;
+        if (duplicates.samples.length < this.options.maxDuplicateSamples) {
+          duplicates.samples.push({ key: parts.join(' | '), row: rowNumber, firstRow: index.get(key).rowNumber });
+        }
+        return;
+      }
+      index.set(key, { key: parts.join(' | '), row, rowNumber });
+    });
+
+    return { rows: index, duplicates, emptyKeys };
+  }
+
+  keyPart(value) {
+    if (isEmpty(value)) return '';
+    if (value instanceof Date) return value.toISOString();
+    const text = String(value).trim();
+    return this.options.caseSensitive ? text : text.toLowerCase();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CELL COMPARISON
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Bandingkan satu sel sesuai tipe kolom di masing-masing file
+   * ("1.500.000" di file lama = 1500000 di file baru)
+   */
+  valuesEqual(before, after, header, base, current) {
+    const blankBefore = isEmpty(before);
+    const blankAfter = isEmpty(after);
+    if (blankBefore || blankAfter) return blankBefore === blankAfter;
+
+    const baseCol = base.columnAnalysis[header];
+    const currentCol = current.columnAnalysis[header];
+
+    if (baseCol?.isNumeric && currentCol?.isNumeric) {
+      const a = base.analyzer.toNumber(before, header);
+      const b = current.analyzer.toNumber(after, header);
+      if (a !== null && b !== null && !isNaN(a) && !isNaN(b)) {
+        return Math.abs(a - b) <= this.options.numericTolerance;
+      }
+    }
+
+    if (baseCol?.isDate && currentCol?.isDate) {
+      const a = parseDate(before);
+      const b = parseDate(after);
+      if (a && b) return a.getTime() === b.getTime();
+    }
+
+    const a = String(before).trim();
+    const b = String(after).trim();
+    return this.options.caseSensitive ? a === b : a.toLowerCase() === b.toLowerCase();
+  }
+
+  rowValues(row, headers) {
+    return Object.fromEntries(headers.map(h => [h, row[h] ?? null]));
+  }
+}
+
+// Create singleton
+export const dataComparer = new DataComparer();
+
+export default {
+  DataComparer,
+  dataComparer
+};
@@ -4,15 +4,24 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 import * as XLSX from 'xlsx';
+import ExcelJS from 'exceljs';
+import { once } from 'events';
 import { EXPORT_FORMATS } from '../utils/constants.js';
+import { formatCellText, toSheetJSWorksheet } from '../utils/fileParser.js';
 import { 
   isEmpty, 
   formatRupiah, 
   formatDate, 
   parseNumber,
-  parseDate 
+  parseNumberDetailed,
+  detectNumberLocale,
+  parseDate,
+  serializeDate
 } from '../utils/helpers.js';
 
+// Format yang bisa ditulis chunk per chunk (tanpa memuat semua baris)
+const STREAM_FORMATS = ['csv', 'json', 'sql', 'xml', 'xlsx', 'txt'];
+
 // ─────────────────────────────────────────────────────────────────────────────
 // MAIN CONVERTER CLASS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -31,6 +40,10 @@ export class DataConverter {
       xmlRowName: options.xmlRowName || 'row',
       ...options
     };
+
+    // Konvensi angka file sumber (1.234,56 vs 1,234.56), diisi saat convert
+    this.numberLocale = null;
+    this.columnLocales = {};
   }
 
   /**
@@ -44,6 +57,9 @@ export class DataConverter {
       throw new Error('Sheet tidak ditemukan');
     }
 
+    this.numberLocale = this.options.numberLocale ?? sheet.numberLocale ?? null;
+    this.columnLocales = this.detectColumnLocales(sheet.headers, sheet.rows);
+
     switch (format) {
       case 'csv':
         return this.toCSV(sheet);
@@ -68,6 +84,25 @@ export class DataConverter {
     }
   }
 
+  /**
+   * Deteksi konvensi angka per kolom (kolom tanpa nilai yang tegas tidak dicatat)
+   */
+  detectColumnLocales(headers, rows) {
+    const locales = {};
+    for (const header of headers) {
+      const locale = detectNumberLocale(rows.map(row => row[header]));
+      if (locale) locales[header] = locale;
+    }
+    return locales;
+  }
+
+  /**
+   * Locale angka kolom: opsi columnLocales → deteksi kolom → locale file
+   */
+  localeFor(header) {
+    return this.options.columnLocales?.[header] ?? this.columnLocales[header] ?? this.numberLocale;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // CSV CONVERSION
   // ─────────────────────────────────────────────────────────────────────────────
@@ -79,24 +114,14 @@ export class DataConverter {
     const delimiter = this.options.csvDelimiter;
     const lines = [];
     
-    // Escape CSV value
-    const escapeCSV = (val) => {
-      if (isEmpty(val)) return '';
-      const str = String(val);
-      if (str.includes(delimiter) || str.includes('"') || str.includes('\n') || str.includes('\r')) {
-        return `"${str.replace(/"/g, '""')}"`;
-      }
-      return str;
-    };
-    
     // Add headers
     if (this.options.includeHeaders) {
-      lines.push(sheet.headers.map(escapeCSV).join(delimiter));
+      lines.push(sheet.headers.map(h => this.escapeCSV(h, delimiter)).join(delimiter));
     }
     
     // Add rows
     for (const row of sheet.rows) {
-      const values = sheet.headers.map(h => escapeCSV(row[h]));
+      const values = sheet.headers.map(h => this.escapeCSV(row[h], delimiter));
       lines.push(values.join(delimiter));
     }
     
@@ -110,6 +135,36 @@ export class DataConverter {
     };
   }
 
+  /**
+   * Escape CSV value
+   */
+  escapeCSV(val, delimiter = this.options.csvDelimiter) {
+    if (isEmpty(val)) return '';
+    const str = String(this.plainValue(val));
+    if (str.includes(delimiter) || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  }
+
+  /**
+   * Nilai untuk format teks: Date jadi "yyyy-MM-dd", angka tetap mentah
+   */
+  plainValue(value) {
+    return value instanceof Date ? serializeDate(value) : value;
+  }
+
+  /**
+   * Baris tanpa properti internal, siap di-serialize
+   */
+  plainRow(row) {
+    const { _rowIndex, ...rest } = row;
+    for (const key of Object.keys(rest)) {
+      rest[key] = this.plainValue(rest[key]);
+    }
+    return rest;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // JSON CONVERSION
   // ─────────────────────────────────────────────────────────────────────────────
@@ -119,10 +174,7 @@ export class DataConverter {
    */
   toJSON(sheet) {
     // Remove internal properties
-    const cleanRows = sheet.rows.map(row => {
-      const { _rowIndex, ...rest } = row;
-      return rest;
-    });
+    const cleanRows = sheet.rows.map(row => this.plainRow(row));
     
     const content = this.options.prettyPrint
       ? JSON.stringify(cleanRows, null, 2)
@@ -140,10 +192,7 @@ export class DataConverter {
    * Convert to JSON with metadata
    */
   toJSONWithMeta(sheet, metadata = {}) {
-    const cleanRows = sheet.rows.map(row => {
-      const { _rowIndex, ...rest } = row;
-      return rest;
-    });
+    const cleanRows = sheet.rows.map(row => this.plainRow(row));
     
     const output = {
       metadata: {
@@ -277,17 +326,18 @@ export class DataConverter {
       <tbody>`;
 
     // Rows
+    const numFmts = this.nativeFormats(sheet);
     for (const row of sheet.rows) {
       html += `\n        <tr>`;
       for (const header of sheet.headers) {
         const value = row[header];
         let cellClass = '';
-        let displayValue = escapeHTML(value);
+        let displayValue = escapeHTML(formatCellText(value, numFmts[header]));
         
         if (isEmpty(value)) {
           cellClass = 'empty';
           displayValue = '-';
-        } else if (!isNaN(parseNumber(value))) {
+        } else if (parseNumber(value, this.localeFor(header)) !== null) {
           cellClass = 'number';
         }
         
@@ -314,6 +364,14 @@ export class DataConverter {
     };
   }
 
+  /**
+   * Format angka asli per kolom (dari file Excel)
+   */
+  nativeFormats(sheet) {
+    const columns = sheet.cellModel?.columns || {};
+    return Object.fromEntries(sheet.headers.map(h => [h, columns[h]?.numFmt || null]));
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // MARKDOWN CONVERSION
   // ─────────────────────────────────────────────────────────────────────────────
@@ -329,11 +387,15 @@ export class DataConverter {
     lines.push(`> Generated: ${new Date().toLocaleString('id-ID')}`);
     lines.push(`> Total: ${sheet.rows.length} rows\n`);
     
+    // Tampilkan sesuai format angka asli (Rp, %, tanggal)
+    const numFmts = this.nativeFormats(sheet);
+    const display = (row, h) => formatCellText(row[h], numFmts[h]);
+    
     // Calculate column widths for alignment
     const colWidths = sheet.headers.map((h, i) => {
       let maxWidth = h.length;
       for (const row of sheet.rows.slice(0, 50)) {
-        const val = String(row[h] || '');
+        const val = display(row, h);
         if (val.length > maxWidth) maxWidth = val.length;
       }
       return Math.min(maxWidth, 30);
@@ -354,7 +416,7 @@ export class DataConverter {
     // Data rows
     for (const row of sheet.rows) {
       const values = sheet.headers.map((h, i) => {
-        let val = String(row[h] ?? '');
+        let val = display(row, h);
         if (val.length > colWidths[i]) {
           val = val.substring(0, colWidths[i] - 3) + '...';
         }
@@ -384,6 +446,23 @@ export class DataConverter {
   toSQL(sheet) {
     const tableName = this.sanitizeTableName(this.options.sqlTableName);
     const dialect = this.options.sqlDialect;
+    const lines = this.generateSQLPreamble(sheet, tableName, dialect, sheet.rows.length);
+    
+    lines.push(...this.generateInserts(sheet.headers, sheet.rows, tableName, dialect));
+    
+    return {
+      content: lines.join('\n'),
+      mimeType: EXPORT_FORMATS.SQL.mime,
+      extension: '.sql',
+      encoding: this.options.encoding
+    };
+  }
+
+  /**
+   * Header comment + CREATE TABLE
+   * @param {number|null} totalRows - null jika belum diketahui (streaming)
+   */
+  generateSQLPreamble(sheet, tableName, dialect, totalRows = null) {
     const lines = [];
     
     // Header comment
@@ -391,7 +470,9 @@ export class DataConverter {
     lines.push('-- SQL Export - Generated by Excel Intelligence Bot');
     lines.push(`-- Date: ${new Date().toISOString()}`);
     lines.push(`-- Dialect: ${dialect.toUpperCase()}`);
-    lines.push(`-- Total Rows: ${sheet.rows.length}`);
+    if (totalRows !== null) {
+      lines.push(`-- Total Rows: ${totalRows}`);
+    }
     lines.push('-- ═══════════════════════════════════════════════════════════════\n');
     
     // CREATE TABLE statement
@@ -402,19 +483,27 @@ export class DataConverter {
     lines.push(`-- INSERT DATA`);
     lines.push(`-- ───────────────────────────────────────────────────────────────\n`);
     
-    const columns = sheet.headers.map(h => this.sanitizeColumnName(h));
+    return lines;
+  }
+
+  /**
+   * Generate INSERT statements (batch per 100 baris)
+   */
+  generateInserts(headers, rows, tableName, dialect) {
+    const lines = [];
+    const columns = headers.map(h => this.sanitizeColumnName(h));
     const columnList = columns.join(', ');
     
     // Batch insert for better performance
     const batchSize = 100;
-    for (let i = 0; i < sheet.rows.length; i += batchSize) {
-      const batch = sheet.rows.slice(i, i + batchSize);
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
       
       if (dialect === 'mysql' || dialect === 'postgresql') {
         // Multi-row INSERT
         lines.push(`INSERT INTO ${tableName} (${columnList}) VALUES`);
         const values = batch.map((row, idx) => {
-          const rowValues = sheet.headers.map(h => this.formatSQLValue(row[h], dialect));
+          const rowValues = headers.map(h => this.formatSQLValue(row[h], dialect, this.localeFor(h)));
           const isLast = idx === batch.length - 1;
           return `  (${rowValues.join(', ')})${isLast ? ';' : ','}`;
         });
@@ -423,18 +512,13 @@ export class DataConverter {
       } else {
         // SQLite - individual INSERTs
         for (const row of batch) {
-          const rowValues = sheet.headers.map(h => this.formatSQLValue(row[h], dialect));
+          const rowValues = headers.map(h => this.formatSQLValue(row[h], dialect, this.localeFor(h)));
           lines.push(`INSERT INTO ${tableName} (${columnList}) VALUES (${rowValues.join(', ')});`);
         }
       }
     }
     
-    return {
-      content: lines.join('\n'),
-      mimeType: EXPORT_FORMATS.SQL.mime,
-      extension: '.sql',
-      encoding: this.options.encoding
-    };
+    return lines;
   }
 
   /**
@@ -476,10 +560,10 @@ export class DataConverter {
       const strVal = String(val);
       maxLength = Math.max(maxLength, strVal.length);
       
-      const numVal = parseNumber(val);
-      if (numVal !== null) {
+      const number = parseNumberDetailed(val, this.localeFor(header));
+      if (number.exact && number.value !== null) {
         hasNumber = true;
-        if (!Number.isInteger(numVal)) hasFloat = true;
+        if (!Number.isInteger(number.value)) hasFloat = true;
       }
       
       if (parseDate(val)) hasDate = true;
@@ -505,12 +589,16 @@ export class DataConverter {
   /**
    * Format value for SQL
    */
-  formatSQLValue(value, dialect) {
+  formatSQLValue(value, dialect, locale = this.numberLocale) {
     if (isEmpty(value)) return 'NULL';
-    
-    const numVal = parseNumber(value);
-    if (numVal !== null && String(value).match(/^[\d.,\-+\s]+$/)) {
-      return numVal;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (value instanceof Date) return `'${serializeDate(value)}'`;
+    
+    // Angka utuh termasuk "Rp 1.250.000,-" & "(150.000)"; teks campuran tetap string
+    const number = parseNumberDetailed(value, locale);
+    if (number.exact && number.value !== null) {
+      return number.value;
     }
     
     // Escape string
@@ -553,40 +641,13 @@ export class DataConverter {
    */
   toXML(sheet) {
     const rootName = this.options.xmlRootName;
-    const rowName = this.options.xmlRowName;
-    
-    const escapeXML = (str) => {
-      if (isEmpty(str)) return '';
-      return String(str)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&apos;');
-    };
-    
-    const sanitizeTag = (name) => {
-      return name
-        .replace(/[^a-zA-Z0-9_]/g, '_')
-        .replace(/^(\d)/, '_$1')
-        .substring(0, 64) || 'field';
-    };
     
     let xml = `<?xml version="1.0" encoding="${this.options.encoding}"?>\n`;
     xml += `<!-- Generated by Excel Intelligence Bot - ${new Date().toISOString()} -->\n`;
     xml += `<${rootName} totalRows="${sheet.rows.length}" generatedAt="${new Date().toISOString()}">\n`;
     
     for (let i = 0; i < sheet.rows.length; i++) {
-      const row = sheet.rows[i];
-      xml += `  <${rowName} index="${i + 1}">\n`;
-      
-      for (const header of sheet.headers) {
-        const tag = sanitizeTag(header);
-        const value = escapeXML(row[header]);
-        xml += `    <${tag}>${value}</${tag}>\n`;
-      }
-      
-      xml += `  </${rowName}>\n`;
+      xml += this.toXMLRow(sheet.rows[i], sheet.headers, i + 1);
     }
     
     xml += `</${rootName}>`;
@@ -599,6 +660,39 @@ export class DataConverter {
     };
   }
 
+  /**
+   * Render satu baris sebagai elemen XML
+   */
+  toXMLRow(row, headers, index) {
+    const rowName = this.options.xmlRowName;
+    let xml = `  <${rowName} index="${index}">\n`;
+    
+    for (const header of headers) {
+      const tag = this.sanitizeXMLTag(header);
+      const value = this.escapeXML(row[header]);
+      xml += `    <${tag}>${value}</${tag}>\n`;
+    }
+    
+    return xml + `  </${rowName}>\n`;
+  }
+
+  escapeXML(str) {
+    if (isEmpty(str)) return '';
+    return String(this.plainValue(str))
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  sanitizeXMLTag(name) {
+    return name
+      .replace(/[^a-zA-Z0-9_]/g, '_')
+      .replace(/^(\d)/, '_$1')
+      .substring(0, 64) || 'field';
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // EXCEL CONVERSION (re-export)
   // ─────────────────────────────────────────────────────────────────────────────
@@ -617,14 +711,8 @@ export class DataConverter {
       const sheet = parsedData.sheets[sName];
       if (!sheet) continue;
       
-      const data = [
-        sheet.headers,
-        ...sheet.rows.map(row => 
-          sheet.headers.map(h => row[h] ?? '')
-        )
-      ];
-      
-      const worksheet = XLSX.utils.aoa_to_sheet(data);
+      // Nilai bertipe, format angka & formula asli tetap terjaga
+      const worksheet = toSheetJSWorksheet(sheet);
       
       // Auto column width
       const colWidths = sheet.headers.map((h, i) => {
@@ -665,7 +753,7 @@ export class DataConverter {
     
     // Data
     for (const row of sheet.rows) {
-      const values = sheet.headers.map(h => String(row[h] ?? ''));
+      const values = sheet.headers.map(h => String(this.plainValue(row[h] ?? '')));
       lines.push(values.join('\t'));
     }
     
@@ -677,6 +765,159 @@ export class DataConverter {
     };
   }
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // STREAMING CONVERSION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * 🌊 Konversi data besar chunk per chunk langsung ke writable stream
+   * @param {AsyncIterable} chunks - Output fileParser.streamRows() / cleaner.cleanStream()
+   * @param {string} targetFormat - csv, json, sql, xml, xlsx, txt
+   * @param {Writable} output - File stream atau HTTP response (akan di-end)
+   */
+  async convertStream(chunks, targetFormat, output) {
+    const outputInfo = DataConverter.getStreamOutput(targetFormat);
+
+    if (!outputInfo) {
+      throw new Error(`Format "${targetFormat}" tidak mendukung streaming. Format tersedia: ${STREAM_FORMATS.join(', ')}`);
+    }
+
+    const { format } = outputInfo;
+    if (format === 'xlsx') {
+      return { ...outputInfo, ...(await this.toExcelStream(chunks, output)) };
+    }
+
+    const write = async (text) => {
+      if (text && !output.write(text)) {
+        await once(output, 'drain');
+      }
+    };
+
+    const tableName = this.sanitizeTableName(this.options.sqlTableName);
+    const dialect = this.options.sqlDialect;
+    const delimiter = this.options.csvDelimiter;
+    let rowsWritten = 0;
+    let started = false;
+
+    for await (const { headers, rows, numberLocale } of chunks) {
+      if (!started) {
+        started = true;
+        this.numberLocale = this.options.numberLocale ?? numberLocale ?? null;
+        this.columnLocales = this.detectColumnLocales(headers, rows);
+        switch (format) {
+          case 'csv':
+            if (this.options.includeHeaders) {
+              await write(headers.map(h => this.escapeCSV(h, delimiter)).join(delimiter) + '\n');
+            }
+            break;
+          case 'txt':
+            await write(headers.join('\t') + '\n');
+            break;
+          case 'json':
+            await write('[');
+            break;
+          case 'xml':
+            await write(
+              `<?xml version="1.0" encoding="${this.options.encoding}"?>\n` +
+              `<!-- Generated by Excel Intelligence Bot - ${new Date().toISOString()} -->\n` +
+              `<${this.options.xmlRootName} generatedAt="${new Date().toISOString()}">\n`
+            );
+            break;
+          case 'sql':
+            // Tipe kolom di-infer dari chunk pertama
+            await write(this.generateSQLPreamble({ headers, rows }, tableName, dialect).join('\n') + '\n');
+            break;
+        }
+      }
+
+      let text = '';
+      switch (format) {
+        case 'csv':
+          text = rows.map(row => headers.map(h => this.escapeCSV(row[h], delimiter)).join(delimiter) + '\n').join('');
+          break;
+        case 'txt':
+          text = rows.map(row => headers.map(h => String(this.plainValue(row[h] ?? ''))).join('\t') + '\n').join('');
+          break;
+        case 'json':
+          text = rows.map((row, idx) => {
+            const { _rowIndex, ...rest } = row;
+            const separator = rowsWritten + idx > 0 ? ',' : '';
+            return this.options.prettyPrint
+              ? `${separator}\n  ${JSON.stringify(rest, null, 2).replace(/\n/g, '\n  ')}`
+              : `${separator}${JSON.stringify(rest)}`;
+          }).join('');
+          break;
+        case 'xml':
+          text = rows.map((row, idx) => this.toXMLRow(row, headers, rowsWritten + idx + 1)).join('');
+          break;
+        case 'sql':
+          text = this.generateInserts(headers, rows, tableName, dialect).join('\n') + '\n';
+          break;
+      }
+
+      await write(text);
+      rowsWritten += rows.length;
+    }
+
+    switch (format) {
+      case 'json':
+        await write(this.options.prettyPrint ? '\n]' : ']');
+        break;
+      case 'xml':
+        await write(`</${this.options.xmlRootName}>`);
+        break;
+    }
+
+    await new Promise((resolve, reject) => {
+      output.once('error', reject);
+      output.end(resolve);
+    });
+
+    return {
+      ...outputInfo,
+      encoding: this.options.encoding,
+      rowsWritten
+    };
+  }
+
+  /**
+   * Tulis XLSX memakai ExcelJS WorkbookWriter (baris di-commit per chunk)
+   */
+  async toExcelStream(chunks, output) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: output,
+      useStyles: false,
+      useSharedStrings: false
+    });
+
+    let worksheet = null;
+    let rowsWritten = 0;
+
+    for await (const { sheetName, headers, rows } of chunks) {
+      if (!worksheet) {
+        worksheet = workbook.addWorksheet(sheetName || 'Sheet1');
+        worksheet.addRow(headers).commit();
+      }
+
+      for (const row of rows) {
+        worksheet.addRow(headers.map(h => row[h] ?? '')).commit();
+      }
+      rowsWritten += rows.length;
+    }
+
+    if (!worksheet) {
+      workbook.addWorksheet('Sheet1');
+    } else {
+      worksheet.commit();
+    }
+    await workbook.commit();
+
+    return {
+      encoding: 'binary',
+      rowsWritten
+    };
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // STATIC METHODS
   // ─────────────────────────────────────────────────────────────────────────────
@@ -693,6 +934,21 @@ export class DataConverter {
     }));
   }
 
+  /**
+   * Info output streaming (format, mime, ekstensi), null jika tidak didukung
+   */
+  static getStreamOutput(targetFormat) {
+    let format = String(targetFormat).toLowerCase().replace('.', '');
+    if (format === 'excel') format = 'xlsx';
+    if (!STREAM_FORMATS.includes(format)) return null;
+
+    return {
+      format,
+      mimeType: format === 'txt' ? 'text/plain' : EXPORT_FORMATS[format.toUpperCase()].mime,
+      extension: `.${format}`
+    };
+  }
+
   /**
    * Quick convert
    */
@@ -0,0 +1,360 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// DEDUP.JS - 👯 Fuzzy Duplicate Detection & Entity Resolution
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { DATA_TYPES, PATTERNS } from '../utils/constants.js';
+import { isEmpty, stringSimilarity } from '../utils/helpers.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Badan usaha & sapaan yang diabaikan saat membandingkan nama
+const NAME_NOISE = new Set([
+  'pt', 'cv', 'ud', 'pd', 'fa', 'tbk', 'persero', 'perseroan', 'terbatas',
+  'ltd', 'inc', 'corp', 'co', 'llc',
+  'bpk', 'bapak', 'ibu', 'sdr', 'sdri', 'tn', 'ny', 'nn', 'h', 'hj', 'dr', 'ir', 'drs'
+]);
+
+// Singkatan alamat → bentuk baku
+const ADDRESS_ABBREVIATIONS = {
+  jl: 'jalan', jln: 'jalan', gg: 'gang', no: 'nomor', kel: 'kelurahan', kec: 'kecamatan',
+  kab: 'kabupaten', prov: 'provinsi', komp: 'komplek', kompl: 'komplek',
+  perum: 'perumahan', blk: 'blok', ds: 'desa'
+};
+
+// Bobot tiap jenis kolom dalam skor kemiripan baris
+const FIELD_WEIGHTS = { name: 2, phone: 1.5, email: 1.5, address: 1, text: 1 };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN MATCHER CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class DuplicateMatcher {
+  constructor(options = {}) {
+    this.options = {
+      threshold: options.threshold ?? 0.85, // Skor kemiripan baris minimal (0..1)
+      tokenThreshold: options.tokenThreshold ?? 0.8, // Kemiripan kata yang dianggap sama ("jaya" ≈ "jya")
+      maxBlockSize: options.maxBlockSize ?? 200, // Blok lebih besar (kata terlalu umum) dilewati
+      maxClusters: options.maxClusters ?? 500,
+      ignoreMissingColumns: options.ignoreMissingColumns ?? false // Mode workbook: kolom yang tidak ada di sheet dilewati
+    };
+  }
+
+  /**
+   * 👯 MAIN METHOD
+   * Kelompokkan baris yang kemungkinan mewakili entitas yang sama
+   * @param {string|string[]|null} columns - Kolom pembanding ("Nama,Telepon"); null = deteksi otomatis
+   * @param {Function} rowNumber - Index array → nomor baris di file
+   * @returns {{ fields, clusters: [{ id, rows, size, similarity, pairs }], totalRows, comparisons }}
+   */
+  findClusters(rows, headers, columnAnalysis = {}, { columns = null, threshold = null } = {}, rowNumber = (i) => i + 2) {
+    const minScore = threshold ?? this.options.threshold;
+    const fields = this.resolveFields(columns, headers, columnAnalysis);
+
+    if (fields.length === 0 || rows.length < 2) {
+      return { fields, clusters: [], totalRows: rows.length, comparisons: 0 };
+    }
+
+    const records = rows.map(row => fields.map(field => this.normalize(row[field.header], field.kind)));
+    const candidates = this.candidatePairs(records, fields);
+
+    const links = [];
+    for (const pair of candidates) {
+      const [a, b] = pair.split(':').map(Number);
+      const score = this.recordSimilarity(records[a], records[b], fields);
+      if (score === null || score < minScore) continue;
+      links.push({ a, b, score });
+    }
+
+    // Pasangan paling mirip digabung lebih dulu; baris representatif = index terkecil
+    links.sort((x, y) => y.score - x.score || x.a - y.a || x.b - y.b);
+
+    const parent = rows.map((_, i) => i);
+    const members = new Map();
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    const membersOf = (root) => members.get(root) ?? [root];
+
+    for (const link of links) {
+      const rootA = find(link.a);
+      const rootB = find(link.b);
+      if (rootA === rootB) continue;
+
+      const root = Math.min(rootA, rootB);
+      const other = Math.max(rootA, rootB);
+
+      // Cek ulang terhadap baris representatif agar rantai A≈B≈C tidak menyeret baris yang jauh
+      const joined = [...membersOf(root), ...membersOf(other)];
+      const consistent = joined.every(i => {
+        if (i === root) return true;
+        const score = this.recordSimilarity(records[root], records[i], fields);
+        return score !== null && score >= minScore;
+      });
+      if (!consistent) continue;
+
+      parent[other] = root;
+      members.set(root, joined);
+      members.delete(other);
+    }
+
+    const groups = new Map();
+    for (const link of links) {
+      const root = find(link.a);
+      if (root !== find(link.b)) continue;
+      if (!groups.has(root)) groups.set(root, { members: new Set(), pairs: [] });
+      const group = groups.get(root);
+      group.members.add(link.a);
+      group.members.add(link.b);
+      group.pairs.push(link);
+    }
+
+    const clusters = [...groups.values()]
+      .map(group => {
+        const members = [...group.members].sort((a, b) => a - b);
+        return {
+          rows: members.map(i => rowNumber(i)),
+          size: members.length,
+          similarity: Math.round(Math.min(...group.pairs.map(p => p.score)) * 1000) / 1000,
+          pairs: group.pairs.sort((x, y) => x.a - y.a || x.b - y.b).map(p => ({
+            rows: [rowNumber(p.a), rowNumber(p.b)],
+            score: Math.round(p.score * 1000) / 1000
+          }))
+        };
+      })
+      .sort((a, b) => a.rows[0] - b.rows[0])
+      .slice(0, this.options.maxClusters)
+      .map((cluster, index) => ({ id: index + 1, ...cluster }));
+
+    return { fields, clusters, totalRows: rows.length, comparisons: candidates.size };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // FIELD SELECTION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Kolom pembanding + jenisnya (name / phone / email / address / text)
+   */
+  resolveFields(columns, headers, columnAnalysis) {
+    if (!columns) return this.detectFields(headers, columnAnalysis);
+
+    const names = Array.isArray(columns)
+      ? columns
+      : String(columns).split(',').map(c => c.trim()).filter(Boolean);
+
+    const fields = [];
+    for (const name of names) {
+      const header = headers.find(h => h === name) ?? headers.find(h => h.toLowerCase() === name.toLowerCase());
+      if (!header) {
+        if (this.options.ignoreMissingColumns) continue;
+        throw new Error(`Kolom "${name}" tidak ditemukan`);
+      }
+      fields.push({ header, kind: this.fieldKind(header, columnAnalysis[header]) ?? 'text' });
+    }
+    return fields;
+  }
+
+  /**
+   * Pilih otomatis kolom nama, telepon, email & alamat
+   */
+  detectFields(headers, columnAnalysis) {
+    return headers
+      .map(header => ({ header, kind: this.fieldKind(header, columnAnalysis[header]) }))
+      .filter(field => field.kind !== null);
+  }
+
+  /**
+   * Jenis kolom dari tipe hasil analisis atau nama header (null = bukan kolom pembanding)
+   */
+  fieldKind(header, analysis = null) {
+    if (analysis?.detectedType === DATA_TYPES.PHONE) return 'phone';
+    if (analysis?.detectedType === DATA_TYPES.EMAIL) return 'email';
+    if (analysis && analysis.detectedType !== DATA_TYPES.STRING) return null;
+    if (PATTERNS.KEY_HEADER.test(header)) return null;
+    if (PATTERNS.ADDRESS_HEADER.test(header)) return 'address';
+    if (PATTERNS.NAME_HEADER.test(header)) return 'name';
+    return null;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // NORMALIZATION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Bentuk pembanding satu sel (null jika kosong)
+   */
+  normalize(value, kind) {
+    if (isEmpty(value)) return null;
+
+    switch (kind) {
+      case 'name': return this.normalizeName(value);
+      case 'phone': return this.normalizePhone(value);
+      case 'email': return String(value).trim().toLowerCase() || null;
+      case 'address': return this.normalizeAddress(value);
+      default: return this.tokenize(value).join(' ') || null;
+    }
+  }
+
+  /**
+   * "PT. Maju Jaya Tbk" / "Maju Jaya, PT" → "jaya maju" (tanpa badan usaha, kata diurutkan)
+   */
+  normalizeName(value) {
+    const tokens = this.tokenize(value).filter(token => !NAME_NOISE.has(token));
+    return tokens.sort().join(' ') || null;
+  }
+
+  /**
+   * "+62 812-3456-7890" / "0812 3456 7890" → "081234567890"
+   */
+  normalizePhone(value) {
+    let digits = String(value).replace(/\D/g, '');
+    if (digits.startsWith('62')) digits = '0' + digits.slice(2);
+    else if (digits.startsWith('8')) digits = '0' + digits;
+    return digits || null;
+  }
+
+  /**
+   * "Jl. Sudirman No.5" → "jalan sudirman nomor 5"
+   */
+  normalizeAddress(value) {
+    const tokens = this.tokenize(value).map(token => ADDRESS_ABBREVIATIONS[token] ?? token);
+    return tokens.join(' ') || null;
+  }
+
+  /**
+   * Huruf kecil tanpa aksen & tanda baca, dipecah per kata
+   */
+  tokenize(value) {
+    return String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim()
+      .split(' ')
+      .filter(Boolean);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // MATCHING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Pasangan kandidat lewat blocking (kata nama, 7 digit akhir telepon, email)
+   * agar tidak membandingkan semua baris dengan semua baris
+   */
+  candidatePairs(records, fields) {
+    const blocks = new Map();
+    const hasStrongField = fields.some(f => f.kind !== 'address' && f.kind !== 'text');
+
+    records.forEach((record, index) => {
+      fields.forEach((field, f) => {
+        const value = record[f];
+        if (value === null) return;
+
+        const keys = [];
+        if (field.kind === 'phone') {
+          keys.push(value.slice(-7));
+        } else if (field.kind === 'email') {
+          keys.push(value.split('@')[0]);
+        } else if (field.kind === 'name' || !hasStrongField) {
+          // Awalan kata agar typo di akhir kata tetap satu blok
+          const prefixes = value.split(' ').filter(t => t.length >= 3).map(t => t.slice(0, 3));
+          keys.push(...(prefixes.length > 0 ? prefixes : [value]));
+        }
+
+        for (const key of new Set(keys)) {
+          const blockKey = `${f}:${key}`;
+          if (!blocks.has(blockKey)) blocks.set(blockKey, []);
+          blocks.get(blockKey).push(index);
+        }
+      });
+    });
+
+    const pairs = new Set();
+    for (const members of blocks.values()) {
+      if (members.length < 2 || members.length > this.options.maxBlockSize) continue;
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          pairs.add(`${members[i]}:${members[j]}`);
+        }
+      }
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Skor kemiripan dua baris = rata-rata berbobot kolom yang terisi di keduanya
+   * @returns {number|null} null jika tidak ada kolom yang bisa dibandingkan
+   */
+  recordSimilarity(recordA, recordB, fields) {
+    let total = 0;
+    let weight = 0;
+
+    fields.forEach((field, f) => {
+      const a = recordA[f];
+      const b = recordB[f];
+      if (a === null || b === null) return;
+
+      const fieldWeight = FIELD_WEIGHTS[field.kind] ?? 1;
+      total += this.fieldSimilarity(a, b, field.kind) * fieldWeight;
+      weight += fieldWeight;
+    });
+
+    return weight === 0 ? null : total / weight;
+  }
+
+  /**
+   * Kemiripan dua nilai yang sudah dinormalisasi (0..1)
+   */
+  fieldSimilarity(a, b, kind) {
+    if (a === b) return 1;
+
+    // Telepon & email tidak dibandingkan per karakter: beda satu digit = orang lain
+    if (kind === 'phone') {
+      // Beda kode area/awalan saja: 8 digit terakhir sama
+      if (a.length >= 8 && b.length >= 8 && a.slice(-8) === b.slice(-8)) return 0.95;
+      return 0;
+    }
+
+    if (kind === 'email') return 0;
+
+    return Math.max(stringSimilarity(a, b), this.tokenSimilarity(a.split(' '), b.split(' ')));
+  }
+
+  /**
+   * Dice coefficient per kata, kata dianggap sama jika mirip ≥ tokenThreshold
+   */
+  tokenSimilarity(tokensA, tokensB) {
+    const remaining = [...tokensB];
+    let matches = 0;
+
+    for (const token of tokensA) {
+      const index = remaining.findIndex(other =>
+        other === token || stringSimilarity(other, token) >= this.options.tokenThreshold
+      );
+      if (index !== -1) {
+        matches++;
+        remaining.splice(index, 1);
+      }
+    }
+
+    return (2 * matches) / (tokensA.length + tokensB.length);
+  }
+}
+
+// Create singleton
+export const duplicateMatcher = new DuplicateMatcher();
+
+export default {
+  DuplicateMatcher,
+  duplicateMatcher
+};
@@ -0,0 +1,504 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// DRIFT.JS - 🧭 Schema Drift Detection (dua versi file laporan yang sama)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { DATA_TYPES } from '../utils/constants.js';
+import { stringSimilarity, formatNumber } from '../utils/helpers.js';
+import { DataAnalyzer } from './analyzer.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Koefisien Kolmogorov-Smirnov untuk tingkat signifikansi 5%
+const KS_CRITICAL_95 = 1.358;
+
+// Perubahan tipe dalam satu kelompok tidak merusak pemakai data (integer → number)
+const TYPE_GROUPS = [
+  [DATA_TYPES.NUMBER, DATA_TYPES.INTEGER, DATA_TYPES.FLOAT, DATA_TYPES.CURRENCY, DATA_TYPES.PERCENTAGE],
+  [DATA_TYPES.DATE, DATA_TYPES.DATETIME]
+];
+
+const SEVERITY_ORDER = { error: 3, warning: 2, info: 1 };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN DRIFT DETECTOR CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class DriftDetector {
+  constructor(options = {}) {
+    this.options = {
+      renameThreshold: options.renameThreshold ?? 0.75, // Kemiripan nama minimal untuk dianggap rename
+      profileRenameThreshold: options.profileRenameThreshold ?? 0.8, // Kemiripan isi minimal untuk rename dengan nama kurang mirip ("Gaji" → "Gaji Pokok")
+      maxDistinctValues: options.maxDistinctValues ?? 5000, // Nilai unik per kolom teks untuk perbandingan isi
+      nullRateThreshold: options.nullRateThreshold ?? 10, // Selisih % sel kosong (poin persen)
+      ksThreshold: options.ksThreshold ?? 0.2, // Statistik KS minimal (jika nilai mentah tersedia)
+      shiftThreshold: options.shiftThreshold ?? 0.5, // Pergeseran rata-rata dalam satuan std dev
+      analyzerOptions: options.analyzerOptions ?? {}
+    };
+  }
+
+  /**
+   * 🧭 MAIN METHOD
+   * Bandingkan dua file (hasil fileParser.parse): file lama sebagai acuan
+   */
+  async detect(baseData, currentData, { baseSheet = null, currentSheet = null } = {}) {
+    const startTime = Date.now();
+
+    const base = await this.analyzeSide(baseData, baseSheet);
+    const current = await this.analyzeSide(currentData, currentSheet);
+
+    const result = this.compareAnalyses(base.analysis, current.analysis, {
+      base: base.values,
+      current: current.values
+    }, {
+      base: base.distinct,
+      current: current.distinct
+    });
+
+    result.summary.baseFile = baseData.metadata?.filename ?? null;
+    result.summary.currentFile = currentData.metadata?.filename ?? null;
+    result.summary.detectionTime = `${Date.now() - startTime}ms`;
+    return result;
+  }
+
+  /**
+   * Analisis satu file + ambil nilai angka mentah untuk uji distribusi
+   * dan nilai unik kolom teks untuk mengenali kolom yang diganti nama
+   */
+  async analyzeSide(parsedData, sheetName) {
+    const analyzer = new DataAnalyzer({ ...this.options.analyzerOptions, deepAnalysis: false });
+    const analysis = await analyzer.analyze(parsedData, sheetName);
+
+    const sheet = parsedData.sheets[sheetName || parsedData.activeSheet];
+    const rows = sheet.rows.slice(0, analyzer.options.maxRowsAnalyze);
+    const values = {};
+    const distinct = {};
+
+    for (const [header, col] of Object.entries(analysis.columnAnalysis)) {
+      if (!col.isNumeric) {
+        distinct[header] = new Set();
+        for (const row of rows) {
+          const value = this.normalizeValue(row[header]);
+          if (value) distinct[header].add(value);
+          if (distinct[header].size >= this.options.maxDistinctValues) break;
+        }
+        continue;
+      }
+      values[header] = rows
+        .map(row => analyzer.toNumber(row[header], header))
+        .filter(value => value !== null && !isNaN(value));
+    }
+
+    return { analysis, values, distinct };
+  }
+
+  /**
+   * Bandingkan dua hasil analisis (analyze / analyzeStream).
+   * Tanpa nilai mentah, pergeseran distribusi dihitung dari statistik ringkas.
+   * @param {Object} values - { base: { kolom: number[] }, current: { kolom: number[] } }
+   * @param {Object} distinct - { base: { kolom: Set }, current: { kolom: Set } }, tanpa ini dari sampleValues
+   */
+  compareAnalyses(base, current, values = {}, distinct = {}) {
+    const baseHeaders = Object.keys(base.columnAnalysis);
+    const currentHeaders = Object.keys(current.columnAnalysis);
+
+    const { pairs, added, removed } = this.matchColumns(base, current, distinct);
+    const renamed = pairs.filter(pair => pair.renamed);
+    const reordered = this.detectReorder(pairs, baseHeaders, currentHeaders);
+
+    const typeChanges = [];
+    const nullRateChanges = [];
+    const distributionShifts = [];
+
+    for (const pair of pairs) {
+      const baseCol = base.columnAnalysis[pair.base];
+      const currentCol = current.columnAnalysis[pair.current];
+
+      const typeChange = this.compareType(pair, baseCol, currentCol);
+      if (typeChange) typeChanges.push(typeChange);
+
+      const nullChange = this.compareNullRate(pair, baseCol, currentCol);
+      if (nullChange) nullRateChanges.push(nullChange);
+
+      if (baseCol.isNumeric && currentCol.isNumeric) {
+        const shift = this.compareDistribution(
+          pair,
+          base.statistics?.[pair.base],
+          current.statistics?.[pair.current],
+          values.base?.[pair.base],
+          values.current?.[pair.current]
+        );
+        if (shift) distributionShifts.push(shift);
+      }
+    }
+
+    const findings = [
+      ...removed.map(col => ({
+        type: 'column_removed',
+        severity: 'error',
+        column: col.column,
+        message: `Kolom "${col.column}" hilang`
+      })),
+      ...renamed.map(pair => ({
+        type: 'column_renamed',
+        severity: 'warning',
+        column: pair.current,
+        message: `Kolom "${pair.base}" kemungkinan diganti nama menjadi "${pair.current}" ` +
+          `(kemiripan nama ${Math.round(pair.similarity * 100)}%` +
+          `${pair.profileSimilarity !== null ? `, isi ${Math.round(pair.profileSimilarity * 100)}%` : ''})`
+      })),
+      ...typeChanges,
+      ...nullRateChanges,
+      ...distributionShifts,
+      ...added.map(col => ({
+        type: 'column_added',
+        severity: 'info',
+        column: col.column,
+        message: `Kolom baru "${col.column}" (${col.type})`
+      })),
+      ...reordered
+    ].sort((a, b) => SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity]);
+
+    const bySeverity = {};
+    for (const finding of findings) {
+      bySeverity[finding.severity] = (bySeverity[finding.severity] || 0) + 1;
+    }
+
+    const baseRows = base.summary.totalRows;
+    const currentRows = current.summary.totalRows;
+
+    return {
+      summary: {
+        baseRows,
+        currentRows,
+        rowChange: baseRows > 0 ? Math.round(((currentRows - baseRows) / baseRows) * 10000) / 100 : null,
+        baseColumns: baseHeaders.length,
+        currentColumns: currentHeaders.length,
+        matchedColumns: pairs.length,
+        hasDrift: findings.length > 0,
+        severity: findings[0]?.severity ?? null,
+        totalFindings: findings.length,
+        bySeverity
+      },
+      columns: {
+        added,
+        removed,
+        renamed: renamed.map(({ base: from, current: to, similarity, profileSimilarity }) => ({ from, to, similarity, profileSimilarity })),
+        reordered: reordered.map(({ column, from, to }) => ({ column, from, to }))
+      },
+      typeChanges,
+      nullRateChanges,
+      distributionShifts,
+      findings
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // COLUMN MATCHING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Pasangkan kolom lama & baru: nama sama dulu, sisanya rename jika namanya mirip,
+   * atau namanya berbagi kata dan isinya mirip (tipe, rentang angka / nilai unik)
+   */
+  matchColumns(base, current, distinct = {}) {
+    const baseColumns = base.columnAnalysis;
+    const currentColumns = current.columnAnalysis;
+    const key = (name) => String(name).trim().toLowerCase();
+    const currentByKey = new Map(Object.keys(currentColumns).map(header => [key(header), header]));
+
+    const pairs = [];
+    const unmatchedBase = [];
+    const usedCurrent = new Set();
+
+    for (const header of Object.keys(baseColumns)) {
+      const match = currentByKey.get(key(header));
+      if (match !== undefined && !usedCurrent.has(match)) {
+        pairs.push({ base: header, current: match, similarity: 1, profileSimilarity: null, renamed: header !== match });
+        usedCurrent.add(match);
+      } else {
+        unmatchedBase.push(header);
+      }
+    }
+
+    const unmatchedCurrent = Object.keys(currentColumns).filter(header => !usedCurrent.has(header));
+
+    // Kandidat rename: semua pasangan sisa di atas ambang, ambil yang paling mirip dulu
+    const candidates = [];
+    for (const baseHeader of unmatchedBase) {
+      for (const currentHeader of unmatchedCurrent) {
+        const baseName = this.normalizeName(baseHeader);
+        const currentName = this.normalizeName(currentHeader);
+        const similarity = stringSimilarity(baseName, currentName);
+        const profileSimilarity = this.profileSimilarity(
+          baseColumns[baseHeader], currentColumns[currentHeader],
+          { stats: base.statistics?.[baseHeader], distinct: distinct.base?.[baseHeader] },
+          { stats: current.statistics?.[currentHeader], distinct: distinct.current?.[currentHeader] }
+        );
+
+        const sharesWord = baseName.split(' ').some(word => currentName.split(' ').includes(word));
+        const similarContent = sharesWord && profileSimilarity !== null &&
+          profileSimilarity >= this.options.profileRenameThreshold;
+        if (similarity < this.options.renameThreshold && !similarContent) continue;
+
+        const sameType = baseColumns[baseHeader].detectedType === currentColumns[currentHeader].detectedType;
+        candidates.push({
+          baseHeader,
+          currentHeader,
+          similarity,
+          profileSimilarity,
+          score: Math.max(similarity, profileSimilarity ?? 0) + (sameType ? 0.05 : 0)
+        });
+      }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    const renamedBase = new Set();
+    for (const { baseHeader, currentHeader, similarity, profileSimilarity } of candidates) {
+      if (renamedBase.has(baseHeader) || usedCurrent.has(currentHeader)) continue;
+      pairs.push({
+        base: baseHeader,
+        current: currentHeader,
+        similarity: Math.round(similarity * 100) / 100,
+        profileSimilarity: profileSimilarity !== null ? Math.round(profileSimilarity * 100) / 100 : null,
+        renamed: true
+      });
+      renamedBase.add(baseHeader);
+      usedCurrent.add(currentHeader);
+    }
+
+    return {
+      pairs,
+      removed: unmatchedBase
+        .filter(header => !renamedBase.has(header))
+        .map(header => ({ column: header, type: baseColumns[header].detectedType })),
+      added: Object.keys(currentColumns)
+        .filter(header => !usedCurrent.has(header))
+        .map(header => ({ column: header, type: currentColumns[header].detectedType }))
+    };
+  }
+
+  /**
+   * "Tgl_Transaksi" ≈ "tgl transaksi"
+   */
+  normalizeName(name) {
+    return String(name).toLowerCase().replace(/[\s_\-.]+/g, ' ').trim();
+  }
+
+  normalizeValue(value) {
+    return value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+  }
+
+  /**
+   * Kemiripan isi dua kolom (0..1): tipe harus kompatibel, lalu irisan rentang & kedekatan
+   * rata-rata (angka) atau irisan nilai unik (teks). null jika tidak bisa dinilai.
+   * @param {Object} baseProfile - { stats, distinct } kolom lama; current sama untuk kolom baru
+   */
+  profileSimilarity(baseCol, currentCol, baseProfile, currentProfile) {
+    const from = baseCol.detectedType;
+    const to = currentCol.detectedType;
+    if (from === DATA_TYPES.EMPTY || to === DATA_TYPES.EMPTY) return null;
+
+    const compatible = TYPE_GROUPS.some(group => group.includes(from) && group.includes(to));
+    const typeScore = from === to ? 1 : (compatible ? 0.8 : 0);
+    if (typeScore === 0) return 0;
+
+    if (baseCol.isNumeric && currentCol.isNumeric) {
+      const a = baseProfile.stats;
+      const b = currentProfile.stats;
+      if (!a?.count || !b?.count) return null;
+
+      const union = Math.max(a.max, b.max) - Math.min(a.min, b.min);
+      const overlap = Math.min(a.max, b.max) - Math.max(a.min, b.min);
+      const rangeOverlap = union > 0 ? Math.max(0, overlap) / union : 1;
+      const pooledStd = Math.sqrt((a.stdDev ** 2 + b.stdDev ** 2) / 2);
+      const meanCloseness = pooledStd > 0
+        ? Math.max(0, 1 - Math.abs(b.mean - a.mean) / pooledStd)
+        : (a.mean === b.mean ? 1 : 0);
+      return typeScore * rangeOverlap * meanCloseness;
+    }
+
+    const toSet = (profile, col) => profile.distinct ??
+      new Set((col.sampleValues ?? []).map(value => this.normalizeValue(value)).filter(Boolean));
+    const a = toSet(baseProfile, baseCol);
+    const b = toSet(currentProfile, currentCol);
+    if (a.size === 0 || b.size === 0) return null;
+
+    let shared = 0;
+    for (const value of a) {
+      if (b.has(value)) shared++;
+    }
+    return typeScore * (shared / (a.size + b.size - shared));
+  }
+
+  /**
+   * Kolom yang pindah posisi. Kolom di luar urutan naik terpanjang (LIS) dianggap
+   * dipindah, sehingga satu kolom yang digeser tidak membuat semua kolom terlapor.
+   */
+  detectReorder(pairs, baseHeaders, currentHeaders) {
+    const ordered = [...pairs].sort((a, b) => baseHeaders.indexOf(a.base) - baseHeaders.indexOf(b.base));
+    const positions = ordered.map(pair => currentHeaders.indexOf(pair.current));
+    const stable = this.longestIncreasing(positions);
+
+    return ordered
+      .filter((pair, index) => !stable.has(index))
+      .map(pair => {
+        const from = baseHeaders.indexOf(pair.base) + 1;
+        const to = currentHeaders.indexOf(pair.current) + 1;
+        return {
+          type: 'column_reordered',
+          severity: 'info',
+          column: pair.current,
+          from,
+          to,
+          message: `Urutan kolom "${pair.current}" berubah: posisi ${from} → ${to}`
+        };
+      });
+  }
+
+  /**
+   * Index elemen pada subsequence naik terpanjang (O(n²), jumlah kolom kecil)
+   */
+  longestIncreasing(values) {
+    const length = values.map(() => 1);
+    const previous = values.map(() => -1);
+
+    for (let i = 0; i < values.length; i++) {
+      for (let j = 0; j < i; j++) {
+        if (values[j] < values[i] && length[j] + 1 > length[i]) {
+          length[i] = length[j] + 1;
+          previous[i] = j;
+        }
+      }
+    }
+
+    const result = new Set();
+    let index = length.indexOf(Math.max(...length, 0));
+    while (index >= 0) {
+      result.add(index);
+      index = previous[index];
+    }
+    return result;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // COLUMN COMPARISON
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  compareType(pair, baseCol, currentCol) {
+    const from = baseCol.detectedType;
+    const to = currentCol.detectedType;
+
+    // Kolom kosong belum punya tipe, bukan perubahan
+    if (from === to || from === DATA_TYPES.EMPTY || to === DATA_TYPES.EMPTY) return null;
+
+    const compatible = TYPE_GROUPS.some(group => group.includes(from) && group.includes(to));
+    return {
+      type: 'type_changed',
+      severity: compatible ? 'info' : 'error',
+      column: pair.current,
+      from,
+      to,
+      compatible,
+      message: `Tipe kolom "${pair.current}" berubah: ${from} → ${to}${compatible ? ' (masih kompatibel)' : ''}`
+    };
+  }
+
+  compareNullRate(pair, baseCol, currentCol) {
+    const before = Math.round((100 - baseCol.fillRate) * 100) / 100;
+    const after = Math.round((100 - currentCol.fillRate) * 100) / 100;
+    const change = Math.round((after - before) * 100) / 100;
+
+    if (Math.abs(change) < this.options.nullRateThreshold) return null;
+
+    return {
+      type: 'null_rate_changed',
+      severity: change > 0 ? 'warning' : 'info',
+      column: pair.current,
+      before,
+      after,
+      change,
+      message: `Sel kosong di kolom "${pair.current}" ${change > 0 ? 'naik' : 'turun'} dari ${before}% ke ${after}%`
+    };
+  }
+
+  /**
+   * Pergeseran distribusi angka: uji KS dua sampel jika nilai mentah ada,
+   * selain itu selisih rata-rata dalam satuan std dev gabungan
+   */
+  compareDistribution(pair, baseStats, currentStats, baseValues, currentValues) {
+    if (!baseStats?.count || !currentStats?.count) return null;
+
+    const pooledStd = Math.sqrt((baseStats.stdDev ** 2 + currentStats.stdDev ** 2) / 2);
+    const meanDiff = currentStats.mean - baseStats.mean;
+    const effectSize = pooledStd > 0
+      ? Math.abs(meanDiff) / pooledStd
+      : (meanDiff !== 0 ? Infinity : 0);
+
+    let ks = null;
+    let shifted;
+    if (baseValues?.length && currentValues?.length) {
+      ks = this.ksStatistic(baseValues, currentValues);
+      const n = baseValues.length;
+      const m = currentValues.length;
+      const critical = KS_CRITICAL_95 * Math.sqrt((n + m) / (n * m));
+      shifted = ks > critical && ks >= this.options.ksThreshold;
+    } else {
+      shifted = effectSize >= this.options.shiftThreshold;
+    }
+
+    if (!shifted) return null;
+
+    const meanChange = baseStats.mean !== 0
+      ? Math.round((meanDiff / Math.abs(baseStats.mean)) * 10000) / 100
+      : null;
+    const changeText = meanChange !== null ? ` (${meanChange > 0 ? '+' : ''}${meanChange}%)` : '';
+
+    return {
+      type: 'distribution_shift',
+      severity: 'warning',
+      column: pair.current,
+      before: this.pickStats(baseStats),
+      after: this.pickStats(currentStats),
+      meanChange,
+      effectSize: Number.isFinite(effectSize) ? Math.round(effectSize * 100) / 100 : null,
+      ks: ks !== null ? Math.round(ks * 1000) / 1000 : null,
+      message: `Distribusi kolom "${pair.current}" bergeser: rata-rata ${formatNumber(baseStats.mean)} → ${formatNumber(currentStats.mean)}${changeText}`
+    };
+  }
+
+  /**
+   * Statistik KS dua sampel: jarak maksimum antara dua CDF empiris
+   */
+  ksStatistic(a, b) {
+    const x = [...a].sort((p, q) => p - q);
+    const y = [...b].sort((p, q) => p - q);
+    let i = 0;
+    let j = 0;
+    let maxDiff = 0;
+
+    while (i < x.length && j < y.length) {
+      const value = Math.min(x[i], y[j]);
+      while (i < x.length && x[i] === value) i++;
+      while (j < y.length && y[j] === value) j++;
+      maxDiff = Math.max(maxDiff, Math.abs(i / x.length - j / y.length));
+    }
+
+    return maxDiff;
+  }
+
+  pickStats(stats) {
+    const { count, mean, median, stdDev, min, max } = stats;
+    return { count, mean, median, stdDev, min, max };
+  }
+}
+
+// Create singleton instance
+export const driftDetector = new DriftDetector();
+
+export default {
+  DriftDetector,
+  driftDetector
+};
@@ -0,0 +1,385 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// FORENSIC.JS - 🕵️ Forensic Checks (klaim biaya & faktur vendor)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { PATTERNS, DATA_TYPES, FIXED_HOLIDAYS, NATIONAL_HOLIDAYS } from '../utils/constants.js';
+import { parseDate, isEmpty } from '../utils/helpers.js';
+import { benfordTest, binomialTail, quantile } from '../utils/statistics.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Batas persetujuan umum (Rupiah): 1 jt, 5 jt, 10 jt, 25 jt, 50 jt, 100 jt, 500 jt, 1 M
+export const DEFAULT_APPROVAL_LIMITS = [1e6, 5e6, 1e7, 2.5e7, 5e7, 1e8, 5e8, 1e9];
+
+// Akhiran nominal yang boleh dipakai di opsi batas ("5jt", "500rb", "1M")
+const AMOUNT_SUFFIXES = { rb: 1e3, ribu: 1e3, k: 1e3, jt: 1e6, juta: 1e6, m: 1e9, miliar: 1e9 };
+
+// Kolom nominal cadangan jika tidak ada kolom bertipe currency
+const AMOUNT_HEADER = /(jumlah|nominal|nilai|total|amount|biaya|harga|klaim)/i;
+
+const WEEKDAY_LABELS = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN FORENSIC CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class ForensicAnalyzer {
+  constructor(options = {}) {
+    this.options = {
+      columns: options.columns ?? null, // Kolom nominal ("Jumlah,Total"), null = kolom currency
+      approvalLimits: this.parseLimits(options.approvalLimits ?? DEFAULT_APPROVAL_LIMITS),
+      limitMargin: options.limitMargin ?? 0.05, // Jendela "tepat di bawah batas" (5% di bawah batas)
+      limitSignificance: options.limitSignificance ?? 0.01, // Peluang maksimal tumpukan di bawah batas terjadi kebetulan
+      minLimitHits: options.minLimitHits ?? 3,
+      invoiceColumn: options.invoiceColumn ?? null, // null = otomatis (header No. Faktur / pola INV-xxxx)
+      vendorColumn: options.vendorColumn ?? null, // Nomor faktur unik per vendor
+      dateColumn: options.dateColumn ?? null, // Tanggal transaksi, null = otomatis
+      holidays: this.parseHolidays(options.holidays ?? []), // Libur tambahan (cuti bersama, libur daerah)
+      minBenford: options.minBenford ?? 100, // Minimal nilai untuk uji Benford
+      minMagnitudes: options.minMagnitudes ?? 2, // Data harus tersebar ≥ 2 orde besaran agar Benford berlaku
+      roundShare: options.roundShare ?? 0.15, // Porsi angka bulat maksimal sebelum dianggap bias
+      minValues: options.minValues ?? 30,
+      calendarShare: options.calendarShare ?? 0.2, // Akhir pekan/libur di atas porsi ini = operasional normal
+      ignoreMissingColumns: options.ignoreMissingColumns ?? false // Mode workbook: kolom yang tidak ada di sheet dilewati
+    };
+  }
+
+  /**
+   * 🕵️ MAIN METHOD
+   * @param {Function} toNumber - (value, header) → angka sesuai konvensi kolom
+   * @returns {{ columns, benford, roundNumbers, approvalLimits, duplicateInvoices, calendar }}
+   */
+  analyze(headers, rows, columnAnalysis, toNumber, rowNumber = (i) => i + 2) {
+    const columns = this.resolveAmountColumns(headers, columnAnalysis);
+    const amounts = Object.fromEntries(columns.map(header => [header, this.amountItems(header, rows, toNumber)]));
+
+    return {
+      columns,
+      benford: columns.map(header => this.benford(header, amounts[header])),
+      roundNumbers: columns.map(header => this.roundNumbers(header, amounts[header], rowNumber)),
+      approvalLimits: {
+        limits: this.options.approvalLimits,
+        margin: this.options.limitMargin,
+        checks: columns.flatMap(header => this.approvalLimits(header, amounts[header], rowNumber))
+      },
+      duplicateInvoices: this.duplicateInvoices(headers, rows, columnAnalysis, columns[0] ?? null, toNumber, rowNumber),
+      calendar: this.calendar(headers, rows, columnAnalysis, rowNumber)
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // OPTIONS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Batas persetujuan: [5000000, 10000000] atau "5jt, 10jt, 50.000.000"
+   */
+  parseLimits(limits) {
+    // Koma sebelum tepat 3 digit = pemisah ribuan ("1,000,000"), selain itu pemisah daftar
+    const tokens = Array.isArray(limits) ? limits : String(limits).split(/[;\s]+|,(?!\d{3}(?:\D|$))/).filter(Boolean);
+
+    return [...new Set(tokens.map(token => {
+      if (typeof token === 'number') return token;
+      const match = String(token).trim().toLowerCase().match(/^(\d+(?:[.,]\d+)*)\s*([a-z]*)$/);
+      const multiplier = match && (match[2] === '' ? 1 : AMOUNT_SUFFIXES[match[2]]);
+      if (!multiplier) {
+        throw new Error(`Batas persetujuan "${token}" tidak valid (contoh: 5000000, 5jt, 500rb)`);
+      }
+      // Dengan akhiran, titik = desimal ("2.5jt"); tanpa akhiran = pemisah ribuan
+      const number = match[2] === ''
+        ? Number(match[1].replace(/[.,]/g, ''))
+        : Number(match[1].replace(',', '.'));
+      return number * multiplier;
+    }))].filter(limit => limit > 0).sort((a, b) => a - b);
+  }
+
+  /**
+   * Libur tambahan: ["2026-03-20"], "2026-03-20,2026-03-23" atau { "2026-03-20": "Cuti Bersama" }
+   */
+  parseHolidays(holidays) {
+    const dates = typeof holidays === 'string' ? holidays.split(/[,;\s]+/).filter(Boolean) : holidays;
+    const entries = Array.isArray(dates)
+      ? dates.map(date => [date, 'Libur tambahan'])
+      : Object.entries(dates);
+
+    const parsed = {};
+    for (const [date, name] of entries) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date).trim())) {
+        throw new Error(`Tanggal libur "${date}" tidak valid (format YYYY-MM-DD)`);
+      }
+      parsed[String(date).trim()] = name;
+    }
+    return parsed;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // COLUMNS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  findHeader(headers, name) {
+    const header = headers.find(h => h.toLowerCase() === String(name).trim().toLowerCase());
+    if (!header && !this.options.ignoreMissingColumns) {
+      throw new Error(`Kolom "${String(name).trim()}" tidak ditemukan`);
+    }
+    return header ?? null;
+  }
+
+  /**
+   * Kolom nominal: opsi → kolom currency → kolom angka dengan header nominal (Jumlah, Biaya, ...)
+   */
+  resolveAmountColumns(headers, columnAnalysis) {
+    const { columns } = this.options;
+    if (columns) {
+      const names = Array.isArray(columns) ? columns : String(columns).split(',').filter(name => name.trim());
+      return names.map(name => this.findHeader(headers, name)).filter(Boolean);
+    }
+
+    const currency = headers.filter(h => columnAnalysis[h]?.detectedType === DATA_TYPES.CURRENCY);
+    if (currency.length > 0) return currency;
+
+    return headers.filter(h => columnAnalysis[h]?.isNumeric && AMOUNT_HEADER.test(h) && !PATTERNS.KEY_HEADER.test(h));
+  }
+
+  amountItems(header, rows, toNumber) {
+    const items = [];
+    rows.forEach((row, index) => {
+      if (isEmpty(row[header])) return;
+      const value = toNumber(row[header], header);
+      if (value !== null && !isNaN(value) && value !== 0) items.push({ index, value, raw: row[header] });
+    });
+    return items;
+  }
+
+  /**
+   * Kolom nomor faktur: opsi → header faktur/nota/kwitansi (bukan tanggal/nominal) → nilai berpola INV-xxxx
+   */
+  resolveInvoiceColumn(headers, rows, columnAnalysis) {
+    if (this.options.invoiceColumn) return this.findHeader(headers, this.options.invoiceColumn);
+
+    const candidates = headers.filter(h => {
+      const col = columnAnalysis[h];
+      return col && !col.isDate && col.detectedType !== DATA_TYPES.CURRENCY && !AMOUNT_HEADER.test(h)
+        && !PATTERNS.TRANSACTION_DATE_HEADER.test(h);
+    });
+
+    const byHeader = candidates.find(h => PATTERNS.INVOICE_HEADER.test(h));
+    if (byHeader) return byHeader;
+
+    return candidates.find(h => {
+      const values = rows.map(row => row[h]).filter(v => !isEmpty(v));
+      return values.length > 0
+        && values.filter(v => PATTERNS.INVOICE_NO.test(String(v).trim())).length / values.length >= 0.8;
+    }) ?? null;
+  }
+
+  resolveVendorColumn(headers) {
+    if (this.options.vendorColumn) return this.findHeader(headers, this.options.vendorColumn);
+    return headers.find(h => PATTERNS.VENDOR_HEADER.test(h)) ?? null;
+  }
+
+  /**
+   * Kolom tanggal transaksi: opsi → kolom tanggal dengan header Tanggal/Tgl/Date → kolom tanggal pertama
+   */
+  resolveDateColumn(headers, columnAnalysis) {
+    if (this.options.dateColumn) return this.findHeader(headers, this.options.dateColumn);
+    const dates = headers.filter(h => columnAnalysis[h]?.isDate);
+    return dates.find(h => PATTERNS.TRANSACTION_DATE_HEADER.test(h)) ?? dates[0] ?? null;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // BENFORD & ANGKA BULAT
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * 📐 Uji digit pertama & kedua Benford
+   * Tidak berlaku untuk data sedikit atau yang hanya tersebar dalam satu orde besaran (mis. tarif tetap)
+   */
+  benford(header, items) {
+    const numbers = items.map(item => Math.abs(item.value)).filter(value => value >= 10);
+    const first = benfordTest(numbers, 'first');
+    const second = benfordTest(numbers, 'second');
+
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const magnitudes = sorted.length > 0 ? Math.log10(quantile(sorted, 0.95) / quantile(sorted, 0.05)) : 0;
+
+    let reason = null;
+    if (numbers.length < this.options.minBenford) reason = `butuh minimal ${this.options.minBenford} nilai`;
+    else if (magnitudes < this.options.minMagnitudes) reason = 'nilai tidak cukup beragam (kurang dari dua orde besaran)';
+
+    return {
+      column: header,
+      n: numbers.length,
+      magnitudes: Math.round(magnitudes * 100) / 100,
+      applicable: reason === null,
+      reason,
+      first,
+      second
+    };
+  }
+
+  /**
+   * 🔘 Bias angka bulat: nilai ≥ 1.000 dengan paling banyak dua digit signifikan (150.000, 5.000.000)
+   * Porsi harapan ≈ 10^(2 - jumlah digit) per nilai, hampir nol untuk nominal jutaan
+   */
+  roundNumbers(header, items, rowNumber) {
+    const candidates = items.filter(item => Math.abs(item.value) >= 1000);
+    const round = candidates.filter(item => this.isRound(item.value));
+
+    const expected = candidates.length > 0
+      ? candidates.reduce((sum, item) => sum + 10 ** (2 - Math.floor(Math.log10(Math.abs(item.value)) + 1)), 0) / candidates.length
+      : 0;
+    const share = candidates.length > 0 ? round.length / candidates.length : 0;
+
+    const byValue = new Map();
+    for (const item of round) {
+      const entry = byValue.get(item.value) || { value: item.value, count: 0, rows: [] };
+      entry.count++;
+      entry.rows.push(rowNumber(item.index));
+      byValue.set(item.value, entry);
+    }
+
+    return {
+      column: header,
+      total: candidates.length,
+      count: round.length,
+      share,
+      expectedShare: expected,
+      flagged: candidates.length >= this.options.minValues && share >= this.options.roundShare,
+      top: [...byValue.values()].sort((a, b) => b.count - a.count || b.value - a.value).slice(0, 10)
+    };
+  }
+
+  isRound(value) {
+    const abs = Math.abs(value);
+    if (!Number.isInteger(abs)) return false;
+    return String(abs).replace(/0+$/, '').length <= 2;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // BATAS PERSETUJUAN
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * 🚧 Nilai menumpuk tepat di bawah batas persetujuan (pecah klaim agar tidak butuh approval atasan)
+   * Jendela di bawah & di atas batas sama lebar, sehingga pada data wajar jumlahnya mirip (uji binomial p = 0.5)
+   * Batas yang tidak pernah dilewati tidak dicek: tumpukan di ujung data bukan tanda penghindaran
+   */
+  approvalLimits(header, items, rowNumber) {
+    const { limitMargin, limitSignificance, minLimitHits } = this.options;
+    const max = Math.max(0, ...items.map(item => item.value));
+
+    return this.options.approvalLimits
+      .filter(limit => max >= limit)
+      .map(limit => {
+        const below = items.filter(item => item.value >= limit * (1 - limitMargin) && item.value < limit);
+        const above = items.filter(item => item.value >= limit && item.value < limit * (1 + limitMargin));
+        const pValue = binomialTail(below.length, below.length + above.length);
+        return {
+          column: header,
+          limit,
+          below: below.length,
+          above: above.length,
+          pValue,
+          flagged: below.length >= minLimitHits && pValue < limitSignificance,
+          rows: below.map(item => ({ row: rowNumber(item.index), value: item.raw, number: item.value }))
+        };
+      })
+      .filter(check => check.below > 0);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // FAKTUR GANDA
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * 🧾 Nomor faktur yang dipakai lebih dari sekali (per vendor jika ada kolom vendor)
+   */
+  duplicateInvoices(headers, rows, columnAnalysis, amountColumn, toNumber, rowNumber) {
+    const invoiceColumn = this.resolveInvoiceColumn(headers, rows, columnAnalysis);
+    const vendorColumn = this.resolveVendorColumn(headers);
+    if (!invoiceColumn) return { invoiceColumn: null, vendorColumn, amountColumn, groups: [] };
+
+    const byInvoice = new Map();
+    rows.forEach((row, index) => {
+      if (isEmpty(row[invoiceColumn])) return;
+      const invoice = String(row[invoiceColumn]).trim().toUpperCase().replace(/\s+/g, '');
+      const vendor = vendorColumn && !isEmpty(row[vendorColumn]) ? String(row[vendorColumn]).trim() : null;
+      const key = `${vendor?.toLowerCase() ?? ''}|${invoice}`;
+
+      if (!byInvoice.has(key)) byInvoice.set(key, { invoice: String(row[invoiceColumn]).trim(), vendor, rows: [] });
+      const amount = amountColumn && !isEmpty(row[amountColumn]) ? toNumber(row[amountColumn], amountColumn) : null;
+      byInvoice.get(key).rows.push({ row: rowNumber(index), amount, value: amountColumn ? row[amountColumn] : null });
+    });
+
+    const groups = [...byInvoice.values()]
+      .filter(group => group.rows.length > 1)
+      .map(group => ({
+        ...group,
+        differentAmounts: new Set(group.rows.map(r => r.amount)).size > 1
+      }));
+
+    return { invoiceColumn, vendorColumn, amountColumn, groups };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // KALENDER
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * 📆 Transaksi di akhir pekan & hari libur nasional
+   * Jika porsinya besar (toko, operasional 7 hari) baris tidak ditandai satu per satu
+   */
+  calendar(headers, rows, columnAnalysis, rowNumber) {
+    const dateColumn = this.resolveDateColumn(headers, columnAnalysis);
+    if (!dateColumn) return null;
+
+    const weekend = [];
+    const holiday = [];
+    let total = 0;
+
+    rows.forEach((row, index) => {
+      if (isEmpty(row[dateColumn])) return;
+      const date = parseDate(row[dateColumn]);
+      if (!date) return;
+      total++;
+
+      const key = this.dateKey(date);
+      const name = this.options.holidays[key] ?? NATIONAL_HOLIDAYS[key] ?? FIXED_HOLIDAYS[key.slice(5)];
+      const weekday = new Date(`${key}T00:00:00Z`).getUTCDay();
+      const entry = { row: rowNumber(index), value: row[dateColumn], date: key, day: WEEKDAY_LABELS[weekday] };
+
+      if (name) holiday.push({ ...entry, name });
+      else if (weekday === 0 || weekday === 6) weekend.push(entry);
+    });
+
+    const summarize = (items) => {
+      const share = total > 0 ? items.length / total : 0;
+      return { count: items.length, share, flagged: share <= this.options.calendarShare, rows: items };
+    };
+
+    return { dateColumn, total, weekend: summarize(weekend), holiday: summarize(holiday) };
+  }
+
+  /**
+   * YYYY-MM-DD: tanggal dari sel Excel (UTC tengah malam) dibaca sebagai UTC, teks sebagai waktu lokal
+   */
+  dateKey(date) {
+    const utcMidnight = date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0;
+    const parts = utcMidnight
+      ? [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()]
+      : [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+    return `${parts[0]}-${String(parts[1]).padStart(2, '0')}-${String(parts[2]).padStart(2, '0')}`;
+  }
+}
+
+// Create singleton
+export const forensicAnalyzer = new ForensicAnalyzer();
+
+export default {
+  ForensicAnalyzer,
+  forensicAnalyzer,
+  DEFAULT_APPROVAL_LIMITS
+};
@@ -5,7 +5,8 @@
 
 import ExcelJS from 'exceljs';
 import { DATA_TYPES, BOT_CONFIG } from '../utils/constants.js';
-import { parseNumber, parseDate, isEmpty } from '../utils/helpers.js';
+import { parseNumber, parseDate, isEmpty, identifierText } from '../utils/helpers.js';
+import { buildCellMatrix } from '../utils/fileParser.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // STYLE PRESETS
@@ -268,11 +269,14 @@ export class ExcelFormatter {
       cell.border = style.header.border;
     });
     
-    // 2️⃣ Add data rows
-    rows.forEach((row, rowIndex) => {
-      const dataRow = worksheet.addRow(
-        headers.map(h => row[h] ?? '')
-      );
+    // 2️⃣ Add data rows (nilai bertipe + formula asli yang sudah digeser)
+    const cells = buildCellMatrix(sheet);
+    const toCellValue = ({ value, formula }) => (
+      formula ? { formula, result: value === '' ? undefined : value } : value
+    );
+    
+    cells.rows.forEach((rowCells, rowIndex) => {
+      const dataRow = worksheet.addRow(rowCells.map(toCellValue));
       dataRow.height = this.options.rowHeight;
       
       // Apply zebra stripes
@@ -308,8 +312,33 @@ export class ExcelFormatter {
       if (columnAnalysis && columnAnalysis[header]) {
         this.applyColumnFormat(worksheet, colNumber, columnAnalysis[header], rows.length);
       }
+      
+      // Format angka asli dari file lebih diutamakan
+      const nativeFormat = sheet.cellModel?.columns?.[header]?.numFmt;
+      if (nativeFormat) {
+        for (let row = 2; row <= rows.length + 1; row++) {
+          worksheet.getCell(row, colNumber).numFmt = nativeFormat;
+        }
+      }
+    });
+    
+    // 3️⃣b Footer asli (TOTAL, PPN...) dengan formula yang sudah digeser
+    cells.footer.forEach((rowCells, footerIndex) => {
+      const footerRow = worksheet.getRow(cells.footerStart + footerIndex);
+      rowCells.forEach((cellData, index) => {
+        if (cellData.value === '' && !cellData.formula) return;
+        const cell = footerRow.getCell(index + 1);
+        cell.value = toCellValue(cellData);
+        cell.font = { bold: true };
+        if (cellData.numFmt) cell.numFmt = cellData.numFmt;
+      });
     });
     
+    // Formula dihitung ulang saat file dibuka (nilai sumber mungkin sudah dibersihkan)
+    if (cells.footer.length > 0 || cells.rows.some(rowCells => rowCells.some(c => c.formula))) {
+      workbook.calcProperties.fullCalcOnLoad = true;
+    }
+    
     // 4️⃣ Freeze header row
     if (this.options.freezeHeader) {
       worksheet.views = [
@@ -325,8 +354,8 @@ export class ExcelFormatter {
       };
     }
     
-    // 6️⃣ Add formulas if enabled
-    if (this.options.addFormulas) {
+    // 6️⃣ Add formulas if enabled (kecuali file sudah punya footer sendiri)
+    if (this.options.addFormulas && cells.footer.length === 0) {
       this.addFormulas(worksheet, headers, rows.length, columnAnalysis);
     }
     
@@ -342,7 +371,7 @@ export class ExcelFormatter {
     for (const row of rows.slice(0, 100)) { // Sample first 100 rows
       const value = row[columnName];
       if (value !== null && value !== undefined) {
-        const length = String(value).length;
+        const length = value instanceof Date ? 10 : String(value).length;
         if (length > maxLength) {
           maxLength = length;
         }
@@ -360,6 +389,7 @@ export class ExcelFormatter {
     
     let numFmt = null;
     let alignment = { vertical: 'middle' };
+    let asText = false;
     
     switch (type) {
       case DATA_TYPES.CURRENCY:
@@ -409,10 +439,18 @@ export class ExcelFormatter {
         
       case DATA_TYPES.NIK:
       case DATA_TYPES.NPWP:
+      case DATA_TYPES.NITKU:
       case DATA_TYPES.PHONE:
+      case DATA_TYPES.NIP:
+      case DATA_TYPES.NKK:
+      case DATA_TYPES.BPJS_KESEHATAN:
+      case DATA_TYPES.BPJS_KETENAGAKERJAAN:
+      case DATA_TYPES.BANK_ACCOUNT:
+      case DATA_TYPES.PLATE_NUMBER:
         // Keep as text, center align
         numFmt = '@'; // Text format
         alignment.horizontal = 'center';
+        asText = true; // Angka dari sel Excel ditulis ulang sebagai teks (tanpa 1.23457E+14)
         break;
     }
     
@@ -420,6 +458,7 @@ export class ExcelFormatter {
     if (numFmt || alignment) {
       for (let row = 2; row <= rowCount + 1; row++) {
         const cell = worksheet.getCell(row, colNumber);
+        if (asText && typeof cell.value === 'number') cell.value = identifierText(cell.value);
         if (numFmt) cell.numFmt = numFmt;
         cell.alignment = { ...cell.alignment, ...alignment };
       }
@@ -481,6 +520,142 @@ export class ExcelFormatter {
     return letter;
   }
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // COMPARISON WORKBOOK
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * 🔀 Workbook hasil /compare: baris baru hijau, dihapus merah,
+   * sel berubah kuning (nilai lama di comment sel)
+   * @param {Object} comparison - Hasil DataComparer.compare
+   * @param {Object} currentSheet - Sheet file baru (parsedData.sheets[...])
+   */
+  async formatComparison(comparison, currentSheet) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Excel Intelligence Bot';
+    workbook.created = new Date();
+    workbook.modified = new Date();
+
+    const style = STYLE_PRESETS[this.options.stylePreset] || STYLE_PRESETS.professional;
+    const fills = {
+      added: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE2EFDA' } },
+      removed: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFCE4D6' } },
+      modified: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF2CC' } }
+    };
+
+    // 1️⃣ Sheet perbandingan: semua baris file baru + baris yang dihapus di akhir
+    const ws = workbook.addWorksheet('Perbandingan', {
+      properties: { tabColor: { argb: 'FF2F5496' } }
+    });
+    const headers = [...currentSheet.headers, ...comparison.columns.removed];
+
+    const headerRow = ws.addRow(['Status', ...headers]);
+    headerRow.height = this.options.headerHeight;
+    headerRow.eachCell(cell => {
+      cell.font = style.header.font;
+      cell.fill = style.header.fill;
+      cell.alignment = style.header.alignment;
+      cell.border = style.header.border;
+    });
+
+    const addedRows = new Set(comparison.added.map(a => a.row));
+    const modifiedRows = new Map(comparison.modified.map(m => [m.row, m]));
+
+    currentSheet.rows.forEach((row, idx) => {
+      const rowNumber = row._rowIndex ?? idx + 2;
+      const change = modifiedRows.get(rowNumber);
+      const status = addedRows.has(rowNumber) ? 'Baru' : change ? 'Berubah' : 'Sama';
+
+      const dataRow = ws.addRow([status, ...headers.map(h => row[h] ?? null)]);
+      dataRow.eachCell({ includeEmpty: true }, cell => { cell.border = style.border; });
+
+      if (status === 'Baru') {
+        dataRow.eachCell({ includeEmpty: true }, cell => { cell.fill = fills.added; });
+      } else if (change) {
+        dataRow.getCell(1).fill = fills.modified;
+        for (const { column, before } of change.changes) {
+          const cell = dataRow.getCell(headers.indexOf(column) + 2);
+          cell.fill = fills.modified;
+          cell.note = `Sebelumnya: ${before ?? '(kosong)'}`;
+        }
+      }
+    });
+
+    for (const entry of comparison.removed) {
+      const dataRow = ws.addRow(['Dihapus', ...headers.map(h => entry.values[h] ?? null)]);
+      dataRow.eachCell({ includeEmpty: true }, cell => {
+        cell.fill = fills.removed;
+        cell.font = { strike: true, color: { argb: 'FF9C0006' } };
+        cell.border = style.border;
+      });
+    }
+
+    ws.getColumn(1).width = 12;
+    headers.forEach((header, index) => {
+      const width = this.calculateColumnWidth(header, currentSheet.rows, header);
+      ws.getColumn(index + 2).width = Math.min(
+        Math.max(width, this.options.minColumnWidth),
+        this.options.maxColumnWidth
+      );
+    });
+    ws.views = [{ state: 'frozen', xSplit: 1, ySplit: 1, activeCell: 'B2' }];
+    ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: headers.length + 1 } };
+
+    // 2️⃣ Detail perubahan per sel
+    const detail = workbook.addWorksheet('Detail Perubahan', {
+      properties: { tabColor: { argb: 'FFFFC107' } }
+    });
+    const detailHeader = detail.addRow(['Kunci', 'Baris Lama', 'Baris Baru', 'Kolom', 'Sebelum', 'Sesudah']);
+    detailHeader.eachCell(cell => {
+      cell.font = style.header.font;
+      cell.fill = style.header.fill;
+      cell.alignment = style.header.alignment;
+    });
+
+    for (const change of comparison.modified) {
+      for (const { column, before, after } of change.changes) {
+        detail.addRow([change.key, change.baseRow, change.row, column, before, after]);
+      }
+    }
+    [20, 12, 12, 20, 30, 30].forEach((width, i) => { detail.getColumn(i + 1).width = width; });
+    detail.views = [{ state: 'frozen', xSplit: 0, ySplit: 1, activeCell: 'A2' }];
+
+    // 3️⃣ Ringkasan
+    const summary = workbook.addWorksheet('Ringkasan', {
+      properties: { tabColor: { argb: 'FF28A745' } }
+    });
+    const s = comparison.summary;
+    const summaryData = [
+      ['File lama', s.baseFile ?? '-'],
+      ['File baru', s.currentFile ?? '-'],
+      ['Kolom kunci', s.keyColumns.join(', ') + (s.keyDetected ? ' (otomatis)' : '')],
+      ['Baris file lama', s.baseRows],
+      ['Baris file baru', s.currentRows],
+      ['Baris baru', s.added],
+      ['Baris dihapus', s.removed],
+      ['Baris berubah', s.modified],
+      ['Sel berubah', s.changedCells],
+      ['Baris sama', s.unchanged],
+      ['Kunci kembar (lama / baru)', `${s.duplicateKeys.base} / ${s.duplicateKeys.current}`],
+      ['Kolom baru', comparison.columns.added.join(', ') || '-'],
+      ['Kolom dihapus', comparison.columns.removed.join(', ') || '-']
+    ];
+
+    summary.getCell('A1').value = '🔀 RINGKASAN PERBANDINGAN';
+    summary.getCell('A1').font = { bold: true, size: 14 };
+    summaryData.forEach(([label, value], i) => {
+      summary.getCell(`A${i + 3}`).value = label;
+      summary.getCell(`A${i + 3}`).font = { color: { argb: 'FF666666' } };
+      summary.getCell(`B${i + 3}`).value = value;
+      summary.getCell(`B${i + 3}`).font = { bold: true };
+    });
+    summary.getColumn('A').width = 28;
+    summary.getColumn('B').width = 40;
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    return buffer;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // CONDITIONAL FORMATTING
   // ─────────────────────────────────────────────────────────────────────────────
@@ -59,7 +59,7 @@ const COLUMN_DATABASE = {
   
   // ID/Identifier
   'nik': { type: 'nik', width: 20, sample: '3201012345678901' },
-  'npwp': { type: 'npwp', width: 20, sample: '12.345.678.9-012.000' },
+  'npwp': { type: 'npwp', width: 20, sample: '12.345.678.2-012.000' },
   'no ktp': { type: 'nik', width: 20, sample: '3201012345678901' },
   'id': { type: 'string', width: 10, sample: 'EMP001' },
   'nip': { type: 'string', width: 20, sample: '199001012020011001' },
@@ -381,7 +381,7 @@ export class InstructionParser {
       email: 'sample@email.com',
       phone: '08123456789',
       nik: '3201012345678901',
-      npwp: '12.345.678.9-012.000'
+      npwp: '12.345.678.2-012.000'
     };
     return samples[type] || 'Sample';
   }
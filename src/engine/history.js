@@ -0,0 +1,335 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// HISTORY.JS - 📈 Riwayat Skor Kualitas per Dataset (tren antar upload)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { BOT_CONFIG, INDONESIAN_MONTHS } from '../utils/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_STORE = path.join(__dirname, '../../data/quality-history.json');
+
+const ENGLISH_MONTHS = [
+  'january', 'february', 'march', 'may', 'june', 'july', 'august',
+  'october', 'december', 'aug', 'oct', 'dec'
+];
+const MONTH_NAMES = [...Object.keys(INDONESIAN_MONTHS), ...ENGLISH_MONTHS]
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+// Bagian nama file yang berubah tiap periode/versi: "Penjualan_Jan_2025 (1).xlsx" → "penjualan"
+const FILENAME_NOISE = [
+  /\(\d+\)/g, // Salinan dari browser: "data (1)"
+  /\d{4}[-_.]?\d{2}[-_.]?\d{2}/g, // 2025-01-31, 20250131
+  /\d{1,2}[-_.]\d{1,2}[-_.]\d{2,4}/g, // 31-01-2025
+  /\d{4}[-_.]\d{1,2}/g, // 2025-01
+  new RegExp(`(^|[^a-z])(${MONTH_NAMES})(?=[^a-z]|$)`, 'g'),
+  /(^|[^a-z])(q[1-4]|s[12]|w\d{1,2}|minggu\d*|week\d*)(?=[^a-z]|$)/g,
+  /(^|[^a-z])(v\d+|rev\d*|revisi\d*|final|fix|copy|salinan|baru|new|latest|terbaru)(?=[^a-z]|$)/g,
+  /(^|[^a-z0-9])(19|20)\d{2}(?=[^0-9]|$)/g
+];
+
+// Selisih skor (poin) di bawah ini dianggap stabil
+const STABLE_DELTA = 1;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN HISTORY CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class QualityHistory {
+  constructor(options = {}) {
+    this.options = {
+      file: options.file ?? null, // null = HISTORY_FILE atau data/quality-history.json
+      limit: options.limit ?? BOT_CONFIG.HISTORY_LIMIT // Riwayat maksimal per dataset
+    };
+    this.store = null;
+    this.readOnly = false; // true = file riwayat ada tapi tidak terbaca, jangan ditimpa
+  }
+
+  /**
+   * 🏷️ ID dataset dari nama eksplisit, atau pola nama file tanpa tanggal/periode/versi
+   * "Payroll_Januari_2025_v2.xlsx" & "payroll-2025-02.csv" → "payroll"
+   */
+  datasetId(filename, name = null) {
+    if (name && String(name).trim()) {
+      return this.slugify(name) || 'dataset';
+    }
+
+    const stem = path.basename(String(filename ?? ''))
+      .replace(/\.[^.]+$/, '')
+      .toLowerCase()
+      .replace(/_report$/, '');
+
+    let base = stem;
+    for (const pattern of FILENAME_NOISE) {
+      base = base.replace(pattern, (match, lead) => `${typeof lead === 'string' ? lead : ''} `);
+    }
+
+    // Nama file yang isinya hanya tanggal/periode ("2025-01.csv") tetap dipakai apa adanya
+    return this.slugify(base) || this.slugify(stem) || 'dataset';
+  }
+
+  /**
+   * 💾 Simpan hasil analisis sebagai titik riwayat dataset
+   * @param {string} owner - Pemilik riwayat (mis. "guild:123", "api:<hash key>"); dataset
+   *   dengan nama sama milik pemilik lain terpisah & tidak terlihat
+   * @returns {{ dataset, name, entry, trend }}
+   */
+  record(analysisResult, { filename = null, dataset = null, sheet = null, at = null, owner = null } = {}) {
+    const id = this.datasetId(filename, dataset);
+    const store = this.load();
+    const now = at ? new Date(at).toISOString() : new Date().toISOString();
+
+    const key = this.storeKey(id, owner);
+    const record = store.datasets[key] ?? (store.datasets[key] = {
+      id,
+      ...(owner && { owner }),
+      name: dataset?.trim() || id,
+      createdAt: now,
+      entries: []
+    });
+
+    const entry = this.snapshot(analysisResult, { filename, sheet, at: now });
+    record.entries.push(entry);
+    record.entries.sort((a, b) => a.at.localeCompare(b.at));
+    if (record.entries.length > this.options.limit) {
+      record.entries = record.entries.slice(-this.options.limit);
+    }
+    record.updatedAt = now;
+
+    this.save();
+    return { dataset: id, name: record.name, entry, trend: this.trend(record.entries) };
+  }
+
+  /**
+   * 📈 Riwayat & tren satu dataset milik owner (null jika belum pernah dianalisis)
+   */
+  getHistory(id, { limit = null, owner = null } = {}) {
+    const record = this.load().datasets[this.storeKey(this.slugify(id), owner)];
+    if (!record) return null;
+
+    const entries = limit ? record.entries.slice(-limit) : record.entries;
+    return {
+      dataset: record.id,
+      name: record.name,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      totalEntries: record.entries.length,
+      entries,
+      trend: this.trend(entries)
+    };
+  }
+
+  /**
+   * 📚 Daftar dataset milik owner dengan skor terakhir
+   */
+  list({ owner = null } = {}) {
+    return Object.values(this.load().datasets)
+      .filter(record => (record.owner ?? null) === owner)
+      .map(record => {
+        const latest = record.entries[record.entries.length - 1];
+        return {
+          dataset: record.id,
+          name: record.name,
+          runs: record.entries.length,
+          updatedAt: record.updatedAt,
+          lastFile: latest?.filename ?? null,
+          score: latest?.score ?? null,
+          grade: latest?.grade ?? null,
+          direction: this.trend(record.entries).direction
+        };
+      })
+      .sort((a, b) => (b.updatedAt ?? '').localeCompare(a.updatedAt ?? ''));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // TREND
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Tren skor, perubahan jumlah baris & tipe issue baru/teratasi (terakhir vs sebelumnya)
+   */
+  trend(entries) {
+    const latest = entries[entries.length - 1] ?? null;
+    const previous = entries[entries.length - 2] ?? null;
+    const scores = entries.map(entry => entry.score);
+
+    const trend = {
+      runs: entries.length,
+      latest: latest ? { at: latest.at, score: latest.score, grade: latest.grade, rows: latest.rows } : null,
+      scores: entries.map(entry => ({ at: entry.at, score: entry.score, grade: entry.grade })),
+      best: scores.length ? Math.max(...scores) : null,
+      worst: scores.length ? Math.min(...scores) : null,
+      average: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length * 100) / 100 : null,
+      direction: 'baru',
+      scoreChange: null,
+      totalChange: null,
+      rowChange: null,
+      rowChangePercent: null,
+      newIssueTypes: [],
+      resolvedIssueTypes: [],
+      changedIssueTypes: [],
+      profileChanged: false
+    };
+
+    if (!latest || !previous) return trend;
+
+    trend.scoreChange = this.round(latest.score - previous.score);
+    trend.totalChange = this.round(latest.score - entries[0].score);
+    trend.direction = Math.abs(trend.scoreChange) < STABLE_DELTA
+      ? 'stabil'
+      : trend.scoreChange > 0 ? 'naik' : 'turun';
+
+    trend.rowChange = latest.rows - previous.rows;
+    trend.rowChangePercent = previous.rows > 0
+      ? this.round((trend.rowChange / previous.rows) * 100)
+      : null;
+
+    const types = new Set([...Object.keys(latest.issues), ...Object.keys(previous.issues)]);
+    for (const type of types) {
+      const before = previous.issues[type] ?? 0;
+      const after = latest.issues[type] ?? 0;
+      if (before === 0) trend.newIssueTypes.push({ type, count: after });
+      else if (after === 0) trend.resolvedIssueTypes.push({ type, count: before });
+      else if (before !== after) trend.changedIssueTypes.push({ type, before, after });
+    }
+
+    // Skor dari profil berbeda tidak sebanding langsung
+    trend.profileChanged = (latest.profile ?? 'default') !== (previous.profile ?? 'default');
+    return trend;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Ringkasan hasil analisis yang disimpan (tanpa detail issue & data)
+   */
+  snapshot(analysisResult, { filename, sheet, at }) {
+    const { summary, qualityScore, issues } = analysisResult;
+    return {
+      at,
+      filename,
+      sheet,
+      rows: summary.totalRows,
+      columns: summary.totalColumns,
+      score: qualityScore.overall,
+      grade: qualityScore.grade,
+      breakdown: qualityScore.breakdown,
+      profile: qualityScore.profile?.id ?? 'default',
+      totalIssues: issues.total,
+      issues: { ...issues.counts.byType }
+    };
+  }
+
+  /**
+   * Key di file riwayat: dataset tanpa owner memakai id saja (format lama tetap terbaca)
+   */
+  storeKey(id, owner = null) {
+    return owner ? `${owner}/${id}` : id;
+  }
+
+  slugify(value) {
+    return String(value ?? '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Lokasi file riwayat (env dibaca saat dipakai, setelah dotenv.config())
+   */
+  storeFile() {
+    return this.options.file ?? process.env.HISTORY_FILE ?? DEFAULT_STORE;
+  }
+
+  /**
+   * Baca file riwayat. File rusak dipindah ke *.corrupt-<waktu> sebelum mulai baru;
+   * file yang tidak bisa dibaca/dipindah tidak akan ditimpa (save ditolak)
+   */
+  load() {
+    if (this.store) return this.store;
+    const file = this.storeFile();
+    this.store = { version: 1, datasets: {} };
+
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Riwayat kualitas tidak bisa dibaca (${file}):`, error.message);
+        this.readOnly = true;
+      }
+      return this.store;
+    }
+
+    try {
+      const store = JSON.parse(content);
+      if (!store || typeof store.datasets !== 'object' || Array.isArray(store.datasets)) {
+        throw new Error('struktur tidak dikenal (tidak ada "datasets")');
+      }
+      this.store = store;
+    } catch (error) {
+      this.quarantine(file, error);
+    }
+    return this.store;
+  }
+
+  /**
+   * Simpan salinan file rusak agar riwayat lama masih bisa dipulihkan manual
+   */
+  quarantine(file, error) {
+    const backup = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    try {
+      fs.renameSync(file, backup);
+      console.error(`Riwayat kualitas rusak (${file}): ${error.message}. Dipindah ke ${backup}`);
+    } catch (renameError) {
+      console.error(`Riwayat kualitas rusak (${file}) dan tidak bisa dipindah, riwayat tidak akan disimpan:`, renameError.message);
+      this.readOnly = true;
+    }
+  }
+
+  /**
+   * Tulis ke file sementara lalu rename agar file riwayat tidak rusak jika proses berhenti
+   * Gagal simpan hanya dicatat: analisis tetap dikembalikan ke user
+   */
+  save() {
+    const file = this.storeFile();
+    if (this.readOnly) {
+      console.error(`Riwayat kualitas tidak disimpan: file ${file} tidak bisa dibaca, tidak ditimpa`);
+      return;
+    }
+    try {
+      fs.mkdirSync(dirname(file), { recursive: true });
+      const tempFile = `${file}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(this.store, null, 2));
+      fs.renameSync(tempFile, file);
+    } catch (error) {
+      console.error(`Riwayat kualitas tidak bisa disimpan (${file}):`, error.message);
+    }
+  }
+}
+
+// Create singleton
+export const qualityHistory = new QualityHistory();
+
+export default {
+  QualityHistory,
+  qualityHistory
+};
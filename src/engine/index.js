@@ -9,6 +9,18 @@ export { DataCleaner, dataCleaner } from './cleaner.js';
 export { ExcelFormatter, excelFormatter, STYLE_PRESETS, NUMBER_FORMATS } from './formatter.js';
 export { DataConverter, dataConverter } from './converter.js';
 export { ReportGenerator, reportGenerator } from './reporter.js';
+export { DataValidator, dataValidator } from './validator.js';
+export { SchemaGenerator, schemaGenerator, SCHEMA_FORMATS } from './schema.js';
+export { DriftDetector, driftDetector } from './drift.js';
+export { DataComparer, dataComparer } from './comparer.js';
+export { TimeSeriesAnalyzer, timeSeriesAnalyzer } from './timeseries.js';
+export { DuplicateMatcher, duplicateMatcher } from './dedup.js';
+export { ValueClusterer, valueClusterer, MATCH_METHODS } from './clusterer.js';
+export { OutlierDetector, outlierDetector } from './outliers.js';
+export { ForensicAnalyzer, forensicAnalyzer, DEFAULT_APPROVAL_LIMITS } from './forensic.js';
+export { QualityProfiles, qualityProfiles } from './profiles.js';
+export { QualityHistory, qualityHistory } from './history.js';
+export { RowSampler, rowSampler, SAMPLING_METHODS } from './sampler.js';
 
 // Re-export for convenience
 import { DataAnalyzer, dataAnalyzer } from './analyzer.js';
@@ -16,6 +28,18 @@ import { DataCleaner, dataCleaner } from './cleaner.js';
 import { ExcelFormatter, excelFormatter } from './formatter.js';
 import { DataConverter, dataConverter } from './converter.js';
 import { ReportGenerator, reportGenerator } from './reporter.js';
+import { DataValidator, dataValidator } from './validator.js';
+import { SchemaGenerator, schemaGenerator } from './schema.js';
+import { DriftDetector, driftDetector } from './drift.js';
+import { DataComparer, dataComparer } from './comparer.js';
+import { TimeSeriesAnalyzer, timeSeriesAnalyzer } from './timeseries.js';
+import { DuplicateMatcher, duplicateMatcher } from './dedup.js';
+import { ValueClusterer, valueClusterer } from './clusterer.js';
+import { OutlierDetector, outlierDetector } from './outliers.js';
+import { ForensicAnalyzer, forensicAnalyzer } from './forensic.js';
+import { QualityProfiles, qualityProfiles } from './profiles.js';
+import { QualityHistory, qualityHistory } from './history.js';
+import { RowSampler, rowSampler } from './sampler.js';
 
 /**
  * 🚀 Quick Analysis - One-liner untuk analisis cepat
@@ -100,6 +124,18 @@ export default {
   ExcelFormatter,
   DataConverter,
   ReportGenerator,
+  DataValidator,
+  SchemaGenerator,
+  DriftDetector,
+  DataComparer,
+  TimeSeriesAnalyzer,
+  DuplicateMatcher,
+  ValueClusterer,
+  OutlierDetector,
+  ForensicAnalyzer,
+  QualityProfiles,
+  QualityHistory,
+  RowSampler,
   
   // Singletons
   dataAnalyzer,
@@ -107,6 +143,18 @@ export default {
   excelFormatter,
   dataConverter,
   reportGenerator,
+  dataValidator,
+  schemaGenerator,
+  driftDetector,
+  dataComparer,
+  timeSeriesAnalyzer,
+  duplicateMatcher,
+  valueClusterer,
+  outlierDetector,
+  forensicAnalyzer,
+  qualityProfiles,
+  qualityHistory,
+  rowSampler,
   
   // Quick functions
   quickAnalyze,
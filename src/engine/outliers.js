@@ -0,0 +1,299 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// OUTLIERS.JS - 🎯 Outlier Detection (per kolom, per grup & antar kolom)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { DATA_TYPES } from '../utils/constants.js';
+import { isEmpty } from '../utils/helpers.js';
+import { OUTLIER_METHODS, outlierBounds, outlierScore, correlationRatio, pearson } from '../utils/statistics.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN OUTLIER CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class OutlierDetector {
+  constructor(options = {}) {
+    this.options = {
+      method: options.method ?? 'iqr', // 'iqr' | 'zscore' | 'mad'
+      threshold: options.threshold ?? null, // null = default metode (IQR 1.5, z 3, MAD 3.5)
+      groupBy: options.groupBy ?? null, // "Jabatan" | "Gaji:Jabatan,Harga:Produk" | { Gaji: 'Jabatan' } | 'auto'
+      multivariate: options.multivariate ?? false, // Cek nilai yang tidak wajar terhadap kolom lain yang berkorelasi
+      minValues: options.minValues ?? 10, // Minimal angka per kolom
+      minGroupSize: options.minGroupSize ?? 8, // Grup lebih kecil dilewati (tidak cukup data)
+      maxCategories: options.maxCategories ?? 20, // Kolom kategori untuk grup otomatis
+      groupStrength: options.groupStrength ?? 0.5, // η² minimal agar kategori dipakai sebagai grup otomatis
+      relationThreshold: options.relationThreshold ?? 0.8, // |r| minimal untuk cek antar kolom
+      ignoreMissingColumns: options.ignoreMissingColumns ?? false // Mode workbook: kolom grup yang tidak ada di sheet dilewati
+    };
+
+    if (!OUTLIER_METHODS[this.options.method]) {
+      throw new Error(`Metode outlier "${this.options.method}" tidak dikenal (pilih: ${Object.keys(OUTLIER_METHODS).join(', ')})`);
+    }
+  }
+
+  /**
+   * 🎯 MAIN METHOD
+   * @param {Function} toNumber - (value, header) → angka sesuai konvensi kolom
+   * @returns {{ outliers: Array, summary: { method, threshold, groups, relations } }}
+   */
+  detect(headers, rows, columnAnalysis, toNumber, rowNumber = (i) => i + 2) {
+    const numericColumns = headers.filter(h => columnAnalysis[h]?.isNumeric);
+    const groups = this.resolveGroups(headers, rows, columnAnalysis, numericColumns, toNumber);
+    const outliers = [];
+    const flagged = new Set();
+
+    // 1️⃣ Per kolom (atau per grup jika kolom punya kolom grup)
+    for (const header of numericColumns) {
+      const found = groups[header]
+        ? this.detectGrouped(header, groups[header], rows, toNumber, rowNumber)
+        : this.detectColumn(header, rows, toNumber, rowNumber);
+
+      for (const outlier of found) {
+        flagged.add(`${outlier.row}:${header}`);
+        outliers.push(outlier);
+      }
+    }
+
+    // 2️⃣ Antar kolom: nilai yang menyimpang dari hubungan linear dua kolom angka
+    const relations = this.options.multivariate
+      ? this.findRelations(numericColumns, rows, toNumber)
+      : [];
+
+    for (const relation of relations) {
+      for (const outlier of this.detectRelation(relation, rows, toNumber, rowNumber)) {
+        if (flagged.has(`${outlier.row}:${outlier.column}`)) continue;
+        flagged.add(`${outlier.row}:${outlier.column}`);
+        outliers.push(outlier);
+      }
+    }
+
+    return {
+      outliers,
+      summary: {
+        method: this.options.method,
+        methodLabel: OUTLIER_METHODS[this.options.method].label,
+        threshold: this.options.threshold ?? OUTLIER_METHODS[this.options.method].threshold,
+        groups,
+        relations: relations.map(({ column, related, r }) => ({ column, related, r: Math.round(r * 1000) / 1000 }))
+      }
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // UNIVARIATE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Outlier satu kolom utuh
+   */
+  detectColumn(header, rows, toNumber, rowNumber) {
+    const items = this.numericItems(header, rows, toNumber);
+    if (items.length < this.options.minValues) return [];
+    return this.flag(items, header, rowNumber);
+  }
+
+  /**
+   * Outlier satu kolom dihitung terpisah di tiap nilai kolom grup
+   */
+  detectGrouped(header, groupColumn, rows, toNumber, rowNumber) {
+    const byGroup = new Map();
+    for (const item of this.numericItems(header, rows, toNumber)) {
+      const groupValue = rows[item.index][groupColumn];
+      if (isEmpty(groupValue)) continue;
+      const key = String(groupValue).trim();
+      if (!byGroup.has(key)) byGroup.set(key, []);
+      byGroup.get(key).push(item);
+    }
+
+    const outliers = [];
+    for (const [groupValue, items] of byGroup) {
+      if (items.length < this.options.minGroupSize) continue;
+      outliers.push(...this.flag(items, header, rowNumber, { column: groupColumn, value: groupValue }));
+    }
+    return outliers;
+  }
+
+  /**
+   * Tandai item di luar batas wajar
+   */
+  flag(items, header, rowNumber, group = null) {
+    const values = items.map(i => i.value);
+    const bounds = outlierBounds(values, this.options.method, this.options.threshold);
+    if (!bounds) return [];
+
+    // Kolom tanpa angka negatif: batas bawah negatif cukup ditampilkan 0
+    const lower = bounds.lower < 0 && Math.min(...values) >= 0 ? 0 : bounds.lower;
+
+    return items
+      .filter(item => item.value < bounds.lower || item.value > bounds.upper)
+      .map(item => ({
+        row: rowNumber(item.index),
+        column: header,
+        value: item.raw,
+        number: item.value,
+        direction: item.value < bounds.lower ? 'low' : 'high',
+        score: Math.round(outlierScore(item.value, bounds) * 100) / 100,
+        lower,
+        upper: bounds.upper,
+        method: this.options.method,
+        group,
+        related: null
+      }));
+  }
+
+  numericItems(header, rows, toNumber) {
+    const items = [];
+    rows.forEach((row, index) => {
+      if (isEmpty(row[header])) return;
+      const value = toNumber(row[header], header);
+      if (value !== null && !isNaN(value)) items.push({ index, value, raw: row[header] });
+    });
+    return items;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // GROUPS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Kolom grup per kolom angka: { Gaji: 'Jabatan' }
+   */
+  resolveGroups(headers, rows, columnAnalysis, numericColumns, toNumber) {
+    const { groupBy } = this.options;
+    if (!groupBy) return {};
+    if (groupBy === 'auto') return this.detectGroups(headers, rows, columnAnalysis, numericColumns, toNumber);
+
+    const findHeader = (name) => {
+      const header = headers.find(h => h.toLowerCase() === String(name).trim().toLowerCase());
+      if (!header && !this.options.ignoreMissingColumns) {
+        throw new Error(`Kolom "${String(name).trim()}" tidak ditemukan`);
+      }
+      return header ?? null;
+    };
+
+    // "Jabatan" saja = semua kolom angka dikelompokkan per Jabatan
+    if (typeof groupBy === 'string' && !groupBy.includes(':')) {
+      const groupColumn = findHeader(groupBy);
+      if (!groupColumn) return {};
+      return Object.fromEntries(numericColumns.filter(h => h !== groupColumn).map(h => [h, groupColumn]));
+    }
+
+    const pairs = typeof groupBy === 'string'
+      ? groupBy.split(',').filter(Boolean).map(pair => pair.split(':'))
+      : Object.entries(groupBy);
+
+    const groups = {};
+    for (const [column, groupColumn] of pairs) {
+      const header = findHeader(column);
+      const group = findHeader(groupColumn);
+      if (!header || !group) continue;
+      if (!numericColumns.includes(header)) {
+        throw new Error(`Kolom "${header}" bukan kolom angka`);
+      }
+      groups[header] = group;
+    }
+    return groups;
+  }
+
+  /**
+   * Grup otomatis: kolom kategori yang paling menjelaskan variasi kolom angka (η² tertinggi)
+   */
+  detectGroups(headers, rows, columnAnalysis, numericColumns, toNumber) {
+    const categories = headers.filter(h => {
+      const col = columnAnalysis[h];
+      return col?.detectedType === DATA_TYPES.STRING
+        && col.uniqueCount >= 2
+        && col.uniqueCount <= this.options.maxCategories
+        && col.uniqueCount * this.options.minGroupSize <= col.nonEmptyCount;
+    });
+
+    const groups = {};
+    for (const header of numericColumns) {
+      let best = null;
+      for (const category of categories) {
+        const items = this.numericItems(header, rows, toNumber).filter(i => !isEmpty(rows[i.index][category]));
+        const eta = correlationRatio(items.map(i => i.value), items.map(i => String(rows[i.index][category]).trim()));
+        if (eta !== null && eta >= this.options.groupStrength && (!best || eta > best.eta)) {
+          best = { category, eta };
+        }
+      }
+      if (best) groups[header] = best.category;
+    }
+    return groups;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // MULTIVARIATE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Pasangan kolom angka positif yang berkorelasi kuat searah (kolom kanan dinilai terhadap kolom kiri)
+   */
+  findRelations(numericColumns, rows, toNumber) {
+    const relations = [];
+    for (let i = 0; i < numericColumns.length; i++) {
+      for (let j = i + 1; j < numericColumns.length; j++) {
+        const pairs = this.pairedItems(numericColumns[i], numericColumns[j], rows, toNumber);
+        if (pairs.length < this.options.minValues) continue;
+
+        const r = pearson(pairs.map(p => p.x), pairs.map(p => p.y));
+        if (r !== null && r >= this.options.relationThreshold) {
+          relations.push({ column: numericColumns[j], related: numericColumns[i], r });
+        }
+      }
+    }
+    return relations;
+  }
+
+  /**
+   * Outlier dari rasio column / related (skala log): Ongkir per Berat, Total per Harga, dst
+   * Rasio dipakai (bukan regresi) agar baris dengan skala berbeda tidak ikut ditandai
+   */
+  detectRelation(relation, rows, toNumber, rowNumber) {
+    const ratios = this.pairedItems(relation.related, relation.column, rows, toNumber).map(p => ({
+      index: p.index,
+      value: Math.log(p.y / p.x),
+      raw: rows[p.index][relation.column],
+      x: p.x,
+      y: p.y
+    }));
+
+    const bounds = outlierBounds(ratios.map(r => r.value), this.options.method, this.options.threshold);
+    if (!bounds) return [];
+
+    const byRow = new Map(ratios.map(r => [rowNumber(r.index), r]));
+    return this.flag(ratios, relation.column, rowNumber).map(outlier => {
+      const item = byRow.get(outlier.row);
+      return {
+        ...outlier,
+        number: item.y,
+        related: relation.related,
+        expected: item.x * Math.exp(bounds.center),
+        lower: item.x * Math.exp(bounds.lower),
+        upper: item.x * Math.exp(bounds.upper)
+      };
+    });
+  }
+
+  /**
+   * Pasangan angka dua kolom; keduanya harus positif (rasio & log)
+   */
+  pairedItems(columnX, columnY, rows, toNumber) {
+    const pairs = [];
+    rows.forEach((row, index) => {
+      if (isEmpty(row[columnX]) || isEmpty(row[columnY])) return;
+      const x = toNumber(row[columnX], columnX);
+      const y = toNumber(row[columnY], columnY);
+      if (x > 0 && y > 0) pairs.push({ index, x, y });
+    });
+    return pairs;
+  }
+}
+
+// Create singleton
+export const outlierDetector = new OutlierDetector();
+
+export default {
+  OutlierDetector,
+  outlierDetector
+};
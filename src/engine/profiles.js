@@ -0,0 +1,187 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// PROFILES.JS - 🎚️ Quality Score Profiles (bobot dimensi, kolom kritis, penalti)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { ISSUE_TYPES, QUALITY_PROFILES } from '../utils/constants.js';
+import { parseYAML } from '../utils/yaml.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PROFILE_KEYS = ['extends', 'name', 'description', 'weights', 'thresholds', 'columns', 'penalties'];
+const DIMENSIONS = ['completeness', 'consistency', 'validity', 'uniqueness'];
+const GRADE_LEVELS = ['EXCELLENT', 'GOOD', 'FAIR', 'POOR'];
+
+// Issue yang mengurangi keunikan; issue lain dengan penalti mengurangi validitas
+export const UNIQUENESS_ISSUES = [ISSUE_TYPES.DUPLICATE.code, ISSUE_TYPES.NEAR_DUPLICATE.code];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN PROFILES CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class QualityProfiles {
+  /**
+   * Daftar profil bawaan (untuk pilihan di bot, API & dashboard)
+   */
+  list() {
+    return Object.entries(QUALITY_PROFILES).map(([id, profile]) => ({
+      id,
+      name: profile.name,
+      description: profile.description
+    }));
+  }
+
+  /**
+   * 🎚️ Profil siap pakai dari id ("finance"), object, atau teks JSON/YAML
+   * Profil custom mewarisi profil lain lewat "extends" (default: baseId)
+   * @returns {{ id, name, description, weights, thresholds, columns: Array<{ key, test, weight }>, penalties }}
+   */
+  resolve(input = 'default', baseId = 'default') {
+    if (input?.columns instanceof Array) return input; // Sudah di-resolve
+
+    if (typeof input === 'string' && !/^\s*[{[]|:/.test(input)) {
+      const id = input.trim().toLowerCase();
+      if (!QUALITY_PROFILES[id]) {
+        throw new Error(`Profil skor "${input}" tidak dikenal (pilih: ${Object.keys(QUALITY_PROFILES).join(', ')})`);
+      }
+      return this.build(id, QUALITY_PROFILES[id]);
+    }
+
+    const custom = typeof input === 'string' ? this.parseText(input) : input;
+    if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+      throw new Error('Profil skor custom harus berupa object, contoh: {"extends":"finance","penalties":{"OUTLIER":2}}');
+    }
+
+    const unknown = Object.keys(custom).filter(key => !PROFILE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Opsi profil ${unknown.map(k => `"${k}"`).join(', ')} tidak dikenal. Opsi: ${PROFILE_KEYS.join(', ')}`);
+    }
+
+    const baseName = custom.extends ?? baseId;
+    if (!QUALITY_PROFILES[baseName]) {
+      throw new Error(`Profil dasar "${baseName}" tidak dikenal (pilih: ${Object.keys(QUALITY_PROFILES).join(', ')})`);
+    }
+    const base = QUALITY_PROFILES[baseName];
+
+    return this.build('custom', {
+      name: custom.name ?? `Custom (${base.name})`,
+      description: custom.description ?? base.description,
+      weights: { ...base.weights, ...this.checkNumbers(custom.weights, 'weights', DIMENSIONS) },
+      thresholds: { ...base.thresholds, ...this.checkNumbers(custom.thresholds, 'thresholds', GRADE_LEVELS) },
+      columns: { ...base.columns, ...this.checkNumbers(custom.columns, 'columns') },
+      penalties: { ...base.penalties, ...this.checkNumbers(custom.penalties, 'penalties', Object.keys(ISSUE_TYPES)) }
+    }, baseName);
+  }
+
+  /**
+   * Normalisasi: bobot dimensi dijumlah 1, penalti digabung dengan profil default, pola kolom dikompilasi
+   */
+  build(id, profile, baseId = null) {
+    const totalWeight = DIMENSIONS.reduce((sum, dim) => sum + profile.weights[dim], 0);
+    if (totalWeight <= 0) {
+      throw new Error('Total bobot dimensi (weights) harus lebih dari 0');
+    }
+
+    const thresholds = GRADE_LEVELS.map(level => profile.thresholds[level]);
+    if (thresholds.some((value, i) => i > 0 && value > thresholds[i - 1])) {
+      throw new Error('Ambang grade harus menurun: EXCELLENT ≥ GOOD ≥ FAIR ≥ POOR');
+    }
+
+    return {
+      id,
+      extends: baseId,
+      name: profile.name,
+      description: profile.description,
+      weights: Object.fromEntries(DIMENSIONS.map(dim => [dim, Math.round(profile.weights[dim] / totalWeight * 1000) / 1000])),
+      thresholds: { ...profile.thresholds },
+      columns: Object.entries(profile.columns).map(([key, weight]) => ({ key, test: this.columnMatcher(key), weight })),
+      penalties: { ...QUALITY_PROFILES.default.penalties, ...profile.penalties }
+    };
+  }
+
+  /**
+   * Bobot kolom: pola pertama yang cocok, default 1
+   */
+  columnWeight(profile, header) {
+    if (!header) return 1;
+    return profile.columns.find(column => column.test(header))?.weight ?? 1;
+  }
+
+  /**
+   * Ringkasan profil untuk hasil analisis & laporan (tanpa fungsi matcher)
+   */
+  describe(profile) {
+    return {
+      id: profile.id,
+      extends: profile.extends,
+      name: profile.name,
+      description: profile.description,
+      weights: profile.weights,
+      thresholds: profile.thresholds,
+      columns: Object.fromEntries(profile.columns.map(column => [column.key, column.weight])),
+      penalties: profile.penalties
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * "/npwp|faktur/" → regex (tanpa beda huruf besar/kecil), selain itu nama kolom persis
+   */
+  columnMatcher(key) {
+    const regex = key.match(/^\/(.+)\/$/);
+    if (regex) {
+      const pattern = new RegExp(regex[1], 'i');
+      return (header) => pattern.test(header);
+    }
+    const name = key.trim().toLowerCase();
+    return (header) => header.trim().toLowerCase() === name;
+  }
+
+  checkNumbers(values, field, allowedKeys = null) {
+    if (values === undefined) return {};
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error(`"${field}" harus berupa object`);
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      if (allowedKeys && !allowedKeys.includes(key)) {
+        throw new Error(`"${field}.${key}" tidak dikenal. Pilihan: ${allowedKeys.join(', ')}`);
+      }
+      if (typeof value !== 'number' || isNaN(value) || value < 0) {
+        throw new Error(`"${field}.${key}" harus angka ≥ 0`);
+      }
+    }
+    return values;
+  }
+
+  parseText(text) {
+    const content = text.trim();
+    if (/^[{[]/.test(content)) {
+      try {
+        return JSON.parse(content);
+      } catch {
+        // Bisa jadi YAML flow style, coba parser YAML
+      }
+    }
+
+    try {
+      return parseYAML(content);
+    } catch (error) {
+      throw new Error(`Format profil skor tidak valid (JSON/YAML): ${error.message}`);
+    }
+  }
+}
+
+// Create singleton
+export const qualityProfiles = new QualityProfiles();
+
+export default {
+  QualityProfiles,
+  qualityProfiles,
+  UNIQUENESS_ISSUES
+};
@@ -10,7 +10,8 @@ import {
   formatNumber, 
   formatPercentage,
   formatDate,
-  formatDateTime 
+  formatDateTime,
+  serializeDate
 } from '../utils/helpers.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -71,6 +72,44 @@ export class ReportGenerator {
         average: 'Rata-rata',
         min: 'Minimum',
         max: 'Maximum',
+        distribution: 'Distribusi',
+        correlation: 'Korelasi',
+        association: 'Asosiasi Kategori',
+        histogram: 'Histogram',
+        range: 'Rentang',
+        strength: 'Kekuatan',
+        timeSeries: 'Tren Waktu',
+        period: 'Periode',
+        frequency: 'Frekuensi',
+        missingPeriods: 'Periode Kosong',
+        trend: 'Tren',
+        seasonality: 'Musiman',
+        forensic: 'Forensik',
+        benford: 'Hukum Benford',
+        digit: 'Digit',
+        observed: 'Aktual',
+        expected: 'Harapan',
+        conformity: 'Kesesuaian',
+        roundNumbers: 'Angka Bulat',
+        share: 'Porsi',
+        approvalLimit: 'Batas Persetujuan',
+        below: 'Di Bawah',
+        above: 'Di Atas',
+        duplicateInvoices: 'Faktur Ganda',
+        invoice: 'No. Faktur',
+        vendor: 'Vendor',
+        calendar: 'Akhir Pekan & Hari Libur',
+        date: 'Tanggal',
+        day: 'Hari',
+        note: 'Keterangan',
+        profile: 'Profil Skor',
+        weight: 'Bobot',
+        penalty: 'Penalti',
+        columnWeights: 'Bobot Kolom',
+        analyzedRows: 'Baris Dianalisis',
+        sampling: 'Sampel & Estimasi',
+        estimate: 'Perkiraan',
+        interval: 'Selang Kepercayaan',
         high: 'Tinggi',
         medium: 'Sedang',
         low: 'Rendah',
@@ -114,6 +153,44 @@ export class ReportGenerator {
         average: 'Average',
         min: 'Minimum',
         max: 'Maximum',
+        distribution: 'Distribution',
+        correlation: 'Correlation',
+        association: 'Categorical Association',
+        histogram: 'Histogram',
+        range: 'Range',
+        strength: 'Strength',
+        timeSeries: 'Time Series',
+        period: 'Period',
+        frequency: 'Frequency',
+        missingPeriods: 'Missing Periods',
+        trend: 'Trend',
+        seasonality: 'Seasonality',
+        forensic: 'Forensic',
+        benford: "Benford's Law",
+        digit: 'Digit',
+        observed: 'Observed',
+        expected: 'Expected',
+        conformity: 'Conformity',
+        roundNumbers: 'Round Numbers',
+        share: 'Share',
+        approvalLimit: 'Approval Limit',
+        below: 'Below',
+        above: 'Above',
+        duplicateInvoices: 'Duplicate Invoices',
+        invoice: 'Invoice No.',
+        vendor: 'Vendor',
+        calendar: 'Weekends & Holidays',
+        date: 'Date',
+        day: 'Day',
+        note: 'Note',
+        profile: 'Scoring Profile',
+        weight: 'Weight',
+        penalty: 'Penalty',
+        columnWeights: 'Column Weights',
+        analyzedRows: 'Analyzed Rows',
+        sampling: 'Sampling & Estimates',
+        estimate: 'Estimate',
+        interval: 'Confidence Interval',
         high: 'High',
         medium: 'Medium',
         low: 'Low',
@@ -156,10 +233,20 @@ export class ReportGenerator {
     
     // 6️⃣ Statistics Sheet
     if (Object.keys(analysisResult.statistics).length > 0) {
-      await this.addStatisticsSheet(workbook, analysisResult.statistics);
+      await this.addStatisticsSheet(workbook, analysisResult.statistics, analysisResult.deepInsights);
     }
     
-    // 7️⃣ Raw Data Sheet (optional)
+    // 7️⃣ Time Series Sheet (deep analysis dengan kolom tanggal)
+    if (analysisResult.deepInsights?.timeSeries?.length > 0) {
+      await this.addTimeSeriesSheet(workbook, analysisResult.deepInsights.timeSeries);
+    }
+    
+    // 8️⃣ Forensic Sheet (mode forensik)
+    if (analysisResult.forensic) {
+      await this.addForensicSheet(workbook, analysisResult.forensic);
+    }
+    
+    // 9️⃣ Raw Data Sheet (optional)
     if (this.options.includeRawData && parsedData) {
       await this.addRawDataSheet(workbook, parsedData, sheetName);
     }
@@ -199,8 +286,10 @@ export class ReportGenerator {
     // Summary section
     const summaryData = [
       [this.labels.totalRows, analysisResult.summary.totalRows],
+      ...(analysisResult.summary.sampling ? [[this.labels.analyzedRows, analysisResult.summary.analyzedRows]] : []),
       [this.labels.totalColumns, analysisResult.summary.totalColumns],
       [this.labels.analysisTime, analysisResult.summary.analysisTime],
+      [this.labels.profile, analysisResult.qualityScore.profile?.name ?? '-'],
       [this.labels.generatedAt, formatDateTime(new Date())],
       [this.labels.generator, 'Excel Intelligence Bot v2.0']
     ];
@@ -247,23 +336,27 @@ export class ReportGenerator {
       ws.getCell(`A${currentRow}`).font = { bold: true, size: 12 };
       currentRow++;
       
-      const bySeverity = analysisResult.issues.bySeverity;
-      if (bySeverity.error?.length) {
-        ws.getCell(`A${currentRow}`).value = `❌ ${this.labels.error}: ${bySeverity.error.length}`;
+      const bySeverity = analysisResult.issues.counts.bySeverity;
+      if (bySeverity.error) {
+        ws.getCell(`A${currentRow}`).value = `❌ ${this.labels.error}: ${bySeverity.error}`;
         ws.getCell(`A${currentRow}`).font = { color: { argb: 'FFDC3545' } };
         currentRow++;
       }
-      if (bySeverity.warning?.length) {
-        ws.getCell(`A${currentRow}`).value = `⚠️ ${this.labels.warning}: ${bySeverity.warning.length}`;
+      if (bySeverity.warning) {
+        ws.getCell(`A${currentRow}`).value = `⚠️ ${this.labels.warning}: ${bySeverity.warning}`;
         ws.getCell(`A${currentRow}`).font = { color: { argb: 'FFFFC107' } };
         currentRow++;
       }
-      if (bySeverity.info?.length) {
-        ws.getCell(`A${currentRow}`).value = `ℹ️ ${this.labels.info}: ${bySeverity.info.length}`;
+      if (bySeverity.info) {
+        ws.getCell(`A${currentRow}`).value = `ℹ️ ${this.labels.info}: ${bySeverity.info}`;
         ws.getCell(`A${currentRow}`).font = { color: { argb: 'FF17A2B8' } };
         currentRow++;
       }
     }
+
+    if (analysisResult.summary.sampling) {
+      this.addSamplingSection(ws, analysisResult.summary.sampling, currentRow + 1);
+    }
     
     // Column widths
     ws.getColumn('A').width = 25;
@@ -273,6 +366,53 @@ export class ReportGenerator {
     return ws;
   }
 
+  /**
+   * 🎲 Cara sampel diambil & perkiraan jumlah issue / kelengkapan seluruh file
+   */
+  addSamplingSection(ws, sampling, startRow) {
+    let currentRow = startRow;
+    ws.getCell(`A${currentRow}`).value = '🎲 ' + this.labels.sampling.toUpperCase();
+    ws.getCell(`A${currentRow}`).font = { bold: true, size: 12 };
+    currentRow++;
+
+    ws.mergeCells(`A${currentRow}:F${currentRow}`);
+    ws.getCell(`A${currentRow}`).value = sampling.note;
+    ws.getCell(`A${currentRow}`).alignment = { wrapText: true, vertical: 'top' };
+    ws.getCell(`A${currentRow}`).font = { italic: true, color: { argb: 'FF666666' } };
+    ws.getRow(currentRow).height = 60;
+    currentRow++;
+
+    const estimates = sampling.estimates;
+    if (!estimates) return;
+
+    const confidence = `${this.labels.interval} ${Math.round(estimates.confidence * 100)}%`;
+    const headers = [this.labels.type, this.labels.observed, this.labels.estimate, confidence];
+    headers.forEach((header, i) => {
+      const cell = ws.getRow(currentRow).getCell(i + 1);
+      cell.value = header;
+      cell.font = { bold: true };
+    });
+    currentRow++;
+
+    const { totalIssues, completeness } = estimates;
+    const rows = [
+      ['TOTAL', totalIssues.observed, totalIssues.estimate, `${totalIssues.lower} – ${totalIssues.upper}`],
+      ...estimates.issues.map(issue => [
+        issue.type,
+        issue.observed,
+        issue.extrapolated ? issue.estimate : `≥ ${issue.observed}`,
+        issue.extrapolated ? `${issue.lower} – ${issue.upper}` : '-'
+      ]),
+      [this.labels.completeness, '', `${completeness.overall.estimate}%`, `${completeness.overall.lower}% – ${completeness.overall.upper}%`]
+    ];
+    for (const values of rows) {
+      values.forEach((value, i) => {
+        ws.getRow(currentRow).getCell(i + 1).value = value;
+      });
+      currentRow++;
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // QUALITY SCORE SHEET
   // ─────────────────────────────────────────────────────────────────────────────
@@ -283,13 +423,13 @@ export class ReportGenerator {
     });
     
     // Title
-    ws.mergeCells('A1:D1');
+    ws.mergeCells('A1:E1');
     ws.getCell('A1').value = '📊 ' + this.labels.qualityScore;
     ws.getCell('A1').font = { bold: true, size: 16 };
     ws.getRow(1).height = 30;
     
     // Headers
-    const headers = [this.labels.type, 'Score', 'Status', 'Visual'];
+    const headers = [this.labels.type, 'Score', this.labels.weight, 'Status', 'Visual'];
     ws.addRow(headers);
     const headerRow = ws.getRow(2);
     headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
@@ -298,25 +438,28 @@ export class ReportGenerator {
     
     // Score data
     const breakdown = qualityScore.breakdown;
+    const weights = qualityScore.profile?.weights ?? {};
     const scoreData = [
-      [this.labels.completeness, breakdown.completeness],
-      [this.labels.consistency, breakdown.consistency],
-      [this.labels.validity, breakdown.validity],
-      [this.labels.uniqueness, breakdown.uniqueness]
+      [this.labels.completeness, breakdown.completeness, weights.completeness],
+      [this.labels.consistency, breakdown.consistency, weights.consistency],
+      [this.labels.validity, breakdown.validity, weights.validity],
+      [this.labels.uniqueness, breakdown.uniqueness, weights.uniqueness]
     ];
     
-    for (const [label, score] of scoreData) {
+    for (const [label, score, weight] of scoreData) {
       const row = ws.addRow([
         label,
         `${score}%`,
+        weight !== undefined ? `${Math.round(weight * 1000) / 10}%` : '-',
         this.getScoreStatus(score),
         this.getScoreBar(score)
       ]);
       
       row.getCell(2).font = { bold: true };
       row.getCell(2).alignment = { horizontal: 'center' };
-      row.getCell(3).font = { color: { argb: this.getScoreColor(score) } };
       row.getCell(3).alignment = { horizontal: 'center' };
+      row.getCell(4).font = { color: { argb: this.getScoreColor(score) } };
+      row.getCell(4).alignment = { horizontal: 'center' };
     }
     
     // Overall score
@@ -324,21 +467,60 @@ export class ReportGenerator {
     const overallRow = ws.addRow([
       'OVERALL',
       `${qualityScore.overall}%`,
+      '',
       `Grade: ${qualityScore.grade}`,
       qualityScore.gradeLabel
     ]);
     overallRow.font = { bold: true, size: 12 };
     overallRow.getCell(2).font = { bold: true, size: 14, color: { argb: this.getScoreColor(qualityScore.overall) } };
+
+    if (qualityScore.profile) {
+      this.addProfileSection(ws, qualityScore.profile);
+    }
     
     // Column widths
     ws.getColumn('A').width = 20;
     ws.getColumn('B').width = 12;
-    ws.getColumn('C').width = 15;
-    ws.getColumn('D').width = 30;
+    ws.getColumn('C').width = 12;
+    ws.getColumn('D').width = 15;
+    ws.getColumn('E').width = 30;
     
     return ws;
   }
 
+  /**
+   * 🎚️ Profil skor: ambang grade, bobot kolom & penalti yang dipakai
+   */
+  addProfileSection(ws, profile) {
+    ws.addRow([]);
+    const titleRow = ws.addRow([`🎚️ ${this.labels.profile}: ${profile.name}`]);
+    titleRow.font = { bold: true, size: 12 };
+    if (profile.description) {
+      ws.addRow([profile.description]).font = { italic: true, color: { argb: 'FF666666' } };
+    }
+
+    const { EXCELLENT, GOOD, FAIR, POOR } = profile.thresholds;
+    ws.addRow(['Grade', `A ≥ ${EXCELLENT}`, `B ≥ ${GOOD}`, `C ≥ ${FAIR}`, `D ≥ ${POOR}`]);
+
+    const columns = Object.entries(profile.columns ?? {});
+    if (columns.length > 0) {
+      ws.addRow([]);
+      ws.addRow([this.labels.columnWeights, this.labels.weight]).font = { bold: true };
+      for (const [pattern, weight] of columns) {
+        ws.addRow([pattern, `×${weight}`]);
+      }
+    }
+
+    const penalties = Object.entries(profile.penalties ?? {});
+    if (penalties.length > 0) {
+      ws.addRow([]);
+      ws.addRow([this.labels.type, this.labels.penalty]).font = { bold: true };
+      for (const [code, penalty] of penalties) {
+        ws.addRow([code, `×${penalty}`]);
+      }
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // COLUMN ANALYSIS SHEET
   // ─────────────────────────────────────────────────────────────────────────────
@@ -379,7 +561,7 @@ export class ReportGenerator {
         `${analysis.fillRate}%`,
         analysis.uniqueCount,
         analysis.emptyCount,
-        analysis.sampleValues.slice(0, 3).join(', ')
+        analysis.sampleValues.slice(0, 3).map(v => (v instanceof Date ? serializeDate(v) : v)).join(', ')
       ]);
       
       // Color code fill rate
@@ -541,7 +723,7 @@ export class ReportGenerator {
   // STATISTICS SHEET
   // ─────────────────────────────────────────────────────────────────────────────
 
-  async addStatisticsSheet(workbook, statistics) {
+  async addStatisticsSheet(workbook, statistics, deepInsights = null) {
     const ws = workbook.addWorksheet(this.labels.statistics, {
       properties: { tabColor: { argb: 'FF28A745' } }
     });
@@ -593,6 +775,427 @@ export class ReportGenerator {
     ws.getColumn('F').width = 18;
     ws.getColumn('G').width = 12;
     
+    let currentRow = ws.rowCount + 3;
+    currentRow = this.addDistributionSection(ws, statistics, currentRow);
+    
+    if (deepInsights?.correlationMatrix) {
+      currentRow = this.addCorrelationSection(ws, deepInsights.correlationMatrix, 'pearson', 'Pearson (r)', currentRow);
+      currentRow = this.addCorrelationSection(ws, deepInsights.correlationMatrix, 'spearman', 'Spearman (ρ)', currentRow);
+    }
+    
+    const associations = (deepInsights?.correlations ?? []).filter(c => c.type === 'categorical');
+    if (associations.length > 0) {
+      currentRow = this.addAssociationSection(ws, associations, currentRow);
+    }
+    
+    this.addHistogramSection(ws, statistics, currentRow);
+    
+    return ws;
+  }
+
+  /**
+   * Header tabel sebuah section di sheet statistik
+   */
+  addSectionHeader(ws, rowNumber, title, headers) {
+    ws.getCell(`A${rowNumber}`).value = title;
+    ws.getCell(`A${rowNumber}`).font = { bold: true, size: 12 };
+    
+    const headerRow = ws.getRow(rowNumber + 1);
+    headerRow.values = headers;
+    headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    headerRow.alignment = { horizontal: 'center' };
+    headers.forEach((_, i) => {
+      headerRow.getCell(i + 1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF28A745' } };
+    });
+    
+    return rowNumber + 2;
+  }
+
+  /**
+   * 📊 Persentil, IQR, skewness & kurtosis per kolom angka
+   */
+  addDistributionSection(ws, statistics, startRow) {
+    const columns = Object.entries(statistics).filter(([, stats]) => stats.distribution);
+    if (columns.length === 0) return startRow;
+    
+    let rowNumber = this.addSectionHeader(ws, startRow, '📊 ' + this.labels.distribution, [
+      this.labels.column, 'P5', 'P25', 'Median', 'P75', 'P95', 'IQR', 'Skewness', 'Kurtosis'
+    ]);
+    
+    for (const [colName, stats] of columns) {
+      const { percentiles, iqr, skewness, kurtosis } = stats.distribution;
+      ws.getRow(rowNumber++).values = [
+        colName,
+        percentiles.p5,
+        percentiles.p25,
+        percentiles.p50,
+        percentiles.p75,
+        percentiles.p95,
+        iqr,
+        skewness ?? '-',
+        kurtosis ?? '-'
+      ];
+    }
+    
+    ws.getColumn('H').width = 12;
+    ws.getColumn('I').width = 12;
+    
+    return rowNumber + 2;
+  }
+
+  /**
+   * 🔗 Matriks korelasi dengan skala warna (merah = negatif, hijau = positif)
+   */
+  addCorrelationSection(ws, correlationMatrix, method, title, startRow) {
+    const { columns } = correlationMatrix;
+    const values = correlationMatrix[method];
+    
+    let rowNumber = this.addSectionHeader(ws, startRow, `🔗 ${this.labels.correlation} ${title}`, ['', ...columns]);
+    const firstRow = rowNumber;
+    
+    columns.forEach((colName, i) => {
+      const row = ws.getRow(rowNumber++);
+      row.values = [colName, ...values[i].map(v => v ?? '-')];
+      row.getCell(1).font = { bold: true };
+    });
+    
+    ws.addConditionalFormatting({
+      ref: `B${firstRow}:${ws.getColumn(columns.length + 1).letter}${rowNumber - 1}`,
+      rules: [
+        {
+          type: 'colorScale',
+          cfvo: [
+            { type: 'num', value: -1 },
+            { type: 'num', value: 0 },
+            { type: 'num', value: 1 }
+          ],
+          color: [
+            { argb: 'FFF8696B' },
+            { argb: 'FFFFFFFF' },
+            { argb: 'FF63BE7B' }
+          ]
+        }
+      ]
+    });
+    
+    return rowNumber + 2;
+  }
+
+  /**
+   * Cramér's V antar kolom kategori
+   */
+  addAssociationSection(ws, associations, startRow) {
+    let rowNumber = this.addSectionHeader(ws, startRow, '🧩 ' + this.labels.association, [
+      this.labels.column, this.labels.column, "Cramér's V", 'n', this.labels.strength
+    ]);
+    
+    for (const assoc of associations) {
+      ws.getRow(rowNumber++).values = [
+        assoc.columns[0],
+        assoc.columns[1],
+        assoc.cramersV,
+        assoc.n,
+        assoc.strength
+      ];
+    }
+    
+    return rowNumber + 2;
+  }
+
+  /**
+   * 📶 Histogram per kolom angka (bar teks agar terbaca tanpa chart)
+   */
+  addHistogramSection(ws, statistics, startRow) {
+    const columns = Object.entries(statistics).filter(([, stats]) => stats.distribution?.histogram.length > 0);
+    if (columns.length === 0) return startRow;
+    
+    let rowNumber = this.addSectionHeader(ws, startRow, '📶 ' + this.labels.histogram, [
+      this.labels.column, this.labels.range, this.labels.count, ''
+    ]);
+    
+    for (const [colName, stats] of columns) {
+      const { histogram } = stats.distribution;
+      const maxCount = Math.max(...histogram.map(bin => bin.count));
+      
+      histogram.forEach((bin, i) => {
+        ws.getRow(rowNumber++).values = [
+          i === 0 ? colName : '',
+          `${formatNumber(bin.from, 2)} – ${formatNumber(bin.to, 2)}`,
+          bin.count,
+          '█'.repeat(Math.round((bin.count / maxCount) * 20))
+        ];
+      });
+      rowNumber++;
+    }
+    
+    return rowNumber;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // TIME SERIES SHEET
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  async addTimeSeriesSheet(workbook, timeSeries) {
+    const ws = workbook.addWorksheet(this.labels.timeSeries, {
+      properties: { tabColor: { argb: 'FF6F42C1' } }
+    });
+    
+    // Title
+    ws.mergeCells('A1:G1');
+    ws.getCell('A1').value = '📅 ' + this.labels.timeSeries;
+    ws.getCell('A1').font = { bold: true, size: 16 };
+    ws.getRow(1).height = 30;
+    
+    const fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF6F42C1' } };
+    const styleHeader = (row) => {
+      row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      row.alignment = { horizontal: 'center' };
+      row.eachCell(cell => { cell.fill = fill; });
+    };
+    const percent = (value) => (value === null ? '-' : `${value > 0 ? '+' : ''}${formatNumber(value, 2)}%`);
+    
+    let rowNumber = 3;
+    
+    for (const ts of timeSeries) {
+      ws.getCell(`A${rowNumber}`).value = `🗓️ ${ts.dateColumn}`;
+      ws.getCell(`A${rowNumber}`).font = { bold: true, size: 12 };
+      rowNumber++;
+      
+      const info = [
+        [this.labels.frequency, ts.frequencyLabel + (ts.businessDays ? ' (hari kerja)' : '')],
+        [this.labels.range, `${ts.start} – ${ts.end}`],
+        [this.labels.missingPeriods, ts.coverage
+          ? `${ts.coverage.missingPeriods} / ${ts.coverage.expectedPeriods}` +
+            (ts.coverage.gaps.length > 0 ? ` (${ts.coverage.gaps.map(g => g.from === g.to ? g.from : `${g.from} – ${g.to}`).join(', ')})` : '')
+          : '-']
+      ];
+      for (const [label, value] of info) {
+        ws.getCell(`A${rowNumber}`).value = label;
+        ws.getCell(`A${rowNumber}`).font = { color: { argb: 'FF666666' } };
+        ws.getCell(`B${rowNumber}`).value = value;
+        ws.getCell(`B${rowNumber}`).font = { bold: true };
+        rowNumber++;
+      }
+      rowNumber++;
+      
+      // Ringkasan per metrik
+      const metricHeader = ws.getRow(rowNumber++);
+      metricHeader.values = [this.labels.column, this.labels.sum, this.labels.period, 'MoM', 'YoY', this.labels.trend, this.labels.seasonality];
+      styleHeader(metricHeader);
+      
+      for (const metric of ts.metrics) {
+        const season = metric.seasonality;
+        ws.getRow(rowNumber++).values = [
+          metric.label,
+          metric.total,
+          `${metric.latest.period}: ${formatNumber(metric.latest.value)}`,
+          percent(metric.mom),
+          percent(metric.yoy),
+          metric.trend ? `${metric.trend.direction} (${percent(metric.trend.slopePercent)}/${ts.granularityLabel})` : '-',
+          season?.detected ? `✓ ${season.peak} ↑ / ${season.low} ↓` : '-'
+        ];
+        ws.getCell(`B${rowNumber - 1}`).numFmt = '#,##0';
+      }
+      rowNumber++;
+      
+      // Agregasi per periode
+      const valueColumns = ts.metrics.filter(m => m.column !== null).map(m => m.column);
+      const seriesHeader = ws.getRow(rowNumber++);
+      seriesHeader.values = [this.labels.period, this.labels.row, ...valueColumns];
+      styleHeader(seriesHeader);
+      
+      for (const period of ts.series) {
+        const row = ws.getRow(rowNumber++);
+        row.values = [period.period, period.rows, ...valueColumns.map(col => period.totals[col])];
+        if (period.rows === 0) {
+          row.getCell(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF3CD' } };
+        }
+        valueColumns.forEach((_, i) => { row.getCell(i + 3).numFmt = '#,##0'; });
+      }
+      rowNumber += 2;
+    }
+    
+    // Column widths
+    ws.getColumn('A').width = 22;
+    ws.getColumn('B').width = 18;
+    ws.getColumn('C').width = 24;
+    ws.getColumn('D').width = 12;
+    ws.getColumn('E').width = 12;
+    ws.getColumn('F').width = 22;
+    ws.getColumn('G').width = 22;
+    
+    return ws;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // FORENSIC SHEET
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  async addForensicSheet(workbook, forensic) {
+    const ws = workbook.addWorksheet(this.labels.forensic, {
+      properties: { tabColor: { argb: 'FFB02A37' } }
+    });
+    
+    // Title
+    ws.mergeCells('A1:F1');
+    ws.getCell('A1').value = '🕵️ ' + this.labels.forensic;
+    ws.getCell('A1').font = { bold: true, size: 16 };
+    ws.getRow(1).height = 30;
+    
+    const fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFB02A37' } };
+    const flagFill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF3CD' } };
+    let rowNumber = 3;
+    
+    const styleHeader = (row) => {
+      row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      row.alignment = { horizontal: 'center' };
+      row.eachCell(cell => { cell.fill = fill; });
+    };
+    const title = (text) => {
+      ws.getCell(`A${rowNumber}`).value = text;
+      ws.getCell(`A${rowNumber}`).font = { bold: true, size: 12 };
+      rowNumber++;
+    };
+    const header = (values) => {
+      const row = ws.getRow(rowNumber++);
+      row.values = values;
+      styleHeader(row);
+    };
+    const percent = (value) => `${formatNumber(value * 100, 2)}%`;
+    const status = (flagged) => (flagged ? '⚠️' : '✓');
+    
+    // Benford digit pertama & kedua per kolom nominal
+    for (const test of forensic.benford) {
+      title(`📐 ${this.labels.benford}: ${test.column}`);
+      
+      if (!test.applicable) {
+        ws.getCell(`A${rowNumber++}`).value = `${test.n} nilai, ${test.reason}`;
+        rowNumber++;
+        continue;
+      }
+      
+      for (const digitTest of [test.first, test.second]) {
+        ws.getCell(`A${rowNumber}`).value = digitTest.position === 'first' ? 'Digit 1' : 'Digit 2';
+        ws.getCell(`A${rowNumber}`).font = { color: { argb: 'FF666666' } };
+        ws.getCell(`B${rowNumber}`).value = `MAD ${digitTest.mad.toFixed(4)} · χ² ${formatNumber(digitTest.chiSquare, 2)} · ${digitTest.conformity}`;
+        ws.getCell(`B${rowNumber}`).font = { bold: true };
+        rowNumber++;
+        
+        header([this.labels.digit, this.labels.count, this.labels.observed, this.labels.expected, 'Z', '']);
+        for (const digit of digitTest.digits) {
+          const row = ws.getRow(rowNumber++);
+          row.values = [digit.digit, digit.count, percent(digit.observed), percent(digit.expected), formatNumber(digit.z, 2), status(digit.z > 1.96)];
+          if (digit.z > 1.96) row.getCell(1).fill = flagFill;
+        }
+        rowNumber++;
+      }
+    }
+    
+    // Angka bulat
+    if (forensic.roundNumbers.length > 0) {
+      title('🔘 ' + this.labels.roundNumbers);
+      header([this.labels.column, this.labels.count, this.labels.share, this.labels.expected, this.labels.samples, '']);
+      for (const round of forensic.roundNumbers) {
+        ws.getRow(rowNumber++).values = [
+          round.column,
+          `${round.count} / ${round.total}`,
+          percent(round.share),
+          percent(round.expectedShare),
+          round.top.slice(0, 5).map(t => `${formatNumber(t.value)} (${t.count}×)`).join(', ') || '-',
+          status(round.flagged)
+        ];
+      }
+      rowNumber++;
+    }
+    
+    // Tumpukan tepat di bawah batas persetujuan
+    const limitChecks = forensic.approvalLimits.checks;
+    if (limitChecks.length > 0) {
+      title(`🚧 ${this.labels.approvalLimit} (${this.labels.below} ${formatNumber(forensic.approvalLimits.margin * 100)}%)`);
+      header([this.labels.column, this.labels.approvalLimit, this.labels.below, this.labels.above, 'p-value', '']);
+      for (const check of limitChecks) {
+        const row = ws.getRow(rowNumber++);
+        row.values = [check.column, check.limit, check.below, check.above, Number(check.pValue.toPrecision(3)), status(check.flagged)];
+        row.getCell(2).numFmt = '#,##0';
+        if (check.flagged) row.getCell(1).fill = flagFill;
+      }
+      rowNumber++;
+      
+      const flaggedRows = limitChecks.filter(c => c.flagged).flatMap(c => c.rows.map(r => ({ ...r, column: c.column, limit: c.limit })));
+      if (flaggedRows.length > 0) {
+        header([this.labels.row, this.labels.column, this.labels.sum, this.labels.approvalLimit]);
+        for (const item of flaggedRows) {
+          const row = ws.getRow(rowNumber++);
+          row.values = [item.row, item.column, item.number, item.limit];
+          row.getCell(3).numFmt = '#,##0';
+          row.getCell(4).numFmt = '#,##0';
+        }
+        rowNumber++;
+      }
+    }
+    
+    // Nomor faktur ganda
+    const invoices = forensic.duplicateInvoices;
+    if (invoices.invoiceColumn) {
+      title(`🧾 ${this.labels.duplicateInvoices} (${invoices.invoiceColumn})`);
+      if (invoices.groups.length === 0) {
+        ws.getCell(`A${rowNumber++}`).value = '✓';
+      } else {
+        header([this.labels.invoice, this.labels.vendor, this.labels.row, invoices.amountColumn ?? this.labels.sum, this.labels.note]);
+        for (const group of invoices.groups) {
+          group.rows.forEach((item, i) => {
+            const row = ws.getRow(rowNumber++);
+            row.values = [
+              i === 0 ? group.invoice : '',
+              i === 0 ? group.vendor ?? '-' : '',
+              item.row,
+              item.amount ?? '-',
+              i === 0 ? (group.differentAmounts ? 'Nilai berbeda' : 'Nilai sama (tagihan ganda?)') : ''
+            ];
+            row.getCell(4).numFmt = '#,##0';
+          });
+        }
+      }
+      rowNumber++;
+    }
+    
+    // Akhir pekan & hari libur nasional
+    const { calendar } = forensic;
+    if (calendar) {
+      title(`📆 ${this.labels.calendar} (${calendar.dateColumn})`);
+      const info = [
+        ['Akhir pekan', `${calendar.weekend.count} / ${calendar.total} (${percent(calendar.weekend.share)})`],
+        ['Hari libur', `${calendar.holiday.count} / ${calendar.total} (${percent(calendar.holiday.share)})`]
+      ];
+      for (const [label, value] of info) {
+        ws.getCell(`A${rowNumber}`).value = label;
+        ws.getCell(`A${rowNumber}`).font = { color: { argb: 'FF666666' } };
+        ws.getCell(`B${rowNumber}`).value = value;
+        ws.getCell(`B${rowNumber}`).font = { bold: true };
+        rowNumber++;
+      }
+      rowNumber++;
+      
+      const dates = [
+        ...(calendar.holiday.flagged ? calendar.holiday.rows.map(item => ({ ...item, note: item.name })) : []),
+        ...(calendar.weekend.flagged ? calendar.weekend.rows.map(item => ({ ...item, note: 'Akhir pekan' })) : [])
+      ].sort((a, b) => a.row - b.row);
+      if (dates.length > 0) {
+        header([this.labels.row, this.labels.date, this.labels.day, this.labels.note]);
+        for (const item of dates) {
+          ws.getRow(rowNumber++).values = [item.row, item.date, item.day, item.note];
+        }
+      }
+    }
+    
+    // Column widths
+    ws.getColumn('A').width = 22;
+    ws.getColumn('B').width = 22;
+    ws.getColumn('C').width = 14;
+    ws.getColumn('D').width = 16;
+    ws.getColumn('E').width = 40;
+    ws.getColumn('F').width = 8;
+    
     return ws;
   }
 
@@ -663,6 +1266,7 @@ export class ReportGenerator {
           name: '📋 Ringkasan',
           value: [
             `📁 **Baris:** ${summary.totalRows}`,
+            ...(summary.sampling ? [`🎲 **Sampel:** ${summary.analyzedRows}, ${summary.sampling.methodLabel}`] : []),
             `📊 **Kolom:** ${summary.totalColumns}`,
             `⏱️ **Waktu:** ${summary.analysisTime}`
           ].join('\n'),
@@ -672,7 +1276,8 @@ export class ReportGenerator {
           name: '🎯 Skor Kualitas',
           value: [
             `**${score.overall}%** (Grade: ${score.grade})`,
-            `${this.getScoreEmoji(score.overall)} ${score.gradeLabel}`
+            `${this.getScoreEmoji(score.overall)} ${score.gradeLabel}`,
+            ...(score.profile ? [`🎚️ Profil: ${score.profile.name}`] : [])
           ].join('\n'),
           inline: true
         },
@@ -696,14 +1301,14 @@ export class ReportGenerator {
     // Add issues summary if any
     if (issues.total > 0) {
       const issuesSummary = [];
-      if (issues.bySeverity.error?.length) {
-        issuesSummary.push(`❌ ${issues.bySeverity.error.length} Error`);
+      if (issues.counts.bySeverity.error) {
+        issuesSummary.push(`❌ ${issues.counts.bySeverity.error} Error`);
       }
-      if (issues.bySeverity.warning?.length) {
-        issuesSummary.push(`⚠️ ${issues.bySeverity.warning.length} Warning`);
+      if (issues.counts.bySeverity.warning) {
+        issuesSummary.push(`⚠️ ${issues.counts.bySeverity.warning} Warning`);
       }
-      if (issues.bySeverity.info?.length) {
-        issuesSummary.push(`ℹ️ ${issues.bySeverity.info.length} Info`);
+      if (issues.counts.bySeverity.info) {
+        issuesSummary.push(`ℹ️ ${issues.counts.bySeverity.info} Info`);
       }
       
       embed.fields.push({
@@ -746,10 +1351,21 @@ export class ReportGenerator {
     lines.push(`   Total Baris    : ${summary.totalRows}`);
     lines.push(`   Total Kolom    : ${summary.totalColumns}`);
     lines.push(`   Waktu Analisis : ${summary.analysisTime}`);
+    if (summary.sampling) {
+      lines.push(`   Sampel         : ${summary.analyzedRows} baris, ${summary.sampling.methodLabel}`);
+      lines.push(`   ${summary.sampling.note}`);
+      const estimates = summary.sampling.estimates;
+      if (estimates) {
+        const { totalIssues, completeness } = estimates;
+        lines.push(`   Perkiraan issue       : ~${totalIssues.estimate} (${totalIssues.lower}–${totalIssues.upper}, ${Math.round(estimates.confidence * 100)}%)`);
+        lines.push(`   Perkiraan kelengkapan : ${completeness.overall.estimate}% ± ${completeness.overall.margin}%`);
+      }
+    }
     lines.push('');
     lines.push('📊 SKOR KUALITAS');
     lines.push(`   Overall  : ${score.overall}% (Grade: ${score.grade})`);
     lines.push(`   Status   : ${score.gradeLabel}`);
+    if (score.profile) lines.push(`   Profil   : ${score.profile.name}`);
     lines.push('');
     lines.push('   Breakdown:');
     lines.push(`   - Kelengkapan : ${score.breakdown.completeness}%`);
@@ -760,10 +1376,10 @@ export class ReportGenerator {
     
     if (analysisResult.issues.total > 0) {
       lines.push('⚠️ MASALAH DITEMUKAN');
-      const bySev = analysisResult.issues.bySeverity;
-      if (bySev.error?.length) lines.push(`   ❌ Error   : ${bySev.error.length}`);
-      if (bySev.warning?.length) lines.push(`   ⚠️ Warning : ${bySev.warning.length}`);
-      if (bySev.info?.length) lines.push(`   ℹ️ Info    : ${bySev.info.length}`);
+      const bySev = analysisResult.issues.counts.bySeverity;
+      if (bySev.error) lines.push(`   ❌ Error   : ${bySev.error}`);
+      if (bySev.warning) lines.push(`   ⚠️ Warning : ${bySev.warning}`);
+      if (bySev.info) lines.push(`   ℹ️ Info    : ${bySev.info}`);
       lines.push('');
     }
     
@@ -0,0 +1,404 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SAMPLER.JS - 🎲 Row Sampling (reservoir, sistematis, stratified) & Estimasi
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { isEmpty } from '../utils/helpers.js';
+import { normalQuantile } from '../utils/statistics.js';
+import { UNIQUENESS_ISSUES } from './profiles.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const SAMPLING_METHODS = {
+  head: { label: 'baris awal', random: false },
+  reservoir: { label: 'sampel acak (reservoir)', random: true },
+  systematic: { label: 'sampel sistematis', random: true },
+  stratified: { label: 'sampel berstrata', random: true }
+};
+
+// Seed tetap: file yang sama menghasilkan sampel & skor yang sama (riwayat tetap sebanding)
+const DEFAULT_SEED = 2025;
+
+const MAX_STRATA = 50;
+const MIN_PER_STRATUM = 2; // Minimal 2 baris per strata agar variansnya bisa dihitung
+const OTHER_STRATUM = '(lainnya)';
+const EMPTY_STRATUM = '(kosong)';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN SAMPLER CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class RowSampler {
+  constructor(options = {}) {
+    this.options = {
+      method: options.method ?? 'reservoir', // 'head' | 'reservoir' | 'systematic' | 'stratified'
+      size: options.size ?? 10000,
+      seed: options.seed ?? DEFAULT_SEED,
+      stratifyBy: options.stratifyBy ?? null, // Kolom strata, wajib untuk 'stratified'
+      confidence: options.confidence ?? 0.95, // Tingkat kepercayaan selang estimasi
+      ignoreMissingColumns: options.ignoreMissingColumns ?? false // Mode workbook: kolom strata yang tidak ada → reservoir
+    };
+
+    if (!SAMPLING_METHODS[this.options.method]) {
+      throw new Error(`Metode sampling "${this.options.method}" tidak dikenal (pilih: ${Object.keys(SAMPLING_METHODS).join(', ')})`);
+    }
+    if (!(this.options.confidence > 0 && this.options.confidence < 1)) {
+      throw new Error('Tingkat kepercayaan harus di antara 0 dan 1 (contoh: 0.95)');
+    }
+  }
+
+  /**
+   * 🎲 Ambil sampel baris (urutan asli dipertahankan)
+   * @returns {{ rows: Array, positions: number[], strata: number[], plan: Object }}
+   *   positions = index baris di data asli, strata = index strata tiap baris sampel
+   */
+  sample(rows, headers) {
+    const population = rows.length;
+    const size = Math.min(this.options.size, population);
+    let { method } = this.options;
+    let stratifyBy = null;
+
+    if (method === 'stratified') {
+      stratifyBy = this.findHeader(headers, this.options.stratifyBy);
+      if (!stratifyBy) method = 'reservoir';
+    }
+
+    const random = this.random(this.options.seed);
+    let groups = [{ value: null, indices: null, population }];
+    let positions;
+    let strata;
+
+    if (method === 'stratified') {
+      groups = this.buildStrata(rows, stratifyBy);
+      const quotas = this.allocate(groups, size);
+      const picked = groups.flatMap((group, h) =>
+        this.pickRandom(group.indices, quotas[h], random).map(index => [index, h]));
+      picked.sort((a, b) => a[0] - b[0]);
+      positions = picked.map(([index]) => index);
+      strata = picked.map(([, h]) => h);
+    } else {
+      positions = method === 'head'
+        ? Array.from({ length: size }, (_, i) => i)
+        : method === 'systematic'
+          ? this.pickSystematic(population, size, random)
+          : this.pickReservoir(population, size, random);
+      strata = new Array(positions.length).fill(0);
+    }
+
+    const sampled = new Array(groups.length).fill(0);
+    for (const h of strata) sampled[h]++;
+
+    return {
+      rows: positions.map(index => rows[index]),
+      positions,
+      strata,
+      plan: {
+        method,
+        methodLabel: SAMPLING_METHODS[method].label,
+        random: SAMPLING_METHODS[method].random,
+        population,
+        size: positions.length,
+        fraction: population > 0 ? positions.length / population : 1,
+        seed: SAMPLING_METHODS[method].random ? this.options.seed : null,
+        confidence: this.options.confidence,
+        stratifyBy,
+        strata: stratifyBy
+          ? groups.map((group, h) => ({ value: group.value, population: group.population, sampled: sampled[h] }))
+          : null,
+        groupPopulations: groups.map(group => group.population)
+      }
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // ESTIMATION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * 📐 Ekstrapolasi jumlah issue & kelengkapan ke seluruh baris + selang kepercayaan
+   * Estimator total per strata: Σ N_h·ȳ_h, varians Σ N_h²·(1 − n_h/N_h)·s_h²/n_h
+   * Issue tanpa baris (per kolom) & duplikat (bergantung pasangan baris) tidak diekstrapolasi
+   * @param {Function} rowNumber - Index sampel → nomor baris di file (sama dengan field row issue)
+   * @returns {{ issues, totalIssues, completeness }|null} null jika sampel bukan acak
+   */
+  estimate({ rows, strata, plan }, headers, issues, rowNumber) {
+    if (!plan.random) return null;
+
+    const z = normalQuantile(1 - (1 - plan.confidence) / 2);
+    const sampleIndex = new Map(rows.map((row, i) => [rowNumber(i), i]));
+
+    // Jumlah issue per baris sampel, per tipe
+    const perRow = {};
+    const observed = {};
+    const fixed = {};
+    const totals = new Array(rows.length).fill(0);
+
+    for (const issue of issues) {
+      observed[issue.type] = (observed[issue.type] || 0) + 1;
+      const index = issue.row === null || issue.row === undefined ? undefined : sampleIndex.get(issue.row);
+
+      if (index === undefined || UNIQUENESS_ISSUES.includes(issue.type)) {
+        fixed[issue.type] = (fixed[issue.type] || 0) + 1;
+        continue;
+      }
+      if (!perRow[issue.type]) perRow[issue.type] = new Array(rows.length).fill(0);
+      perRow[issue.type][index]++;
+      totals[index]++;
+    }
+
+    const estimateIssues = Object.keys(observed).map(type => {
+      const constant = fixed[type] ?? 0;
+      const result = perRow[type]
+        ? this.total(perRow[type], strata, plan.groupPopulations, z)
+        : { estimate: 0, lower: 0, upper: 0, standardError: 0 };
+      return {
+        type,
+        observed: observed[type],
+        extrapolated: Boolean(perRow[type]),
+        estimate: Math.round(result.estimate + constant),
+        lower: Math.max(observed[type], Math.round(result.lower + constant)),
+        upper: Math.max(observed[type], Math.round(result.upper + constant)),
+        standardError: this.round(result.standardError)
+      };
+    }).sort((a, b) => b.estimate - a.estimate);
+
+    const totalObserved = issues.length;
+    const totalFixed = Object.values(fixed).reduce((sum, count) => sum + count, 0);
+    const total = this.total(totals, strata, plan.groupPopulations, z);
+
+    return {
+      confidence: plan.confidence,
+      z: this.round(z),
+      issues: estimateIssues,
+      totalIssues: {
+        observed: totalObserved,
+        estimate: Math.round(total.estimate + totalFixed),
+        lower: Math.max(totalObserved, Math.round(total.lower + totalFixed)),
+        upper: Math.max(totalObserved, Math.round(total.upper + totalFixed))
+      },
+      completeness: this.estimateCompleteness(rows, strata, plan, headers, z)
+    };
+  }
+
+  /**
+   * Kelengkapan (% sel terisi) per kolom & keseluruhan sebagai proporsi dengan selang kepercayaan
+   */
+  estimateCompleteness(rows, strata, plan, headers, z) {
+    const population = plan.population;
+    const percent = (result) => ({
+      estimate: this.round(result.estimate / population * 100),
+      lower: this.round(Math.max(0, result.lower / population * 100)),
+      upper: this.round(Math.min(100, result.upper / population * 100)),
+      margin: this.round((result.upper - result.estimate) / population * 100)
+    });
+
+    const filled = rows.map(row => headers.filter(h => !isEmpty(row[h])).length / (headers.length || 1));
+    const byColumn = {};
+    for (const header of headers) {
+      const values = rows.map(row => isEmpty(row[header]) ? 0 : 1);
+      byColumn[header] = percent(this.total(values, strata, plan.groupPopulations, z));
+    }
+
+    return {
+      overall: percent(this.total(filled, strata, plan.groupPopulations, z)),
+      byColumn
+    };
+  }
+
+  /**
+   * Estimasi total populasi dari nilai per baris sampel (stratified; tanpa strata = satu strata)
+   */
+  total(values, strata, groupPopulations, z) {
+    const stats = groupPopulations.map(() => ({ n: 0, sum: 0, sumSquares: 0 }));
+    values.forEach((value, i) => {
+      const stat = stats[strata[i]];
+      stat.n++;
+      stat.sum += value;
+      stat.sumSquares += value * value;
+    });
+
+    let estimate = 0;
+    let variance = 0;
+    stats.forEach((stat, h) => {
+      const N = groupPopulations[h];
+      if (stat.n === 0) return;
+
+      estimate += N * stat.sum / stat.n;
+      if (stat.n > 1) {
+        const s2 = Math.max(0, (stat.sumSquares - stat.sum * stat.sum / stat.n) / (stat.n - 1));
+        variance += N * N * (1 - stat.n / N) * s2 / stat.n;
+      }
+    });
+
+    const standardError = Math.sqrt(variance);
+    return {
+      estimate,
+      lower: Math.max(0, estimate - z * standardError),
+      upper: estimate + z * standardError,
+      standardError
+    };
+  }
+
+  /**
+   * 📝 Penjelasan cara angka diperoleh (ditampilkan di ringkasan bot, API & laporan)
+   */
+  describe(plan, estimates = null) {
+    const percent = Math.round(plan.fraction * 1000) / 10;
+    const base = `Dianalisis ${plan.size.toLocaleString('id-ID')} dari ${plan.population.toLocaleString('id-ID')} baris (${percent}%)`;
+
+    if (!plan.random) {
+      return `${base}, hanya baris awal file. Tipe kolom, issue & skor kualitas hanya menggambarkan baris tersebut, bukan seluruh file.`;
+    }
+
+    const method = plan.stratifyBy
+      ? `${plan.methodLabel} per "${plan.stratifyBy}" (${plan.strata.length} strata, alokasi proporsional)`
+      : plan.methodLabel;
+    const confidence = Math.round(plan.confidence * 100);
+    const notes = [
+      `${base} dengan ${method}, seed ${plan.seed}.`,
+      `Skor kualitas & statistik dihitung dari sampel; jumlah issue & kelengkapan diekstrapolasi ke seluruh baris dengan selang kepercayaan ${confidence}%.`
+    ];
+    if (plan.method === 'systematic') {
+      notes.push('Selang sampel sistematis dihitung seperti sampel acak sederhana (bisa terlalu sempit jika data berpola periodik).');
+    }
+    if (estimates?.issues.some(issue => !issue.extrapolated)) {
+      notes.push('Duplikat & issue per kolom tidak diekstrapolasi (jumlah di seluruh file bisa lebih besar).');
+    }
+    return notes.join(' ');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SELECTION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Algorithm R: setiap baris punya peluang sama masuk sampel
+   */
+  pickReservoir(population, size, random) {
+    const reservoir = [];
+    for (let i = 0; i < population; i++) {
+      if (reservoir.length < size) {
+        reservoir.push(i);
+      } else {
+        const slot = Math.floor(random() * (i + 1));
+        if (slot < size) reservoir[slot] = i;
+      }
+    }
+    return reservoir.sort((a, b) => a - b);
+  }
+
+  /**
+   * Setiap baris ke-k (k = N/n) mulai dari posisi acak di [0, k)
+   */
+  pickSystematic(population, size, random) {
+    if (size === 0) return [];
+    const step = population / size;
+    const start = random() * step;
+    return Array.from({ length: size }, (_, i) => Math.min(population - 1, Math.floor(start + i * step)));
+  }
+
+  /**
+   * n index acak tanpa pengembalian (Fisher-Yates parsial)
+   */
+  pickRandom(indices, count, random) {
+    const pool = [...indices];
+    for (let i = 0; i < count; i++) {
+      const j = i + Math.floor(random() * (pool.length - i));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+  }
+
+  /**
+   * Kelompokkan baris per nilai kolom strata; strata kecil di luar 49 terbesar digabung "(lainnya)"
+   */
+  buildStrata(rows, column) {
+    const byValue = new Map();
+    rows.forEach((row, index) => {
+      const value = isEmpty(row[column]) ? EMPTY_STRATUM : String(row[column]).trim();
+      if (!byValue.has(value)) byValue.set(value, []);
+      byValue.get(value).push(index);
+    });
+
+    let groups = [...byValue.entries()]
+      .map(([value, indices]) => ({ value, indices, population: indices.length }))
+      .sort((a, b) => b.population - a.population);
+
+    if (groups.length > MAX_STRATA) {
+      const rest = groups.slice(MAX_STRATA - 1).flatMap(group => group.indices).sort((a, b) => a - b);
+      groups = [...groups.slice(0, MAX_STRATA - 1), { value: OTHER_STRATUM, indices: rest, population: rest.length }];
+    }
+    return groups;
+  }
+
+  /**
+   * Alokasi proporsional (sisa pembulatan ke pecahan terbesar), minimal 2 baris per strata
+   */
+  allocate(groups, size) {
+    const population = groups.reduce((sum, group) => sum + group.population, 0);
+    const exact = groups.map(group => size * group.population / population);
+    const quotas = exact.map(Math.floor);
+
+    let remaining = size - quotas.reduce((sum, quota) => sum + quota, 0);
+    const order = exact.map((value, h) => [value - quotas[h], h]).sort((a, b) => b[0] - a[0]);
+    for (const [, h] of order) {
+      if (remaining <= 0) break;
+      quotas[h]++;
+      remaining--;
+    }
+
+    return quotas.map((quota, h) => Math.min(groups[h].population, Math.max(quota, MIN_PER_STRATUM)));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  findHeader(headers, name) {
+    if (!name || !String(name).trim()) {
+      if (this.options.ignoreMissingColumns) return null;
+      throw new Error('Sampling stratified butuh kolom strata (stratifyBy), contoh: "Bulan" atau "Cabang"');
+    }
+    const header = headers.find(h => h.toLowerCase() === String(name).trim().toLowerCase());
+    if (!header && !this.options.ignoreMissingColumns) {
+      throw new Error(`Kolom strata "${String(name).trim()}" tidak ditemukan`);
+    }
+    return header ?? null;
+  }
+
+  /**
+   * PRNG dengan seed sampler ini (dipakai juga reservoir streaming di analyzer)
+   */
+  seededRandom() {
+    return this.random(this.options.seed);
+  }
+
+  /**
+   * PRNG mulberry32 dengan seed (Math.random tidak bisa diulang)
+   */
+  random(seed) {
+    let state = Number(seed) >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Create singleton
+export const rowSampler = new RowSampler();
+
+export default {
+  RowSampler,
+  rowSampler,
+  SAMPLING_METHODS
+};
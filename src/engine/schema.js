@@ -0,0 +1,391 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEMA.JS - 🗂️ Schema Inference & Export (JSON Schema / Table Schema)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { DATA_TYPES, PATTERNS } from '../utils/constants.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TYPE MAPPING
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const SCHEMA_FORMATS = ['json-schema', 'table-schema'];
+
+// Tipe Indonesia memakai custom format (validator lain cukup mengabaikannya)
+const JSON_SCHEMA_TYPES = {
+  [DATA_TYPES.STRING]: { type: 'string' },
+  [DATA_TYPES.NUMBER]: { type: 'number' },
+  [DATA_TYPES.FLOAT]: { type: 'number' },
+  [DATA_TYPES.INTEGER]: { type: 'integer' },
+  [DATA_TYPES.CURRENCY]: { type: 'number', format: 'currency-idr' },
+  [DATA_TYPES.PERCENTAGE]: { type: 'number', format: 'percentage' },
+  [DATA_TYPES.DATE]: { type: 'string', format: 'date' },
+  [DATA_TYPES.DATETIME]: { type: 'string', format: 'date-time' },
+  [DATA_TYPES.TIME]: { type: 'string', format: 'time' },
+  [DATA_TYPES.EMAIL]: { type: 'string', format: 'email' },
+  [DATA_TYPES.URL]: { type: 'string', format: 'uri' },
+  [DATA_TYPES.PHONE]: { type: 'string', format: 'phone-id' },
+  [DATA_TYPES.NIK]: { type: 'string', format: 'nik' },
+  [DATA_TYPES.NPWP]: { type: 'string', format: 'npwp' },
+  [DATA_TYPES.NITKU]: { type: 'string', format: 'nitku' },
+  [DATA_TYPES.NIP]: { type: 'string', format: 'nip' },
+  [DATA_TYPES.NKK]: { type: 'string', format: 'nkk' },
+  [DATA_TYPES.BPJS_KESEHATAN]: { type: 'string', format: 'bpjs-kesehatan' },
+  [DATA_TYPES.BPJS_KETENAGAKERJAAN]: { type: 'string', format: 'bpjs-ketenagakerjaan' },
+  [DATA_TYPES.BANK_ACCOUNT]: { type: 'string', format: 'bank-account' },
+  [DATA_TYPES.PLATE_NUMBER]: { type: 'string', format: 'plate-number' },
+  [DATA_TYPES.BOOLEAN]: { type: 'boolean' }
+};
+
+const TABLE_SCHEMA_TYPES = {
+  [DATA_TYPES.STRING]: { type: 'string' },
+  [DATA_TYPES.NUMBER]: { type: 'number' },
+  [DATA_TYPES.FLOAT]: { type: 'number' },
+  [DATA_TYPES.INTEGER]: { type: 'integer' },
+  [DATA_TYPES.CURRENCY]: { type: 'number', format: 'currency-idr', bareNumber: false },
+  [DATA_TYPES.PERCENTAGE]: { type: 'number', format: 'percentage', bareNumber: false },
+  [DATA_TYPES.DATE]: { type: 'date', format: 'any' },
+  [DATA_TYPES.DATETIME]: { type: 'datetime', format: 'any' },
+  [DATA_TYPES.TIME]: { type: 'time', format: 'any' },
+  [DATA_TYPES.EMAIL]: { type: 'string', format: 'email' },
+  [DATA_TYPES.URL]: { type: 'string', format: 'uri' },
+  [DATA_TYPES.PHONE]: { type: 'string', format: 'phone-id' },
+  [DATA_TYPES.NIK]: { type: 'string', format: 'nik' },
+  [DATA_TYPES.NPWP]: { type: 'string', format: 'npwp' },
+  [DATA_TYPES.NITKU]: { type: 'string', format: 'nitku' },
+  [DATA_TYPES.NIP]: { type: 'string', format: 'nip' },
+  [DATA_TYPES.NKK]: { type: 'string', format: 'nkk' },
+  [DATA_TYPES.BPJS_KESEHATAN]: { type: 'string', format: 'bpjs-kesehatan' },
+  [DATA_TYPES.BPJS_KETENAGAKERJAAN]: { type: 'string', format: 'bpjs-ketenagakerjaan' },
+  [DATA_TYPES.BANK_ACCOUNT]: { type: 'string', format: 'bank-account' },
+  [DATA_TYPES.PLATE_NUMBER]: { type: 'string', format: 'plate-number' },
+  [DATA_TYPES.BOOLEAN]: {
+    type: 'boolean',
+    trueValues: ['true', 'ya', 'yes', '1', 'aktif'],
+    falseValues: ['false', 'tidak', 'no', '0', 'nonaktif']
+  }
+};
+
+// Format → tipe internal (dipakai saat schema dibaca kembali)
+const FORMAT_TYPES = {
+  'currency-idr': DATA_TYPES.CURRENCY,
+  'currency-usd': DATA_TYPES.CURRENCY,
+  percentage: DATA_TYPES.PERCENTAGE,
+  date: DATA_TYPES.DATE,
+  'date-time': DATA_TYPES.DATETIME,
+  time: DATA_TYPES.TIME,
+  email: DATA_TYPES.EMAIL,
+  uri: DATA_TYPES.URL,
+  'phone-id': DATA_TYPES.PHONE,
+  nik: DATA_TYPES.NIK,
+  npwp: DATA_TYPES.NPWP,
+  nitku: DATA_TYPES.NITKU,
+  nip: DATA_TYPES.NIP,
+  nkk: DATA_TYPES.NKK,
+  'bpjs-kesehatan': DATA_TYPES.BPJS_KESEHATAN,
+  'bpjs-ketenagakerjaan': DATA_TYPES.BPJS_KETENAGAKERJAAN,
+  'bank-account': DATA_TYPES.BANK_ACCOUNT,
+  'plate-number': DATA_TYPES.PLATE_NUMBER
+};
+
+// Tipe nilai yang tetap lolos validasi tipe kolom (mis. 2 di kolom float, tanggal di kolom datetime)
+const COMPATIBLE_TYPES = {
+  [DATA_TYPES.NUMBER]: [DATA_TYPES.INTEGER, DATA_TYPES.FLOAT],
+  [DATA_TYPES.FLOAT]: [DATA_TYPES.INTEGER, DATA_TYPES.NUMBER],
+  [DATA_TYPES.CURRENCY]: [DATA_TYPES.INTEGER, DATA_TYPES.FLOAT, DATA_TYPES.NUMBER],
+  [DATA_TYPES.PERCENTAGE]: [DATA_TYPES.INTEGER, DATA_TYPES.FLOAT, DATA_TYPES.NUMBER],
+  [DATA_TYPES.DATETIME]: [DATA_TYPES.DATE]
+};
+
+const BASE_TYPES = {
+  string: DATA_TYPES.STRING,
+  number: DATA_TYPES.NUMBER,
+  integer: DATA_TYPES.INTEGER,
+  boolean: DATA_TYPES.BOOLEAN,
+  date: DATA_TYPES.DATE,
+  datetime: DATA_TYPES.DATETIME,
+  time: DATA_TYPES.TIME
+};
+
+const NUMBER_SEPARATORS = {
+  id: { decimalChar: ',', groupChar: '.' },
+  en: { decimalChar: '.', groupChar: ',' }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN SCHEMA CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class SchemaGenerator {
+  constructor(options = {}) {
+    this.options = {
+      title: options.title ?? null,
+      ...options
+    };
+  }
+
+  /**
+   * 🗂️ MAIN METHOD
+   * Hasil analisis → JSON Schema atau Frictionless Table Schema
+   * @param {string} format - 'json-schema' | 'table-schema'
+   */
+  generate(analysisResult, format = 'json-schema', options = {}) {
+    if (!SCHEMA_FORMATS.includes(format)) {
+      throw new Error(`Format schema tidak didukung: ${format}. Pilihan: ${SCHEMA_FORMATS.join(', ')}`);
+    }
+
+    const columns = this.infer(analysisResult);
+    const title = options.title ?? this.options.title ?? analysisResult.summary.sheetName ?? 'Data';
+
+    return format === 'table-schema'
+      ? this.toTableSchema(columns, { title })
+      : this.toJSONSchema(columns, { title });
+  }
+
+  /**
+   * Kolom hasil analisis → spesifikasi kolom netral
+   * Tipe & format hanya dipakai jika semua nilai bertipe sama; selebihnya teks agar
+   * file sumbernya sendiri tetap lolos validasi (mis. Status aktif/nonaktif/cuti bukan boolean)
+   */
+  infer(analysisResult) {
+    const { columnAnalysis, summary } = analysisResult;
+
+    return Object.values(columnAnalysis).map(col => {
+      const consistent = this.isTypeConsistent(col);
+      const type = !consistent ? DATA_TYPES.STRING : JSON_SCHEMA_TYPES[col.detectedType] ? col.detectedType : null;
+      return {
+        name: col.header,
+        type,
+        required: col.totalValues > 0 && col.fillRate === 100,
+        unique: this.isUniqueColumn(col),
+        currency: type === DATA_TYPES.CURRENCY ? (col.typeDetails?.currency ?? 'IDR') : null,
+        locale: consistent && col.isNumeric ? (col.numberFormat?.locale ?? summary.numberLocale ?? null) : null
+      };
+    });
+  }
+
+  /**
+   * Konsistensi tipe 100%: semua nilai bertipe kolom itu (atau tipe yang kompatibel)
+   */
+  isTypeConsistent(col) {
+    if (!col.typeDistribution) return col.confidence === 100;
+    const accepted = [col.detectedType, ...(COMPATIBLE_TYPES[col.detectedType] ?? [])];
+    return Object.keys(col.typeDistribution).every(type => accepted.includes(type));
+  }
+
+  /**
+   * Unik = semua nilai terisi & berbeda, dan kolomnya memang identitas/kode
+   */
+  isUniqueColumn(col) {
+    if (col.totalValues < 2 || col.fillRate !== 100 || col.uniqueCount !== col.totalValues) {
+      return false;
+    }
+    return col.isIdentifier || (
+      PATTERNS.KEY_HEADER.test(String(col.header).trim()) && !col.isDate && col.detectedType !== DATA_TYPES.BOOLEAN
+    );
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // EXPORT
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * JSON Schema (draft 2020-12): array of object, satu property per kolom
+   */
+  toJSONSchema(columns, { title }) {
+    const properties = {};
+
+    for (const col of columns) {
+      const mapped = JSON_SCHEMA_TYPES[col.type] ?? {};
+      const property = { title: col.name };
+
+      if (mapped.type) property.type = col.required ? mapped.type : [mapped.type, 'null'];
+      if (mapped.format) property.format = this.formatFor(col, mapped.format);
+      Object.assign(property, this.constraintsFor(col, {
+        min: 'minimum', max: 'maximum', minLength: 'minLength',
+        maxLength: 'maxLength', pattern: 'pattern', enum: 'enum'
+      }));
+
+      if (col.type) property['x-type'] = col.type;
+      if (col.unique) property['x-unique'] = true;
+      if (col.locale) property['x-numberLocale'] = col.locale;
+
+      properties[col.name] = property;
+    }
+
+    return {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title,
+      description: 'Dibuat otomatis oleh Excel Intelligence Bot',
+      type: 'array',
+      items: {
+        type: 'object',
+        properties,
+        required: columns.filter(col => col.required).map(col => col.name),
+        additionalProperties: false
+      }
+    };
+  }
+
+  /**
+   * Frictionless Table Schema: fields + constraints + primaryKey
+   */
+  toTableSchema(columns, { title }) {
+    const fields = columns.map(col => {
+      const { format, ...mapped } = TABLE_SCHEMA_TYPES[col.type] ?? { type: 'any' };
+      const field = { name: col.name, ...mapped };
+
+      if (format) field.format = this.formatFor(col, format);
+      if (col.locale && field.type === 'number') Object.assign(field, NUMBER_SEPARATORS[col.locale]);
+      if (col.type) field['x-type'] = col.type;
+
+      const constraints = {
+        ...(col.required && { required: true }),
+        ...(col.unique && { unique: true }),
+        ...this.constraintsFor(col, {
+          min: 'minimum', max: 'maximum', minLength: 'minLength',
+          maxLength: 'maxLength', pattern: 'pattern', enum: 'enum'
+        })
+      };
+      if (Object.keys(constraints).length > 0) field.constraints = constraints;
+
+      return field;
+    });
+
+    const primaryKey = columns.find(col => col.required && col.unique);
+
+    return {
+      title,
+      description: 'Dibuat otomatis oleh Excel Intelligence Bot',
+      fields,
+      missingValues: [''],
+      ...(primaryKey && { primaryKey: [primaryKey.name] })
+    };
+  }
+
+  formatFor(col, format) {
+    return col.type === DATA_TYPES.CURRENCY ? `currency-${(col.currency ?? 'IDR').toLowerCase()}` : format;
+  }
+
+  /**
+   * Batasan opsional (min/max, panjang, pola, enum) dengan nama key tujuan
+   */
+  constraintsFor(col, keys) {
+    const constraints = {};
+    for (const [from, to] of Object.entries(keys)) {
+      if (col[from] !== undefined && col[from] !== null) constraints[to] = col[from];
+    }
+    return constraints;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // IMPORT (schema → aturan validasi)
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Apakah object ini JSON Schema / Table Schema (bukan aturan biasa)?
+   */
+  isSchema(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return false;
+    return Array.isArray(input.fields)
+      || input.$schema !== undefined
+      || typeof input.items?.properties === 'object'
+      || (input.type === 'object' && typeof input.properties === 'object');
+  }
+
+  /**
+   * Schema → spesifikasi kolom netral + apakah kolom tambahan ditolak
+   */
+  parseSchema(schema) {
+    if (Array.isArray(schema.fields)) {
+      return {
+        // Table Schema: kolom di luar fields dianggap tidak valid (extra label)
+        strict: true,
+        columns: schema.fields.map((field, index) => {
+          if (!field?.name) throw new Error(`Table Schema: field #${index + 1} tidak punya "name"`);
+          const constraints = field.constraints ?? {};
+          return {
+            name: String(field.name),
+            type: field['x-type'] ?? FORMAT_TYPES[field.format] ?? BASE_TYPES[field.type] ?? null,
+            required: constraints.required === true,
+            unique: constraints.unique === true,
+            locale: this.localeFromSeparators(field),
+            min: constraints.minimum,
+            max: constraints.maximum,
+            minLength: constraints.minLength,
+            maxLength: constraints.maxLength,
+            pattern: constraints.pattern,
+            enum: constraints.enum
+          };
+        })
+      };
+    }
+
+    const objectSchema = schema.items ?? schema;
+    const properties = objectSchema.properties ?? {};
+    const required = new Set(objectSchema.required ?? []);
+
+    return {
+      strict: objectSchema.additionalProperties === false,
+      columns: Object.entries(properties).map(([name, property]) => {
+        const types = [].concat(property.type ?? []);
+        return {
+          name,
+          type: property['x-type'] ?? FORMAT_TYPES[property.format] ?? BASE_TYPES[types.find(t => t !== 'null')] ?? null,
+          required: required.has(name) && !types.includes('null'),
+          unique: property['x-unique'] === true,
+          locale: property['x-numberLocale'] ?? null,
+          min: property.minimum,
+          max: property.maximum,
+          minLength: property.minLength,
+          maxLength: property.maxLength,
+          pattern: property.pattern,
+          enum: property.enum
+        };
+      })
+    };
+  }
+
+  /**
+   * Schema → aturan untuk DataValidator (lihat validator.js)
+   */
+  toRules(schema) {
+    const { strict, columns } = this.parseSchema(schema);
+    if (columns.length === 0) {
+      throw new Error('Schema tidak berisi kolom');
+    }
+
+    const rules = {};
+    for (const col of columns) {
+      const rule = {};
+      if (col.type) rule.type = col.type;
+      if (col.required) rule.required = true;
+      if (col.unique) rule.unique = true;
+      if (col.locale) rule.locale = col.locale;
+      if (col.min !== undefined) rule.min = col.min;
+      if (col.max !== undefined) rule.max = col.max;
+      if (col.minLength !== undefined) rule.minLength = col.minLength;
+      if (col.maxLength !== undefined) rule.maxLength = col.maxLength;
+      if (col.pattern !== undefined) rule.pattern = col.pattern;
+      if (col.enum !== undefined) rule.allowed = col.enum.filter(value => value !== null);
+      rules[col.name] = rule;
+    }
+
+    return { columns: rules, additionalColumns: !strict };
+  }
+
+  localeFromSeparators(field) {
+    if (field.decimalChar === ',') return 'id';
+    if (field.decimalChar === '.' || field.groupChar === ',') return 'en';
+    return null;
+  }
+}
+
+// Create singleton instance
+export const schemaGenerator = new SchemaGenerator();
+
+export default {
+  SchemaGenerator,
+  schemaGenerator,
+  SCHEMA_FORMATS
+};
@@ -0,0 +1,422 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// TIMESERIES.JS - 📅 Time-Series Insights (frekuensi, gap, growth, tren, musiman)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { parseDate, isEmpty } from '../utils/helpers.js';
+import { pearson } from '../utils/statistics.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DAY_MS = 86400000;
+
+// Median jarak antar tanggal (hari) → frekuensi data
+const FREQUENCIES = [
+  { id: 'daily', label: 'harian', maxGap: 1.5, seasonLag: 7 },
+  { id: 'weekly', label: 'mingguan', minGap: 5, maxGap: 9, seasonLag: 52 },
+  { id: 'monthly', label: 'bulanan', minGap: 25, maxGap: 35, seasonLag: 12 },
+  { id: 'quarterly', label: 'kuartalan', minGap: 80, maxGap: 100, seasonLag: 4 },
+  { id: 'yearly', label: 'tahunan', minGap: 350, maxGap: 380, seasonLag: null }
+];
+
+// Periode dalam satu tahun per granularitas (untuk YoY)
+const PERIODS_PER_YEAR = { daily: 365, weekly: 52, monthly: 12, quarterly: 4, yearly: 1 };
+const GRANULARITY_LABELS = { monthly: 'bulan', quarterly: 'kuartal', yearly: 'tahun' };
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'Mei', 'Jun', 'Jul', 'Agu', 'Sep', 'Okt', 'Nov', 'Des'];
+const WEEKDAY_LABELS = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN TIME SERIES CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class TimeSeriesAnalyzer {
+  constructor(options = {}) {
+    this.options = {
+      minDates: options.minDates ?? 3, // Minimal tanggal unik untuk dianalisis
+      trendThreshold: options.trendThreshold ?? 1, // % perubahan per periode agar dianggap naik/turun
+      seasonalityThreshold: options.seasonalityThreshold ?? 0.3, // Autokorelasi minimal
+      maxGapRanges: options.maxGapRanges ?? 10,
+      maxPeriods: options.maxPeriods ?? 5000 // Rentang lebih panjang biasanya karena tanggal salah ketik (0024 vs 2024)
+    };
+  }
+
+  /**
+   * 📅 MAIN METHOD
+   * @param {Object[]} rows - Baris data
+   * @param {string} dateColumn - Kolom tanggal
+   * @param {string[]} valueColumns - Kolom nilai (currency) yang dijumlah per periode
+   * @param {Function} toNumber - (value, header) => number|null, sesuai locale kolom
+   * @returns {Object|null} null jika tanggal valid terlalu sedikit
+   */
+  analyze(rows, dateColumn, valueColumns = [], toNumber = Number) {
+    const points = [];
+    let invalidDates = 0;
+
+    for (const row of rows) {
+      if (isEmpty(row[dateColumn])) continue;
+      const date = parseDate(row[dateColumn]);
+      if (!date) {
+        invalidDates++;
+        continue;
+      }
+      const values = {};
+      for (const col of valueColumns) {
+        const value = toNumber(row[col], col);
+        values[col] = value === null || isNaN(value) ? 0 : value;
+      }
+      points.push({ day: this.dayNumber(date), values });
+    }
+
+    const days = [...new Set(points.map(p => p.day))].sort((a, b) => a - b);
+    if (days.length < this.options.minDates) return null;
+
+    const frequency = this.detectFrequency(days);
+    const span = days[days.length - 1] - days[0];
+    if (span / Math.max(1, frequency.medianGap) > this.options.maxPeriods) return null;
+    // Growth & tren dihitung per bulan (data kuartalan/tahunan tetap per periodenya)
+    const granularity = ['quarterly', 'yearly'].includes(frequency.id) ? frequency.id : 'monthly';
+
+    // Seri sesuai frekuensi asli (untuk gap & pola musiman)
+    const baseSeries = frequency.id === 'irregular' ? null : this.aggregate(points, frequency.id, valueColumns, {
+      businessDays: frequency.businessDays
+    });
+    const series = this.aggregate(points, granularity, valueColumns);
+
+    const metrics = [
+      { column: null, label: 'Jumlah Baris', pick: period => period.rows },
+      ...valueColumns.map(col => ({ column: col, label: col, pick: period => period.totals[col] }))
+    ].map(({ column, label, pick }) => {
+      const values = series.map(pick);
+      const lastIndex = values.length - 1;
+      return {
+        column,
+        label,
+        total: this.round(values.reduce((a, b) => a + b, 0)),
+        latest: { period: series[lastIndex].period, value: this.round(values[lastIndex]) },
+        mom: granularity === 'monthly' ? this.growth(values, lastIndex, 1) : null,
+        yoy: this.growth(values, lastIndex, PERIODS_PER_YEAR[granularity]),
+        trend: this.trend(values),
+        seasonality: baseSeries ? this.seasonality(baseSeries.map(pick), baseSeries, frequency) : null
+      };
+    });
+
+    const coverage = this.coverage(baseSeries);
+
+    return {
+      dateColumn,
+      frequency: frequency.id,
+      frequencyLabel: frequency.label,
+      businessDays: frequency.businessDays ?? false,
+      granularity,
+      granularityLabel: GRANULARITY_LABELS[granularity],
+      start: this.dayLabel(days[0]),
+      end: this.dayLabel(days[days.length - 1]),
+      validDates: points.length,
+      invalidDates,
+      coverage,
+      series,
+      metrics,
+      message: this.describe(dateColumn, frequency, coverage, metrics)
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // FREQUENCY & PERIODS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Nomor hari sejak epoch; tanggal dari sel Excel (UTC tengah malam) tidak bergeser zona waktu
+   */
+  dayNumber(date) {
+    const utcMidnight = date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0;
+    return utcMidnight
+      ? Math.floor(date.getTime() / DAY_MS)
+      : Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+  }
+
+  dayLabel(day) {
+    return new Date(day * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * 🔎 Frekuensi dari median jarak antar tanggal unik
+   * Data harian tanpa Sabtu/Minggu dianggap hari kerja (akhir pekan bukan gap)
+   */
+  detectFrequency(days) {
+    const gaps = days.slice(1).map((day, i) => day - days[i]).sort((a, b) => a - b);
+    const median = gaps[Math.floor(gaps.length / 2)];
+
+    const match = FREQUENCIES.find(f => median <= f.maxGap && median >= (f.minGap ?? 0));
+    if (!match) return { id: 'irregular', label: 'tidak teratur', medianGap: median, seasonLag: null };
+
+    const result = { ...match, medianGap: median };
+    if (match.id === 'daily') {
+      const weekend = days.filter(day => [0, 6].includes(new Date(day * DAY_MS).getUTCDay())).length;
+      result.businessDays = weekend === 0 && days.length >= 5;
+    }
+    return result;
+  }
+
+  /**
+   * Kunci periode sebuah hari: 2024-03-04 / minggu (Senin) / 2024-03 / 2024-Q1 / 2024
+   */
+  periodKey(day, granularity) {
+    const date = new Date(day * DAY_MS);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+
+    switch (granularity) {
+      case 'daily':
+        return this.dayLabel(day);
+      case 'weekly':
+        return this.dayLabel(day - ((date.getUTCDay() + 6) % 7));
+      case 'monthly':
+        return `${year}-${String(month + 1).padStart(2, '0')}`;
+      case 'quarterly':
+        return `${year}-Q${Math.floor(month / 3) + 1}`;
+      default:
+        return String(year);
+    }
+  }
+
+  /**
+   * Semua periode dari awal sampai akhir (periode tanpa data tetap muncul dengan nilai 0)
+   */
+  periodRange(firstDay, lastDay, granularity, businessDays = false) {
+    const keys = [];
+    const start = new Date(firstDay * DAY_MS);
+
+    // Mulai dari awal periode hari pertama, lalu maju satu periode
+    let day = firstDay;
+    let next = (d) => d + 1;
+    if (granularity === 'weekly') {
+      day = firstDay - ((start.getUTCDay() + 6) % 7);
+      next = (d) => d + 7;
+    } else if (granularity !== 'daily') {
+      day = Math.floor(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1) / DAY_MS);
+      next = (d) => {
+        const date = new Date(d * DAY_MS);
+        return Math.floor(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / DAY_MS);
+      };
+    }
+
+    for (; day <= lastDay; day = next(day)) {
+      const key = this.periodKey(day, granularity);
+      const weekday = new Date(day * DAY_MS).getUTCDay();
+      if (keys[keys.length - 1] !== key && !(businessDays && [0, 6].includes(weekday))) {
+        keys.push(key);
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * 📦 Agregasi per periode: jumlah baris + total tiap kolom nilai
+   */
+  aggregate(points, granularity, valueColumns, { businessDays = false } = {}) {
+    const days = points.map(p => p.day);
+    const firstDay = Math.min(...days);
+    const lastDay = Math.max(...days);
+
+    const periods = new Map(
+      this.periodRange(firstDay, lastDay, granularity, businessDays).map(key => [key, {
+        period: key,
+        rows: 0,
+        totals: Object.fromEntries(valueColumns.map(col => [col, 0]))
+      }])
+    );
+
+    for (const point of points) {
+      const key = this.periodKey(point.day, granularity);
+      if (!periods.has(key)) continue; // Akhir pekan pada data hari kerja
+      const period = periods.get(key);
+      period.rows++;
+      for (const col of valueColumns) period.totals[col] += point.values[col];
+    }
+
+    return [...periods.values()].map(period => ({
+      period: period.period,
+      rows: period.rows,
+      totals: Object.fromEntries(Object.entries(period.totals).map(([col, total]) => [col, this.round(total)]))
+    }));
+  }
+
+  /**
+   * 🕳️ Periode tanpa data & rentang gap berurutan
+   */
+  coverage(baseSeries) {
+    if (!baseSeries) return null;
+
+    const ranges = [];
+    let current = null;
+    baseSeries.forEach(period => {
+      if (period.rows > 0) {
+        current = null;
+        return;
+      }
+      if (!current) {
+        current = { from: period.period, to: period.period, periods: 0 };
+        ranges.push(current);
+      }
+      current.to = period.period;
+      current.periods++;
+    });
+
+    const missing = ranges.reduce((sum, r) => sum + r.periods, 0);
+    return {
+      expectedPeriods: baseSeries.length,
+      observedPeriods: baseSeries.length - missing,
+      missingPeriods: missing,
+      completeness: this.round((1 - missing / baseSeries.length) * 100, 2),
+      gaps: ranges.sort((a, b) => b.periods - a.periods).slice(0, this.options.maxGapRanges)
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // GROWTH, TREND & SEASONALITY
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Pertumbuhan (%) periode terakhir dibanding `lag` periode sebelumnya
+   */
+  growth(values, index, lag) {
+    if (index - lag < 0) return null;
+    const previous = values[index - lag];
+    if (previous === 0) return null;
+    return this.round(((values[index] - previous) / Math.abs(previous)) * 100, 2);
+  }
+
+  /**
+   * 📈 Arah tren dari regresi linear: slope dalam % rata-rata per periode
+   */
+  trend(values) {
+    if (values.length < 3) return null;
+
+    const n = values.length;
+    const xs = values.map((_, i) => i);
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((a, b) => a + b, 0) / n;
+
+    let num = 0;
+    let den = 0;
+    for (let i = 0; i < n; i++) {
+      num += (xs[i] - meanX) * (values[i] - meanY);
+      den += (xs[i] - meanX) ** 2;
+    }
+
+    const slope = num / den;
+    const r = pearson(xs, values);
+    const slopePercent = meanY === 0 ? 0 : (slope / Math.abs(meanY)) * 100;
+    const r2 = r === null ? 0 : r * r;
+
+    let direction = 'stabil';
+    if (Math.abs(slopePercent) >= this.options.trendThreshold && r2 >= 0.2) {
+      direction = slopePercent > 0 ? 'naik' : 'turun';
+    }
+
+    return {
+      direction,
+      slope: this.round(slope),
+      slopePercent: this.round(slopePercent, 2),
+      r2: this.round(r2)
+    };
+  }
+
+  /**
+   * 🔁 Pola musiman (hari dalam minggu, bulan dalam tahun, kuartal)
+   * Tren linear dibuang dulu, lalu diukur seberapa besar variasi sisa yang dijelaskan
+   * rata-rata per posisi musim (0 = tidak ada pola, 1 = pola sempurna)
+   */
+  seasonality(values, series, frequency) {
+    const lag = frequency.businessDays ? 5 : frequency.seasonLag;
+    if (!lag || values.length < lag * 2) {
+      return { detected: false, lag, strength: null, reason: lag ? `Butuh minimal ${lag * 2} periode` : 'Tidak berlaku' };
+    }
+
+    const n = values.length;
+    const fit = this.trend(values);
+    const meanY = values.reduce((a, b) => a + b, 0) / n;
+    const detrended = values.map((v, i) => v - (meanY + fit.slope * (i - (n - 1) / 2)));
+
+    const buckets = Array.from({ length: lag }, () => ({ sum: 0, count: 0 }));
+    detrended.forEach((v, i) => {
+      buckets[i % lag].sum += v;
+      buckets[i % lag].count++;
+    });
+    const seasonal = buckets.map(b => b.sum / b.count);
+
+    const variance = (arr) => {
+      const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
+      return arr.reduce((sum, v) => sum + (v - mean) ** 2, 0) / arr.length;
+    };
+    const total = variance(detrended);
+    const remainder = variance(detrended.map((v, i) => v - seasonal[i % lag]));
+    const strength = total === 0 ? 0 : Math.max(0, 1 - remainder / total);
+    const detected = strength >= this.options.seasonalityThreshold;
+
+    const ranked = seasonal.map((value, bucket) => ({ value, label: this.seasonLabel(series[bucket], frequency) }))
+      .sort((a, b) => b.value - a.value);
+
+    return {
+      detected,
+      lag,
+      strength: this.round(strength),
+      peak: detected ? ranked[0].label : null,
+      low: detected ? ranked[ranked.length - 1].label : null
+    };
+  }
+
+  /**
+   * Nama posisi musim: hari (Senin), bulan (Des), kuartal (Q4) atau minggu ke-n
+   */
+  seasonLabel(period, frequency) {
+    switch (frequency.id) {
+      case 'daily':
+        return WEEKDAY_LABELS[new Date(`${period.period}T00:00:00Z`).getUTCDay()];
+      case 'monthly':
+        return MONTH_LABELS[Number(period.period.slice(5, 7)) - 1];
+      case 'quarterly':
+        return period.period.slice(5);
+      default: {
+        const date = new Date(`${period.period}T00:00:00Z`);
+        const dayOfYear = (date - Date.UTC(date.getUTCFullYear(), 0, 1)) / DAY_MS;
+        return `minggu ke-${Math.floor(dayOfYear / 7) + 1}`;
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  describe(dateColumn, frequency, coverage, metrics) {
+    const parts = [`Kolom "${dateColumn}" berisi data ${frequency.label}${frequency.businessDays ? ' (hari kerja)' : ''}`];
+    if (coverage?.missingPeriods > 0) {
+      parts.push(`${coverage.missingPeriods} periode tanpa data`);
+    }
+
+    const main = metrics.find(m => m.column !== null) ?? metrics[0];
+    if (main.trend) {
+      parts.push(`tren ${main.label} ${main.trend.direction}`);
+    }
+    return parts.join(', ');
+  }
+
+  round(value, decimals = 4) {
+    if (value === null || !isFinite(value)) return null;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+// Create singleton
+export const timeSeriesAnalyzer = new TimeSeriesAnalyzer();
+
+export default {
+  TimeSeriesAnalyzer,
+  timeSeriesAnalyzer
+};
@@ -0,0 +1,860 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VALIDATOR.JS - ✅ Rule-based Validation Engine (aturan dari user)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { ISSUE_TYPES, DATA_TYPES, PATTERNS } from '../utils/constants.js';
+import {
+  parseNumberDetailed,
+  parseDate,
+  serializeDate,
+  isEmpty,
+  validateNIK,
+  validateNPWP,
+  validateNITKU,
+  validateNIP,
+  validateNKK,
+  validateBPJS,
+  validateBankAccount,
+  validatePlateNumber,
+  validateEmail,
+  validatePhoneID
+} from '../utils/helpers.js';
+import { parseYAML } from '../utils/yaml.js';
+import { schemaGenerator } from './schema.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RULE SYNTAX
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// columns:
+//   NIK:     { required: true, unique: true, pattern: "^\\d{16}$" }
+//   Gaji:    { min: 0, max: 100000000 }
+//   Status:  { allowed: [Aktif, Nonaktif] }
+//   Email:   { type: email }
+// rules:
+//   - check: Tanggal Selesai >= Tanggal Mulai
+//   - when: Status == Nonaktif
+//     required: [Tanggal Keluar]
+// additionalColumns: false      # tolak kolom di luar "columns"
+//
+// JSON Schema / Table Schema hasil export (engine/schema.js) juga diterima.
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const RULE_SET_KEYS = ['name', 'description', 'columns', 'rules', 'additionalColumns'];
+const COLUMN_RULE_KEYS = [
+  'column', 'type', 'required', 'unique', 'min', 'max', 'minLength', 'maxLength',
+  'pattern', 'allowed', 'ignoreCase', 'locale', 'severity', 'message'
+];
+const ROW_RULE_KEYS = ['name', 'check', 'when', 'required', 'severity', 'message'];
+
+// Urut dari yang terpanjang agar ">=" tidak terbaca sebagai ">"
+const OPERATORS = ['>=', '<=', '!=', '==', '=', '>', '<'];
+
+const DATE_LIKE = /^(\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}|\d{1,2}\s+[a-z]+\s+\d{4})/i;
+
+const BOOLEAN_VALUE = /^(true|false|yes|no|ya|tidak|1|0|aktif|nonaktif)$/i;
+
+// Tipe yang bisa dipakai di opsi "type" + label untuk pesan
+const TYPE_LABELS = {
+  [DATA_TYPES.STRING]: 'teks',
+  [DATA_TYPES.NUMBER]: 'angka',
+  [DATA_TYPES.INTEGER]: 'bilangan bulat',
+  [DATA_TYPES.FLOAT]: 'angka desimal',
+  [DATA_TYPES.CURRENCY]: 'nilai uang',
+  [DATA_TYPES.PERCENTAGE]: 'persentase',
+  [DATA_TYPES.DATE]: 'tanggal',
+  [DATA_TYPES.DATETIME]: 'tanggal & waktu',
+  [DATA_TYPES.TIME]: 'waktu',
+  [DATA_TYPES.EMAIL]: 'email',
+  [DATA_TYPES.PHONE]: 'nomor telepon',
+  [DATA_TYPES.URL]: 'URL',
+  [DATA_TYPES.NIK]: 'NIK',
+  [DATA_TYPES.NPWP]: 'NPWP',
+  [DATA_TYPES.NITKU]: 'NITKU',
+  [DATA_TYPES.NIP]: 'NIP',
+  [DATA_TYPES.NKK]: 'nomor KK',
+  [DATA_TYPES.BPJS_KESEHATAN]: 'nomor BPJS Kesehatan',
+  [DATA_TYPES.BPJS_KETENAGAKERJAAN]: 'nomor BPJS Ketenagakerjaan',
+  [DATA_TYPES.BANK_ACCOUNT]: 'nomor rekening',
+  [DATA_TYPES.PLATE_NUMBER]: 'plat nomor',
+  [DATA_TYPES.BOOLEAN]: 'ya/tidak'
+};
+
+// Penanda rule set yang sudah di-parse (parseRules idempotent)
+const PARSED = Symbol('parsedRules');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN VALIDATOR CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class DataValidator {
+  constructor(options = {}) {
+    this.options = {
+      ...options
+    };
+  }
+
+  /**
+   * ✅ MAIN VALIDATION METHOD
+   * Jalankan aturan user pada satu sheet; pelanggaran memakai bentuk issue analyzer
+   * @param {Object|string} rules - Object aturan atau teks JSON/YAML
+   */
+  validate(parsedData, rules, sheetName = null) {
+    const startTime = Date.now();
+    const sheet = parsedData.sheets[sheetName || parsedData.activeSheet];
+
+    if (!sheet) {
+      throw new Error('Sheet tidak ditemukan');
+    }
+
+    const ruleSet = this.parseRules(rules);
+    const issues = this.validateRows(sheet.headers, sheet.rows, ruleSet, {
+      localeFor: () => sheet.numberLocale ?? null
+    });
+
+    const tally = this.createTally();
+    this.tallyIssues(tally, issues);
+
+    return {
+      summary: {
+        sheetName: sheet.name,
+        rowsChecked: sheet.rows.length,
+        ...this.summarize(tally, ruleSet),
+        validationTime: `${Date.now() - startTime}ms`
+      },
+      issues
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // RULE PARSING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Parse & normalisasi aturan (object, JSON, atau YAML)
+   * @throws {Error} Jika format/isi aturan tidak valid
+   */
+  parseRules(input) {
+    if (input?.[PARSED]) return input;
+
+    let raw = typeof input === 'string' ? this.parseRuleText(input) : input;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('Aturan validasi harus berupa object dengan "columns" dan/atau "rules"');
+    }
+    if (schemaGenerator.isSchema(raw)) {
+      raw = schemaGenerator.toRules(raw);
+    }
+
+    const unknown = Object.keys(raw).filter(key => !RULE_SET_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Opsi aturan ${unknown.map(k => `"${k}"`).join(', ')} tidak dikenal. Opsi: ${RULE_SET_KEYS.join(', ')}`);
+    }
+
+    const columns = this.normalizeColumnRules(raw.columns ?? {});
+    const rules = this.toList(raw.rules).map((rule, index) => this.normalizeRowRule(rule, index));
+
+    if (columns.length === 0 && rules.length === 0) {
+      throw new Error('Aturan validasi kosong. Isi "columns" dan/atau "rules"');
+    }
+
+    const checksPerColumn = columns.reduce((sum, rule) => sum + rule.checks.length, 0);
+    return {
+      [PARSED]: true,
+      columns,
+      rules,
+      additionalColumns: raw.additionalColumns !== false,
+      total: checksPerColumn + rules.length + (raw.additionalColumns === false ? 1 : 0)
+    };
+  }
+
+  /**
+   * Teks aturan → object (JSON dulu, lalu YAML)
+   */
+  parseRuleText(text) {
+    const content = text.trim();
+    if (!content) {
+      throw new Error('Aturan validasi kosong');
+    }
+
+    if (/^[{[]/.test(content)) {
+      try {
+        return JSON.parse(content);
+      } catch {
+        // Bisa jadi YAML flow style, coba parser YAML
+      }
+    }
+
+    try {
+      return parseYAML(content);
+    } catch (error) {
+      throw new Error(`Format aturan tidak valid (JSON/YAML): ${error.message}`);
+    }
+  }
+
+  /**
+   * Aturan per kolom: { Kolom: {...} } atau [{ column: 'Kolom', ... }]
+   */
+  normalizeColumnRules(columns) {
+    const entries = Array.isArray(columns)
+      ? columns.map(spec => [spec?.column, spec])
+      : Object.entries(columns);
+
+    return entries.map(([column, spec]) => {
+      if (!column || !spec || typeof spec !== 'object') {
+        throw new Error('Setiap aturan kolom butuh nama kolom dan object aturan');
+      }
+
+      const label = `Aturan kolom "${column}"`;
+      const unknown = Object.keys(spec).filter(key => !COLUMN_RULE_KEYS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`${label}: opsi ${unknown.map(k => `"${k}"`).join(', ')} tidak dikenal. Opsi: ${COLUMN_RULE_KEYS.slice(1).join(', ')}`);
+      }
+
+      const rule = {
+        column: String(column),
+        name: String(column),
+        type: spec.type !== undefined ? this.parseType(spec.type, label) : null,
+        required: spec.required === true,
+        unique: spec.unique === true,
+        ignoreCase: spec.ignoreCase === true,
+        locale: spec.locale !== undefined ? this.parseLocale(spec.locale, label) : null,
+        min: spec.min !== undefined ? this.parseBound(spec.min, `${label} min`) : null,
+        max: spec.max !== undefined ? this.parseBound(spec.max, `${label} max`) : null,
+        minLength: spec.minLength ?? null,
+        maxLength: spec.maxLength ?? null,
+        pattern: spec.pattern !== undefined ? this.parsePattern(spec.pattern, label) : null,
+        allowed: spec.allowed !== undefined ? this.toList(spec.allowed, true).map(String) : null,
+        severity: this.parseSeverity(spec.severity, label),
+        message: spec.message ?? null
+      };
+
+      rule.checks = ['type', 'required', 'unique', 'min', 'max', 'minLength', 'maxLength', 'pattern', 'allowed']
+        .filter(check => rule[check] !== null && rule[check] !== false);
+      return rule;
+    });
+  }
+
+  /**
+   * Aturan antar kolom / bersyarat: { check, when, required }
+   */
+  normalizeRowRule(rule, index) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`Aturan #${index + 1} harus berupa object (check / when / required)`);
+    }
+
+    const label = `Aturan #${index + 1}`;
+    const unknown = Object.keys(rule).filter(key => !ROW_RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${label}: opsi ${unknown.map(k => `"${k}"`).join(', ')} tidak dikenal. Opsi: ${ROW_RULE_KEYS.join(', ')}`);
+    }
+    if (!rule.check && !rule.required) {
+      throw new Error(`${label}: butuh "check" (mis. "Tanggal Selesai >= Tanggal Mulai") atau "required"`);
+    }
+
+    return {
+      name: rule.name ? String(rule.name) : String(rule.check ?? `${label}`),
+      check: rule.check ? this.parseExpression(rule.check, label) : null,
+      when: rule.when ? this.parseExpression(rule.when, label) : null,
+      required: this.toList(rule.required, true).map(String),
+      severity: this.parseSeverity(rule.severity, label),
+      message: rule.message ?? null
+    };
+  }
+
+  /**
+   * "Kolom A >= Kolom B" → { left, op, right }; tanpa operator = "kolom tidak kosong"
+   */
+  parseExpression(text, label) {
+    const source = String(text).trim();
+    let quote = null;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quote) {
+        if (char === quote) quote = null;
+        continue;
+      }
+      if (char === '"' || char === "'") {
+        quote = char;
+        continue;
+      }
+
+      const op = OPERATORS.find(candidate => source.startsWith(candidate, i));
+      if (op) {
+        const left = this.parseOperand(source.slice(0, i));
+        const right = this.parseOperand(source.slice(i + op.length));
+        if (!left.text || (!right.text && !right.quoted)) {
+          throw new Error(`${label}: ekspresi "${source}" tidak lengkap`);
+        }
+        return { source, left, op: op === '=' ? '==' : op, right };
+      }
+    }
+
+    return { source, left: this.parseOperand(source), op: null, right: null };
+  }
+
+  parseOperand(text) {
+    const trimmed = text.trim();
+    const quoted = trimmed.match(/^(["'])(.*)\1$/);
+    return quoted
+      ? { text: quoted[2], quoted: true }
+      : { text: trimmed, quoted: false };
+  }
+
+  /**
+   * Batas min/max: angka atau tanggal
+   */
+  parseBound(value, label) {
+    if (value instanceof Date) {
+      return { kind: 'date', value: value.getTime(), text: serializeDate(value) };
+    }
+
+    const number = parseNumberDetailed(value);
+    if (number.exact && number.value !== null) {
+      return { kind: 'number', value: number.value, text: String(value) };
+    }
+
+    const date = this.dateValue(value);
+    if (date !== null) {
+      return { kind: 'date', value: date, text: String(value) };
+    }
+
+    throw new Error(`${label}: "${value}" bukan angka atau tanggal`);
+  }
+
+  /**
+   * Pola regex: "^\d{16}$" atau "/^abc$/i"
+   */
+  parsePattern(pattern, label) {
+    const source = String(pattern);
+    const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+
+    try {
+      return literal ? new RegExp(literal[1], literal[2]) : new RegExp(source);
+    } catch (error) {
+      throw new Error(`${label}: pattern tidak valid (${error.message})`);
+    }
+  }
+
+  parseType(type, label) {
+    if (!TYPE_LABELS[type]) {
+      throw new Error(`${label}: type "${type}" tidak dikenal. Pilihan: ${Object.keys(TYPE_LABELS).join(', ')}`);
+    }
+    return type;
+  }
+
+  parseLocale(locale, label) {
+    if (!['id', 'en'].includes(locale)) {
+      throw new Error(`${label}: locale harus "id" atau "en"`);
+    }
+    return locale;
+  }
+
+  parseSeverity(severity, label) {
+    if (severity === undefined || severity === null) return null;
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`${label}: severity harus salah satu dari ${SEVERITIES.join(', ')}`);
+    }
+    return severity;
+  }
+
+  /**
+   * Nilai tunggal / list / teks dipisah koma → array
+   */
+  toList(value, splitText = false) {
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) return value;
+    if (splitText && typeof value === 'string') {
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    return [value];
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // BINDING (aturan → kolom di file)
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Cocokkan nama kolom di aturan dengan header file (tidak case-sensitive).
+   * Kolom yang tidak ada dilaporkan sebagai issue, bukan error.
+   */
+  bindRules(ruleSet, headers) {
+    const lookup = new Map(headers.map(header => [String(header).trim().toLowerCase(), header]));
+    const findHeader = (name) => lookup.get(String(name).trim().toLowerCase()) ?? null;
+    const problems = [];
+
+    const missingColumn = (rule, column, required) => {
+      problems.push(required
+        ? this.createIssue('REQUIRED_MISSING', rule, {
+          column,
+          message: `Kolom "${column}" wajib ada tetapi tidak ditemukan di file`,
+          fix: 'Tambahkan kolom ini atau periksa nama kolom di aturan'
+        })
+        : this.createIssue('RULE_VIOLATION', { ...rule, severity: 'warning', message: null }, {
+          column,
+          message: `Aturan "${rule.name}" dilewati: kolom "${column}" tidak ditemukan`,
+          fix: 'Periksa nama kolom di aturan'
+        }));
+    };
+
+    const columns = [];
+    for (const rule of ruleSet.columns) {
+      const header = findHeader(rule.column);
+      if (header === null) {
+        missingColumn(rule, rule.column, rule.required);
+        continue;
+      }
+      columns.push({ ...rule, header });
+    }
+
+    // Operand kiri wajib kolom; operand kanan kolom jika namanya cocok, selain itu literal
+    const bindExpression = (expr, rule) => {
+      if (!expr) return { expr: null, ok: true };
+      const left = expr.left.quoted ? null : findHeader(expr.left.text);
+      if (left === null) {
+        missingColumn(rule, expr.left.text, false);
+        return { ok: false };
+      }
+      const right = expr.right && !expr.right.quoted ? findHeader(expr.right.text) : null;
+      return {
+        ok: true,
+        expr: {
+          ...expr,
+          left: { ...expr.left, header: left },
+          right: expr.right && { ...expr.right, header: right }
+        }
+      };
+    };
+
+    const rules = [];
+    for (const rule of ruleSet.rules) {
+      const check = bindExpression(rule.check, rule);
+      const when = bindExpression(rule.when, rule);
+      if (!check.ok || !when.ok) continue;
+
+      const required = [];
+      for (const column of rule.required) {
+        const header = findHeader(column);
+        if (header === null) {
+          missingColumn(rule, column, true);
+        } else {
+          required.push(header);
+        }
+      }
+
+      rules.push({ ...rule, check: check.expr, when: when.expr, required });
+    }
+
+    // Kolom di luar aturan (mis. schema ketat) dilaporkan sekali per kolom
+    if (!ruleSet.additionalColumns) {
+      const known = new Set([
+        ...columns.map(rule => rule.header),
+        ...rules.flatMap(rule => [
+          ...rule.required,
+          ...[rule.check, rule.when].flatMap(expr => (expr ? [expr.left.header, expr.right?.header] : []))
+        ])
+      ]);
+
+      for (const header of headers.filter(h => !known.has(h))) {
+        problems.push(this.createIssue('UNEXPECTED_COLUMN', { name: 'additionalColumns' }, {
+          column: header,
+          message: `Kolom "${header}" tidak ada di aturan/schema`,
+          fix: 'Hapus kolom ini atau tambahkan ke aturan/schema'
+        }));
+      }
+    }
+
+    return { columns, rules, problems };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // ROW VALIDATION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Validasi baris terhadap aturan. Context dipakai ulang lintas chunk (streaming)
+   * agar cek unique & laporan kolom hilang tidak terulang.
+   * @param {Object} context - { rowNumber(row, index), localeFor(header), seen, bound }
+   */
+  validateRows(headers, rows, ruleSet, context = {}) {
+    const ctx = context;
+    ctx.bound ??= this.bindRules(this.parseRules(ruleSet), headers);
+    ctx.seen ??= new Map();
+    ctx.localeFor ??= () => null;
+    ctx.rowNumber ??= (row, index) => index + 2;
+
+    const issues = [];
+    if (!ctx.problemsReported) {
+      issues.push(...ctx.bound.problems);
+      ctx.problemsReported = true;
+    }
+
+    rows.forEach((row, index) => {
+      const rowNum = ctx.rowNumber(row, index);
+      for (const rule of ctx.bound.columns) {
+        issues.push(...this.checkColumnRule(rule, row, rowNum, ctx));
+      }
+      for (const rule of ctx.bound.rules) {
+        issues.push(...this.checkRowRule(rule, row, rowNum, ctx));
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Cek satu nilai terhadap aturan kolomnya
+   */
+  checkColumnRule(rule, row, rowNum, ctx) {
+    const { header } = rule;
+    const value = row[header];
+    const display = this.displayValue(value);
+    const base = { row: rowNum, column: header, value };
+
+    if (this.isBlank(value)) {
+      return rule.required
+        ? [this.createIssue('REQUIRED_MISSING', rule, {
+          ...base,
+          message: `Kolom "${header}" wajib diisi`,
+          fix: 'Isi nilai yang kosong'
+        })]
+        : [];
+    }
+
+    const issues = [];
+    const text = rule.ignoreCase ? display.toLowerCase() : display;
+    const locale = rule.locale ?? ctx.localeFor(header);
+
+    if (rule.type && !this.matchesType(value, rule.type, locale)) {
+      issues.push(this.createIssue('TYPE_MISMATCH', rule, {
+        ...base,
+        message: `Nilai "${display}" di kolom "${header}" bukan ${TYPE_LABELS[rule.type]}`,
+        fix: `Isi dengan ${TYPE_LABELS[rule.type]} yang valid`
+      }));
+    }
+
+    if (rule.unique) {
+      if (!ctx.seen.has(header)) ctx.seen.set(header, new Map());
+      const seen = ctx.seen.get(header);
+      if (seen.has(text)) {
+        issues.push(this.createIssue('NOT_UNIQUE', rule, {
+          ...base,
+          message: `Nilai "${display}" di kolom "${header}" sudah dipakai di baris ${seen.get(text)}`,
+          fix: 'Pastikan setiap nilai unik'
+        }));
+      } else {
+        seen.set(text, rowNum);
+      }
+    }
+
+    for (const [bound, label] of [[rule.min, 'minimum'], [rule.max, 'maksimum']]) {
+      if (!bound) continue;
+      const actual = bound.kind === 'number'
+        ? this.numberValue(value, locale)
+        : this.dateValue(value);
+
+      if (actual === null) {
+        issues.push(this.createIssue('OUT_OF_RANGE', rule, {
+          ...base,
+          message: `Nilai "${display}" di kolom "${header}" bukan ${bound.kind === 'number' ? 'angka' : 'tanggal'}`,
+          fix: `Isi dengan ${bound.kind === 'number' ? 'angka' : 'tanggal'} yang valid`
+        }));
+        break;
+      }
+
+      const outside = bound === rule.min ? actual < bound.value : actual > bound.value;
+      if (outside) {
+        issues.push(this.createIssue('OUT_OF_RANGE', rule, {
+          ...base,
+          message: `Nilai ${display} di kolom "${header}" ${bound === rule.min ? 'di bawah' : 'di atas'} ${label} ${bound.text}`,
+          fix: `Periksa nilai (${label}: ${bound.text})`
+        }));
+      }
+    }
+
+    if (rule.minLength !== null && display.length < rule.minLength) {
+      issues.push(this.createIssue('OUT_OF_RANGE', rule, {
+        ...base,
+        message: `Panjang "${display}" di kolom "${header}" kurang dari ${rule.minLength} karakter`,
+        fix: `Minimal ${rule.minLength} karakter`
+      }));
+    }
+    if (rule.maxLength !== null && display.length > rule.maxLength) {
+      issues.push(this.createIssue('OUT_OF_RANGE', rule, {
+        ...base,
+        message: `Panjang "${display}" di kolom "${header}" lebih dari ${rule.maxLength} karakter`,
+        fix: `Maksimal ${rule.maxLength} karakter`
+      }));
+    }
+
+    if (rule.pattern && !rule.pattern.test(display)) {
+      issues.push(this.createIssue('PATTERN_MISMATCH', rule, {
+        ...base,
+        message: `Nilai "${display}" di kolom "${header}" tidak sesuai pola ${rule.pattern}`,
+        fix: 'Sesuaikan format nilai dengan pola'
+      }));
+    }
+
+    if (rule.allowed) {
+      const allowed = rule.allowed.map(item => (rule.ignoreCase ? item.toLowerCase() : item).trim());
+      if (!allowed.includes(text.trim())) {
+        const preview = rule.allowed.slice(0, 5).join(', ') + (rule.allowed.length > 5 ? ', ...' : '');
+        issues.push(this.createIssue('VALUE_NOT_ALLOWED', rule, {
+          ...base,
+          message: `Nilai "${display}" di kolom "${header}" tidak diizinkan (pilihan: ${preview})`,
+          fix: `Gunakan salah satu: ${preview}`
+        }));
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Cek aturan antar kolom & wajib-isi bersyarat pada satu baris
+   */
+  checkRowRule(rule, row, rowNum, ctx) {
+    if (rule.when && this.evaluate(rule.when, row, ctx) !== true) return [];
+
+    const issues = [];
+    const condition = rule.when ? ` jika ${rule.when.source}` : '';
+
+    for (const header of rule.required) {
+      if (!this.isBlank(row[header])) continue;
+      issues.push(this.createIssue('REQUIRED_MISSING', rule, {
+        row: rowNum,
+        column: header,
+        value: row[header],
+        message: `Kolom "${header}" wajib diisi${condition}`,
+        fix: 'Isi nilai yang kosong'
+      }));
+    }
+
+    if (rule.check && this.evaluate(rule.check, row, ctx, true) === false) {
+      const { left, op, right } = rule.check;
+      const leftValue = this.displayValue(row[left.header]);
+      const rightText = right.header
+        ? `${right.text} (${this.displayValue(row[right.header])})`
+        : right.text;
+
+      issues.push(this.createIssue('RULE_VIOLATION', rule, {
+        row: rowNum,
+        column: left.header,
+        value: row[left.header],
+        message: `Aturan "${rule.name}" dilanggar${condition}: ${left.text} (${leftValue}) ${op} ${rightText} tidak terpenuhi`,
+        fix: 'Periksa nilai pada kolom yang dibandingkan'
+      }));
+    }
+
+    return issues;
+  }
+
+  /**
+   * Evaluasi ekspresi pada baris → true / false (null jika dilewati karena kosong)
+   */
+  evaluate(expr, row, ctx, skipEmpty = false) {
+    const operand = (side) => (side.header !== null && side.header !== undefined ? row[side.header] : side.text);
+    const left = operand(expr.left);
+
+    if (!expr.op) return !this.isBlank(left);
+
+    const right = operand(expr.right);
+    if (skipEmpty && (this.isBlank(left) || (expr.right.header && this.isBlank(right)))) {
+      return null;
+    }
+
+    const diff = this.compareValues(
+      left, right,
+      ctx.localeFor(expr.left.header),
+      ctx.localeFor(expr.right.header ?? expr.left.header)
+    );
+
+    switch (expr.op) {
+      case '==': return diff === 0;
+      case '!=': return diff !== 0;
+      case '>': return diff > 0;
+      case '>=': return diff >= 0;
+      case '<': return diff < 0;
+      case '<=': return diff <= 0;
+      default: return null;
+    }
+  }
+
+  /**
+   * Bandingkan dua nilai: angka → tanggal → teks (tidak case-sensitive)
+   */
+  compareValues(a, b, localeA = null, localeB = null) {
+    const numA = this.numberValue(a, localeA);
+    const numB = this.numberValue(b, localeB);
+    if (numA !== null && numB !== null) return numA - numB;
+
+    const dateA = this.dateValue(a);
+    const dateB = this.dateValue(b);
+    if (dateA !== null && dateB !== null) return dateA - dateB;
+
+    const textA = this.displayValue(a).trim().toLowerCase();
+    const textB = this.displayValue(b).trim().toLowerCase();
+    return textA === textB ? 0 : textA.localeCompare(textB, 'id');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // VALUE HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Apakah nilai (tidak kosong) cocok dengan tipe data kolom?
+   */
+  matchesType(value, type, locale = null) {
+    const text = this.displayValue(value).trim();
+
+    switch (type) {
+      case DATA_TYPES.STRING:
+        return true;
+      case DATA_TYPES.NUMBER:
+      case DATA_TYPES.FLOAT:
+      case DATA_TYPES.CURRENCY:
+        return this.numberValue(value, locale) !== null;
+      case DATA_TYPES.INTEGER:
+        return Number.isInteger(this.numberValue(value, locale));
+      case DATA_TYPES.PERCENTAGE:
+        return this.numberValue(value, locale) !== null || PATTERNS.PERCENTAGE.test(text);
+      case DATA_TYPES.DATE:
+      case DATA_TYPES.DATETIME:
+        return this.dateValue(value) !== null;
+      case DATA_TYPES.TIME:
+        return value instanceof Date || PATTERNS.TIME_24H.test(text);
+      case DATA_TYPES.EMAIL:
+        return validateEmail(text).valid;
+      case DATA_TYPES.PHONE:
+        return validatePhoneID(text).valid;
+      case DATA_TYPES.URL:
+        return PATTERNS.URL.test(text);
+      case DATA_TYPES.NIK:
+        return validateNIK(text).valid;
+      case DATA_TYPES.NPWP:
+        return validateNPWP(value).valid;
+      case DATA_TYPES.NITKU:
+        return validateNITKU(value).valid;
+      case DATA_TYPES.NIP:
+        return validateNIP(value).valid;
+      case DATA_TYPES.NKK:
+        return validateNKK(value).valid;
+      case DATA_TYPES.BPJS_KESEHATAN:
+        return validateBPJS(value, 'Kesehatan').valid;
+      case DATA_TYPES.BPJS_KETENAGAKERJAAN:
+        return validateBPJS(value, 'Ketenagakerjaan').valid;
+      case DATA_TYPES.BANK_ACCOUNT:
+        return validateBankAccount(value).valid;
+      case DATA_TYPES.PLATE_NUMBER:
+        return validatePlateNumber(text).valid;
+      case DATA_TYPES.BOOLEAN:
+        return typeof value === 'boolean' || BOOLEAN_VALUE.test(text);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Angka utuh (bukan "12 pcs"); null jika bukan angka
+   */
+  numberValue(value, locale = null) {
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    const number = parseNumberDetailed(value, locale);
+    return number.exact ? number.value : null;
+  }
+
+  /**
+   * Tanggal → waktu kalender (ms, UTC) agar sel Excel & teks bisa dibandingkan
+   */
+  dateValue(value) {
+    if (value instanceof Date) return isNaN(value) ? null : value.getTime();
+    if (typeof value !== 'string' || !DATE_LIKE.test(value.trim())) return null;
+
+    const date = parseDate(value);
+    if (!date) return null;
+    return Date.UTC(
+      date.getFullYear(), date.getMonth(), date.getDate(),
+      date.getHours(), date.getMinutes(), date.getSeconds()
+    );
+  }
+
+  displayValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return serializeDate(value);
+    return String(value);
+  }
+
+  isBlank(value) {
+    return isEmpty(value) || (typeof value === 'string' && !value.trim());
+  }
+
+  /**
+   * Issue dengan bentuk yang sama seperti issue analyzer
+   */
+  createIssue(typeKey, rule, { row = null, column = null, value, message, fix }) {
+    const type = ISSUE_TYPES[typeKey];
+    const custom = rule.message
+      ? String(rule.message)
+        .replace(/\{column\}/g, column ?? '')
+        .replace(/\{value\}/g, this.displayValue(value))
+        .replace(/\{row\}/g, row ?? '')
+      : null;
+
+    return {
+      type: type.code,
+      severity: rule.severity ?? type.severity,
+      row,
+      column,
+      ...(value !== undefined && { value }),
+      message: custom ?? message,
+      autoFixable: false,
+      fix,
+      rule: rule.name
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SUMMARY
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  createTally() {
+    return { violations: 0, bySeverity: {}, byRule: {} };
+  }
+
+  /**
+   * Tambahkan issue aturan ke rekap (bisa dipanggil per chunk)
+   */
+  tallyIssues(tally, issues) {
+    for (const issue of issues) {
+      tally.violations++;
+      tally.bySeverity[issue.severity] = (tally.bySeverity[issue.severity] || 0) + 1;
+      tally.byRule[issue.rule] = (tally.byRule[issue.rule] || 0) + 1;
+    }
+    return tally;
+  }
+
+  /**
+   * Ringkasan validasi: valid jika tidak ada pelanggaran level error
+   */
+  summarize(tally, ruleSet) {
+    return {
+      valid: !tally.bySeverity.error,
+      rulesApplied: this.parseRules(ruleSet).total,
+      violations: tally.violations,
+      bySeverity: tally.bySeverity,
+      byRule: tally.byRule
+    };
+  }
+}
+
+// Create singleton instance
+export const dataValidator = new DataValidator();
+
+export default {
+  DataValidator,
+  dataValidator
+};
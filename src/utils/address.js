@@ -0,0 +1,288 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ADDRESS.JS - 🏠 Pemecah Alamat Indonesia (jalan, nomor, RT/RW, kelurahan s/d kode pos)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { INDONESIA_PROVINCE_CODES, POSTAL_CODE_PROVINCES } from './constants.js';
+import { toTitleCase, isEmpty } from './helpers.js';
+import { wilayahRegistry } from './wilayah.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Field hasil pemecahan → nama kolom output
+export const ADDRESS_FIELDS = {
+  jalan: 'Jalan',
+  nomor: 'Nomor',
+  rt: 'RT',
+  rw: 'RW',
+  kelurahan: 'Kelurahan',
+  kecamatan: 'Kecamatan',
+  kota: 'Kota/Kabupaten',
+  provinsi: 'Provinsi',
+  kodePos: 'Kode Pos'
+};
+
+// Awalan bagian alamat (dipisah koma) → field
+const PART_PREFIXES = [
+  { field: 'kelurahan', pattern: /^(kelurahan|kel|desa|ds)\.?\s+/i },
+  { field: 'kecamatan', pattern: /^(kecamatan|kec)\.?\s+/i },
+  { field: 'kota', pattern: /^(kabupaten|kab|kota\s+administrasi|kota\s+adm|kotamadya|kodya|kota)\.?\s+/i },
+  { field: 'provinsi', pattern: /^(provinsi|propinsi|prov)\.?\s+/i }
+];
+
+// Awalan wilayah di tengah bagian tanpa koma ("Jl. Merdeka 5 Desa Sukamaju Kec. Cibeber") → titik potong
+const INNER_PREFIX = /\s(?=(?:kelurahan|kel|desa|ds|kecamatan|kec|kabupaten|kab|kota|provinsi|propinsi|prov)\b\.?\s)/gi;
+
+// Kata sebelum awalan yang menandakan awalan itu bagian nama ("Jl. Kota Baru", "Kec. Kota Baru")
+const NAME_LEAD_WORD = /^(jl|jln|jalan|gg|gang|komp|kompl|komplek|kompleks|perum|perumahan|kp|kampung|dsn|dusun|blk|blok|kelurahan|kel|desa|ds|kecamatan|kec|kabupaten|kab|kota|provinsi|propinsi|prov)\.?$/i;
+
+// Singkatan nama jalan & lingkungan → bentuk baku
+const STREET_ABBREVIATIONS = [
+  [/\b(jl|jln|jalan)\b\.?\s*/gi, 'Jalan '],
+  [/\bgg\b\.?\s*/gi, 'Gang '],
+  [/\b(komp|kompl|kompleks|komplek)\b\.?\s*/gi, 'Komplek '],
+  [/\bperum\b\.?\s*/gi, 'Perumahan '],
+  [/\bblk\b\.?\s*/gi, 'Blok '],
+  [/\bkp\b\.?\s*/gi, 'Kampung '],
+  [/\bdsn\b\.?\s*/gi, 'Dusun '],
+  [/\blingk\b\.?\s*/gi, 'Lingkungan ']
+];
+
+// Bagian alamat yang termasuk jalan (setelah singkatan dibakukan)
+const STREET_PART = /^(jalan|gang|komplek|perumahan|blok|kampung|dusun|lingkungan|ruko|apartemen|apt|cluster|gedung|wisma|menara)\b/i;
+
+// Singkatan provinsi yang umum di alamat → kode provinsi
+const PROVINCE_ALIASES = {
+  jabar: '32', jateng: '33', jatim: '35', diy: '34', jogja: '34', jogjakarta: '34',
+  sumut: '12', sumbar: '13', sumsel: '16', kepri: '21', babel: '19',
+  kalbar: '61', kalteng: '62', kalsel: '63', kaltim: '64', kaltara: '65',
+  sulut: '71', sulteng: '72', sulsel: '73', sultra: '74', sulbar: '76',
+  ntb: '52', ntt: '53', malut: '82'
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN PARSER CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * "Jl. Merdeka No. 10 RT 03/RW 05, Kel. Sukamaju, Kec. Cibeunying, Kota Bandung 40123"
+ * → { jalan: 'Jalan Merdeka', nomor: '10', rt: '003', rw: '005', kelurahan: 'Sukamaju', ... }
+ * Bagian tanpa awalan (Kel./Kec./Kota) dikenali lewat data wilayah jika tersedia
+ */
+export class AddressParser {
+  /**
+   * 🏠 Pecah satu alamat; field yang tidak ditemukan bernilai null
+   * provinceSource: 'address' | 'postal_code' | 'regency' | null (asal nilai provinsi)
+   */
+  parse(address) {
+    const result = Object.fromEntries(Object.keys(ADDRESS_FIELDS).map(field => [field, null]));
+    result.provinceSource = null;
+    if (isEmpty(address)) return result;
+
+    let text = String(address).replace(/\s+/g, ' ').trim();
+
+    // Kode pos: 5 digit terakhir yang bukan nomor rumah/RT/RW
+    const postalMatches = [...text.matchAll(/\b[1-9]\d{4}\b/g)]
+      .filter(match => !/(no|nomor|rt|rw)\.?\s*:?\s*$/i.test(text.substring(0, match.index)));
+    const postal = postalMatches[postalMatches.length - 1];
+    if (postal) {
+      result.kodePos = postal[0];
+      text = text.substring(0, postal.index) + text.substring(postal.index + postal[0].length);
+    }
+
+    ({ text, rt: result.rt, rw: result.rw } = this.extractRtRw(text));
+
+    const number = text.match(/\b(?:no|nomor|nmr)\b\.?\s*:?\s*(\d+[a-z]?(?:\s*[/-]\s*\d+[a-z]?)?)\b/i);
+    if (number) {
+      result.nomor = number[1].replace(/\s+/g, '').toUpperCase();
+      text = text.replace(number[0], ' ');
+    }
+
+    const parts = text.split(/[,;\n]/).flatMap(part => this.splitInnerPrefixes(part)).map(part => this.tidy(part)).filter(Boolean);
+    const unknown = [];
+    const street = [];
+    let regencyCodes = null;
+
+    parts.forEach((part, index) => {
+      const prefixed = PART_PREFIXES.find(({ pattern }) => pattern.test(part));
+      if (prefixed && !result[prefixed.field]) {
+        const name = this.tidy(part.replace(prefixed.pattern, ''));
+        if (prefixed.field === 'kota') {
+          const kind = /^kab/i.test(part) ? 'Kabupaten' : 'Kota';
+          ({ name: result.kota, codes: regencyCodes } = this.resolveRegency(name, kind));
+        } else if (prefixed.field === 'provinsi') {
+          result.provinsi = this.resolveProvince(name) ?? name;
+        } else {
+          result[prefixed.field] = name;
+        }
+        return;
+      }
+
+      const normalized = this.normalizeStreet(part);
+      if (STREET_PART.test(normalized)) {
+        street.push(normalized);
+        return;
+      }
+
+      // Tanpa awalan: kab/kota & provinsi menurut data wilayah dicek sebelum bagian pertama
+      // dianggap jalan ("Bandung" saja = kota), lalu kecamatan
+      const regency = !result.kota && wilayahRegistry.findByName('regency', part);
+      const province = !result.provinsi && this.resolveProvince(part);
+      if (regency) {
+        ({ name: result.kota, codes: regencyCodes } = this.resolveRegency(part, null));
+      } else if (province) {
+        result.provinsi = province;
+      } else if (index === 0 && street.length === 0) {
+        street.push(normalized);
+      } else if (!result.kecamatan && wilayahRegistry.findByName('district', part)) {
+        result.kecamatan = part;
+      } else {
+        unknown.push({ part, index });
+      }
+    });
+
+    // Bagian tak dikenal sebelum kecamatan/kota biasanya kelurahan; sisanya bagian dari jalan
+    const lastKnown = parts.findIndex(part => part === result.kecamatan || part === result.kota ||
+      PART_PREFIXES.some(({ field, pattern }) => field !== 'kelurahan' && pattern.test(part)));
+    for (const { part, index } of unknown) {
+      if (!result.kelurahan && lastKnown > index) result.kelurahan = part;
+      else street.push(part);
+    }
+    // "Jalan Pahlawan 12" tanpa "No." (bukan "Km 30" / "Blok 4")
+    const trailingNumber = !result.nomor && street[0]?.match(/^((?:jalan|gang)\b.*?)\s+(\d{1,4}[a-z]?)$/i);
+    if (trailingNumber && !/\b(km|kilometer|blok|lorong|gang|raya)$/i.test(trailingNumber[1])) {
+      street[0] = trailingNumber[1];
+      result.nomor = trailingNumber[2].toUpperCase();
+    }
+    if (street.length > 0) result.jalan = street.join(', ');
+
+    if (result.provinsi) {
+      result.provinceSource = 'address';
+    } else if (result.kodePos && this.provinceFromPostalCode(result.kodePos)) {
+      result.provinsi = this.provinceFromPostalCode(result.kodePos);
+      result.provinceSource = 'postal_code';
+    } else if (regencyCodes) {
+      const provinces = new Set(regencyCodes.map(code => code.substring(0, 2)));
+      if (provinces.size === 1) {
+        result.provinsi = INDONESIA_PROVINCE_CODES[[...provinces][0]] ?? null;
+        result.provinceSource = result.provinsi ? 'regency' : null;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Perkiraan provinsi dari 3 digit awal kode pos (lihat POSTAL_CODE_PROVINCES)
+   */
+  provinceFromPostalCode(postalCode) {
+    const prefix = parseInt(String(postalCode).trim().substring(0, 3));
+    const range = POSTAL_CODE_PROVINCES.find(({ from, to }) => prefix >= from && prefix <= to);
+    return range ? INDONESIA_PROVINCE_CODES[range.province] : null;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Potong satu bagian di awalan wilayah yang muncul di tengahnya
+   * "Jl. Merdeka 5 Desa Sukamaju Kec. Cibeber" → ["Jl. Merdeka 5", "Desa Sukamaju", "Kec. Cibeber"]
+   */
+  splitInnerPrefixes(part) {
+    const pieces = [];
+    let start = 0;
+
+    for (const match of part.matchAll(INNER_PREFIX)) {
+      const before = part.substring(start, match.index);
+      if (NAME_LEAD_WORD.test(before.trim().split(' ').pop())) continue;
+      pieces.push(before);
+      start = match.index + 1;
+    }
+    pieces.push(part.substring(start));
+
+    return pieces;
+  }
+
+  /**
+   * "RT 03/RW 05", "RT/RW 003/005", "RT.3 RW.5" → nomor 3 digit seperti di KTP
+   */
+  extractRtRw(text) {
+    const patterns = [
+      /\bRT\s*\/\s*RW\b\.?\s*:?\s*(\d{1,3})\s*\/\s*(\d{1,3})/i,
+      /\bRT\b\.?\s*:?\s*(\d{1,3})\s*[/,]?\s*RW\b\.?\s*:?\s*(\d{1,3})/i,
+      /\bRT\b\.?\s*:?\s*(\d{1,3})\s*\/\s*(\d{1,3})\b/i
+    ];
+    const pad = (value) => value ? value.padStart(3, '0') : null;
+
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match) return { text: text.replace(match[0], ' '), rt: pad(match[1]), rw: pad(match[2]) };
+    }
+
+    const rt = text.match(/\bRT\b\.?\s*:?\s*(\d{1,3})\b/i);
+    const rw = text.match(/\bRW\b\.?\s*:?\s*(\d{1,3})\b/i);
+    for (const match of [rt, rw]) {
+      if (match) text = text.replace(match[0], ' ');
+    }
+    return { text, rt: pad(rt?.[1]), rw: pad(rw?.[1]) };
+  }
+
+  /**
+   * Nama kab/kota baku dari data wilayah ("kota bandung" → "Kota Bandung");
+   * "Bandung" tanpa awalan tetap apa adanya karena bisa Kabupaten atau Kota
+   */
+  resolveRegency(name, kind) {
+    const entry = wilayahRegistry.findByName('regency', name);
+    if (!entry) return { name: kind ? `${kind} ${name}` : name, codes: null };
+
+    const candidates = entry.names
+      .map((regencyName, i) => ({ name: regencyName, code: entry.codes[i] }))
+      .filter(candidate => !kind || candidate.name.startsWith(kind));
+    if (candidates.length === 1) return { name: candidates[0].name, codes: [candidates[0].code] };
+
+    return { name: kind ? `${kind} ${name}` : name, codes: entry.codes };
+  }
+
+  /**
+   * Nama provinsi baku (INDONESIA_PROVINCE_CODES) dari nama atau singkatan ("Jabar", "DKI")
+   */
+  resolveProvince(name) {
+    const key = wilayahRegistry.normalizeName(name);
+    const code = PROVINCE_ALIASES[key.replace(/[^a-z]/g, '')] ??
+      wilayahRegistry.findByName('province', name)?.codes[0] ??
+      Object.keys(INDONESIA_PROVINCE_CODES)
+        .find(provinceCode => wilayahRegistry.normalizeName(INDONESIA_PROVINCE_CODES[provinceCode]) === key);
+    return code ? INDONESIA_PROVINCE_CODES[code] : null;
+  }
+
+  normalizeStreet(part) {
+    let street = part;
+    for (const [pattern, replacement] of STREET_ABBREVIATIONS) {
+      street = street.replace(pattern, replacement);
+    }
+    return this.tidy(street);
+  }
+
+  /**
+   * Rapikan spasi & tanda baca di ujung; teks HURUF BESAR semua jadi Title Case
+   */
+  tidy(text) {
+    const tidied = String(text ?? '')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s,.:;\-/]+|[\s,:;\-/]+$/g, '')
+      .trim();
+    return /[A-Z]/.test(tidied) && tidied === tidied.toUpperCase() ? toTitleCase(tidied) : tidied;
+  }
+}
+
+// Create singleton
+export const addressParser = new AddressParser();
+
+export default {
+  AddressParser,
+  addressParser,
+  ADDRESS_FIELDS
+};
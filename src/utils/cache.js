@@ -0,0 +1,363 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// CACHE.JS - 🗄️ Cache hasil parse & analisis per isi file (hash konten + opsi)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import v8 from 'v8';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { BOT_CONFIG } from './constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_DIR = path.join(__dirname, '../../temp/cache');
+const DISK_EXTENSION = '.bin';
+
+// Perkiraan kasar ukuran heap V8 per nilai (byte)
+const SIZE_OF = { reference: 8, number: 8, boolean: 4, object: 24, string: 16, date: 32 };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN CACHE CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Upload file yang sama ke /analyze → /clean → /format cukup di-parse & dianalisis sekali.
+ * Memori: LRU per jumlah entri & perkiraan ukuran + TTL; hasil yang lebih besar dari batas
+ * ukuran tidak disimpan di memori (parse CSV 9 MB bisa memakan >50 MB heap).
+ * Disk (opsional, RESULT_CACHE_DISK=true): LRU per ukuran di temp/cache, bertahan setelah restart.
+ * Nilai disimpan & dikembalikan sebagai salinan (structuredClone), jadi hasil yang diubah
+ * pemanggil tidak bocor ke hit berikutnya.
+ */
+export class ResultCache {
+  constructor(options = {}) {
+    this.options = {
+      enabled: options.enabled ?? null, // null = RESULT_CACHE (default aktif)
+      disk: options.disk ?? null, // null = RESULT_CACHE_DISK (default nonaktif)
+      dir: options.dir ?? null, // null = RESULT_CACHE_DIR atau temp/cache
+      maxEntries: options.maxEntries ?? BOT_CONFIG.CACHE_MAX_ENTRIES,
+      maxMemorySize: options.maxMemorySize ?? BOT_CONFIG.CACHE_MAX_MEMORY_SIZE,
+      ttl: options.ttl ?? BOT_CONFIG.CACHE_TTL,
+      diskTtl: options.diskTtl ?? BOT_CONFIG.CACHE_DISK_TTL,
+      maxDiskSize: options.maxDiskSize ?? BOT_CONFIG.CACHE_MAX_DISK_SIZE
+    };
+    this.memory = new Map();
+    this.memorySize = 0;
+    this.resetMetrics();
+  }
+
+  /**
+   * 🔑 Hash isi file (sama persis = hash sama, apa pun nama file-nya)
+   */
+  hash(buffer) {
+    return createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Key cache: jenis hasil + hash konten + opsi yang memengaruhi hasil
+   * RegExp & fungsi (aturan validasi yang sudah di-parse) ikut dibedakan lewat teksnya
+   */
+  key(kind, contentHash, options = {}) {
+    const fingerprint = JSON.stringify(options, (name, value) =>
+      value instanceof RegExp || typeof value === 'function' ? String(value) : value);
+    return createHash('sha1')
+      .update(`${kind}|${contentHash}|${fingerprint}`)
+      .digest('hex');
+  }
+
+  /**
+   * Ambil salinan dari memori, lalu disk (hasil disk dinaikkan ke memori); undefined jika tidak ada
+   */
+  get(kind, key) {
+    if (!this.isEnabled()) return undefined;
+    const metrics = this.kindMetrics(kind);
+
+    const entry = this.memory.get(key);
+    if (entry && Date.now() - entry.storedAt <= this.options.ttl) {
+      // Map menjaga urutan sisip: pindah ke belakang = paling baru dipakai
+      this.memory.delete(key);
+      this.memory.set(key, entry);
+      this.metrics.hits++;
+      this.metrics.memoryHits++;
+      metrics.hits++;
+      return structuredClone(entry.value);
+    }
+    if (entry) this.forget(key);
+
+    const value = this.readDisk(key);
+    if (value !== undefined) {
+      this.remember(kind, key, value);
+      this.metrics.hits++;
+      this.metrics.diskHits++;
+      metrics.hits++;
+      return value;
+    }
+
+    this.metrics.misses++;
+    metrics.misses++;
+    return undefined;
+  }
+
+  /**
+   * Simpan ke memori (+ disk jika aktif)
+   */
+  set(kind, key, value) {
+    if (!this.isEnabled()) return value;
+    this.remember(kind, key, value);
+    this.metrics.writes++;
+    if (this.isDiskEnabled()) this.writeDisk(key, value);
+    return value;
+  }
+
+  /**
+   * 📊 Hit/miss per jenis hasil + isi cache (untuk /stats)
+   */
+  stats() {
+    const lookups = this.metrics.hits + this.metrics.misses;
+    const disk = this.isDiskEnabled() ? this.diskUsage() : null;
+
+    return {
+      enabled: this.isEnabled(),
+      ...this.metrics,
+      byKind: Object.fromEntries(Object.entries(this.metrics.byKind).map(([kind, counts]) => [kind, { ...counts }])),
+      hitRate: lookups > 0 ? Math.round(this.metrics.hits / lookups * 10000) / 100 : null,
+      entries: this.memory.size,
+      maxEntries: this.options.maxEntries,
+      memorySize: this.memorySize,
+      maxMemorySize: this.options.maxMemorySize,
+      disk: disk ? { dir: this.cacheDir(), entries: disk.files.length, size: disk.size, maxSize: this.options.maxDiskSize } : null
+    };
+  }
+
+  /**
+   * Kosongkan memori (dan disk jika includeDisk)
+   */
+  clear({ includeDisk = false } = {}) {
+    this.memory.clear();
+    this.memorySize = 0;
+    if (includeDisk && fs.existsSync(this.cacheDir())) {
+      for (const file of this.diskUsage().files) {
+        this.unlink(file.path);
+      }
+    }
+  }
+
+  resetMetrics() {
+    this.metrics = { hits: 0, misses: 0, memoryHits: 0, diskHits: 0, writes: 0, evictions: 0, oversized: 0, byKind: {} };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // MEMORY
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  remember(kind, key, value) {
+    this.forget(key);
+
+    const size = this.estimateSize(value);
+    if (size > this.options.maxMemorySize) {
+      this.metrics.oversized++;
+      return;
+    }
+
+    let copy;
+    try {
+      copy = structuredClone(value);
+    } catch (error) {
+      // Nilai berisi fungsi/objek yang tidak bisa disalin: lewati cache, hasil tetap dipakai pemanggil
+      console.warn(`Cache memori dilewati (${kind}):`, error.message);
+      return;
+    }
+
+    this.memory.set(key, { kind, value: copy, size, storedAt: Date.now() });
+    this.memorySize += size;
+
+    while (this.memory.size > this.options.maxEntries || this.memorySize > this.options.maxMemorySize) {
+      this.forget(this.memory.keys().next().value);
+      this.metrics.evictions++;
+    }
+  }
+
+  forget(key) {
+    const entry = this.memory.get(key);
+    if (!entry) return;
+    this.memory.delete(key);
+    this.memorySize -= entry.size;
+  }
+
+  /**
+   * 📏 Perkiraan ukuran heap sebuah nilai (objek yang dipakai bersama dihitung sekali)
+   */
+  estimateSize(value) {
+    const seen = new Set();
+    const stack = [value];
+    let size = 0;
+
+    while (stack.length > 0) {
+      const item = stack.pop();
+      switch (typeof item) {
+        case 'string':
+          size += SIZE_OF.string + item.length; // Teks Latin-1 disimpan 1 byte/karakter
+          continue;
+        case 'number':
+        case 'bigint':
+          size += SIZE_OF.number;
+          continue;
+        case 'boolean':
+          size += SIZE_OF.boolean;
+          continue;
+        case 'object':
+          break;
+        default:
+          size += SIZE_OF.reference;
+          continue;
+      }
+
+      if (item === null || seen.has(item)) {
+        size += SIZE_OF.reference;
+        continue;
+      }
+      seen.add(item);
+
+      if (item instanceof Date) {
+        size += SIZE_OF.date;
+      } else if (ArrayBuffer.isView(item) || item instanceof ArrayBuffer) {
+        size += SIZE_OF.object + item.byteLength;
+      } else if (item instanceof Map || item instanceof Set) {
+        size += SIZE_OF.object;
+        for (const entry of item) stack.push(entry);
+      } else if (Array.isArray(item)) {
+        size += SIZE_OF.object + item.length * SIZE_OF.reference;
+        for (const element of item) stack.push(element);
+      } else {
+        size += SIZE_OF.object;
+        // Nama properti dipakai bersama lewat hidden class: cukup hitung slot nilainya
+        for (const property of Object.values(item)) {
+          size += SIZE_OF.reference;
+          stack.push(property);
+        }
+      }
+    }
+
+    return size;
+  }
+
+  kindMetrics(kind) {
+    return this.metrics.byKind[kind] ?? (this.metrics.byKind[kind] = { hits: 0, misses: 0 });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // DISK
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Baca entri disk; entri kedaluwarsa/rusak dihapus. mtime diperbarui sebagai penanda LRU
+   */
+  readDisk(key) {
+    if (!this.isDiskEnabled()) return undefined;
+    const file = path.join(this.cacheDir(), key + DISK_EXTENSION);
+
+    try {
+      const stats = fs.statSync(file);
+      if (Date.now() - stats.mtimeMs > this.options.diskTtl) {
+        this.unlink(file);
+        return undefined;
+      }
+      const value = v8.deserialize(fs.readFileSync(file));
+      const now = new Date();
+      fs.utimesSync(file, now, now);
+      return value;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Cache disk tidak bisa dibaca (${file}):`, error.message);
+        this.unlink(file);
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Tulis atomik (file sementara + rename), lalu buang entri terlama jika melebihi batas ukuran
+   * Gagal tulis hanya dicatat: cache memori tetap jalan
+   */
+  writeDisk(key, value) {
+    const dir = this.cacheDir();
+    const file = path.join(dir, key + DISK_EXTENSION);
+
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const tempFile = `${file}.tmp`;
+      fs.writeFileSync(tempFile, v8.serialize(value));
+      fs.renameSync(tempFile, file);
+      this.pruneDisk();
+    } catch (error) {
+      console.warn(`Cache disk tidak bisa ditulis (${file}):`, error.message);
+      this.unlink(`${file}.tmp`);
+    }
+  }
+
+  pruneDisk() {
+    const { files, size } = this.diskUsage();
+    let total = size;
+
+    // Terlama dipakai dulu (mtime paling kecil)
+    for (const file of files.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+      const expired = Date.now() - file.mtimeMs > this.options.diskTtl;
+      if (!expired && total <= this.options.maxDiskSize) continue;
+      this.unlink(file.path);
+      total -= file.size;
+      this.metrics.evictions++;
+    }
+  }
+
+  diskUsage() {
+    const dir = this.cacheDir();
+    if (!fs.existsSync(dir)) return { files: [], size: 0 };
+
+    const files = fs.readdirSync(dir)
+      .filter(name => name.endsWith(DISK_EXTENSION))
+      .map(name => {
+        const stats = fs.statSync(path.join(dir, name));
+        return { path: path.join(dir, name), size: stats.size, mtimeMs: stats.mtimeMs };
+      });
+    return { files, size: files.reduce((sum, file) => sum + file.size, 0) };
+  }
+
+  unlink(file) {
+    try {
+      fs.unlinkSync(file);
+    } catch {
+      // Sudah terhapus
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CONFIG (env dibaca saat dipakai, setelah dotenv.config())
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  isEnabled() {
+    return this.options.enabled ?? process.env.RESULT_CACHE !== 'false';
+  }
+
+  isDiskEnabled() {
+    return this.isEnabled() && (this.options.disk ?? process.env.RESULT_CACHE_DISK === 'true');
+  }
+
+  cacheDir() {
+    return this.options.dir ?? process.env.RESULT_CACHE_DIR ?? DEFAULT_DIR;
+  }
+}
+
+// Create singleton
+export const resultCache = new ResultCache();
+
+export default {
+  ResultCache,
+  resultCache
+};
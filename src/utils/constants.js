@@ -12,10 +12,18 @@ export const PATTERNS = {
   NIK: /^[1-9]\d{15}$/,
   NIK_WITH_FORMAT: /^\d{2}\.\d{2}\.\d{2}\.\d{6}\.\d{4}$/,
   NPWP: /^\d{2}\.\d{3}\.\d{3}\.\d{1}-\d{3}\.\d{3}$/,
-  NPWP_NEW: /^\d{16}$/, // Format NPWP baru 2024
+  NPWP_NEW: /^0\d{15}$/, // Format NPWP baru 2024 untuk badan (0 + NPWP lama); orang pribadi memakai NIK
+  NITKU: /^\d{22}$/, // NPWP 16 digit + 6 digit tempat kegiatan usaha
   PHONE_ID: /^(\+62|62|0)8[1-9][0-9]{7,11}$/,
   POSTAL_CODE_ID: /^[1-9]\d{4}$/,
   PLATE_NUMBER: /^[A-Z]{1,2}\s?\d{1,4}\s?[A-Z]{1,3}$/,
+  NIP: /^\d{18}$/, // NIP PNS: tgl lahir (8) + TMT CPNS (6) + jenis kelamin (1) + nomor urut (3)
+  NIP_WITH_FORMAT: /^\d{8}\s\d{6}\s\d\s\d{3}$/,
+  NKK: /^[1-9]\d{15}$/, // No. Kartu Keluarga: wilayah (6) + tanggal terbit (6) + nomor urut (4)
+  BPJS_KESEHATAN: /^\d{13}$/, // Nomor kartu JKN-KIS
+  BPJS_KETENAGAKERJAAN: /^\d{11}$/, // Nomor KPJ
+  BANK_ACCOUNT: /^\d{8,18}$/,
+  SCIENTIFIC_NOTATION: /^-?\d+([.,]\d+)?E[+-]?\d+$/i, // "1.23457E+14": digit asli sudah hilang di Excel
   
   // === UNIVERSAL ===
   EMAIL: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
@@ -42,6 +50,35 @@ export const PATTERNS = {
   PO_NUMBER: /^(PO|SPK)[\/\-]?\d{4,}/i,
   SKU: /^[A-Z]{2,4}[\-]?\d{4,}/,
   
+  // === HEADER KOLOM KUNCI (ID, Kode, No...) ===
+  KEY_HEADER: /^(id|kode|no\.?|nomor|nip|nis|sku)(\b|_)/i,
+
+  // === HEADER KOLOM NAMA & ALAMAT (untuk deteksi duplikat mirip) ===
+  NAME_HEADER: /(nama|name|perusahaan|company|customer|pelanggan|vendor|supplier|pemasok|toko|mitra)/i,
+  ADDRESS_HEADER: /(alamat|address|jalan|domisili)/i,
+
+  // === HEADER KOLOM FAKTUR, VENDOR & TANGGAL TRANSAKSI (untuk mode forensik) ===
+  INVOICE_HEADER: /(invoice|faktur|no\.?\s*(nota|kwitansi|kuitansi|bukti|tagihan)|nomor\s*(nota|kwitansi|kuitansi|bukti|tagihan))/i,
+  VENDOR_HEADER: /(vendor|supplier|pemasok|rekanan|penjual)/i,
+  TRANSACTION_DATE_HEADER: /(tanggal|tgl|date|waktu)/i,
+
+  // === HEADER KOLOM IDENTITAS (NPWP, NITKU, NIP, No. KK, BPJS, rekening & plat nomor) ===
+  NPWP_HEADER: /(npwp|(^|[^a-z])tax\s*(id|number)([^a-z]|$))/i,
+  NITKU_HEADER: /nitku/i,
+  NIP_HEADER: /(^|[^a-z])nip([^a-z]|$)/i,
+  NKK_HEADER: /(kartu\s*keluarga|(^|[^a-z])(nkk|no\.?\s*kk|nomor\s*kk)([^a-z]|$))/i,
+  BPJS_HEADER: /(bpjs|jkn|kpj|jamsostek|(^|[^a-z])kis([^a-z]|$))/i,
+  BPJS_KESEHATAN_HEADER: /(bpjs\s*kes|jkn|(^|[^a-z])kis([^a-z]|$))/i,
+  BPJS_KETENAGAKERJAAN_HEADER: /(bpjs\s*(tk|ketenagakerjaan|naker)|kpj|jamsostek)/i,
+  BANK_ACCOUNT_HEADER: /((^|[^a-z])(no|nomor|nomer)\.?\s*rek|norek|^rek(ening)?([^a-z]|$)|acc(ount)?\.?\s*(no|number))/i,
+  AMOUNT_HEADER: /(iuran|premi|potongan|tunjangan|biaya|nominal|jumlah|total|gaji|saldo|harga|tarif|bayar|setoran|nilai|rupiah|idr|persen)/i,
+  BANK_NAME_HEADER: /(^|[^a-z])bank([^a-z]|$)/i,
+  PLATE_HEADER: /(plat|nopol|no\.?\s*pol(isi)?([^a-z]|$)|nomor\s*polisi|kendaraan|plate)/i,
+
+  // === HEADER KOLOM PEMBANDING NIK (tanggal lahir & jenis kelamin) ===
+  BIRTH_DATE_HEADER: /(tanggal\s*lahir|tgl\.?\s*lahir|tgl_lahir|birth|(^|[^a-z])dob([^a-z]|$)|lahir$)/i,
+  GENDER_HEADER: /(jenis\s*kelamin|kelamin|gender|(^|[^a-z])(jk|sex|l\s*\/\s*p)([^a-z]|$))/i,
+  
   // === SOCIAL ===
   INSTAGRAM: /^@[a-zA-Z0-9_.]+$/,
   TWITTER: /^@[a-zA-Z0-9_]+$/
@@ -66,6 +103,13 @@ export const DATA_TYPES = {
   URL: 'url',
   NIK: 'nik',
   NPWP: 'npwp',
+  NITKU: 'nitku',
+  NIP: 'nip',
+  NKK: 'nkk',
+  BPJS_KESEHATAN: 'bpjs_kesehatan',
+  BPJS_KETENAGAKERJAAN: 'bpjs_ketenagakerjaan',
+  BANK_ACCOUNT: 'bank_account',
+  PLATE_NUMBER: 'plate_number',
   BOOLEAN: 'boolean',
   EMPTY: 'empty',
   MIXED: 'mixed',
@@ -101,18 +145,66 @@ export const ISSUE_TYPES = {
     severity: 'warning',
     autoFixable: true
   },
+  MIXED_NUMBER_FORMAT: {
+    code: 'MIXED_NUMBER_FORMAT',
+    name: 'Format Angka Campuran (1.234,56 vs 1,234.56)',
+    severity: 'warning',
+    autoFixable: false
+  },
   INVALID_NIK: {
     code: 'INVALID_NIK',
     name: 'NIK Tidak Valid',
     severity: 'error',
     autoFixable: false
   },
+  NIK_MISMATCH: {
+    code: 'NIK_MISMATCH',
+    name: 'NIK Tidak Sesuai Tanggal Lahir/Jenis Kelamin',
+    severity: 'warning',
+    autoFixable: false
+  },
+  NIK_REGION_MISMATCH: {
+    code: 'NIK_REGION_MISMATCH',
+    name: 'Wilayah NIK Berbeda dengan Alamat',
+    severity: 'info',
+    autoFixable: false
+  },
   INVALID_NPWP: {
     code: 'INVALID_NPWP',
     name: 'NPWP Tidak Valid',
     severity: 'error',
     autoFixable: false
   },
+  INVALID_NIP: {
+    code: 'INVALID_NIP',
+    name: 'NIP Tidak Valid',
+    severity: 'error',
+    autoFixable: false
+  },
+  INVALID_NKK: {
+    code: 'INVALID_NKK',
+    name: 'Nomor KK Tidak Valid',
+    severity: 'error',
+    autoFixable: false
+  },
+  INVALID_BPJS: {
+    code: 'INVALID_BPJS',
+    name: 'Nomor BPJS Tidak Valid',
+    severity: 'error',
+    autoFixable: false
+  },
+  INVALID_BANK_ACCOUNT: {
+    code: 'INVALID_BANK_ACCOUNT',
+    name: 'Nomor Rekening Tidak Valid',
+    severity: 'error',
+    autoFixable: false
+  },
+  INVALID_PLATE_NUMBER: {
+    code: 'INVALID_PLATE_NUMBER',
+    name: 'Plat Nomor Tidak Valid',
+    severity: 'warning',
+    autoFixable: false
+  },
   INVALID_EMAIL: {
     code: 'INVALID_EMAIL',
     name: 'Email Tidak Valid',
@@ -143,6 +235,12 @@ export const ISSUE_TYPES = {
     severity: 'error',
     autoFixable: true
   },
+  NEAR_DUPLICATE: {
+    code: 'NEAR_DUPLICATE',
+    name: 'Kemungkinan Duplikat (Mirip)',
+    severity: 'warning',
+    autoFixable: true
+  },
   TYPO: {
     code: 'TYPO',
     name: 'Kemungkinan Typo',
@@ -160,9 +258,139 @@ export const ISSUE_TYPES = {
     name: 'Karakter Tidak Dikenal',
     severity: 'warning',
     autoFixable: true
+  },
+
+  // Pelanggaran aturan validasi buatan user (lihat engine/validator.js)
+  REQUIRED_MISSING: {
+    code: 'REQUIRED_MISSING',
+    name: 'Wajib Diisi',
+    severity: 'error',
+    autoFixable: false
+  },
+  NOT_UNIQUE: {
+    code: 'NOT_UNIQUE',
+    name: 'Nilai Tidak Unik',
+    severity: 'error',
+    autoFixable: false
+  },
+  OUT_OF_RANGE: {
+    code: 'OUT_OF_RANGE',
+    name: 'Di Luar Batas Nilai',
+    severity: 'error',
+    autoFixable: false
+  },
+  PATTERN_MISMATCH: {
+    code: 'PATTERN_MISMATCH',
+    name: 'Tidak Sesuai Pola',
+    severity: 'error',
+    autoFixable: false
+  },
+  VALUE_NOT_ALLOWED: {
+    code: 'VALUE_NOT_ALLOWED',
+    name: 'Nilai Tidak Diizinkan',
+    severity: 'error',
+    autoFixable: false
+  },
+  RULE_VIOLATION: {
+    code: 'RULE_VIOLATION',
+    name: 'Aturan Antar Kolom Dilanggar',
+    severity: 'error',
+    autoFixable: false
+  },
+  TYPE_MISMATCH: {
+    code: 'TYPE_MISMATCH',
+    name: 'Tipe Data Tidak Sesuai',
+    severity: 'error',
+    autoFixable: false
+  },
+  UNEXPECTED_COLUMN: {
+    code: 'UNEXPECTED_COLUMN',
+    name: 'Kolom Tidak Dikenal',
+    severity: 'error',
+    autoFixable: false
+  },
+
+  // === FORENSIK (klaim biaya & faktur vendor) ===
+  BENFORD_DEVIATION: {
+    code: 'BENFORD_DEVIATION',
+    name: 'Menyimpang dari Hukum Benford',
+    severity: 'warning',
+    autoFixable: false
+  },
+  ROUND_NUMBER_BIAS: {
+    code: 'ROUND_NUMBER_BIAS',
+    name: 'Terlalu Banyak Angka Bulat',
+    severity: 'warning',
+    autoFixable: false
+  },
+  BELOW_APPROVAL_LIMIT: {
+    code: 'BELOW_APPROVAL_LIMIT',
+    name: 'Tepat di Bawah Batas Persetujuan',
+    severity: 'warning',
+    autoFixable: false
+  },
+  DUPLICATE_INVOICE: {
+    code: 'DUPLICATE_INVOICE',
+    name: 'Nomor Faktur Ganda',
+    severity: 'error',
+    autoFixable: false
+  },
+  WEEKEND_TRANSACTION: {
+    code: 'WEEKEND_TRANSACTION',
+    name: 'Transaksi Akhir Pekan',
+    severity: 'info',
+    autoFixable: false
+  },
+  HOLIDAY_TRANSACTION: {
+    code: 'HOLIDAY_TRANSACTION',
+    name: 'Transaksi Hari Libur Nasional',
+    severity: 'info',
+    autoFixable: false
   }
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// HARI LIBUR NASIONAL (untuk cek forensik tanggal transaksi)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Tanggal tetap setiap tahun (MM-DD)
+export const FIXED_HOLIDAYS = {
+  '01-01': 'Tahun Baru Masehi',
+  '05-01': 'Hari Buruh',
+  '06-01': 'Hari Lahir Pancasila',
+  '08-17': 'Hari Kemerdekaan RI',
+  '12-25': 'Hari Natal'
+};
+
+// Libur yang tanggalnya berubah tiap tahun (SKB 3 Menteri), tambahkan tiap tahun
+// Tahun lain bisa dilengkapi lewat opsi `holidays`
+export const NATIONAL_HOLIDAYS = {
+  '2024-02-08': 'Isra Mikraj',
+  '2024-02-10': 'Tahun Baru Imlek',
+  '2024-03-11': 'Hari Raya Nyepi',
+  '2024-03-29': 'Wafat Isa Almasih',
+  '2024-03-31': 'Hari Paskah',
+  '2024-04-10': 'Idul Fitri',
+  '2024-04-11': 'Idul Fitri',
+  '2024-05-09': 'Kenaikan Isa Almasih',
+  '2024-05-23': 'Hari Raya Waisak',
+  '2024-06-17': 'Idul Adha',
+  '2024-07-07': 'Tahun Baru Islam',
+  '2024-09-16': 'Maulid Nabi Muhammad SAW',
+  '2025-01-27': 'Isra Mikraj',
+  '2025-01-29': 'Tahun Baru Imlek',
+  '2025-03-29': 'Hari Raya Nyepi',
+  '2025-03-31': 'Idul Fitri',
+  '2025-04-01': 'Idul Fitri',
+  '2025-04-18': 'Wafat Isa Almasih',
+  '2025-04-20': 'Hari Paskah',
+  '2025-05-12': 'Hari Raya Waisak',
+  '2025-05-29': 'Kenaikan Isa Almasih',
+  '2025-06-06': 'Idul Adha',
+  '2025-06-27': 'Tahun Baru Islam',
+  '2025-09-05': 'Maulid Nabi Muhammad SAW'
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // INDONESIA WILAYAH CODES (untuk validasi NIK)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -208,6 +436,145 @@ export const INDONESIA_PROVINCE_CODES = {
   '96': 'Papua Barat Daya'
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// KODE POS → PROVINSI
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Rentang 3 digit awal kode pos per provinsi (kode provinsi Kemendagri)
+// Perkiraan: kode pos di perbatasan wilayah atau provinsi hasil pemekaran bisa meleset
+export const POSTAL_CODE_PROVINCES = [
+  { from: 100, to: 149, province: '31' },
+  { from: 150, to: 159, province: '36' },
+  { from: 160, to: 179, province: '32' },
+  { from: 200, to: 229, province: '12' },
+  { from: 230, to: 249, province: '11' },
+  { from: 250, to: 279, province: '13' },
+  { from: 280, to: 289, province: '14' },
+  { from: 290, to: 291, province: '21' },
+  { from: 292, to: 293, province: '14' },
+  { from: 294, to: 294, province: '21' },
+  { from: 295, to: 295, province: '14' },
+  { from: 296, to: 299, province: '21' },
+  { from: 300, to: 329, province: '16' },
+  { from: 330, to: 339, province: '19' },
+  { from: 340, to: 359, province: '18' },
+  { from: 360, to: 379, province: '15' },
+  { from: 380, to: 399, province: '17' },
+  { from: 400, to: 419, province: '32' },
+  { from: 420, to: 429, province: '36' },
+  { from: 430, to: 469, province: '32' },
+  { from: 500, to: 549, province: '33' },
+  { from: 550, to: 559, province: '34' },
+  { from: 560, to: 599, province: '33' },
+  { from: 600, to: 699, province: '35' },
+  { from: 700, to: 729, province: '63' },
+  { from: 730, to: 749, province: '62' },
+  { from: 750, to: 769, province: '64' },
+  { from: 770, to: 779, province: '65' },
+  { from: 780, to: 799, province: '61' },
+  { from: 800, to: 829, province: '51' },
+  { from: 830, to: 849, province: '52' },
+  { from: 850, to: 879, province: '53' },
+  { from: 900, to: 912, province: '73' },
+  { from: 913, to: 915, province: '76' },
+  { from: 916, to: 929, province: '73' },
+  { from: 930, to: 939, province: '74' },
+  { from: 940, to: 949, province: '72' },
+  { from: 950, to: 959, province: '71' },
+  { from: 960, to: 969, province: '75' },
+  { from: 970, to: 976, province: '81' },
+  { from: 977, to: 979, province: '82' },
+  { from: 980, to: 982, province: '91' },
+  { from: 983, to: 983, province: '92' },
+  { from: 984, to: 985, province: '96' },
+  { from: 986, to: 986, province: '92' },
+  { from: 987, to: 989, province: '94' },
+  { from: 990, to: 994, province: '91' },
+  { from: 995, to: 995, province: '95' },
+  { from: 996, to: 998, province: '93' },
+  { from: 999, to: 999, province: '94' }
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// KODE WILAYAH PLAT NOMOR (TNKB)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const PLATE_REGION_CODES = {
+  'A': 'Banten',
+  'B': 'DKI Jakarta, Depok, Tangerang & Bekasi',
+  'D': 'Bandung',
+  'E': 'Cirebon',
+  'F': 'Bogor',
+  'G': 'Pekalongan',
+  'H': 'Semarang',
+  'K': 'Pati',
+  'L': 'Surabaya',
+  'M': 'Madura',
+  'N': 'Malang',
+  'P': 'Besuki',
+  'R': 'Banyumas',
+  'S': 'Bojonegoro',
+  'T': 'Purwakarta',
+  'W': 'Sidoarjo & Gresik',
+  'Z': 'Garut, Tasikmalaya & Sumedang',
+  'AA': 'Kedu',
+  'AB': 'DI Yogyakarta',
+  'AD': 'Surakarta',
+  'AE': 'Madiun',
+  'AG': 'Kediri',
+  'BA': 'Sumatera Barat',
+  'BB': 'Tapanuli',
+  'BD': 'Bengkulu',
+  'BE': 'Lampung',
+  'BG': 'Sumatera Selatan',
+  'BH': 'Jambi',
+  'BK': 'Sumatera Utara',
+  'BL': 'Aceh',
+  'BM': 'Riau',
+  'BN': 'Kepulauan Bangka Belitung',
+  'BP': 'Kepulauan Riau',
+  'DA': 'Kalimantan Selatan',
+  'DB': 'Sulawesi Utara',
+  'DC': 'Sulawesi Barat',
+  'DD': 'Sulawesi Selatan',
+  'DE': 'Maluku',
+  'DG': 'Maluku Utara',
+  'DH': 'Nusa Tenggara Timur (Timor)',
+  'DK': 'Bali',
+  'DL': 'Sangihe & Talaud',
+  'DM': 'Gorontalo',
+  'DN': 'Sulawesi Tengah',
+  'DR': 'Lombok',
+  'DT': 'Sulawesi Tenggara',
+  'EA': 'Sumbawa',
+  'EB': 'Flores',
+  'ED': 'Sumba',
+  'KB': 'Kalimantan Barat',
+  'KH': 'Kalimantan Tengah',
+  'KT': 'Kalimantan Timur',
+  'KU': 'Kalimantan Utara',
+  'PA': 'Papua',
+  'PB': 'Papua Barat'
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PANJANG NOMOR REKENING PER BANK
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Dicocokkan berurutan ke nama bank (kolom Bank atau header "No Rek BCA"): syariah dulu sebelum induknya
+export const BANK_ACCOUNT_FORMATS = [
+  { name: 'BSI', pattern: /(^|[^a-z])bsi([^a-z]|$)|syariah\s*indonesia|mandiri\s*syariah|bni\s*syariah|bri\s*syariah|(^|[^a-z])bris([^a-z]|$)/i, lengths: [10] },
+  { name: 'BCA', pattern: /(^|[^a-z])bca([^a-z]|$)|central\s*asia/i, lengths: [10] },
+  { name: 'Mandiri', pattern: /mandiri/i, lengths: [13] },
+  { name: 'BRI', pattern: /(^|[^a-z])bri([^a-z]|$)|rakyat\s*indonesia/i, lengths: [15] },
+  { name: 'BNI', pattern: /(^|[^a-z])bni([^a-z]|$)|negara\s*indonesia/i, lengths: [10] },
+  { name: 'BTN', pattern: /(^|[^a-z])btn([^a-z]|$)|tabungan\s*negara/i, lengths: [16] },
+  { name: 'CIMB Niaga', pattern: /cimb|niaga/i, lengths: [13, 14] },
+  { name: 'OCBC', pattern: /ocbc|nisp/i, lengths: [12] },
+  { name: 'Permata', pattern: /permata/i, lengths: [10] },
+  { name: 'Danamon', pattern: /danamon/i, lengths: [10] }
+];
+
 // ─────────────────────────────────────────────────────────────────────────────
 // INDONESIAN MONTHS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -247,12 +614,31 @@ export const TAX_RATES = {
 // BOT CONFIGURATION
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * Baca batas ukuran (dalam MB) dari environment, fallback ke default
+ */
+const megabytesFromEnv = (name, fallbackMB) => {
+  const value = parseFloat(process.env[name]);
+  return (Number.isFinite(value) && value > 0 ? value : fallbackMB) * 1024 * 1024;
+};
+
 export const BOT_CONFIG = {
-  MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
-  SUPPORTED_EXTENSIONS: ['.xlsx', '.xls', '.csv', '.json'],
+  MAX_FILE_SIZE: megabytesFromEnv('MAX_FILE_SIZE_MB', 10), // Batas parse in-memory (default 10MB)
+  MAX_UPLOAD_SIZE: megabytesFromEnv('MAX_UPLOAD_SIZE_MB', 500), // Batas upload, file besar diproses streaming
+  STREAM_CHUNK_SIZE: 5000, // Jumlah baris per chunk saat streaming
+  STREAM_SAMPLE_SIZE: 10000, // Ukuran sampel baris untuk deteksi tipe & median
+  STREAM_UNIQUE_LIMIT: 50000, // Batas nilai unik yang dilacak per kolom
+  STREAM_DUPLICATE_LIMIT: 500000, // Batas signature baris (hash 16 char, ±50MB) untuk deteksi duplikat streaming
+  SUPPORTED_EXTENSIONS: ['.xlsx', '.xls', '.ods', '.csv', '.tsv', '.json', '.ndjson', '.jsonl', '.xml', '.html', '.htm'],
   MAX_ROWS_PREVIEW: 10,
   MAX_ROWS_PROCESS: 50000,
   TEMP_FILE_LIFETIME: 30 * 60 * 1000, // 30 minutes
+  HISTORY_LIMIT: 100, // Riwayat skor kualitas maksimal per dataset
+  CACHE_MAX_ENTRIES: 20, // Hasil parse/analisis yang disimpan di memori (LRU)
+  CACHE_MAX_MEMORY_SIZE: megabytesFromEnv('RESULT_CACHE_MEMORY_MB', 32), // Batas perkiraan ukuran cache memori; hasil lebih besar tidak disimpan
+  CACHE_TTL: 30 * 60 * 1000, // 30 minutes
+  CACHE_DISK_TTL: 24 * 60 * 60 * 1000, // 24 hours
+  CACHE_MAX_DISK_SIZE: megabytesFromEnv('RESULT_CACHE_DISK_MB', 200), // Batas cache disk di temp/cache
   
   COLORS: {
     PRIMARY: 0x5865F2,    // Discord Blurple
@@ -297,6 +683,62 @@ export const QUALITY_THRESHOLDS = {
   POOR: 25
 };
 
+// Profil skor kualitas: bobot dimensi, ambang grade, bobot kolom penting & penalti per tipe issue
+// Kolom: nama persis atau "/regex/" → pengali (3 = kritis, 0.25 = pelengkap)
+// Penalti: pengali per issue; tipe yang tidak disebut mengikuti profil default
+export const QUALITY_PROFILES = {
+  default: {
+    name: 'Umum',
+    description: 'Bobot standar untuk semua jenis data',
+    weights: { completeness: 0.30, consistency: 0.25, validity: 0.25, uniqueness: 0.20 },
+    thresholds: QUALITY_THRESHOLDS,
+    columns: {},
+    penalties: {
+      INVALID_NIK: 1, INVALID_NPWP: 1, INVALID_EMAIL: 1, CALCULATION_ERROR: 1, PPN_ERROR: 1,
+      INVALID_NIP: 1, INVALID_NKK: 1, INVALID_BPJS: 1, INVALID_BANK_ACCOUNT: 1,
+      REQUIRED_MISSING: 1, NOT_UNIQUE: 1, OUT_OF_RANGE: 1, PATTERN_MISMATCH: 1,
+      VALUE_NOT_ALLOWED: 1, RULE_VIOLATION: 1, TYPE_MISMATCH: 1,
+      DUPLICATE: 1, NEAR_DUPLICATE: 1
+    }
+  },
+  finance: {
+    name: 'Keuangan',
+    description: 'Faktur, jurnal & klaim biaya: angka dan pajak harus benar',
+    weights: { completeness: 0.25, consistency: 0.20, validity: 0.40, uniqueness: 0.15 },
+    thresholds: { EXCELLENT: 95, GOOD: 85, FAIR: 70, POOR: 50 },
+    columns: { '/npwp|faktur|invoice|ppn|pajak|total|jumlah|nominal|harga|rekening/': 3 },
+    penalties: {
+      CALCULATION_ERROR: 5, PPN_ERROR: 5, INVALID_NPWP: 3, INVALID_BANK_ACCOUNT: 3, DUPLICATE: 3,
+      DUPLICATE_INVOICE: 5, MIXED_NUMBER_FORMAT: 1, OUTLIER: 0.5
+    }
+  },
+  hr: {
+    name: 'SDM & Payroll',
+    description: 'Data karyawan & gaji: identitas dan pajak wajib lengkap',
+    weights: { completeness: 0.35, consistency: 0.15, validity: 0.35, uniqueness: 0.15 },
+    thresholds: { EXCELLENT: 95, GOOD: 85, FAIR: 65, POOR: 40 },
+    columns: {
+      '/nik|npwp|nip|gaji|salary|rekening|bpjs|nama/': 3,
+      '/instagram|twitter|facebook|tiktok|hobi|foto/': 0.25
+    },
+    penalties: {
+      INVALID_NIK: 3, INVALID_NPWP: 3, INVALID_NIP: 3, INVALID_BPJS: 3, INVALID_BANK_ACCOUNT: 3,
+      INVALID_NKK: 2, NIK_MISMATCH: 2, DUPLICATE: 3, NEAR_DUPLICATE: 2, CALCULATION_ERROR: 3
+    }
+  },
+  crm: {
+    name: 'CRM & Marketing',
+    description: 'Daftar pelanggan: kontak valid & tidak dobel lebih penting dari kelengkapan',
+    weights: { completeness: 0.20, consistency: 0.20, validity: 0.25, uniqueness: 0.35 },
+    thresholds: { EXCELLENT: 85, GOOD: 70, FAIR: 45, POOR: 20 },
+    columns: {
+      '/email|telepon|phone|hp|whatsapp|nama|name/': 2,
+      '/instagram|twitter|facebook|tiktok|website|linkedin/': 0.25
+    },
+    penalties: { INVALID_EMAIL: 2, INVALID_PHONE: 2, DUPLICATE: 2, NEAR_DUPLICATE: 2 }
+  }
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // TEMPLATE TYPES
 // ─────────────────────────────────────────────────────────────────────────────
@@ -356,7 +798,7 @@ export const NLP_KEYWORDS = {
     'hp': { type: 'phone', sample: '08123456789' },
     'alamat': { type: 'string', sample: 'Jl. Contoh No. 123' },
     'nik': { type: 'nik', sample: '3201012345678901' },
-    'npwp': { type: 'npwp', sample: '12.345.678.9-012.000' }
+    'npwp': { type: 'npwp', sample: '12.345.678.2-012.000' }
   }
 };
 
@@ -364,11 +806,17 @@ export default {
   PATTERNS,
   DATA_TYPES,
   ISSUE_TYPES,
+  FIXED_HOLIDAYS,
+  NATIONAL_HOLIDAYS,
   INDONESIA_PROVINCE_CODES,
+  POSTAL_CODE_PROVINCES,
+  PLATE_REGION_CODES,
+  BANK_ACCOUNT_FORMATS,
   INDONESIAN_MONTHS,
   TAX_RATES,
   BOT_CONFIG,
   QUALITY_THRESHOLDS,
+  QUALITY_PROFILES,
   TEMPLATE_TYPES,
   EXPORT_FORMATS,
   NLP_KEYWORDS
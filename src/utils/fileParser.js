@@ -4,18 +4,128 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 import * as XLSX from 'xlsx';
+import ExcelJS from 'exceljs';
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
+import { Readable } from 'stream';
 import { BOT_CONFIG } from './constants.js';
-import { getFileExtension, formatFileSize } from './helpers.js';
+import { resultCache } from './cache.js';
+import { getFileExtension, formatFileSize, serializeDate, detectNumberLocale } from './helpers.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TABLE LAYOUT PATTERNS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Jumlah baris awal yang diperiksa untuk mencari baris header
+const HEADER_SCAN_ROWS = 30;
+
+const HEADER_KEYWORDS = /^(no\.?|nomor|nama|kode|tanggal|tgl|jumlah|qty|kuantitas|harga|total|sub\s*total|satuan|keterangan|deskripsi|alamat|jabatan|gaji|nik|npwp|email|telepon|telp|hp|status|kategori|stok|id|periode|bulan|tahun)\b/i;
+const FOOTER_LABEL = /^(grand\s+|sub\s*)?total(\s+[a-z]+)?\s*:?$|^jumlah(\s+[a-z]+)?\s*:?$/i;
+const NUMERIC_TEXT = /^[-+(]?\s*(rp\.?\s*)?[\d.,\s]*\d[\d.,\s]*%?\)?$/i;
+const DATE_TEXT = /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/;
+
+const cellText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MARKUP (XML/HTML) HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const XML_ELEMENT = /<([A-Za-z_][\w.-]*)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+const XML_ATTRIBUTE = /([A-Za-z_][\w.:-]*)\s*=\s*(["'])([\s\S]*?)\2/g;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Isi teks elemen: CDATA dibuka, tag dibuang, entity di-decode, spasi dirapikan
+ */
+const markupText = (markup) => decodeEntities(
+  markup
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => data.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+).replace(/\s+/g, ' ').trim();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EXCEL SERIAL DATES
+// ─────────────────────────────────────────────────────────────────────────────
+
+// SSF (format angka SheetJS) tidak ikut named export versi CommonJS
+export const SSF = XLSX.SSF ?? XLSX.default.SSF;
+
+// Serial Excel untuk 1970-01-01 (sistem 1900) & selisih sistem 1904
+const EXCEL_EPOCH = 25569;
+const DATE1904_OFFSET = 1462;
+
+/**
+ * Serial tanggal Excel → Date (UTC, dibulatkan ke detik)
+ */
+function serialToDate(serial, date1904 = false) {
+  const days = serial + (date1904 ? DATE1904_OFFSET : 0) - EXCEL_EPOCH;
+  return new Date(Math.round(days * 86400) * 1000);
+}
+
+/**
+ * Date (UTC) → serial tanggal Excel
+ */
+function dateToSerial(date) {
+  return date.getTime() / 86400000 + EXCEL_EPOCH;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TEXT ENCODING & NUMBER LOCALE
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Format berbasis teks (perlu deteksi charset sebelum di-parse)
+const TEXT_FORMATS = ['csv', 'tsv', 'json', 'ndjson', 'jsonl', 'xml', 'html', 'htm'];
+
+const BYTE_ORDER_MARKS = [
+  { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+  { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+  { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+// Byte awal yang diperiksa untuk menebak charset file tanpa BOM
+const ENCODING_SAMPLE_SIZE = 64 * 1024;
+
+// TextDecoder Node membaca windows-1252 sebagai latin1: byte 0x80-0x9F perlu dipetakan manual
+const WINDOWS_1252_HIGH = '\u20AC\x81\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\x8D\u017D\x8F' +
+  '\x90\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\x9D\u017E\u0178';
+
+/**
+ * Decoder teks per charset (windows-1252 dengan pemetaan 0x80-0x9F)
+ */
+function createTextDecoder(encoding) {
+  const decoder = new TextDecoder(encoding);
+  if (encoding !== 'windows-1252') return decoder;
+
+  return {
+    decode: (bytes, options) => decoder.decode(bytes, options)
+      .replace(/[\x80-\x9F]/g, char => WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80])
+  };
+}
+
+// Baris yang dipakai untuk menebak konvensi angka (1.234,56 vs 1,234.56)
+const LOCALE_SCAN_ROWS = 1000;
 
 // ─────────────────────────────────────────────────────────────────────────────
 // MAIN PARSER CLASS
 // ─────────────────────────────────────────────────────────────────────────────
 
 export class FileParser {
-  constructor() {
-    this.supportedFormats = ['.xlsx', '.xls', '.csv', '.json'];
+  constructor(options = {}) {
+    this.supportedFormats = BOT_CONFIG.SUPPORTED_EXTENSIONS;
+    this.streamableFormats = ['.xlsx', '.csv', '.tsv'];
+    this.maxFileSize = options.maxFileSize ?? BOT_CONFIG.MAX_FILE_SIZE;
+    this.chunkSize = options.chunkSize ?? BOT_CONFIG.STREAM_CHUNK_SIZE;
+    this.cache = options.cache === undefined ? resultCache : options.cache; // null = tanpa cache
   }
 
   /**
@@ -43,8 +153,9 @@ export class FileParser {
       }
       fileStats = fs.statSync(input);
       
-      if (fileStats.size > BOT_CONFIG.MAX_FILE_SIZE) {
-        throw new Error(`File terlalu besar. Maksimum: ${formatFileSize(BOT_CONFIG.MAX_FILE_SIZE)}`);
+      if (this.maxFileSize && fileStats.size > this.maxFileSize) {
+        const hint = this.canStream(filename) ? ' Gunakan mode streaming untuk file besar.' : '';
+        throw new Error(`File terlalu besar. Maksimum: ${formatFileSize(this.maxFileSize)}.${hint}`);
       }
       
       buffer = fs.readFileSync(input);
@@ -52,49 +163,87 @@ export class FileParser {
       throw new Error('Input harus berupa file path atau Buffer');
     }
 
+    // File yang sama (isi persis) cukup di-parse sekali: /analyze → /clean → /format
+    const contentHash = this.cache ? this.cache.hash(buffer) : null;
+    const cacheKey = this.cache ? this.cache.key('parse', contentHash, { ext }) : null;
+    const cached = this.cache?.get('parse', cacheKey);
+    if (cached) {
+      return { ...cached, metadata: { ...cached.metadata, filename, cached: true } };
+    }
+
+    // Format teks di-decode dulu (BOM / UTF-16 / fallback Windows-1252)
+    const decoded = TEXT_FORMATS.includes(ext) ? this.decodeText(buffer) : null;
+    const content = decoded?.text;
+
     // Parse based on extension
     let result;
     switch (ext) {
       case 'xlsx':
       case 'xls':
+      case 'ods':
         result = this.parseExcel(buffer);
         break;
       case 'csv':
-        result = this.parseCSV(buffer);
+        result = this.parseCSV(content);
+        break;
+      case 'tsv':
+        result = this.parseCSV(content, '\t');
         break;
       case 'json':
-        result = this.parseJSON(buffer);
+        result = this.parseJSON(content);
+        break;
+      case 'ndjson':
+      case 'jsonl':
+        result = this.parseNDJSON(content);
+        break;
+      case 'xml':
+        result = this.parseXML(content);
+        break;
+      case 'html':
+      case 'htm':
+        result = this.parseHTML(content);
         break;
       default:
         throw new Error(`Parser untuk .${ext} belum diimplementasi`);
     }
 
+    // Konvensi angka per sheet (dipakai parseNumber di analyzer/cleaner/converter)
+    for (const sheet of Object.values(result.sheets)) {
+      sheet.numberLocale = this.detectSheetLocale(sheet);
+    }
+
     // Add metadata
-    return {
+    const parsed = {
       ...result,
       metadata: {
         filename,
         extension: ext,
         fileSize: buffer.length,
         fileSizeFormatted: formatFileSize(buffer.length),
+        encoding: decoded?.encoding ?? null,
+        numberLocale: result.sheets[result.activeSheet]?.numberLocale ?? null,
+        contentHash, // Dipakai analyzer sebagai key cache analisis
         parsedAt: new Date().toISOString()
       }
     };
+
+    return this.cache ? this.cache.set('parse', cacheKey, parsed) : parsed;
   }
 
   /**
-   * Parse Excel file (xlsx/xls)
+   * Parse Excel file (xlsx/xls/ods)
    */
   parseExcel(buffer) {
+    // cellDates dimatikan: tanggal dibaca dari serial + format angka (aman dari timezone)
     const workbook = XLSX.read(buffer, { 
       type: 'buffer',
-      cellDates: true,
       cellNF: true,
       cellStyles: true
     });
 
     const sheets = {};
     const sheetNames = workbook.SheetNames;
+    const date1904 = Boolean(workbook.Workbook?.WBProps?.date1904);
 
     for (const sheetName of sheetNames) {
       const worksheet = workbook.Sheets[sheetName];
@@ -102,7 +251,7 @@ export class FileParser {
       // Get range
       const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
       
-      // Convert to JSON with headers
+      // Convert to JSON with headers (teks tampilan, untuk deteksi layout)
       const jsonData = XLSX.utils.sheet_to_json(worksheet, {
         header: 1,
         defval: '',
@@ -110,25 +259,28 @@ export class FileParser {
         raw: false
       });
 
-      // Extract headers (first row)
-      const headers = jsonData[0] || [];
-      
+      // Nilai bertipe (angka, Date, boolean) + formula per sel
+      const cells = this.readCellValues(worksheet, range, date1904);
+      const rawData = cells.values;
+
+      // Cari header asli (bisa diawali judul/periode, header 2 baris, footer TOTAL)
+      const merges = (worksheet['!merges'] || []).map(m => ({
+        s: { r: m.s.r - range.s.r, c: m.s.c - range.s.c },
+        e: { r: m.e.r - range.s.r, c: m.e.c - range.s.c }
+      }));
+      const layout = this.detectTableLayout(jsonData, { typedRows: rawData, merges });
+      const { headers } = layout;
+      const keys = headers.map((header, colIndex) => header || `Column${colIndex + 1}`);
+
       // Extract data rows
-      const rows = jsonData.slice(1).map((row, index) => {
-        const rowObj = { _rowIndex: index + 2 }; // Excel row number (1-indexed + header)
-        headers.forEach((header, colIndex) => {
-          rowObj[header || `Column${colIndex + 1}`] = row[colIndex] ?? '';
+      const rows = rawData.slice(layout.dataStart, layout.dataEnd + 1).map((row, index) => {
+        const rowObj = { _rowIndex: range.s.r + layout.dataStart + index + 1 }; // Excel row number (1-indexed)
+        keys.forEach((key, colIndex) => {
+          rowObj[key] = row[layout.startCol + colIndex] ?? '';
         });
         return rowObj;
       });
 
-      // Get raw data for analysis
-      const rawData = XLSX.utils.sheet_to_json(worksheet, {
-        header: 1,
-        defval: null,
-        raw: true
-      });
-
       sheets[sheetName] = {
         name: sheetName,
         headers,
@@ -136,6 +288,8 @@ export class FileParser {
         rawData,
         totalRows: rows.length,
         totalColumns: headers.length,
+        layout: this.describeLayout(layout, range.s.r + 1),
+        cellModel: this.buildCellModel(cells, { layout, keys, range }),
         range: {
           startRow: range.s.r + 1,
           endRow: range.e.r + 1,
@@ -156,34 +310,24 @@ export class FileParser {
 
   /**
    * Parse CSV file
+   * @param {string} delimiter - Paksa delimiter tertentu (mis. '\t' untuk TSV), default deteksi otomatis
    */
-  parseCSV(buffer) {
-    const content = buffer.toString('utf-8');
+  parseCSV(input, delimiter = null) {
+    const content = this.readText(input);
     
     // Detect delimiter
-    const delimiter = this.detectCSVDelimiter(content);
+    delimiter = delimiter ?? this.detectCSVDelimiter(content);
     
-    // Parse CSV
-    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    // Parse CSV (nomor baris asli tetap dicatat walau baris kosong dilewati)
+    const lines = content.split(/\r?\n/)
+      .map((line, index) => ({ line, lineNumber: index + 1 }))
+      .filter(({ line }) => line.trim());
     
     if (lines.length === 0) {
       throw new Error('File CSV kosong');
     }
 
-    // Parse headers
-    const headers = this.parseCSVLine(lines[0], delimiter);
-    
-    // Parse rows
-    const rows = lines.slice(1).map((line, index) => {
-      const values = this.parseCSVLine(line, delimiter);
-      const rowObj = { _rowIndex: index + 2 };
-      headers.forEach((header, colIndex) => {
-        rowObj[header || `Column${colIndex + 1}`] = values[colIndex] ?? '';
-      });
-      return rowObj;
-    });
-
-    const rawData = [headers, ...lines.slice(1).map(line => this.parseCSVLine(line, delimiter))];
+    const matrix = lines.map(({ line }) => this.parseCSVLine(line, delimiter));
 
     const sheetName = 'Sheet1';
     return {
@@ -191,12 +335,7 @@ export class FileParser {
       sheetNames: [sheetName],
       sheets: {
         [sheetName]: {
-          name: sheetName,
-          headers,
-          rows,
-          rawData,
-          totalRows: rows.length,
-          totalColumns: headers.length,
+          ...this.tableFromMatrix(matrix, sheetName, { rowNumbers: lines.map(l => l.lineNumber) }),
           delimiter
         }
       },
@@ -208,8 +347,8 @@ export class FileParser {
   /**
    * Parse JSON file
    */
-  parseJSON(buffer) {
-    const content = buffer.toString('utf-8');
+  parseJSON(input) {
+    const content = this.readText(input);
     let data;
     
     try {
@@ -219,17 +358,12 @@ export class FileParser {
     }
 
     // Handle different JSON structures
-    let rows = [];
-    let headers = [];
+    let records = [];
 
     if (Array.isArray(data)) {
       // Array of objects
       if (data.length > 0 && typeof data[0] === 'object') {
-        headers = [...new Set(data.flatMap(obj => Object.keys(obj)))];
-        rows = data.map((obj, index) => ({
-          _rowIndex: index + 2,
-          ...headers.reduce((acc, h) => ({ ...acc, [h]: obj[h] ?? '' }), {})
-        }));
+        records = data;
       }
     } else if (typeof data === 'object') {
       // Single object or nested structure
@@ -238,46 +372,262 @@ export class FileParser {
         return this.parseJSON(Buffer.from(JSON.stringify(data.data)));
       } else {
         // Convert single object to single row
-        headers = Object.keys(data);
-        rows = [{ _rowIndex: 2, ...data }];
+        records = [data];
       }
     }
 
-    const rawData = [headers, ...rows.map(r => headers.map(h => r[h]))];
-
     const sheetName = 'Sheet1';
     return {
       type: 'json',
       sheetNames: [sheetName],
       sheets: {
-        [sheetName]: {
-          name: sheetName,
-          headers,
-          rows,
-          rawData,
-          totalRows: rows.length,
-          totalColumns: headers.length
+        [sheetName]: this.tableFromRecords(records, sheetName)
+      },
+      activeSheet: sheetName,
+      totalSheets: 1
+    };
+  }
+
+  /**
+   * Parse NDJSON / JSON Lines (satu objek JSON per baris)
+   */
+  parseNDJSON(input) {
+    const records = [];
+    const lineNumbers = [];
+
+    this.readText(input).split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (e) {
+        throw new Error(`Format NDJSON tidak valid di baris ${index + 1}: ${e.message}`);
+      }
+
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`Baris ${index + 1} bukan objek JSON`);
+      }
+
+      records.push(record);
+      lineNumbers.push(index + 1);
+    });
+
+    if (records.length === 0) {
+      throw new Error('File NDJSON kosong');
+    }
+
+    const sheetName = 'Sheet1';
+    return {
+      type: 'ndjson',
+      sheetNames: [sheetName],
+      sheets: {
+        [sheetName]: this.tableFromRecords(records, sheetName, index => lineNumbers[index])
+      },
+      activeSheet: sheetName,
+      totalSheets: 1
+    };
+  }
+
+  /**
+   * Parse XML berbentuk <root><row><Kolom>nilai</Kolom>...</row>...</root>
+   * (format keluaran DataConverter.toXML). Baris tanpa elemen anak memakai atributnya.
+   */
+  parseXML(input) {
+    const content = this.readText(input)
+      .replace(/<\?[\s\S]*?\?>/g, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<!DOCTYPE[^>]*>/gi, '');
+
+    const root = content.match(/<([A-Za-z_][\w.-]*)\b[^>]*>/);
+    const rootEnd = root ? content.lastIndexOf(`</${root[1]}>`) : -1;
+    if (!root || rootEnd === -1) {
+      throw new Error('Format XML tidak valid: elemen root tidak ditemukan');
+    }
+
+    const body = content.slice(root.index + root[0].length, rootEnd);
+    const rowName = body.match(/<([A-Za-z_][\w.-]*)/)?.[1];
+    const rowPattern = new RegExp(`<${rowName}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/${rowName}>)`, 'g');
+    const records = [];
+
+    for (const [, attributes, inner = ''] of rowName ? body.matchAll(rowPattern) : []) {
+      const record = {};
+
+      for (const [, tag, , value = ''] of inner.matchAll(XML_ELEMENT)) {
+        record[tag] = markupText(value);
+      }
+
+      if (Object.keys(record).length === 0) {
+        for (const [, name, , value] of attributes.matchAll(XML_ATTRIBUTE)) {
+          record[name] = decodeEntities(value);
         }
+      }
+
+      records.push(record);
+    }
+
+    if (records.length === 0) {
+      throw new Error('Tidak ada elemen baris di file XML');
+    }
+
+    const sheetName = 'Sheet1';
+    return {
+      type: 'xml',
+      sheetNames: [sheetName],
+      sheets: {
+        [sheetName]: this.tableFromRecords(records, sheetName, index => index + 1)
       },
       activeSheet: sheetName,
       totalSheets: 1
     };
   }
 
+  /**
+   * Parse dokumen HTML: setiap <table> menjadi satu sheet (nama dari <caption> jika ada)
+   */
+  parseHTML(input) {
+    const content = this.readText(input).replace(/<!--[\s\S]*?-->/g, '');
+    const tables = content.match(/<table\b[\s\S]*?<\/table>/gi) || [];
+    const sheets = {};
+    const sheetNames = [];
+
+    tables.forEach((table, tableIndex) => {
+      const matrix = [];
+      const merges = [];
+      const rowSpans = []; // Sisa baris yang masih tertutup rowspan per kolom
+      const spanOf = (attributes, name) => Math.max(1, parseInt(attributes.match(new RegExp(`${name}\\s*=\\s*["']?(\\d+)`, 'i'))?.[1], 10) || 1);
+
+      for (const [tr] of table.matchAll(/<tr\b[\s\S]*?<\/tr>/gi)) {
+        const r = matrix.length;
+        const row = [];
+        const skipSpanned = () => {
+          while (rowSpans[row.length] > 0) {
+            rowSpans[row.length]--;
+            row.push('');
+          }
+        };
+
+        for (const [, , attributes, inner] of tr.matchAll(/<(td|th)\b([^>]*)>([\s\S]*?)<\/\1>/gi)) {
+          skipSpanned();
+          const c = row.length;
+          const colSpan = spanOf(attributes, 'colspan');
+          const rowSpan = spanOf(attributes, 'rowspan');
+          // Sel kosong hasil ekspor toHTML ditulis "-" dengan class "empty"
+          const value = /class\s*=\s*["'][^"']*\bempty\b/i.test(attributes) ? '' : markupText(inner);
+
+          if (colSpan > 1 || rowSpan > 1) merges.push({ s: { r, c }, e: { r: r + rowSpan - 1, c: c + colSpan - 1 } });
+          for (let i = 0; i < colSpan; i++) rowSpans[c + i] = rowSpan - 1;
+          row.push(value, ...new Array(colSpan - 1).fill(''));
+        }
+
+        skipSpanned();
+        matrix.push(row);
+      }
+
+      if (matrix.every(row => this.isBlankRow(row))) return;
+
+      const caption = markupText(table.match(/<caption\b[^>]*>([\s\S]*?)<\/caption>/i)?.[1] || '');
+      let sheetName = caption || `Table${tableIndex + 1}`;
+      if (sheets[sheetName]) sheetName = `${sheetName} (${tableIndex + 1})`;
+
+      sheets[sheetName] = this.tableFromMatrix(matrix, sheetName, { merges });
+      sheetNames.push(sheetName);
+    });
+
+    if (sheetNames.length === 0) {
+      throw new Error('Tidak ada tabel <table> berisi data di file HTML');
+    }
+
+    return {
+      type: 'html',
+      sheetNames,
+      sheets,
+      activeSheet: sheetNames[0],
+      totalSheets: sheetNames.length
+    };
+  }
+
+  /**
+   * Susun sheet dari matrix teks (CSV, tabel HTML) dengan deteksi layout tabel
+   * @param {number[]} rowNumbers - Nomor baris asli per index matrix (default index + 1)
+   */
+  tableFromMatrix(matrix, sheetName, { rowNumbers = null, merges = [] } = {}) {
+    // Cari header asli (bisa diawali judul/periode, header 2 baris, footer TOTAL)
+    const layout = this.detectTableLayout(matrix, { merges });
+    const { headers } = layout;
+    const dataLines = matrix.slice(layout.dataStart, layout.dataEnd + 1);
+    const rowNumber = (index) => (rowNumbers ? rowNumbers[index] : index + 1);
+    
+    // Parse rows
+    const rows = dataLines.map((values, index) => {
+      const rowObj = { _rowIndex: rowNumber(layout.dataStart + index) };
+      headers.forEach((header, colIndex) => {
+        rowObj[header || `Column${colIndex + 1}`] = values[layout.startCol + colIndex] ?? '';
+      });
+      return rowObj;
+    });
+
+    return {
+      name: sheetName,
+      headers,
+      rows,
+      rawData: [headers, ...dataLines.map(values => values.slice(layout.startCol))],
+      totalRows: rows.length,
+      totalColumns: headers.length,
+      layout: this.describeLayout(layout, 1, rowNumbers)
+    };
+  }
+
+  /**
+   * Susun sheet dari daftar objek (JSON, NDJSON, XML); header = gabungan semua key
+   * @param {Function} rowNumber - Index record → nomor baris (default index + 2)
+   */
+  tableFromRecords(records, sheetName, rowNumber = (index) => index + 2) {
+    const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+    const rows = records.map((record, index) => {
+      const rowObj = { _rowIndex: rowNumber(index) };
+      for (const header of headers) {
+        rowObj[header] = record[header] ?? '';
+      }
+      return rowObj;
+    });
+
+    return {
+      name: sheetName,
+      headers,
+      rows,
+      rawData: [headers, ...rows.map(r => headers.map(h => r[h]))],
+      totalRows: rows.length,
+      totalColumns: headers.length
+    };
+  }
+
   /**
    * Detect CSV delimiter
    */
   detectCSVDelimiter(content) {
-    const firstLine = content.split(/\r?\n/)[0] || '';
+    // Baris judul di atas tabel biasanya tanpa delimiter, jadi cek beberapa baris
+    // dan pilih delimiter dengan jumlah kemunculan per baris yang paling konsisten
+    const lines = content.split(/\r?\n/).filter(line => line.trim()).slice(0, HEADER_SCAN_ROWS);
     const delimiters = [',', ';', '\t', '|'];
     
-    let maxCount = 0;
+    let maxScore = 0;
     let detected = ',';
     
     for (const d of delimiters) {
-      const count = (firstLine.match(new RegExp(`\\${d}`, 'g')) || []).length;
-      if (count > maxCount) {
-        maxCount = count;
+      const frequency = new Map();
+      for (const line of lines) {
+        const count = (line.match(new RegExp(`\\${d}`, 'g')) || []).length;
+        if (count > 0) frequency.set(count, (frequency.get(count) || 0) + 1);
+      }
+
+      let score = 0;
+      for (const [count, lineCount] of frequency) {
+        score = Math.max(score, count * lineCount);
+      }
+
+      if (score > maxScore) {
+        maxScore = score;
         detected = d;
       }
     }
@@ -316,96 +666,956 @@ export class FileParser {
     return result;
   }
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // TEXT ENCODING & NUMBER LOCALE
+  // ─────────────────────────────────────────────────────────────────────────────
+
   /**
-   * Get column data (semua nilai dalam satu kolom)
+   * 🔤 Tebak charset dari byte awal file
+   * BOM dulu; tanpa BOM cek pola byte nol (UTF-16), lalu validasi UTF-8,
+   * gagal → Windows-1252 (export bank lama/Excel Windows)
+   * @returns {{ encoding: string, bom: boolean }}
    */
-  getColumnData(sheet, columnName) {
-    return sheet.rows.map(row => row[columnName]);
+  detectEncoding(bytes) {
+    for (const { encoding, bytes: mark } of BYTE_ORDER_MARKS) {
+      if (mark.every((byte, i) => bytes[i] === byte)) {
+        return { encoding, bom: true };
+      }
+    }
+
+    const sample = bytes.subarray(0, ENCODING_SAMPLE_SIZE);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+      if (sample[i] === 0) i % 2 === 0 ? evenZeros++ : oddZeros++;
+    }
+
+    // Teks latin UTF-16: setengah byte bernilai nol di posisi yang sama
+    const half = sample.length / 2;
+    if (half > 0 && oddZeros / half > 0.3 && evenZeros < oddZeros / 10) {
+      return { encoding: 'utf-16le', bom: false };
+    }
+    if (half > 0 && evenZeros / half > 0.3 && oddZeros < evenZeros / 10) {
+      return { encoding: 'utf-16be', bom: false };
+    }
+
+    try {
+      // stream: true → karakter multi-byte yang terpotong di akhir sampel tidak dianggap error
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+      return { encoding: 'utf-8', bom: false };
+    } catch {
+      return { encoding: 'windows-1252', bom: false };
+    }
   }
 
   /**
-   * Get column by index
+   * Decode buffer teks sesuai charset terdeteksi (BOM ikut dibuang)
+   * @returns {{ text: string, encoding: string, bom: boolean }}
    */
-  getColumnByIndex(sheet, index) {
-    const header = sheet.headers[index];
-    return header ? this.getColumnData(sheet, header) : [];
+  decodeText(buffer) {
+    const { encoding, bom } = this.detectEncoding(buffer);
+    return { text: createTextDecoder(encoding).decode(buffer), encoding, bom };
   }
-}
 
-// ─────────────────────────────────────────────────────────────────────────────
-// EXPORT UTILITIES
-// ─────────────────────────────────────────────────────────────────────────────
+  /**
+   * Isi teks dari string (sudah di-decode) atau Buffer
+   */
+  readText(input) {
+    return typeof input === 'string' ? input : this.decodeText(input).text;
+  }
 
-/**
- * Convert parsed data back to Excel buffer
- */
-export function toExcelBuffer(parsedData, options = {}) {
-  const workbook = XLSX.utils.book_new();
-  
-  for (const sheetName of parsedData.sheetNames) {
-    const sheet = parsedData.sheets[sheetName];
-    
-    // Prepare data (remove _rowIndex)
-    const data = [
-      sheet.headers,
-      ...sheet.rows.map(row => 
-        sheet.headers.map(h => row[h] ?? '')
-      )
-    ];
-    
-    const worksheet = XLSX.utils.aoa_to_sheet(data);
-    
-    // Apply column widths
-    if (options.autoWidth !== false) {
-      const colWidths = sheet.headers.map((h, i) => {
-        const maxLen = Math.max(
-          h.length,
-          ...sheet.rows.map(r => String(r[h] || '').length)
-        );
-        return { wch: Math.min(maxLen + 2, 50) };
-      });
-      worksheet['!cols'] = colWidths;
+  /**
+   * Baca byte awal file/buffer untuk deteksi charset saat streaming
+   */
+  readEncodingSample(input) {
+    if (Buffer.isBuffer(input)) return input.subarray(0, ENCODING_SAMPLE_SIZE);
+
+    const fd = fs.openSync(input, 'r');
+    try {
+      const sample = Buffer.alloc(ENCODING_SAMPLE_SIZE);
+      return sample.subarray(0, fs.readSync(fd, sample, 0, ENCODING_SAMPLE_SIZE, 0));
+    } finally {
+      fs.closeSync(fd);
     }
-    
-    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
   }
-  
-  return XLSX.write(workbook, { 
-    type: 'buffer', 
-    bookType: options.bookType || 'xlsx'
-  });
-}
 
-/**
- * Convert parsed data to CSV string
- */
-export function toCSVString(parsedData, sheetName = null, delimiter = ',') {
-  const sheet = parsedData.sheets[sheetName || parsedData.activeSheet];
-  
-  const escapeCSV = (val) => {
-    const str = String(val ?? '');
-    if (str.includes(delimiter) || str.includes('"') || str.includes('\n')) {
-      return `"${str.replace(/"/g, '""')}"`;
+  /**
+   * Decode chunk byte → teks secara bertahap (karakter tidak terpotong antar chunk)
+   */
+  async *decodeChunks(source, encoding) {
+    const decoder = createTextDecoder(encoding);
+    for await (const chunk of source) {
+      yield decoder.decode(chunk, { stream: true });
     }
-    return str;
-  };
-  
-  const lines = [
-    sheet.headers.map(escapeCSV).join(delimiter),
-    ...sheet.rows.map(row => 
-      sheet.headers.map(h => escapeCSV(row[h])).join(delimiter)
-    )
-  ];
-  
-  return lines.join('\n');
-}
+    const tail = decoder.decode();
+    if (tail) yield tail;
+  }
 
-/**
- * Convert parsed data to JSON
- */
-export function toJSONString(parsedData, sheetName = null, pretty = true) {
-  const sheet = parsedData.sheets[sheetName || parsedData.activeSheet];
-  
+  /**
+   * Tebak konvensi angka sheet dari nilai teks di baris awal
+   * @returns {'id'|'en'|null}
+   */
+  detectSheetLocale(sheet) {
+    const values = sheet.rows.slice(0, LOCALE_SCAN_ROWS).flatMap(row =>
+      Object.entries(row).filter(([key]) => key !== '_rowIndex').map(([, value]) => value)
+    );
+    return detectNumberLocale(values);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // TABLE LAYOUT DETECTION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * 🧭 Deteksi posisi tabel dalam sheet
+   * Spreadsheet keuangan sering diawali nama perusahaan, "Periode: ...", judul
+   * merge, dan diakhiri baris TOTAL. Baris header dicari dengan skor, header dua
+   * baris (merge) digabung, dan footer TOTAL beserta isi di bawahnya dilewati.
+   * @param {Array[]} matrix - Nilai sel per baris
+   * @param {Object} options - { typedRows: nilai mentah (Excel), merges: range merge }
+   */
+  detectTableLayout(matrix, options = {}) {
+    const layout = this.detectHeader(matrix, options);
+
+    let dataEnd = matrix.length - 1;
+    let footerRow = null;
+
+    for (let r = layout.dataStart; r < matrix.length; r++) {
+      if (this.isFooterRow(matrix[r])) {
+        footerRow = r;
+        dataEnd = r - 1;
+        break;
+      }
+    }
+
+    // Baris kosong di ujung tabel bukan bagian data
+    while (dataEnd >= layout.dataStart && this.isBlankRow(matrix[dataEnd])) {
+      dataEnd--;
+    }
+
+    return { ...layout, dataEnd, footerRow, totalRows: matrix.length };
+  }
+
+  /**
+   * Cari baris header & susun nama kolom
+   * @returns {{ headers, headerRows, dataStart, startCol, width }}
+   */
+  detectHeader(matrix, { typedRows = null, merges = [] } = {}) {
+    const scanned = matrix.slice(0, HEADER_SCAN_ROWS + 20);
+    let startCol = Infinity;
+    let width = 0;
+
+    for (const row of scanned) {
+      (row || []).forEach((value, c) => {
+        if (!cellText(value)) return;
+        startCol = Math.min(startCol, c);
+        width = Math.max(width, c + 1);
+      });
+    }
+
+    if (width === 0) {
+      return { headers: [], headerRows: [0], dataStart: 1, startCol: 0, width: 0 };
+    }
+
+    const ctx = { matrix, typedRows, merges, startCol, width, columns: width - startCol };
+    const headerRow = this.findHeaderRow(ctx);
+
+    let headerRows = [headerRow];
+    if (headerRow > 0 && this.isGroupHeaderRow(ctx, headerRow - 1)) {
+      headerRows = [headerRow - 1, headerRow];
+    } else if (headerRow + 1 < matrix.length && this.isGroupHeaderRow(ctx, headerRow)) {
+      headerRows = [headerRow, headerRow + 1];
+    }
+
+    return {
+      headers: this.buildHeaders(ctx, headerRows),
+      headerRows,
+      dataStart: headerRows[headerRows.length - 1] + 1,
+      startCol,
+      width
+    };
+  }
+
+  /**
+   * Pilih baris dengan skor header tertinggi: banyak teks unik, nama kolom
+   * umum, bukan label "Xxx:", dan sejajar dengan baris data di bawahnya
+   */
+  findHeaderRow(ctx) {
+    const firstRow = this.rowCells(ctx, 0);
+    const firstFilled = firstRow.filter(c => c.type !== 'empty');
+
+    // Jalur cepat: baris pertama sudah berupa header lengkap
+    if (ctx.columns > 1 && firstFilled.length === ctx.columns &&
+        firstFilled.every(c => c.type === 'text' && !c.text.endsWith(':')) &&
+        new Set(firstFilled.map(c => c.text.toLowerCase())).size === ctx.columns) {
+      return 0;
+    }
+
+    let bestRow = 0;
+    let bestScore = -Infinity;
+    const limit = Math.min(ctx.matrix.length, HEADER_SCAN_ROWS);
+
+    for (let r = 0; r < limit; r++) {
+      const score = this.scoreHeaderRow(ctx, r);
+      if (score > bestScore) {
+        bestScore = score;
+        bestRow = r;
+      }
+    }
+
+    return bestScore === -Infinity ? 0 : bestRow;
+  }
+
+  scoreHeaderRow(ctx, r) {
+    const cells = this.rowCells(ctx, r);
+    const filled = cells.filter(c => c.type !== 'empty');
+    const texts = filled.filter(c => c.type === 'text');
+
+    if (texts.length === 0 || filled.length < Math.min(2, ctx.columns)) return -Infinity;
+
+    const distinct = new Set(texts.map(c => c.text.toLowerCase())).size;
+    const keywords = texts.filter(c => HEADER_KEYWORDS.test(c.text)).length;
+    const labels = texts.filter(c => c.text.endsWith(':')).length;
+
+    // Baris di bawah header harus sejajar kolomnya dan berisi data (angka/tanggal)
+    let alignment = 0;
+    let contrast = 0;
+    let sampled = 0;
+
+    for (let i = r + 1; i < ctx.matrix.length && sampled < 5; i++) {
+      const below = this.rowCells(ctx, i);
+      if (below.every(c => c.type === 'empty')) continue;
+      sampled++;
+      alignment += this.rowOverlap(cells, below);
+      if (below.some(c => c.type === 'number' || c.type === 'date')) contrast++;
+    }
+
+    // Baris teks yang tepat di bawah baris teks sejajar lebih mungkin data daripada header
+    const above = r > 0 ? this.rowCells(ctx, r - 1) : [];
+    const aboveFilled = above.filter(c => c.type !== 'empty');
+    const underTextRow = aboveFilled.length >= 2 && aboveFilled.every(c => c.type === 'text') &&
+      this.rowOverlap(above, cells) >= 0.5;
+
+    return (distinct / ctx.columns) * 3 +
+      (texts.length / filled.length) * 2 +
+      (keywords / filled.length) +
+      (sampled > 0 ? (alignment / sampled) * 2 + contrast / sampled : 0) -
+      (labels / filled.length) * 2 -
+      (underTextRow ? 2 : 0);
+  }
+
+  /**
+   * Kemiripan posisi sel terisi antara dua baris (Jaccard)
+   */
+  rowOverlap(a, b) {
+    let both = 0;
+    let either = 0;
+    a.forEach((cell, c) => {
+      const aFilled = cell.type !== 'empty';
+      const bFilled = b[c]?.type !== 'empty';
+      if (aFilled && bFilled) both++;
+      if (aFilled || bFilled) either++;
+    });
+    return either > 0 ? both / either : 0;
+  }
+
+  /**
+   * Baris grup header: sel merge (atau sel diikuti sel kosong) yang membawahi
+   * beberapa kolom, misal "Pendapatan" di atas "Gaji Pokok | Tunjangan"
+   */
+  isGroupHeaderRow(ctx, r) {
+    const groups = this.headerSpans(ctx, r)
+      .filter(s => s.end > s.start && s.end - s.start + 1 < ctx.columns);
+    if (groups.length === 0) return false;
+
+    const current = this.rowCells(ctx, r).filter(c => c.type !== 'empty');
+    const next = this.rowCells(ctx, r + 1);
+    const nextFilled = next.filter(c => c.type !== 'empty');
+
+    // Sub-header hanya berada di bawah sel grup; kolom tunggal (No, Nama) kosong
+    const underGroups = next.every((cell, i) =>
+      cell.type === 'empty' || groups.some(g => i >= g.start && i <= g.end));
+
+    return underGroups && current.every(c => c.type === 'text') &&
+      nextFilled.length >= 2 && nextFilled.every(c => c.type === 'text');
+  }
+
+  /**
+   * Rentang kolom tiap sel header (kolom relatif terhadap startCol)
+   */
+  headerSpans(ctx, r) {
+    const { matrix, merges, startCol, width } = ctx;
+    const toSpan = (start, end, value) => ({
+      start: Math.max(start - startCol, 0),
+      end: Math.min(end, width - 1) - startCol,
+      value: cellText(value)
+    });
+
+    const spans = [];
+    const covered = new Set();
+
+    for (const m of merges) {
+      if (m.s.r > r || m.e.r < r || m.e.c < startCol || m.s.c >= width) continue;
+      spans.push(toSpan(m.s.c, m.e.c, matrix[m.s.r]?.[m.s.c]));
+      for (let c = m.s.c; c <= m.e.c; c++) covered.add(c);
+    }
+
+    // Sel tanpa merge (mis. CSV): sel diikuti sel kosong yang di baris bawahnya terisi
+    const row = matrix[r] || [];
+    const next = matrix[r + 1] || [];
+    for (let c = startCol; c < width; c++) {
+      if (covered.has(c) || !cellText(row[c])) continue;
+      let end = c;
+      while (end + 1 < width && !covered.has(end + 1) && !cellText(row[end + 1]) && cellText(next[end + 1])) end++;
+      spans.push(toSpan(c, end, row[c]));
+    }
+
+    return spans;
+  }
+
+  /**
+   * Susun nama kolom; header dua baris digabung jadi "Grup Sub"
+   */
+  buildHeaders(ctx, headerRows) {
+    const { matrix, startCol, columns: columnCount } = ctx;
+    const [top, bottom] = headerRows;
+
+    if (bottom === undefined) {
+      return Array.from({ length: columnCount }, (_, i) => cellText(matrix[top]?.[startCol + i]));
+    }
+
+    const parents = new Array(columnCount).fill('');
+    for (const span of this.headerSpans(ctx, top)) {
+      for (let i = span.start; i <= span.end; i++) parents[i] = span.value;
+    }
+
+    return parents.map((parent, i) => {
+      const child = cellText(matrix[bottom]?.[startCol + i]);
+      if (!parent) return child;
+      if (!child || child.toLowerCase() === parent.toLowerCase()) return parent;
+      return `${parent} ${child}`;
+    });
+  }
+
+  /**
+   * Baris footer: label teks pertamanya "TOTAL", "Subtotal", "Jumlah", dll.
+   */
+  isFooterRow(row) {
+    const label = (row || []).map(cellText).find(text => text && !NUMERIC_TEXT.test(text));
+    return Boolean(label) && FOOTER_LABEL.test(label);
+  }
+
+  isBlankRow(row) {
+    return (row || []).every(value => !cellText(value));
+  }
+
+  /**
+   * Klasifikasi sel dalam satu baris: empty | text | number | date
+   */
+  rowCells(ctx, r) {
+    const { matrix, typedRows, startCol, width } = ctx;
+    const row = matrix[r] || [];
+    const typed = typedRows?.[r] || [];
+    const cells = [];
+
+    for (let c = startCol; c < width; c++) {
+      const text = cellText(row[c]);
+      const raw = typed[c] ?? row[c];
+      let type = 'text';
+
+      if (!text) type = 'empty';
+      else if (raw instanceof Date || DATE_TEXT.test(text)) type = 'date';
+      else if (typeof raw === 'number' || NUMERIC_TEXT.test(text)) type = 'number';
+
+      cells.push({ text, type });
+    }
+
+    return cells;
+  }
+
+  /**
+   * Ringkasan layout dengan nomor baris asli (1-indexed) untuk metadata sheet
+   * @param {number} firstRowNumber - Nomor baris untuk index matrix 0
+   * @param {number[]} rowNumbers - Nomor baris per index (jika tidak berurutan)
+   */
+  describeLayout(layout, firstRowNumber = 1, rowNumbers = null) {
+    const rowNumber = (index) => (rowNumbers ? rowNumbers[index] : firstRowNumber + index);
+
+    return {
+      headerRow: rowNumber(layout.headerRows[0]),
+      headerRowCount: layout.headerRows.length,
+      dataStartRow: rowNumber(layout.dataStart),
+      dataEndRow: layout.dataEnd >= layout.dataStart ? rowNumber(layout.dataEnd) : null,
+      footerRow: layout.footerRow !== null ? rowNumber(layout.footerRow) : null,
+      skippedRows: layout.headerRows[0] + (layout.totalRows - 1 - Math.max(layout.dataEnd, layout.dataStart - 1))
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CELL MODEL (tipe asli, format angka, formula)
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Baca seluruh sel worksheet sebagai nilai bertipe
+   * @returns {{ values: Array[], formulas: Array[], formats: Array[] }} matrix relatif terhadap range
+   */
+  readCellValues(worksheet, range, date1904 = false) {
+    const values = [];
+    const formulas = [];
+    const formats = [];
+    const columns = [];
+
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      columns.push(XLSX.utils.encode_col(c));
+    }
+
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const i = r - range.s.r;
+      const row = new Array(columns.length).fill(null);
+
+      columns.forEach((col, j) => {
+        const cell = worksheet[col + (r + 1)];
+        if (!cell) return;
+
+        row[j] = this.cellValue(cell, date1904);
+        if (cell.f) (formulas[i] ||= [])[j] = cell.f;
+        if (cell.z && cell.z !== 'General') (formats[i] ||= [])[j] = cell.z;
+      });
+
+      values.push(row);
+    }
+
+    return { values, formulas, formats };
+  }
+
+  /**
+   * Nilai bertipe dari satu sel SheetJS (angka tetap angka, tanggal jadi Date UTC)
+   */
+  cellValue(cell, date1904 = false) {
+    switch (cell.t) {
+      case 'n':
+        if (cell.z && SSF.is_date(cell.z)) {
+          // Jam saja (tanpa tanggal) lebih berguna sebagai teks tampilan
+          return cell.v < 1 ? (cell.w ?? cell.v) : serialToDate(cell.v, date1904);
+        }
+        return cell.v;
+      case 'd':
+      case 'b':
+        return cell.v;
+      case 'e':
+        return cell.w ?? '#N/A';
+      case 'z':
+        return null;
+      default:
+        return cell.v ?? null;
+    }
+  }
+
+  /**
+   * Ringkas tipe asli, format angka & formula tabel yang terdeteksi
+   * @returns {{ columns, formulas, footer }}
+   *   columns: { [header]: { index, type: 'n'|'d'|'s'|'b'|null, numFmt } } (index = kolom asli, 0-based)
+   *   formulas: { [_rowIndex]: { [header]: formula } }
+   *   footer: baris TOTAL dst. [{ _rowIndex, values, formulas, formats }]
+   */
+  buildCellModel({ values, formulas, formats }, { layout, keys, range }) {
+    const columns = {};
+    const rowFormulas = {};
+    const footer = [];
+    const rowNumber = (r) => range.s.r + r + 1;
+
+    keys.forEach((key, colIndex) => {
+      const c = layout.startCol + colIndex;
+      const typeCounts = {};
+      const formatCounts = {};
+
+      for (let r = layout.dataStart; r <= layout.dataEnd; r++) {
+        const value = values[r]?.[c];
+
+        // Formula tanpa hasil tersimpan (mis. file dari ExcelJS) tetap dicatat walau selnya kosong
+        const formula = formulas[r]?.[c];
+        if (formula) (rowFormulas[rowNumber(r)] ||= {})[key] = formula;
+
+        if (value === null || value === undefined || value === '') continue;
+
+        const type = value instanceof Date ? 'd' : typeof value === 'number' ? 'n' : typeof value === 'boolean' ? 'b' : 's';
+        typeCounts[type] = (typeCounts[type] || 0) + 1;
+
+        const numFmt = formats[r]?.[c];
+        if (numFmt && (type === 'n' || type === 'd')) {
+          formatCounts[numFmt] = (formatCounts[numFmt] || 0) + 1;
+        }
+      }
+
+      const dominant = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+      columns[key] = {
+        index: range.s.c + c,
+        type: dominant(typeCounts),
+        numFmt: dominant(formatCounts)
+      };
+    });
+
+    // Footer (TOTAL, PPN, Grand Total...) disimpan agar formula SUM-nya bisa ditulis ulang
+    if (layout.footerRow !== null) {
+      for (let r = layout.footerRow; r < values.length; r++) {
+        const entry = { _rowIndex: rowNumber(r), values: {}, formulas: {}, formats: {} };
+        let filled = false;
+
+        keys.forEach((key, colIndex) => {
+          const c = layout.startCol + colIndex;
+          const value = values[r]?.[c];
+          const formula = formulas[r]?.[c];
+
+          entry.values[key] = value ?? '';
+          if (formula) entry.formulas[key] = formula;
+          if (formats[r]?.[c]) entry.formats[key] = formats[r][c];
+          if (formula || cellText(value)) filled = true;
+        });
+
+        if (filled) footer.push(entry);
+      }
+    }
+
+    return { columns, formulas: rowFormulas, footer };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // STREAMING MODE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Cek apakah format file bisa dibaca secara streaming
+   */
+  canStream(filename = '') {
+    return this.streamableFormats.includes(`.${getFileExtension(filename).toLowerCase()}`);
+  }
+
+  /**
+   * 🌊 Baca baris data per chunk tanpa memuat seluruh file ke memori
+   * CSV & XLSX dibaca streaming; format lain di-parse penuh lalu dipecah per chunk.
+   * @param {string|Buffer} input - File path atau buffer
+   * @param {string} filename - Nama file (untuk deteksi format)
+   * @param {Object} options - { chunkSize, sheetName }
+   * @yields {{ sheetName, headers, rows, chunkIndex, rowsRead, numberLocale }}
+   */
+  async *streamRows(input, filename = '', options = {}) {
+    const ext = getFileExtension(filename).toLowerCase();
+    const chunkSize = options.chunkSize ?? this.chunkSize;
+
+    if (!this.supportedFormats.includes(`.${ext}`)) {
+      throw new Error(`Format .${ext} tidak didukung. Format yang didukung: ${this.supportedFormats.join(', ')}`);
+    }
+
+    if (typeof input === 'string' && !fs.existsSync(input)) {
+      throw new Error(`File tidak ditemukan: ${input}`);
+    }
+
+    switch (ext) {
+      case 'csv':
+        yield* this.streamCSV(input, chunkSize);
+        break;
+      case 'tsv':
+        yield* this.streamCSV(input, chunkSize, '\t');
+        break;
+      case 'xlsx':
+        yield* this.streamExcel(input, chunkSize, options.sheetName);
+        break;
+      default: {
+        // Format tanpa dukungan streaming tetap tunduk pada batas ukuran file
+        const parsed = await this.parse(input, filename);
+        const sheet = parsed.sheets[options.sheetName || parsed.activeSheet];
+        if (!sheet) {
+          throw new Error('Sheet tidak ditemukan');
+        }
+        yield* this.chunkRows(sheet.name, sheet.headers, sheet.rows, chunkSize, { numberLocale: sheet.numberLocale });
+      }
+    }
+  }
+
+  /**
+   * Stream CSV baris per baris
+   * @param {string} delimiter - Paksa delimiter (TSV), default deteksi otomatis
+   */
+  async *streamCSV(input, chunkSize, delimiter = null) {
+    const { encoding } = this.detectEncoding(this.readEncodingSample(input));
+    const source = Buffer.isBuffer(input)
+      ? Readable.from([input])
+      : fs.createReadStream(input);
+    const text = Readable.from(this.decodeChunks(source, encoding));
+    const lines = readline.createInterface({ input: text, crlfDelay: Infinity });
+    const csvInfo = { delimiter: ',', encoding };
+
+    try {
+      yield* this.streamTable(this.readCSVLines(lines, csvInfo, delimiter), {
+        sheetName: 'Sheet1',
+        chunkSize,
+        extra: csvInfo,
+        emptyMessage: 'File CSV kosong'
+      });
+    } finally {
+      lines.close();
+      text.destroy();
+      source.destroy();
+    }
+  }
+
+  /**
+   * Ubah baris teks CSV menjadi { values, rowNumber }; delimiter dideteksi
+   * dari beberapa baris awal lalu disimpan di csvInfo
+   */
+  async *readCSVLines(lines, csvInfo, delimiter = null) {
+    const pending = [];
+    let detected = false;
+    let lineNumber = 0;
+
+    const flush = () => {
+      csvInfo.delimiter = delimiter ?? this.detectCSVDelimiter(pending.map(p => p.line).join('\n'));
+      detected = true;
+      return pending.splice(0).map(p => ({
+        values: this.parseCSVLine(p.line, csvInfo.delimiter),
+        rowNumber: p.rowNumber
+      }));
+    };
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      if (!detected) {
+        pending.push({ line, rowNumber: lineNumber });
+        if (pending.length >= HEADER_SCAN_ROWS) yield* flush();
+        continue;
+      }
+
+      yield { values: this.parseCSVLine(line, csvInfo.delimiter), rowNumber: lineNumber };
+    }
+
+    if (!detected && pending.length > 0) yield* flush();
+  }
+
+  /**
+   * Stream XLSX memakai ExcelJS WorkbookReader (hanya satu sheet)
+   */
+  async *streamExcel(input, chunkSize, sheetName = null) {
+    const source = Buffer.isBuffer(input)
+      ? Readable.from([input])
+      : fs.createReadStream(input);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(source, {
+      worksheets: 'emit',
+      sharedStrings: 'cache',
+      hyperlinks: 'ignore',
+      styles: 'cache', // Dibutuhkan untuk mengenali sel tanggal
+      entries: 'ignore'
+    });
+
+    let found = false;
+
+    try {
+      for await (const worksheet of workbook) {
+        // Tanpa sheetName, sheet pertama yang dipakai
+        if (sheetName && worksheet.name !== sheetName) continue;
+        found = true;
+
+        yield* this.streamTable(this.readWorksheetRows(worksheet), {
+          sheetName: worksheet.name,
+          chunkSize,
+          emptyMessage: 'Sheet kosong atau tidak ditemukan'
+        });
+        break;
+      }
+    } finally {
+      source.destroy();
+    }
+
+    if (!found) {
+      throw new Error(sheetName ? `Sheet "${sheetName}" tidak ditemukan` : 'Workbook tidak memiliki sheet');
+    }
+  }
+
+  async *readWorksheetRows(worksheet) {
+    for await (const row of worksheet) {
+      // row.values dimulai dari index 1 (kolom A)
+      const values = Array.from(row.values.slice(1), v => this.normalizeStreamCell(v));
+      yield { values, rowNumber: row.number };
+    }
+  }
+
+  /**
+   * Susun chunk tabel dari aliran baris { values, rowNumber }
+   * Header dideteksi dari baris-baris awal (seperti detectTableLayout);
+   * baris footer TOTAL mengakhiri tabel dan baris kosong di ujung dibuang.
+   * @param {Object} options - { sheetName, chunkSize, extra: field tambahan tiap chunk, emptyMessage }
+   */
+  async *streamTable(lines, { sheetName, chunkSize, extra = {}, emptyMessage }) {
+    const iterator = lines[Symbol.asyncIterator]();
+    const head = [];
+
+    try {
+      while (head.length < HEADER_SCAN_ROWS + 5) {
+        const { value, done } = await iterator.next();
+        if (done) break;
+        head.push(value);
+      }
+
+      const layout = this.detectHeader(head.map(line => line.values));
+      if (layout.width === 0) {
+        throw new Error(emptyMessage);
+      }
+
+      const { headers } = layout;
+      const numberLocale = detectNumberLocale(head.slice(layout.dataStart).flatMap(line => line.values));
+      const toRow = ({ values, rowNumber }) => {
+        const rowObj = { _rowIndex: rowNumber };
+        headers.forEach((header, colIndex) => {
+          rowObj[header || `Column${colIndex + 1}`] = values[layout.startCol + colIndex] ?? '';
+        });
+        return rowObj;
+      };
+
+      let rows = [];
+      let blanks = [];
+      let chunkIndex = 0;
+      let rowsRead = 0;
+
+      const body = head.slice(layout.dataStart)[Symbol.iterator]();
+      const nextLine = async () => {
+        const buffered = body.next();
+        return buffered.done ? iterator.next() : buffered;
+      };
+
+      for (let next = await nextLine(); !next.done; next = await nextLine()) {
+        const line = next.value;
+        if (this.isFooterRow(line.values)) break;
+
+        // Baris kosong ditahan sampai ada baris data berikutnya
+        if (this.isBlankRow(line.values)) {
+          blanks.push(line);
+          continue;
+        }
+
+        for (const blank of [...blanks, line]) {
+          rows.push(toRow(blank));
+          rowsRead++;
+        }
+        blanks = [];
+
+        if (rows.length >= chunkSize) {
+          yield { sheetName, headers, rows, chunkIndex: chunkIndex++, rowsRead, numberLocale, ...extra };
+          rows = [];
+        }
+      }
+
+      if (rows.length > 0 || chunkIndex === 0) {
+        yield { sheetName, headers, rows, chunkIndex, rowsRead, numberLocale, ...extra };
+      }
+    } finally {
+      await iterator.return?.();
+    }
+  }
+
+  /**
+   * Konversi nilai sel ExcelJS (formula, rich text, hyperlink) ke nilai sederhana
+   */
+  normalizeStreamCell(value) {
+    if (value === null || value === undefined) return '';
+
+    if (value instanceof Date) return serializeDate(value);
+
+    if (typeof value === 'object') {
+      if ('result' in value) return this.normalizeStreamCell(value.result);
+      if ('formula' in value || 'sharedFormula' in value) return '';
+      if (value.richText) return value.richText.map(part => part.text).join('');
+      if ('text' in value) return this.normalizeStreamCell(value.text);
+      if (value.error) return value.error;
+    }
+
+    return value;
+  }
+
+  /**
+   * Pecah rows yang sudah di-parse menjadi chunk (fallback non-streaming)
+   */
+  *chunkRows(sheetName, headers, rows, chunkSize, extra = {}) {
+    let chunkIndex = 0;
+    for (let i = 0; i < rows.length || chunkIndex === 0; i += chunkSize) {
+      const chunk = rows.slice(i, i + chunkSize);
+      yield { sheetName, headers, rows: chunk, chunkIndex: chunkIndex++, rowsRead: i + chunk.length, ...extra };
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // COLUMN HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Get column data (semua nilai dalam satu kolom)
+   */
+  getColumnData(sheet, columnName) {
+    return sheet.rows.map(row => row[columnName]);
+  }
+
+  /**
+   * Get column by index
+   */
+  getColumnByIndex(sheet, index) {
+    const header = sheet.headers[index];
+    return header ? this.getColumnData(sheet, header) : [];
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EXPORT UTILITIES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Susun sel output (header di baris 1, data mulai baris 2, footer setelah satu baris kosong)
+ * dengan nilai bertipe, format angka asli, dan formula yang referensinya sudah digeser.
+ * Formula yang tidak bisa dipetakan (beda sheet, sel di luar tabel, baris terhapus) dibuang,
+ * nilainya tetap ditulis.
+ * @returns {{ rows: Array[], footer: Array[], footerStart: number }} sel = { value, formula, numFmt }
+ */
+export function buildCellMatrix(sheet) {
+  const model = sheet.cellModel || {};
+  const columns = model.columns || {};
+  const footer = model.footer || [];
+  const footerStart = sheet.rows.length + 3;
+
+  // Posisi asli → posisi baru (1-indexed)
+  const rowMap = new Map();
+  sheet.rows.forEach((row, index) => {
+    if (row._rowIndex) rowMap.set(row._rowIndex, index + 2);
+  });
+  footer.forEach((entry, index) => rowMap.set(entry._rowIndex, footerStart + index));
+
+  const colMap = new Map();
+  sheet.headers.forEach((header, index) => {
+    if (columns[header]) colMap.set(columns[header].index + 1, index + 1);
+  });
+
+  const refs = { rows: createAxisMap(rowMap), cols: createAxisMap(colMap) };
+  const toCell = (value, formula, numFmt) => ({
+    value: value ?? '',
+    formula: formula ? translateFormula(formula, refs) : null,
+    numFmt: numFmt || null
+  });
+
+  return {
+    rows: sheet.rows.map(row => sheet.headers.map(h =>
+      toCell(row[h], model.formulas?.[row._rowIndex]?.[h], columns[h]?.numFmt)
+    )),
+    footer: footer.map(entry => sheet.headers.map(h =>
+      toCell(entry.values[h], entry.formulas[h], entry.formats[h] || columns[h]?.numFmt)
+    )),
+    footerStart
+  };
+}
+
+/**
+ * Teks tampilan sel seperti di Excel (mis. 1500000 + '"Rp"#,##0' → "Rp1,500,000")
+ */
+export function formatCellText(value, numFmt = null) {
+  if (value instanceof Date) {
+    return numFmt ? SSF.format(numFmt, dateToSerial(value)) : serializeDate(value);
+  }
+  if (typeof value === 'number' && numFmt) return SSF.format(numFmt, value);
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Worksheet SheetJS dari sheet hasil parse (angka, tanggal, format & formula tetap terjaga)
+ */
+export function toSheetJSWorksheet(sheet) {
+  const { rows, footer } = buildCellMatrix(sheet);
+  const toSheetCell = ({ value, formula, numFmt }) => {
+    const cell = { t: 's', v: value };
+
+    if (value instanceof Date) {
+      Object.assign(cell, { t: 'n', v: dateToSerial(value), z: numFmt || 'dd/mm/yyyy' });
+    } else if (typeof value === 'number') {
+      cell.t = 'n';
+      // Bilangan bulat panjang (rekening, NIK) tampil utuh, bukan 1.23457E+14 (format General)
+      if (!numFmt && Number.isInteger(value) && Math.abs(value) >= 1e11) cell.z = '0';
+    } else if (typeof value === 'boolean') {
+      cell.t = 'b';
+    } else if (value === '' && formula) {
+      Object.assign(cell, { t: 'n', v: 0 });
+    }
+
+    if (numFmt && cell.t === 'n') cell.z = numFmt;
+    if (formula) cell.f = formula;
+    return cell;
+  };
+
+  return XLSX.utils.aoa_to_sheet([
+    sheet.headers,
+    ...rows.map(cells => cells.map(toSheetCell)),
+    ...(footer.length > 0 ? [[], ...footer.map(cells => cells.map(toSheetCell))] : [])
+  ]);
+}
+
+/**
+ * Convert parsed data back to Excel buffer
+ */
+export function toExcelBuffer(parsedData, options = {}) {
+  const workbook = XLSX.utils.book_new();
+  
+  for (const sheetName of parsedData.sheetNames) {
+    const sheet = parsedData.sheets[sheetName];
+    
+    // Nilai bertipe + formula (tanpa _rowIndex)
+    const worksheet = toSheetJSWorksheet(sheet);
+    
+    // Apply column widths
+    if (options.autoWidth !== false) {
+      const colWidths = sheet.headers.map((h, i) => {
+        const maxLen = Math.max(
+          h.length,
+          ...sheet.rows.map(r => String(r[h] || '').length)
+        );
+        return { wch: Math.min(maxLen + 2, 50) };
+      });
+      worksheet['!cols'] = colWidths;
+    }
+    
+    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+  }
+  
+  return XLSX.write(workbook, { 
+    type: 'buffer', 
+    bookType: options.bookType || 'xlsx'
+  });
+}
+
+/**
+ * Convert parsed data to CSV string
+ */
+export function toCSVString(parsedData, sheetName = null, delimiter = ',') {
+  const sheet = parsedData.sheets[sheetName || parsedData.activeSheet];
+  
+  const escapeCSV = (val) => {
+    const str = val instanceof Date ? serializeDate(val) : String(val ?? '');
+    if (str.includes(delimiter) || str.includes('"') || str.includes('\n')) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  };
+  
+  const lines = [
+    sheet.headers.map(escapeCSV).join(delimiter),
+    ...sheet.rows.map(row => 
+      sheet.headers.map(h => escapeCSV(row[h])).join(delimiter)
+    )
+  ];
+  
+  return lines.join('\n');
+}
+
+/**
+ * Convert parsed data to JSON
+ */
+export function toJSONString(parsedData, sheetName = null, pretty = true) {
+  const sheet = parsedData.sheets[sheetName || parsedData.activeSheet];
+  
   // Remove _rowIndex from output
   const cleanRows = sheet.rows.map(row => {
     const { _rowIndex, ...rest } = row;
@@ -415,12 +1625,102 @@ export function toJSONString(parsedData, sheetName = null, pretty = true) {
   return pretty ? JSON.stringify(cleanRows, null, 2) : JSON.stringify(cleanRows);
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// FORMULA TRANSLATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CELL_REF = /(^|[^A-Za-z0-9_.$])(\$?)([A-Z]{1,3})(\$?)(\d+)(?::(\$?)([A-Z]{1,3})(\$?)(\d+))?(?![A-Za-z0-9_(])/g;
+const COLUMN_REF = /(^|[^A-Za-z0-9_.$])(\$?)([A-Z]{1,3}):(\$?)([A-Z]{1,3})(?![A-Za-z0-9_(])/g;
+const ROW_RANGE_REF = /(^|[^A-Za-z0-9_.$])\$?\d+:\$?\d+(?![A-Za-z0-9_(])/;
+
+/**
+ * Peta posisi satu sumbu (baris/kolom) + info apakah urutannya tetap naik
+ */
+function createAxisMap(map) {
+  const sorted = [...map.keys()].sort((a, b) => a - b);
+  const monotonic = sorted.every((key, i) => i === 0 || map.get(key) > map.get(sorted[i - 1]));
+  return { map, sorted, monotonic };
+}
+
+/**
+ * Petakan range [from, to] posisi asli ke posisi baru.
+ * Posisi yang terhapus di dalam range dilewati; null jika range tidak lagi utuh.
+ */
+function mapAxisRange(axis, from, to) {
+  const { map, sorted, monotonic } = axis;
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < from) lo = mid + 1; else hi = mid;
+  }
+
+  let end = lo;
+  while (end < sorted.length && sorted[end] <= to) end++;
+  if (end === lo) return null;
+
+  if (monotonic) return [map.get(sorted[lo]), map.get(sorted[end - 1])];
+
+  // Urutan berubah (mis. setelah sort): hanya valid jika posisi baru tetap bersambung
+  const positions = sorted.slice(lo, end).map(key => map.get(key));
+  const min = Math.min(...positions);
+  const max = Math.max(...positions);
+  return max - min + 1 === positions.length ? [min, max] : null;
+}
+
+/**
+ * Geser referensi sel dalam formula ke posisi baru
+ * @returns {string|null} null jika ada referensi yang tidak bisa dipetakan
+ */
+function translateFormula(formula, refs) {
+  // Pisahkan string literal agar isinya tidak ikut diganti
+  const parts = formula.split(/("(?:[^"]|"")*")/);
+  let valid = true;
+
+  const translated = parts.map((part, index) => {
+    if (index % 2 === 1 || !valid) return part;
+
+    // Referensi ke sheet/workbook lain, structured reference & range baris tidak didukung
+    if (/[![]/.test(part) || ROW_RANGE_REF.test(part)) {
+      valid = false;
+      return part;
+    }
+
+    return part
+      .replace(CELL_REF, (match, lead, c1Abs, c1, r1Abs, r1, c2Abs, c2, r2Abs, r2) => {
+        const cols = mapAxisRange(refs.cols, XLSX.utils.decode_col(c1) + 1, XLSX.utils.decode_col(c2 ?? c1) + 1);
+        const rows = mapAxisRange(refs.rows, Number(r1), Number(r2 ?? r1));
+
+        if (!cols || !rows) {
+          valid = false;
+          return match;
+        }
+
+        const start = `${c1Abs}${XLSX.utils.encode_col(cols[0] - 1)}${r1Abs}${rows[0]}`;
+        return c2 === undefined ? lead + start : `${lead}${start}:${c2Abs}${XLSX.utils.encode_col(cols[1] - 1)}${r2Abs}${rows[1]}`;
+      })
+      .replace(COLUMN_REF, (match, lead, c1Abs, c1, c2Abs, c2) => {
+        const cols = mapAxisRange(refs.cols, XLSX.utils.decode_col(c1) + 1, XLSX.utils.decode_col(c2) + 1);
+        if (!cols) {
+          valid = false;
+          return match;
+        }
+        return `${lead}${c1Abs}${XLSX.utils.encode_col(cols[0] - 1)}:${c2Abs}${XLSX.utils.encode_col(cols[1] - 1)}`;
+      });
+  }).join('');
+
+  return valid ? translated : null;
+}
+
 // Create singleton instance
 export const fileParser = new FileParser();
 
 export default {
   FileParser,
   fileParser,
+  buildCellMatrix,
+  formatCellText,
+  toSheetJSWorksheet,
   toExcelBuffer,
   toCSVString,
   toJSONString
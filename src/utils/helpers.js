@@ -6,12 +6,16 @@
 import { format, parse, isValid } from 'date-fns';
 import { id } from 'date-fns/locale';
 import { v4 as uuidv4 } from 'uuid';
+import { createHash } from 'crypto';
 import { 
   PATTERNS, 
   INDONESIA_PROVINCE_CODES, 
+  PLATE_REGION_CODES,
+  BANK_ACCOUNT_FORMATS,
   INDONESIAN_MONTHS,
   TAX_RATES 
 } from './constants.js';
+import { wilayahRegistry } from './wilayah.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // STRING HELPERS
@@ -57,34 +61,179 @@ export function generateUUID() {
   return uuidv4();
 }
 
+/**
+ * Hash string pendek (SHA-1, base64) - hemat memori untuk signature baris
+ */
+export function hashString(str, length = 16) {
+  return createHash('sha1').update(String(str)).digest('base64').slice(0, length);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // NUMBER & CURRENCY HELPERS
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Pola angka yang hanya sah di satu konvensi (untuk deteksi locale per file)
+const NUMBER_LOCALE_PATTERNS = {
+  id: [/^\d{1,3}(\.\d{3}){2,}(,\d+)?$/, /^\d{1,3}(\.\d{3})+,\d+$/, /^\d+,(\d{1,2}|\d{4,})$/],
+  en: [/^\d{1,3}(,\d{3}){2,}(\.\d+)?$/, /^\d{1,3}(,\d{3})+\.\d+$/]
+};
+
+// Tata tulis angka lengkap per konvensi: 1.234.567,89 (id) / 1,234,567.89 (en)
+const NUMBER_GRAMMAR = {
+  id: /^(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$/,
+  en: /^(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/
+};
+
+// Singkatan satuan: "1,5 jt", "2 M" (miliar), "500rb"; versi en: 2M = 2 juta
+const NUMBER_SUFFIXES = {
+  id: { rb: 1e3, ribu: 1e3, jt: 1e6, juta: 1e6, m: 1e9, miliar: 1e9, milyar: 1e9, t: 1e12, triliun: 1e12 },
+  en: { k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 }
+};
+
+const CURRENCY_PREFIX = /^(Rp\.?|IDR|\$|USD|EUR|€)\s*/i;
+
+// 6 digit terakhir NITKU untuk kantor pusat / orang pribadi (NPWP 16 digit + 000000)
+const NITKU_HEAD_OFFICE = '000000';
+
 /**
- * Parse number dari string (handle Indonesia format: 1.234.567,89)
+ * Pecah teks angka: tanda negatif, akuntansi "(150.000)", simbol mata uang,
+ * akhiran ",-" Rupiah & singkatan satuan → { digits, negative, multiplier }
  */
-export function parseNumber(value) {
-  if (value === null || value === undefined || value === '') return null;
-  if (typeof value === 'number') return value;
-  
+function splitNumberText(value, locale = null) {
   let str = String(value).trim();
-  
-  // Remove currency symbols
-  str = str.replace(/^(Rp\.?|IDR|\$|USD|EUR|€)\s*/i, '');
-  
-  // Detect format: Indonesia (1.234,56) vs US (1,234.56)
-  const hasIndonesiaFormat = /^\d{1,3}(\.\d{3})*(,\d+)?$/.test(str);
-  const hasUSFormat = /^\d{1,3}(,\d{3})*(\.\d+)?$/.test(str);
-  
-  if (hasIndonesiaFormat) {
-    str = str.replace(/\./g, '').replace(',', '.');
-  } else if (hasUSFormat) {
-    str = str.replace(/,/g, '');
+  let negative = false;
+
+  const accounting = str.match(/^\((.*)\)$/);
+  if (accounting) {
+    negative = true;
+    str = accounting[1].trim();
   }
-  
-  const num = parseFloat(str);
-  return isNaN(num) ? null : num;
+
+  const sign = () => {
+    if (/^[-+]/.test(str)) {
+      negative = negative !== (str[0] === '-');
+      str = str.slice(1).trim();
+    }
+  };
+  sign();
+  str = str.replace(CURRENCY_PREFIX, '');
+  sign();
+  str = str.replace(/[.,]-$/, '');
+
+  let multiplier = 1;
+  const suffix = str.match(/^([\d.,]*\d)\s*([a-z]+)\.?$/i);
+  if (suffix) {
+    const word = suffix[2].toLowerCase();
+    const [primary, secondary] = locale === 'en' ? ['en', 'id'] : ['id', 'en'];
+    const unit = NUMBER_SUFFIXES[primary][word] ?? NUMBER_SUFFIXES[secondary][word];
+    if (unit) {
+      str = suffix[1];
+      multiplier = unit;
+    }
+  }
+
+  return { digits: str, negative, multiplier };
+}
+
+/**
+ * Baca digit dengan satu konvensi; null jika tidak sesuai tata tulisnya
+ */
+function readNumber(digits, locale) {
+  if (!NUMBER_GRAMMAR[locale].test(digits)) return null;
+  const normalized = locale === 'id'
+    ? digits.replace(/\./g, '').replace(',', '.')
+    : digits.replace(/,/g, '');
+  return parseFloat(normalized);
+}
+
+/**
+ * 🔢 Parse angka + info konvensi yang dipakai
+ * "1.500" bisa 1500 (id) atau 1,5 (en): tanpa locale dipilih id & ditandai ambiguous
+ * @param {string|null} locale - 'id' (1.234,56) / 'en' (1,234.56); null = tebak per nilai
+ * @returns {{ value: number|null, convention: 'id'|'en'|null, ambiguous: boolean, alternative: number|null, exact: boolean }}
+ */
+export function parseNumberDetailed(value, locale = null) {
+  const result = { value: null, convention: null, ambiguous: false, alternative: null, exact: false };
+  if (value === null || value === undefined || value === '') return result;
+  if (typeof value === 'number') {
+    return { ...result, value: isNaN(value) ? null : value, exact: !isNaN(value) };
+  }
+
+  const { digits, negative, multiplier } = splitNumberText(value, locale);
+  const apply = (num) => {
+    const scaled = (negative ? -num : num) * multiplier;
+    // Hindari 1.5 * 1e6 = 1500000.0000000002
+    return multiplier === 1 ? scaled : Math.round(scaled * 1e6) / 1e6;
+  };
+
+  const readings = { id: readNumber(digits, 'id'), en: readNumber(digits, 'en') };
+  const preferred = locale === 'en' ? ['en', 'id'] : ['id', 'en'];
+  const convention = preferred.find(l => readings[l] !== null);
+
+  if (convention) {
+    const other = convention === 'id' ? 'en' : 'id';
+    const differs = readings[other] !== null && readings[other] !== readings[convention];
+    return {
+      value: apply(readings[convention]),
+      // Angka tanpa pemisah ("1500") sah di kedua konvensi
+      convention: readings[other] === readings[convention] ? null : convention,
+      ambiguous: differs && !locale,
+      alternative: differs ? apply(readings[other]) : null,
+      exact: true
+    };
+  }
+
+  // Fallback lama: ambil angka di awal teks ("12 pcs" → 12)
+  const num = parseFloat(String(value).trim().replace(CURRENCY_PREFIX, ''));
+  return { ...result, value: isNaN(num) ? null : num };
+}
+
+/**
+ * Parse number dari string (handle Indonesia format: 1.234.567,89)
+ * Juga "Rp 1.250.000,-", "(150.000)", "1,5 jt", "2 M"
+ * @param {string|null} locale - 'id' (1.234,56) / 'en' (1,234.56); null = tebak per nilai
+ */
+export function parseNumber(value, locale = null) {
+  return parseNumberDetailed(value, locale).value;
+}
+
+/**
+ * Konvensi angka sebuah nilai jika tidak ambigu ("1.234" bisa dua-duanya → null)
+ * @returns {'id'|'en'|null}
+ */
+export function numberConvention(value) {
+  if (typeof value !== 'string') return null;
+  const { digits } = splitNumberText(value);
+  if (!/^\d[\d.,]*\d$/.test(digits)) return null;
+
+  for (const locale of Object.keys(NUMBER_LOCALE_PATTERNS)) {
+    if (NUMBER_LOCALE_PATTERNS[locale].some(pattern => pattern.test(digits))) return locale;
+  }
+  return null;
+}
+
+/**
+ * Hitung nilai per konvensi angka (hanya nilai yang tidak ambigu)
+ * @returns {{ id: number, en: number }}
+ */
+export function countNumberConventions(values) {
+  const votes = { id: 0, en: 0 };
+  for (const value of values) {
+    const convention = numberConvention(value);
+    if (convention) votes[convention]++;
+  }
+  return votes;
+}
+
+/**
+ * Deteksi konvensi angka dari kumpulan nilai teks 🔢
+ * Hanya nilai yang tidak ambigu yang dihitung ("1.234" bisa dua-duanya)
+ * @returns {'id'|'en'|null}
+ */
+export function detectNumberLocale(values) {
+  const votes = countNumberConventions(values);
+  if (votes.id === votes.en) return null;
+  return votes.id > votes.en ? 'id' : 'en';
 }
 
 /**
@@ -235,12 +384,21 @@ export function formatDateTime(value) {
   return format(date, 'dd/MM/yyyy HH:mm', { locale: id });
 }
 
+/**
+ * Serialisasi Date dari sel Excel (UTC) ke teks: "2025-01-15" atau "2025-01-15 08:30:00"
+ */
+export function serializeDate(date) {
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // VALIDATION HELPERS
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
  * Validasi NIK Indonesia
+ * Kode wilayah (digit 1-6) dicek sampai kecamatan jika data wilayah Kemendagri tersedia
  */
 export function validateNIK(nik) {
   if (!nik) return { valid: false, error: 'NIK kosong' };
@@ -255,25 +413,36 @@ export function validateNIK(nik) {
   if (!INDONESIA_PROVINCE_CODES[provinceCode]) {
     return { valid: false, error: `Kode provinsi ${provinceCode} tidak valid` };
   }
+
+  // Kab/kota & kecamatan; NIK lama bisa memakai kode sebelum pemekaran wilayah
+  const region = wilayahRegistry.resolve(nikStr.substring(0, 6));
+  if (region?.missing) {
+    return { valid: false, error: `${wilayahRegistry.describeMissing(region)} (cek juga kode lama sebelum pemekaran)` };
+  }
   
   // Validasi tanggal lahir (digit 7-12)
   let day = parseInt(nikStr.substring(6, 8));
   const month = parseInt(nikStr.substring(8, 10));
-  const year = parseInt(nikStr.substring(10, 12));
+  const shortYear = parseInt(nikStr.substring(10, 12));
   
   // Wanita: tanggal + 40
   if (day > 40) day -= 40;
   
-  if (day < 1 || day > 31 || month < 1 || month > 12) {
+  if (!isShortYearDate(shortYear, month, day)) {
     return { valid: false, error: 'Tanggal lahir dalam NIK tidak valid' };
   }
+  const year = fullYear(shortYear, month, day);
   
   return {
     valid: true,
     data: {
       province: INDONESIA_PROVINCE_CODES[provinceCode],
       provinceCode,
-      birthDate: `${day.toString().padStart(2, '0')}/${month.toString().padStart(2, '0')}/19${year}`,
+      regency: region?.regency ?? null,
+      regencyCode: nikStr.substring(0, 4),
+      district: region?.district ?? null,
+      districtCode: nikStr.substring(0, 6),
+      birthDate: `${pad2(day)}/${pad2(month)}/${year}`,
       gender: parseInt(nikStr.substring(6, 8)) > 40 ? 'Perempuan' : 'Laki-laki'
     }
   };
@@ -281,23 +450,362 @@ export function validateNIK(nik) {
 
 /**
  * Validasi NPWP
+ * 15 digit (format lama): digit kontrol ke-9, kode KPP & status pusat/cabang.
+ * 16 digit (sejak 2024): orang pribadi = NIK, badan = 0 + NPWP 15 digit
  */
 export function validateNPWP(npwp) {
-  if (!npwp) return { valid: false, error: 'NPWP kosong' };
-  
-  const npwpStr = String(npwp).replace(/\D/g, '');
-  
-  // Format lama: 15 digit, format baru (2024): 16 digit
-  if (npwpStr.length !== 15 && npwpStr.length !== 16) {
-    return { valid: false, error: 'NPWP harus 15 atau 16 digit' };
+  if (isEmpty(npwp)) return { valid: false, error: 'NPWP kosong' };
+
+  const { digits: rawDigits, error } = identifierDigits(npwp, 'NPWP');
+  if (error) return { valid: false, error };
+
+  // Sel angka: NPWP 15 digit berawalan 0 tersimpan sebagai 14 digit
+  const digits = typeof npwp === 'number' && rawDigits.length === 14 ? `0${rawDigits}` : rawDigits;
+
+  if (digits.length === 15) return validateLegacyNPWP(digits);
+
+  if (digits.length !== 16) {
+    return { valid: false, error: 'NPWP harus 15 digit (format lama) atau 16 digit' };
   }
-  
-  // Validasi sederhana: digit pertama harus 0-9
-  if (!/^[0-9]/.test(npwpStr)) {
-    return { valid: false, error: 'Format NPWP tidak valid' };
+
+  if (digits.startsWith('0')) {
+    const legacy = validateLegacyNPWP(digits.substring(1));
+    if (!legacy.valid) return legacy;
+    return { valid: true, data: { ...legacy.data, format: 'npwp16', formatted: digits } };
   }
-  
-  return { valid: true };
+
+  const nik = validateNIK(digits);
+  if (!nik.valid) {
+    return { valid: false, error: `NPWP 16 digit orang pribadi harus berupa NIK yang valid (${nik.error})` };
+  }
+
+  return {
+    valid: true,
+    data: {
+      format: 'nik',
+      taxpayer: 'Orang Pribadi',
+      npwp16: digits,
+      nitku: `${digits}${NITKU_HEAD_OFFICE}`,
+      formatted: digits,
+      nik: nik.data
+    }
+  };
+}
+
+/**
+ * NPWP 15 digit: XX.XXX.XXX.C-KKK.CCC (C = digit kontrol Luhn atas 8 digit pertama,
+ * KKK = kode KPP, CCC = status: 000 pusat, selain itu cabang)
+ */
+function validateLegacyNPWP(digits) {
+  if (/^0+$/.test(digits)) {
+    return { valid: false, error: 'NPWP 00.000.000.0-000.000 adalah NPWP dummy (belum punya NPWP)' };
+  }
+
+  const checkDigit = luhnCheckDigit(digits.substring(0, 8));
+  if (checkDigit !== parseInt(digits[8])) {
+    return { valid: false, error: `Digit kontrol NPWP salah (digit ke-9 seharusnya ${checkDigit})` };
+  }
+
+  const kppCode = digits.substring(9, 12);
+  if (kppCode === '000') {
+    return { valid: false, error: 'Kode KPP (digit 10-12) tidak boleh 000' };
+  }
+
+  const branchCode = digits.substring(12);
+  const branch = branchCode !== '000';
+
+  return {
+    valid: true,
+    data: {
+      format: 'npwp15',
+      taxpayerCode: digits.substring(0, 2),
+      kppCode,
+      branchCode,
+      branch,
+      npwp16: `0${digits}`,
+      // NITKU cabang ditetapkan DJP (tidak bisa diturunkan dari NPWP cabang)
+      nitku: branch ? null : `0${digits}${NITKU_HEAD_OFFICE}`,
+      formatted: `${digits.substring(0, 2)}.${digits.substring(2, 5)}.${digits.substring(5, 8)}.${digits[8]}-${kppCode}.${branchCode}`
+    }
+  };
+}
+
+/**
+ * Validasi NITKU (22 digit): NPWP 16 digit + 6 digit nomor tempat kegiatan usaha (000000 = pusat)
+ */
+export function validateNITKU(nitku) {
+  if (isEmpty(nitku)) return { valid: false, error: 'NITKU kosong' };
+
+  const { digits, error } = identifierDigits(nitku, 'NITKU');
+  if (error) return { valid: false, error };
+  if (digits.length !== 22) return { valid: false, error: 'NITKU harus 22 digit (NPWP 16 digit + 6 digit)' };
+
+  const npwp = validateNPWP(digits.substring(0, 16));
+  if (!npwp.valid) return { valid: false, error: `NPWP di NITKU tidak valid: ${npwp.error}` };
+
+  const place = digits.substring(16);
+  return { valid: true, data: { npwp16: digits.substring(0, 16), place, headOffice: place === NITKU_HEAD_OFFICE } };
+}
+
+/**
+ * 🔄 NPWP (15/16 digit, bertitik atau tidak) → NPWP 16 digit + NITKU pusat
+ * @returns {{ npwp16, nitku, branch } | null} null jika NPWP tidak valid
+ */
+export function toNPWP16(npwp) {
+  const validation = validateNPWP(npwp);
+  if (!validation.valid) return null;
+
+  const { npwp16, nitku, branch = false } = validation.data;
+  return { npwp16, nitku, branch };
+}
+
+function luhnCheckDigit(payload) {
+  let sum = 0;
+  // Dari kanan: digit ke-1, 3, 5, ... dikali 2
+  for (let i = payload.length - 1, double = true; i >= 0; i--, double = !double) {
+    let digit = parseInt(payload[i]) * (double ? 2 : 1);
+    if (digit > 9) digit -= 9;
+    sum += digit;
+  }
+  return (10 - sum % 10) % 10;
+}
+
+/**
+ * Validasi NIP PNS (18 digit): tanggal lahir, TMT CPNS, jenis kelamin & nomor urut
+ */
+export function validateNIP(nip) {
+  if (isEmpty(nip)) return { valid: false, error: 'NIP kosong' };
+
+  const { digits, error } = identifierDigits(nip, 'NIP');
+  if (error) return { valid: false, error };
+  if (digits.length !== 18) {
+    return { valid: false, error: `NIP harus 18 digit (tertulis ${digits.length} digit)` };
+  }
+
+  const birthYear = parseInt(digits.substring(0, 4));
+  const birthMonth = parseInt(digits.substring(4, 6));
+  const birthDay = parseInt(digits.substring(6, 8));
+  const thisYear = new Date().getFullYear();
+  if (!isCalendarDate(birthYear, birthMonth, birthDay) || birthYear < 1940 || birthYear > thisYear - 17) {
+    return { valid: false, error: 'Tanggal lahir dalam NIP tidak valid' };
+  }
+
+  // TMT CPNS (digit 9-14): tahun & bulan pengangkatan, minimal usia 18 tahun
+  const appointedYear = parseInt(digits.substring(8, 12));
+  const appointedMonth = parseInt(digits.substring(12, 14));
+  if (appointedMonth < 1 || appointedMonth > 12 || appointedYear > thisYear + 1) {
+    return { valid: false, error: 'TMT CPNS dalam NIP tidak valid' };
+  }
+  const ageAtAppointment = appointedYear - birthYear - (appointedMonth < birthMonth ? 1 : 0);
+  if (ageAtAppointment < 18) {
+    return { valid: false, error: `TMT CPNS ${appointedYear} sebelum usia 18 tahun (lahir ${birthYear})` };
+  }
+
+  const genderDigit = digits.charAt(14);
+  if (genderDigit !== '1' && genderDigit !== '2') {
+    return { valid: false, error: 'Digit jenis kelamin NIP harus 1 (laki-laki) atau 2 (perempuan)' };
+  }
+  if (digits.substring(15) === '000') {
+    return { valid: false, error: 'Nomor urut NIP tidak boleh 000' };
+  }
+
+  return {
+    valid: true,
+    data: {
+      birthDate: `${pad2(birthDay)}/${pad2(birthMonth)}/${birthYear}`,
+      appointmentDate: `${pad2(appointedMonth)}/${appointedYear}`,
+      gender: genderDigit === '1' ? 'Laki-laki' : 'Perempuan',
+      serial: digits.substring(15),
+      formatted: `${digits.substring(0, 8)} ${digits.substring(8, 14)} ${genderDigit} ${digits.substring(15)}`
+    }
+  };
+}
+
+/**
+ * Validasi Nomor Kartu Keluarga (16 digit): kode wilayah + tanggal terbit (tanpa +40 seperti NIK)
+ */
+export function validateNKK(nkk) {
+  if (isEmpty(nkk)) return { valid: false, error: 'Nomor KK kosong' };
+
+  const { digits, error } = identifierDigits(nkk, 'Nomor KK');
+  if (error) return { valid: false, error };
+  if (digits.length !== 16) {
+    return { valid: false, error: `Nomor KK harus 16 digit (tertulis ${digits.length} digit)` };
+  }
+
+  const provinceCode = digits.substring(0, 2);
+  if (!INDONESIA_PROVINCE_CODES[provinceCode]) {
+    return { valid: false, error: `Kode provinsi ${provinceCode} tidak valid` };
+  }
+  const region = wilayahRegistry.resolve(digits.substring(0, 6));
+  if (region?.missing) {
+    return { valid: false, error: wilayahRegistry.describeMissing(region) };
+  }
+
+  const day = parseInt(digits.substring(6, 8));
+  const month = parseInt(digits.substring(8, 10));
+  const shortYear = parseInt(digits.substring(10, 12));
+  if (day > 40 && isShortYearDate(shortYear, month, day - 40)) {
+    return { valid: false, error: 'Tanggal terbit KK tidak memakai +40 (pola ini milik NIK perempuan)' };
+  }
+  if (!isShortYearDate(shortYear, month, day)) {
+    return { valid: false, error: 'Tanggal terbit dalam nomor KK tidak valid' };
+  }
+  if (digits.substring(12) === '0000') {
+    return { valid: false, error: 'Nomor urut KK tidak boleh 0000' };
+  }
+
+  return {
+    valid: true,
+    data: {
+      province: INDONESIA_PROVINCE_CODES[provinceCode],
+      provinceCode,
+      regency: region?.regency ?? null,
+      regencyCode: digits.substring(0, 4),
+      district: region?.district ?? null,
+      districtCode: digits.substring(0, 6),
+      issuedDate: `${pad2(day)}/${pad2(month)}/${fullYear(shortYear, month, day)}`
+    }
+  };
+}
+
+/**
+ * Validasi nomor BPJS: Kesehatan (kartu JKN-KIS, 13 digit) atau Ketenagakerjaan (KPJ, 11 digit)
+ * @param {string|null} program - 'Kesehatan' | 'Ketenagakerjaan'; null = ditentukan dari panjang
+ */
+export function validateBPJS(number, program = null) {
+  if (isEmpty(number)) return { valid: false, error: 'Nomor BPJS kosong' };
+
+  const { digits, error } = identifierDigits(number, 'Nomor BPJS');
+  if (error) return { valid: false, error };
+
+  const lengths = { Kesehatan: 13, Ketenagakerjaan: 11 };
+  const resolved = program ?? Object.keys(lengths).find(name => lengths[name] === digits.length);
+  if (!resolved) {
+    return { valid: false, error: `Nomor BPJS harus 13 digit (Kesehatan) atau 11 digit (Ketenagakerjaan), tertulis ${digits.length} digit` };
+  }
+  if (digits.length !== lengths[resolved]) {
+    return { valid: false, error: `Nomor BPJS ${resolved} harus ${lengths[resolved]} digit (tertulis ${digits.length} digit)` };
+  }
+  if (/^(\d)\1+$/.test(digits)) {
+    return { valid: false, error: 'Nomor BPJS tidak wajar (digit sama semua)' };
+  }
+
+  return { valid: true, data: { program: resolved, length: digits.length } };
+}
+
+/**
+ * Validasi nomor rekening bank; panjang dicek per bank jika nama bank diketahui (BCA 10, Mandiri 13, BRI 15)
+ * @param {string|null} bank - Nama bank (isi kolom Bank atau header seperti "No Rek BCA")
+ */
+export function validateBankAccount(account, bank = null) {
+  if (isEmpty(account)) return { valid: false, error: 'Nomor rekening kosong' };
+
+  const { digits, error } = identifierDigits(account, 'Nomor rekening');
+  if (error) return { valid: false, error };
+  if (!PATTERNS.BANK_ACCOUNT.test(digits)) {
+    return { valid: false, error: `Nomor rekening harus 8-18 digit (tertulis ${digits.length} digit)` };
+  }
+  if (/^(\d)\1+$/.test(digits)) {
+    return { valid: false, error: 'Nomor rekening tidak wajar (digit sama semua)' };
+  }
+
+  const format = bank ? BANK_ACCOUNT_FORMATS.find(entry => entry.pattern.test(String(bank))) : null;
+  if (format && !format.lengths.includes(digits.length)) {
+    // Angka di sel Excel kehilangan nol di depan ("0123456789" → 123456789)
+    const lostZeros = typeof account === 'number' && digits.length < Math.min(...format.lengths);
+    return {
+      valid: false,
+      error: `Rekening ${format.name} harus ${format.lengths.join(' atau ')} digit (tertulis ${digits.length} digit)` +
+        (lostZeros ? ', nol di depan kemungkinan hilang karena tersimpan sebagai angka' : '')
+    };
+  }
+
+  return { valid: true, data: { bank: format?.name ?? null, length: digits.length } };
+}
+
+/**
+ * Validasi plat nomor kendaraan ("B 1234 XYZ"): kode wilayah, nomor & huruf belakang
+ */
+export function validatePlateNumber(plate) {
+  if (isEmpty(plate)) return { valid: false, error: 'Plat nomor kosong' };
+
+  const text = String(plate).trim().toUpperCase().replace(/[\s-]+/g, ' ');
+  const match = text.match(/^([A-Z]{1,2}) ?(\d{1,4}) ?([A-Z]{1,3})$/);
+  if (!match) {
+    return { valid: false, error: 'Format plat nomor harus kode wilayah, 1-4 angka & 1-3 huruf (mis. B 1234 XYZ)' };
+  }
+
+  const [, regionCode, number, suffix] = match;
+  if (!PLATE_REGION_CODES[regionCode]) {
+    return { valid: false, error: `Kode wilayah plat "${regionCode}" tidak dikenal` };
+  }
+  if (number.startsWith('0')) {
+    return { valid: false, error: 'Nomor plat tidak boleh diawali 0' };
+  }
+
+  return {
+    valid: true,
+    data: {
+      region: PLATE_REGION_CODES[regionCode],
+      regionCode,
+      formatted: `${regionCode} ${number} ${suffix}`
+    }
+  };
+}
+
+/**
+ * Teks digit nomor identitas yang disimpan sebagai teks/angka, atau error jika Excel sudah merusaknya
+ * (notasi ilmiah "1.23457E+14" / angka > 15 digit yang digit terakhirnya dibulatkan)
+ */
+export function identifierDigits(value, label = 'Nomor') {
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      return { digits: null, error: `${label} tersimpan sebagai angka sehingga digit terakhir hilang (simpan kolom sebagai teks)` };
+    }
+    return { digits: String(value), error: null };
+  }
+
+  const text = String(value).trim();
+  if (PATTERNS.SCIENTIFIC_NOTATION.test(text)) {
+    return { digits: null, error: `${label} tertulis dalam notasi ilmiah (${text}), digit aslinya sudah hilang` };
+  }
+  if (/[^\d\s.\-]/.test(text)) {
+    return { digits: null, error: `${label} hanya boleh berisi angka` };
+  }
+  return { digits: text.replace(/\D/g, ''), error: null };
+}
+
+/**
+ * Angka identitas → teks digit utuh (bukan notasi ilmiah "1.23457E+14")
+ */
+export function identifierText(value) {
+  return typeof value === 'number' && Number.isInteger(value) ? BigInt(value).toString() : String(value);
+}
+
+function isCalendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Tanggal dengan tahun 2 digit (abad tidak diketahui) valid di salah satu abad?
+ * Kabisat 19xx & 20xx sama kecuali 1900, jadi cukup dicek dengan 20xx (29/02/00 tetap valid)
+ */
+function isShortYearDate(shortYear, month, day) {
+  return isCalendarDate(2000 + shortYear, month, day);
+}
+
+/**
+ * Tahun 2 digit di NIK/No. KK → 4 digit (tebakan): 20xx jika tanggalnya belum lewat hari ini,
+ * selain itu 19xx. Lansia kelahiran ≤ 1925 tetap tertebak 20xx; bandingkan 2 digit saja bila ada data lain
+ */
+function fullYear(shortYear, month = 1, day = 1) {
+  return Date.UTC(2000 + shortYear, month - 1, day) <= Date.now() ? 2000 + shortYear : 1900 + shortYear;
+}
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
 }
 
 /**
@@ -351,9 +859,9 @@ export function normalizePhoneID(phone) {
 /**
  * Hitung statistics dari array numbers
  */
-export function calculateStats(values) {
+export function calculateStats(values, locale = null) {
   const numbers = values
-    .map(v => parseNumber(v))
+    .map(v => parseNumber(v, locale))
     .filter(v => v !== null && !isNaN(v));
   
   if (numbers.length === 0) {
@@ -389,9 +897,9 @@ export function calculateStats(values) {
 /**
  * Detect outliers menggunakan IQR method
  */
-export function detectOutliers(values, threshold = 1.5) {
+export function detectOutliers(values, threshold = 1.5, locale = null) {
   const numbers = values
-    .map((v, i) => ({ value: parseNumber(v), index: i }))
+    .map((v, i) => ({ value: parseNumber(v, locale), index: i }))
     .filter(v => v.value !== null);
   
   if (numbers.length < 4) return [];
@@ -426,6 +934,7 @@ export function detectOutliers(values, threshold = 1.5) {
 export function isEmpty(value) {
   if (value === null || value === undefined) return true;
   if (typeof value === 'string') return value.trim() === '';
+  if (value instanceof Date) return isNaN(value.getTime());
   if (Array.isArray(value)) return value.length === 0;
   if (typeof value === 'object') return Object.keys(value).length === 0;
   return false;
@@ -435,7 +944,7 @@ export function isEmpty(value) {
  * Deep clone object
  */
 export function deepClone(obj) {
-  return JSON.parse(JSON.stringify(obj));
+  return structuredClone(obj); // Date tetap Date
 }
 
 /**
@@ -532,9 +1041,14 @@ export default {
   cleanSpecialChars,
   generateId,
   generateUUID,
+  hashString,
   
   // Number & Currency
   parseNumber,
+  parseNumberDetailed,
+  numberConvention,
+  countNumberConventions,
+  detectNumberLocale,
   formatNumber,
   formatRupiah,
   formatDollar,
@@ -547,10 +1061,20 @@ export default {
   formatDate,
   formatDateIndonesia,
   formatDateTime,
+  serializeDate,
   
   // Validation
   validateNIK,
   validateNPWP,
+  validateNITKU,
+  toNPWP16,
+  validateNIP,
+  validateNKK,
+  validateBPJS,
+  validateBankAccount,
+  validatePlateNumber,
+  identifierDigits,
+  identifierText,
   validateEmail,
   validatePhoneID,
   normalizePhoneID,
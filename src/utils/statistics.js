@@ -0,0 +1,466 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// STATISTICS.JS - 📐 Distribusi & Korelasi (Pearson, Spearman, Cramér's V)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const DEFAULT_PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+const round = (value, decimals = 4) => {
+  if (value === null || !isFinite(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DISTRIBUTION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Kuantil dengan interpolasi linear (sama dengan PERCENTILE.INC di Excel)
+ * @param {number[]} sorted - Angka yang sudah diurutkan naik
+ * @param {number} p - 0..1
+ */
+export function quantile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Skewness sampel (sama dengan SKEW di Excel), butuh minimal 3 angka
+ */
+export function skewness(numbers) {
+  const n = numbers.length;
+  if (n < 3) return null;
+
+  const mean = numbers.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(numbers.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1));
+  if (sd === 0) return 0;
+
+  const sum3 = numbers.reduce((sum, v) => sum + ((v - mean) / sd) ** 3, 0);
+  return (n / ((n - 1) * (n - 2))) * sum3;
+}
+
+/**
+ * Excess kurtosis sampel (sama dengan KURT di Excel; distribusi normal = 0), minimal 4 angka
+ */
+export function kurtosis(numbers) {
+  const n = numbers.length;
+  if (n < 4) return null;
+
+  const mean = numbers.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(numbers.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1));
+  if (sd === 0) return 0;
+
+  const sum4 = numbers.reduce((sum, v) => sum + ((v - mean) / sd) ** 4, 0);
+  return (n * (n + 1) / ((n - 1) * (n - 2) * (n - 3))) * sum4
+    - (3 * (n - 1) ** 2) / ((n - 2) * (n - 3));
+}
+
+/**
+ * Histogram lebar sama; jumlah bin default pakai aturan Sturges (maks 20)
+ * @param {number[]} sorted - Angka yang sudah diurutkan naik
+ */
+export function histogram(sorted, bins = null) {
+  if (sorted.length === 0) return [];
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) return [{ from: min, to: max, count: sorted.length }];
+
+  const binCount = bins ?? Math.min(20, Math.ceil(Math.log2(sorted.length)) + 1);
+  const width = (max - min) / binCount;
+  const result = Array.from({ length: binCount }, (_, i) => ({
+    from: round(min + i * width, 6),
+    to: round(i === binCount - 1 ? max : min + (i + 1) * width, 6),
+    count: 0
+  }));
+
+  for (const value of sorted) {
+    const index = Math.min(binCount - 1, Math.floor((value - min) / width));
+    result[index].count++;
+  }
+
+  return result;
+}
+
+/**
+ * 📊 Ringkasan distribusi satu kolom angka
+ * @returns {{ percentiles, iqr, skewness, kurtosis, histogram }}
+ */
+export function describeDistribution(numbers, { bins = null, percentiles = DEFAULT_PERCENTILES } = {}) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+
+  const points = {};
+  for (const p of percentiles) {
+    points[`p${p}`] = round(quantile(sorted, p / 100));
+  }
+
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+
+  return {
+    percentiles: points,
+    iqr: q1 === null ? null : round(q3 - q1),
+    skewness: round(skewness(sorted)),
+    kurtosis: round(kurtosis(sorted)),
+    histogram: histogram(sorted, bins)
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CORRELATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Koefisien korelasi Pearson (hubungan linear), null jika salah satu konstan
+ */
+export function pearson(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 3) return null;
+
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+  let sumXY = 0;
+  let sumX2 = 0;
+  let sumY2 = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sumXY += dx * dy;
+    sumX2 += dx * dx;
+    sumY2 += dy * dy;
+  }
+
+  if (sumX2 === 0 || sumY2 === 0) return null;
+  return Math.max(-1, Math.min(1, sumXY / Math.sqrt(sumX2 * sumY2)));
+}
+
+/**
+ * Peringkat (1 = terkecil); nilai kembar mendapat rata-rata peringkatnya
+ */
+export function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+    i = j + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Korelasi Spearman (hubungan monoton, tahan outlier) = Pearson dari peringkat
+ */
+export function spearman(xs, ys) {
+  return pearson(rank(xs), rank(ys));
+}
+
+/**
+ * Cramér's V antara dua kolom kategori (0 = tidak berhubungan, 1 = menentukan penuh)
+ * @returns {{ value: number|null, chiSquare: number, n: number }}
+ */
+export function cramersV(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  const table = new Map();
+  const rowTotals = new Map();
+  const colTotals = new Map();
+
+  for (let i = 0; i < n; i++) {
+    const x = String(xs[i]);
+    const y = String(ys[i]);
+    if (!table.has(x)) table.set(x, new Map());
+    table.get(x).set(y, (table.get(x).get(y) || 0) + 1);
+    rowTotals.set(x, (rowTotals.get(x) || 0) + 1);
+    colTotals.set(y, (colTotals.get(y) || 0) + 1);
+  }
+
+  const k = Math.min(rowTotals.size, colTotals.size);
+  if (n === 0 || k < 2) return { value: null, chiSquare: 0, n };
+
+  let chiSquare = 0;
+  for (const [x, rowTotal] of rowTotals) {
+    for (const [y, colTotal] of colTotals) {
+      const expected = (rowTotal * colTotal) / n;
+      const observed = table.get(x).get(y) || 0;
+      chiSquare += (observed - expected) ** 2 / expected;
+    }
+  }
+
+  return {
+    value: Math.min(1, Math.sqrt(chiSquare / (n * (k - 1)))),
+    chiSquare,
+    n
+  };
+}
+
+/**
+ * Label kekuatan hubungan untuk |koefisien|
+ */
+export function correlationStrength(coefficient) {
+  const abs = Math.abs(coefficient ?? 0);
+  if (abs >= 0.8) return 'sangat kuat';
+  if (abs >= 0.6) return 'kuat';
+  if (abs >= 0.4) return 'sedang';
+  if (abs >= 0.2) return 'lemah';
+  return 'sangat lemah';
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// OUTLIERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Metode deteksi outlier + ambang default
+ * iqr: di luar Q1 - k·IQR .. Q3 + k·IQR · zscore: |x - mean| / sd > k ·
+ * mad: modified z-score 0.6745·|x - median| / MAD > k (tahan outlier, Iglewicz & Hoaglin)
+ */
+export const OUTLIER_METHODS = {
+  iqr: { label: 'IQR', threshold: 1.5 },
+  zscore: { label: 'Z-score', threshold: 3 },
+  mad: { label: 'Modified Z-score (MAD)', threshold: 3.5 }
+};
+
+/**
+ * Batas nilai wajar satu kelompok angka
+ * @returns {{ method, threshold, lower, upper, center, spread }|null} null jika sebaran tidak bisa dihitung
+ */
+export function outlierBounds(numbers, method = 'iqr', threshold = null) {
+  if (!OUTLIER_METHODS[method]) {
+    throw new Error(`Metode outlier "${method}" tidak dikenal (pilih: ${Object.keys(OUTLIER_METHODS).join(', ')})`);
+  }
+  if (numbers.length < 3) return null;
+
+  const k = threshold ?? OUTLIER_METHODS[method].threshold;
+  const sorted = [...numbers].sort((a, b) => a - b);
+
+  if (method === 'iqr') {
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+    return { method, threshold: k, lower: q1 - k * iqr, upper: q3 + k * iqr, center: quantile(sorted, 0.5), spread: iqr };
+  }
+
+  if (method === 'zscore') {
+    const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+    const sd = Math.sqrt(sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (sorted.length - 1));
+    if (sd === 0) return null;
+    return { method, threshold: k, lower: mean - k * sd, upper: mean + k * sd, center: mean, spread: sd };
+  }
+
+  // MAD = 0 (lebih dari separuh nilai sama): pakai mean absolute deviation × 1.2533
+  const median = quantile(sorted, 0.5);
+  const deviations = sorted.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+  let scale = quantile(deviations, 0.5) / 0.6745;
+  if (scale === 0) {
+    scale = (deviations.reduce((a, b) => a + b, 0) / deviations.length) * 1.2533;
+  }
+  if (scale === 0) return null;
+  return { method, threshold: k, lower: median - k * scale, upper: median + k * scale, center: median, spread: scale };
+}
+
+/**
+ * Skor outlier satu nilai terhadap batasnya (dalam satuan IQR / sd / MAD dari batas tengah)
+ */
+export function outlierScore(value, bounds) {
+  if (bounds.spread === 0) return value === bounds.center ? 0 : Infinity;
+  if (bounds.method === 'iqr') {
+    const q1 = bounds.lower + bounds.threshold * bounds.spread;
+    const q3 = bounds.upper - bounds.threshold * bounds.spread;
+    if (value < q1) return (q1 - value) / bounds.spread;
+    if (value > q3) return (value - q3) / bounds.spread;
+    return 0;
+  }
+  return Math.abs(value - bounds.center) / bounds.spread;
+}
+
+/**
+ * Correlation ratio η² (0..1): seberapa besar kategori menjelaskan variasi angka
+ */
+export function correlationRatio(numbers, groups) {
+  const n = Math.min(numbers.length, groups.length);
+  if (n < 3) return null;
+
+  const mean = numbers.slice(0, n).reduce((a, b) => a + b, 0) / n;
+  const byGroup = new Map();
+  let total = 0;
+
+  for (let i = 0; i < n; i++) {
+    const key = String(groups[i]);
+    const group = byGroup.get(key) || { sum: 0, count: 0 };
+    group.sum += numbers[i];
+    group.count++;
+    byGroup.set(key, group);
+    total += (numbers[i] - mean) ** 2;
+  }
+
+  if (total === 0) return null;
+
+  let between = 0;
+  for (const group of byGroup.values()) {
+    between += group.count * (group.sum / group.count - mean) ** 2;
+  }
+  return between / total;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// BENFORD
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Batas MAD kesesuaian dengan Hukum Benford (Nigrini) + chi-square kritis α = 0.01 (df 8 / 9)
+ * MAD saja terlalu sensitif untuk data ratusan baris, jadi penyimpangan juga harus signifikan
+ */
+export const BENFORD_CONFORMITY = {
+  first: [0.006, 0.012, 0.015],
+  second: [0.008, 0.010, 0.012],
+  chiSquare: { first: 20.09, second: 21.666 },
+  labels: ['sangat sesuai', 'sesuai', 'agak menyimpang', 'tidak sesuai']
+};
+
+/**
+ * Proporsi harapan digit pertama (1-9) atau kedua (0-9) menurut Hukum Benford
+ * @returns {Array<{ digit: number, expected: number }>}
+ */
+export function benfordExpected(position = 'first') {
+  if (position === 'first') {
+    return Array.from({ length: 9 }, (_, i) => ({ digit: i + 1, expected: Math.log10(1 + 1 / (i + 1)) }));
+  }
+  return Array.from({ length: 10 }, (_, d) => {
+    let expected = 0;
+    for (let k = 1; k <= 9; k++) expected += Math.log10(1 + 1 / (10 * k + d));
+    return { digit: d, expected };
+  });
+}
+
+/**
+ * Uji digit pertama/kedua: chi-square, MAD & z per digit (dengan koreksi kontinuitas)
+ * Hanya nilai |x| ≥ 10 yang dihitung (butuh minimal dua digit signifikan)
+ * @returns {{ position, n, digits, chiSquare, significant, mad, conformity, nonconforming }|null}
+ */
+export function benfordTest(numbers, position = 'first') {
+  const expected = benfordExpected(position);
+  const counts = new Array(10).fill(0);
+  let n = 0;
+
+  for (const number of numbers) {
+    const abs = Math.abs(number);
+    if (!isFinite(abs) || abs < 10) continue;
+    const digits = abs.toExponential(14);
+    counts[Number(position === 'first' ? digits[0] : digits[2])]++;
+    n++;
+  }
+  if (n === 0) return null;
+
+  let chiSquare = 0;
+  let deviation = 0;
+  const digits = expected.map(({ digit, expected: p }) => {
+    const observed = counts[digit] / n;
+    const diff = Math.abs(observed - p) - 1 / (2 * n);
+    chiSquare += (counts[digit] - p * n) ** 2 / (p * n);
+    deviation += Math.abs(observed - p);
+    return {
+      digit,
+      count: counts[digit],
+      observed,
+      expected: p,
+      z: diff > 0 ? diff / Math.sqrt(p * (1 - p) / n) : 0
+    };
+  });
+
+  const mad = deviation / digits.length;
+  const level = BENFORD_CONFORMITY[position].findIndex(limit => mad <= limit);
+  const conformity = level === -1 ? BENFORD_CONFORMITY.labels.length - 1 : level;
+  const significant = chiSquare > BENFORD_CONFORMITY.chiSquare[position];
+
+  return {
+    position,
+    n,
+    digits,
+    chiSquare,
+    significant,
+    mad,
+    conformity: BENFORD_CONFORMITY.labels[conformity],
+    nonconforming: level === -1 && significant
+  };
+}
+
+/**
+ * Peluang binomial P(X ≥ k) untuk n percobaan dengan peluang p
+ */
+export function binomialTail(k, n, p = 0.5) {
+  if (k <= 0) return 1;
+  if (k > n) return 0;
+
+  // pmf(i) dihitung bertahap di skala log agar n besar tidak overflow
+  let logPmf = n * Math.log(1 - p);
+  let tail = 0;
+  for (let i = 0; i <= n; i++) {
+    if (i > 0) logPmf += Math.log((n - i + 1) / i) + Math.log(p / (1 - p));
+    if (i >= k) tail += Math.exp(logPmf);
+  }
+  return Math.min(1, tail);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NORMAL DISTRIBUTION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Kuantil distribusi normal baku (aproksimasi rasional Acklam, galat < 1.2e-9)
+ * normalQuantile(0.975) ≈ 1.96 → nilai z untuk selang kepercayaan 95%
+ */
+export function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low || p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+    const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < low ? z : -z;
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+export default {
+  DEFAULT_PERCENTILES,
+  quantile,
+  skewness,
+  kurtosis,
+  histogram,
+  describeDistribution,
+  pearson,
+  rank,
+  spearman,
+  cramersV,
+  correlationStrength,
+  OUTLIER_METHODS,
+  outlierBounds,
+  outlierScore,
+  correlationRatio,
+  BENFORD_CONFORMITY,
+  benfordExpected,
+  benfordTest,
+  binomialTail,
+  normalQuantile
+};
@@ -0,0 +1,259 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// WILAYAH.JS - 🗺️ Kode Wilayah Kemendagri (provinsi, kab/kota, kecamatan, kelurahan/desa)
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { INDONESIA_PROVINCE_CODES } from './constants.js';
+
+const require = createRequire(import.meta.url);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Dataset offline dari paket idn-area-data (CSV per tingkat, kode bertitik: 32.73.01.1001)
+const DATASET_PACKAGE = 'idn-area-data';
+
+const LEVELS = {
+  province: { file: 'provinces.csv', digits: 2, label: 'provinsi' },
+  regency: { file: 'regencies.csv', digits: 4, label: 'kabupaten/kota' },
+  district: { file: 'districts.csv', digits: 6, label: 'kecamatan' },
+  village: { file: 'villages.csv', digits: 10, label: 'kelurahan/desa' }
+};
+
+// Awalan yang diabaikan saat mencocokkan nama wilayah ("Kota Bandung" = "Kab. Bandung" = "Bandung")
+const NAME_PREFIX = /^(kabupaten administrasi|kota administrasi|kabupaten|kab\.?|kotamadya|kodya|kota adm\.?|kota|provinsi|propinsi|prov\.?|daerah istimewa|dki|di|kecamatan|kec\.?|kelurahan|kel\.?|desa|ds\.?)\s+/;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN REGISTRY CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Data dimuat saat pertama dipakai (kelurahan ±84 ribu baris hanya jika diminta).
+ * Tanpa dataset, hanya kode provinsi (INDONESIA_PROVINCE_CODES) yang bisa dicek
+ */
+export class WilayahRegistry {
+  constructor(options = {}) {
+    this.options = {
+      dir: options.dir ?? null // null = WILAYAH_DATA_DIR atau folder data paket idn-area-data
+    };
+    this.levels = {};
+    this.villagesByDistrict = null;
+    this.names = {};
+    this.available = null;
+    this.warned = false;
+  }
+
+  /**
+   * Dataset wilayah tersedia (paket terpasang / folder WILAYAH_DATA_DIR ada)
+   */
+  isAvailable() {
+    if (this.available === null) {
+      const dir = this.dataDir();
+      this.available = dir !== null && fs.existsSync(path.join(dir, LEVELS.district.file));
+    }
+    return this.available;
+  }
+
+  /**
+   * 🗺️ Kode 2/4/6/10 digit (boleh bertitik) → nama tiap tingkat
+   * missing = tingkat pertama yang kodenya tidak terdaftar; null jika dataset tidak tersedia
+   */
+  resolve(code) {
+    if (!this.isAvailable()) {
+      this.warnUnavailable();
+      return null;
+    }
+
+    const digits = String(code ?? '').replace(/\D/g, '');
+    const region = { code: digits, missing: null, missingCode: null };
+
+    for (const [level, config] of Object.entries(LEVELS)) {
+      if (digits.length < config.digits) break;
+
+      const levelCode = digits.substring(0, config.digits);
+      const name = this.load(level).get(levelCode);
+      region[`${level}Code`] = levelCode;
+      region[level] = name ?? null;
+
+      if (!name) {
+        region.missing = level;
+        region.missingCode = levelCode;
+        break;
+      }
+    }
+    return region;
+  }
+
+  /**
+   * Pesan error untuk kode yang tidak terdaftar ("Kode kecamatan 32.73.99 ...")
+   */
+  describeMissing(region) {
+    const config = LEVELS[region.missing];
+    return `Kode ${config.label} ${this.formatCode(region.missingCode)} tidak terdaftar di data wilayah Kemendagri`;
+  }
+
+  /**
+   * Kelurahan/desa dalam satu kecamatan
+   */
+  villagesOf(districtCode) {
+    this.load('village');
+    const codes = this.villagesByDistrict.get(String(districtCode).replace(/\D/g, '')) ?? [];
+    return codes.map(code => ({ code, name: this.levels.village.get(code) }));
+  }
+
+  /**
+   * 🏠 Cocokkan alamat dengan wilayah kode (mis. 6 digit pertama NIK)
+   * Bagian alamat dipisah koma; nama kab/kota atau provinsi yang disebut harus cocok dengan kode.
+   * @returns {{ status: 'match'|'mismatch'|'unknown', region, mentioned: string[] }}
+   */
+  matchAddress(address, code) {
+    const region = this.resolve(code);
+    if (!region || region.missing || !region.regencyCode) {
+      return { status: 'unknown', region, mentioned: [] };
+    }
+
+    const regencies = this.nameIndex('regency');
+    const provinces = this.nameIndex('province');
+    const mentions = { regency: [], province: [] };
+
+    for (const part of String(address ?? '').split(/[,;\n]/)) {
+      const name = this.normalizeName(part.replace(/\b\d{5}\b/g, ''));
+      if (!name) continue;
+      if (regencies.has(name)) mentions.regency.push(regencies.get(name));
+      else if (provinces.has(name)) mentions.province.push(provinces.get(name));
+    }
+
+    // Kab/kota lebih spesifik daripada provinsi; "Bandung" = Kab. Bandung atau Kota Bandung
+    const named = mentions.regency.length > 0 ? mentions.regency : mentions.province;
+    if (named.length === 0) {
+      return { status: 'unknown', region, mentioned: [] };
+    }
+
+    const matches = named.some(entry => entry.codes.some(candidate => region.code.startsWith(candidate)));
+    return {
+      status: matches ? 'match' : 'mismatch',
+      region,
+      mentioned: named.map(entry => entry.names.join(' / '))
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Nama untuk dicocokkan: huruf kecil, tanpa awalan Kab./Kota/Kec./Kel.
+   */
+  normalizeName(name) {
+    return String(name ?? '')
+      .toLowerCase()
+      .replace(/[^a-z0-9.\s'-]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(NAME_PREFIX, '')
+      .trim();
+  }
+
+  formatCode(code) {
+    const digits = String(code);
+    return [digits.substring(0, 2), digits.substring(2, 4), digits.substring(4, 6), digits.substring(6)]
+      .filter(Boolean)
+      .join('.');
+  }
+
+  /**
+   * 🔎 Cari wilayah dari nama ("Kota Bandung", "Kec. Coblong", "jawa barat")
+   * @returns {{ names: string[], codes: string[] } | null} Semua wilayah bernama sama di tingkat itu
+   */
+  findByName(level, name) {
+    if (!this.isAvailable()) return null;
+    return this.nameIndex(level).get(this.normalizeName(name)) ?? null;
+  }
+
+  /**
+   * Indeks nama per tingkat (tanpa awalan) → kode, untuk cek & pemecahan alamat
+   */
+  nameIndex(level) {
+    if (this.names[level]) return this.names[level];
+
+    const map = new Map();
+    for (const [code, name] of this.load(level)) {
+      const key = this.normalizeName(name);
+      const entry = map.get(key) ?? { names: [], codes: [] };
+      entry.names.push(name);
+      entry.codes.push(code);
+      map.set(key, entry);
+    }
+
+    this.names[level] = map;
+    return map;
+  }
+
+  /**
+   * Muat satu tingkat wilayah: kode tanpa titik → nama (Title Case)
+   */
+  load(level) {
+    if (this.levels[level]) return this.levels[level];
+
+    const map = new Map();
+    const byDistrict = level === 'village' ? new Map() : null;
+    const content = fs.readFileSync(path.join(this.dataDir(), LEVELS[level].file), 'utf-8');
+
+    for (const line of content.split(/\r?\n/).slice(1)) {
+      if (!line.trim()) continue;
+      const fields = line.split(',');
+      const code = fields[0].replace(/\./g, '');
+      map.set(code, this.titleCase(fields[fields.length - 1]));
+
+      if (byDistrict) {
+        const district = code.substring(0, 6);
+        if (!byDistrict.has(district)) byDistrict.set(district, []);
+        byDistrict.get(district).push(code);
+      }
+    }
+
+    this.levels[level] = map;
+    if (byDistrict) this.villagesByDistrict = byDistrict;
+    return map;
+  }
+
+  titleCase(name) {
+    const text = name.trim();
+    // Dataset campuran: "KOTA BANDUNG" vs "Coblong"
+    if (text !== text.toUpperCase()) return text;
+    return text.toLowerCase().replace(/(^|[\s(/-])\S/g, (match) => match.toUpperCase())
+      .replace(/\bDki\b/, 'DKI');
+  }
+
+  /**
+   * Lokasi dataset (env dibaca saat dipakai, setelah dotenv.config())
+   */
+  dataDir() {
+    if (this.options.dir) return this.options.dir;
+    if (process.env.WILAYAH_DATA_DIR) return process.env.WILAYAH_DATA_DIR;
+
+    try {
+      return path.join(path.dirname(require.resolve(`${DATASET_PACKAGE}/package.json`)), 'data');
+    } catch {
+      return null;
+    }
+  }
+
+  warnUnavailable() {
+    if (this.warned) return;
+    this.warned = true;
+    console.warn(`Data wilayah (${DATASET_PACKAGE}) tidak ditemukan: validasi NIK hanya sampai kode provinsi (${Object.keys(INDONESIA_PROVINCE_CODES).length} provinsi)`);
+  }
+}
+
+// Create singleton
+export const wilayahRegistry = new WilayahRegistry();
+
+export default {
+  WilayahRegistry,
+  wilayahRegistry
+};
@@ -0,0 +1,238 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// YAML.JS - Parser YAML sederhana untuk file aturan/konfigurasi
+// Excel Intelligence Bot - 2025 Edition
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Subset yang didukung: map & list bertingkat (indentasi spasi), list/map inline
+// ([a, b] / {a: 1}), skalar (string berkutip, angka, boolean, null) & komentar #.
+// Anchor, tag, multi-dokumen & block scalar (| >) tidak didukung.
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse teks YAML → object/array/skalar
+ * @throws {Error} Jika struktur tidak bisa dibaca
+ */
+export function parseYAML(text) {
+  const lines = tokenize(String(text));
+  if (lines.length === 0) return null;
+
+  const [value, next] = parseBlock(lines, 0, lines[0].indent);
+  if (next < lines.length) {
+    throw new Error(`YAML tidak valid di baris ${lines[next].lineNumber}: indentasi tidak sesuai`);
+  }
+  return value;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// BLOCK PARSING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Pecah teks menjadi baris bermakna { indent, text, lineNumber } (komentar & baris kosong dibuang)
+ */
+function tokenize(text) {
+  const lines = [];
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    if (/^\t/.test(raw)) {
+      throw new Error(`YAML tidak valid di baris ${index + 1}: gunakan spasi, bukan tab`);
+    }
+    const content = stripComment(raw).trimEnd();
+    if (!content.trim() || content.trim() === '---') return;
+
+    lines.push({
+      indent: content.length - content.trimStart().length,
+      text: content.trim(),
+      lineNumber: index + 1
+    });
+  });
+
+  return lines;
+}
+
+/**
+ * Buang komentar "# ..." yang tidak berada di dalam string berkutip
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+const isListItem = (line) => line.text === '-' || line.text.startsWith('- ');
+
+function parseBlock(lines, index, indent) {
+  return isListItem(lines[index])
+    ? parseList(lines, index, indent)
+    : parseMap(lines, index, indent);
+}
+
+/**
+ * List "- item"; item berupa skalar, blok bertingkat, atau map yang dimulai di baris yang sama
+ */
+function parseList(lines, index, indent) {
+  const result = [];
+
+  while (index < lines.length && lines[index].indent === indent && isListItem(lines[index])) {
+    const line = lines[index];
+    const rest = line.text.slice(1).trimStart();
+
+    if (!rest) {
+      const child = lines[index + 1];
+      if (child && child.indent > indent) {
+        const [value, next] = parseBlock(lines, index + 1, child.indent);
+        result.push(value);
+        index = next;
+      } else {
+        result.push(null);
+        index++;
+      }
+      continue;
+    }
+
+    if (splitKeyValue(rest)) {
+      // "- key: value" → map dengan indentasi setara posisi key
+      const column = indent + (line.text.length - rest.length);
+      lines[index] = { ...line, indent: column, text: rest };
+      const [value, next] = parseMap(lines, index, column);
+      result.push(value);
+      index = next;
+      continue;
+    }
+
+    result.push(parseScalar(rest));
+    index++;
+  }
+
+  return [result, index];
+}
+
+/**
+ * Map "key: value"; value kosong berarti blok bertingkat di baris berikutnya
+ */
+function parseMap(lines, index, indent) {
+  const result = {};
+
+  while (index < lines.length && lines[index].indent === indent && !isListItem(lines[index])) {
+    const line = lines[index];
+    const entry = splitKeyValue(line.text);
+    if (!entry) {
+      throw new Error(`YAML tidak valid di baris ${line.lineNumber}: "${line.text}" bukan pasangan key: value`);
+    }
+
+    const { key, value } = entry;
+    index++;
+
+    if (value !== '') {
+      result[key] = parseScalar(value);
+      continue;
+    }
+
+    const child = lines[index];
+    if (child && (child.indent > indent || (child.indent === indent && isListItem(child)))) {
+      const [nested, next] = parseBlock(lines, index, child.indent);
+      result[key] = nested;
+      index = next;
+    } else {
+      result[key] = null;
+    }
+  }
+
+  if (index < lines.length && lines[index].indent > indent) {
+    throw new Error(`YAML tidak valid di baris ${lines[index].lineNumber}: indentasi tidak sesuai`);
+  }
+
+  return [result, index];
+}
+
+/**
+ * "key: value" → { key, value }; null jika bukan pasangan key-value
+ */
+function splitKeyValue(text) {
+  const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^'"{[][^:]*?)\s*:(?:\s+(.*)|$)/);
+  if (!match) return null;
+
+  const key = parseScalar(match[1]);
+  return { key: String(key), value: (match[2] ?? '').trim() };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SCALARS & FLOW COLLECTIONS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Skalar YAML: string berkutip, [list], {map}, angka, boolean, null, atau teks biasa
+ */
+function parseScalar(text) {
+  const value = text.trim();
+
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    return JSON.parse(value);
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitFlow(value.slice(1, -1)).map(parseScalar);
+  }
+  if (value.startsWith('{') && value.endsWith('}')) {
+    return Object.fromEntries(splitFlow(value.slice(1, -1)).map(item => {
+      const entry = splitKeyValue(item);
+      if (!entry) throw new Error(`YAML tidak valid: "${item}" bukan pasangan key: value`);
+      return [entry.key, parseScalar(entry.value)];
+    }));
+  }
+
+  if (/^(null|~)?$/i.test(value)) return null;
+  if (/^true$/i.test(value)) return true;
+  if (/^false$/i.test(value)) return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+
+  return value;
+}
+
+/**
+ * Pisahkan isi [..] / {..} berdasarkan koma di level teratas
+ */
+function splitFlow(text) {
+  const items = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+export default {
+  parseYAML
+};
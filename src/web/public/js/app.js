@@ -10,7 +10,9 @@
 const state = {
   selectedFile: null,
   currentAction: 'analyze',
-  isProcessing: false
+  isProcessing: false,
+  maxUploadSize: 10 * 1024 * 1024, // Diperbarui dari /api/health
+  supportedFormats: ['.xlsx', '.xls', '.ods', '.csv', '.tsv', '.json', '.ndjson', '.jsonl', '.xml', '.html', '.htm']
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -30,6 +32,10 @@ const elements = {
   createBtn: document.getElementById('createBtn'),
   rowCount: document.getElementById('rowCount'),
   stylePreset: document.getElementById('stylePreset'),
+  qualityProfile: document.getElementById('qualityProfile'),
+  datasetName: document.getElementById('datasetName'),
+  samplingMethod: document.getElementById('samplingMethod'),
+  stratifyBy: document.getElementById('stratifyBy'),
   toastContainer: document.getElementById('toastContainer')
 };
 
@@ -38,13 +44,40 @@ const elements = {
 // ─────────────────────────────────────────────────────────────────────────────
 
 document.addEventListener('DOMContentLoaded', () => {
+  initLimits();
   initUpload();
   initActionRadios();
+  initSampling();
   initTemplates();
   initCreate();
   initCloseResults();
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// UPLOAD LIMITS
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function initLimits() {
+  try {
+    const response = await fetch('/api/health');
+    const data = await response.json();
+
+    if (data.limits?.supportedFormats) {
+      state.supportedFormats = data.limits.supportedFormats;
+    }
+
+    if (data.limits?.maxUploadSize) {
+      state.maxUploadSize = data.limits.maxUploadSize;
+      const formats = document.querySelector('#uploadArea .upload-formats');
+      if (formats) {
+        formats.textContent = `Mendukung: ${state.supportedFormats.join(', ')} (Max ${formatFileSize(state.maxUploadSize)})`;
+      }
+    }
+  } catch (error) {
+    console.error('Failed to load upload limits:', error);
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // UPLOAD HANDLING
 // ─────────────────────────────────────────────────────────────────────────────
@@ -93,7 +126,7 @@ function handleFileSelect(file) {
     'application/json'
   ];
 
-  const allowedExtensions = ['.xlsx', '.xls', '.csv', '.json'];
+  const allowedExtensions = state.supportedFormats;
   const ext = '.' + file.name.split('.').pop().toLowerCase();
 
   if (!allowedExtensions.includes(ext)) {
@@ -101,8 +134,8 @@ function handleFileSelect(file) {
     return;
   }
 
-  if (file.size > 10 * 1024 * 1024) {
-    showToast('File terlalu besar. Maksimum 10MB', 'error');
+  if (file.size > state.maxUploadSize) {
+    showToast(`File terlalu besar. Maksimum ${formatFileSize(state.maxUploadSize)}`, 'error');
     return;
   }
 
@@ -112,7 +145,7 @@ function handleFileSelect(file) {
   // Update upload area
   elements.uploadArea.innerHTML = `
     <div class="upload-icon">✅</div>
-    <h3>${file.name}</h3>
+    <h3>${escapeHtml(file.name)}</h3>
     <p>${formatFileSize(file.size)}</p>
     <p class="upload-formats">Klik untuk ganti file</p>
   `;
@@ -128,6 +161,9 @@ function initActionRadios() {
   const radios = document.querySelectorAll('input[name="action"]');
   const convertOptions = document.getElementById('convertOptions');
   const styleOptions = document.getElementById('styleOptions');
+  const profileOptions = document.getElementById('profileOptions');
+  const datasetOptions = document.getElementById('datasetOptions');
+  const samplingOptions = document.getElementById('samplingOptions');
 
   radios.forEach(radio => {
     radio.addEventListener('change', (e) => {
@@ -136,10 +172,41 @@ function initActionRadios() {
       // Show/hide relevant options
       convertOptions.style.display = e.target.value === 'convert' ? 'block' : 'none';
       styleOptions.style.display = ['format', 'clean', 'report'].includes(e.target.value) ? 'block' : 'none';
+      profileOptions.style.display = ['analyze', 'report'].includes(e.target.value) ? 'block' : 'none';
+      datasetOptions.style.display = e.target.value === 'analyze' ? 'block' : 'none';
+      samplingOptions.style.display = ['analyze', 'report'].includes(e.target.value) ? 'block' : 'none';
     });
   });
 }
 
+/**
+ * Sampel berstrata baru bisa dipilih setelah kolom strata diisi
+ */
+function initSampling() {
+  const { samplingMethod, stratifyBy } = elements;
+  const stratified = samplingMethod.querySelector('option[value="stratified"]');
+
+  const update = () => {
+    stratified.disabled = !stratifyBy.value.trim();
+    if (stratified.disabled && samplingMethod.value === 'stratified') {
+      samplingMethod.value = 'reservoir';
+    }
+  };
+
+  stratifyBy.addEventListener('input', update);
+  update();
+}
+
+/**
+ * Cara sampling untuk file besar (stratifyBy hanya dikirim untuk sampel berstrata)
+ */
+function appendSamplingOptions(formData) {
+  formData.append('samplingMethod', elements.samplingMethod.value);
+  if (elements.samplingMethod.value === 'stratified' && elements.stratifyBy.value.trim()) {
+    formData.append('stratifyBy', elements.stratifyBy.value.trim());
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // PROCESS FILE
 // ─────────────────────────────────────────────────────────────────────────────
@@ -162,6 +229,11 @@ async function processFile() {
       case 'analyze':
         endpoint = '/api/analyze';
         formData.append('deepAnalysis', 'true');
+        formData.append('qualityProfile', elements.qualityProfile.value);
+        appendSamplingOptions(formData);
+        if (elements.datasetName.value.trim()) {
+          formData.append('dataset', elements.datasetName.value.trim());
+        }
         break;
       case 'clean':
         endpoint = '/api/clean';
@@ -177,6 +249,8 @@ async function processFile() {
       case 'report':
         endpoint = '/api/report';
         formData.append('language', 'id');
+        formData.append('qualityProfile', elements.qualityProfile.value);
+        appendSamplingOptions(formData);
         isDownload = true;
         break;
       case 'convert':
@@ -190,6 +264,7 @@ async function processFile() {
 
     const response = await fetch(endpoint, {
       method: 'POST',
+      headers: endpoint === '/api/analyze' ? historyHeaders() : {},
       body: formData
     });
 
@@ -231,7 +306,7 @@ async function processFile() {
 // ─────────────────────────────────────────────────────────────────────────────
 
 function displayAnalysisResults(data) {
-  const { analysis, filename, fileSize, processingTime } = data;
+  const { analysis, filename, fileSize, processingTime, history } = data;
   const { qualityScore, summary, issues, suggestions } = analysis;
 
   // Determine score class
@@ -263,6 +338,8 @@ function displayAnalysisResults(data) {
     <div class="score-display">
       <div class="score-value ${scoreClass}">${qualityScore.overall}%</div>
       <div class="score-grade">Grade: ${qualityScore.grade} - ${qualityScore.gradeLabel}</div>
+      ${qualityScore.profile ? `<div class="score-grade">🎚️ Profil: ${escapeHtml(qualityScore.profile.name)}</div>` : ''}
+      ${summary.sampling ? `<div class="sampling-note">🎲 ${escapeHtml(summary.sampling.note)}${formatSamplingEstimates(summary.sampling.estimates)}</div>` : ''}
       
       <div class="score-bars">
         <div class="score-bar">
@@ -296,13 +373,15 @@ function displayAnalysisResults(data) {
       </div>
     </div>
 
+    ${history ? '<div class="history-chart" id="historyChart"></div>' : ''}
+
     ${issues.total > 0 ? `
       <div style="margin-top: var(--spacing-lg);">
         <h4>⚠️ Masalah Ditemukan (${issues.total})</h4>
         <div style="margin-top: var(--spacing-md); display: flex; gap: var(--spacing-md); flex-wrap: wrap;">
-          ${issues.bySeverity.error?.length ? `<span style="color: var(--error);">❌ ${issues.bySeverity.error.length} Error</span>` : ''}
-          ${issues.bySeverity.warning?.length ? `<span style="color: var(--warning);">⚠️ ${issues.bySeverity.warning.length} Warning</span>` : ''}
-          ${issues.bySeverity.info?.length ? `<span style="color: var(--info);">ℹ️ ${issues.bySeverity.info.length} Info</span>` : ''}
+          ${issues.counts.bySeverity.error ? `<span style="color: var(--error);">❌ ${issues.counts.bySeverity.error} Error</span>` : ''}
+          ${issues.counts.bySeverity.warning ? `<span style="color: var(--warning);">⚠️ ${issues.counts.bySeverity.warning} Warning</span>` : ''}
+          ${issues.counts.bySeverity.info ? `<span style="color: var(--info);">ℹ️ ${issues.counts.bySeverity.info} Info</span>` : ''}
         </div>
       </div>
     ` : '<p style="color: var(--success); margin-top: var(--spacing-lg);">✅ Tidak ada masalah ditemukan!</p>'}
@@ -314,7 +393,7 @@ function displayAnalysisResults(data) {
           ${suggestions.slice(0, 5).map(s => `
             <li style="padding: var(--spacing-sm) 0; color: var(--text-secondary);">
               <span style="color: ${s.priority === 'high' ? 'var(--error)' : s.priority === 'medium' ? 'var(--warning)' : 'var(--info)'}">●</span>
-              ${s.message}
+              ${escapeHtml(s.message)}
             </li>
           `).join('')}
         </ul>
@@ -334,6 +413,10 @@ function displayAnalysisResults(data) {
   elements.resultsContent.innerHTML = html;
   elements.results.style.display = 'block';
   elements.results.scrollIntoView({ behavior: 'smooth' });
+
+  if (history) {
+    loadHistoryChart(history.dataset);
+  }
 }
 
 async function downloadReport() {
@@ -342,6 +425,8 @@ async function downloadReport() {
   const formData = new FormData();
   formData.append('file', state.selectedFile);
   formData.append('language', 'id');
+  formData.append('qualityProfile', elements.qualityProfile.value);
+  appendSamplingOptions(formData);
 
   try {
     showToast('Generating report...', 'info');
@@ -391,6 +476,95 @@ async function cleanFile() {
   }
 }
 
+/**
+ * Perkiraan issue & kelengkapan seluruh file (kosong jika sampel bukan acak)
+ */
+function formatSamplingEstimates(estimates) {
+  if (!estimates) return '';
+  const { totalIssues, completeness } = estimates;
+  const confidence = Math.round(estimates.confidence * 100);
+  return `<br><strong>Perkiraan issue:</strong> ~${totalIssues.estimate.toLocaleString()} ` +
+    `(${totalIssues.lower.toLocaleString()}–${totalIssues.upper.toLocaleString()}, ${confidence}%) · ` +
+    `<strong>Kelengkapan:</strong> ${completeness.overall.estimate}% ± ${completeness.overall.margin}%`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// QUALITY HISTORY CHART
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Key riwayat per browser: server memisahkan riwayat dataset per X-API-Key
+ */
+function historyHeaders() {
+  let key = localStorage.getItem('historyKey');
+  if (!key) {
+    key = crypto.randomUUID();
+    localStorage.setItem('historyKey', key);
+  }
+  return { 'X-API-Key': key };
+}
+
+async function loadHistoryChart(datasetId) {
+  const container = document.getElementById('historyChart');
+  if (!container) return;
+
+  try {
+    const response = await fetch(`/api/datasets/${encodeURIComponent(datasetId)}/history?limit=30`, {
+      headers: historyHeaders()
+    });
+    if (!response.ok) throw new Error('Riwayat tidak tersedia');
+    renderHistoryChart(container, await response.json());
+  } catch (error) {
+    console.error('History error:', error);
+    container.remove();
+  }
+}
+
+/**
+ * Grafik garis skor per analisis (SVG, skala 0-100)
+ */
+function renderHistoryChart(container, history) {
+  const { trend, entries } = history;
+  const width = 600;
+  const height = 160;
+  const pad = { top: 10, right: 10, bottom: 20, left: 30 };
+  const innerWidth = width - pad.left - pad.right;
+  const innerHeight = height - pad.top - pad.bottom;
+
+  const x = (i) => pad.left + (entries.length > 1 ? (i / (entries.length - 1)) * innerWidth : innerWidth / 2);
+  const y = (score) => pad.top + (1 - score / 100) * innerHeight;
+  const points = entries.map((entry, i) => `${x(i).toFixed(1)},${y(entry.score).toFixed(1)}`);
+
+  const grid = [0, 25, 50, 75, 100].map(value => `
+    <line class="history-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}"></line>
+    <text class="history-axis" x="${pad.left - 6}" y="${y(value) + 3}" text-anchor="end">${value}</text>
+  `).join('');
+
+  const dots = entries.map((entry, i) => `
+    <circle class="history-point" cx="${x(i)}" cy="${y(entry.score)}" r="3">
+      <title>${new Date(entry.at).toLocaleString('id-ID')} · ${entry.score}% (${entry.grade}) · ${entry.rows.toLocaleString()} baris</title>
+    </circle>
+  `).join('');
+
+  const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+  const arrows = { naik: '📈', turun: '📉', stabil: '➡️', baru: '🆕' };
+  const meta = [`${arrows[trend.direction]} ${history.totalEntries}x dianalisis`];
+  if (trend.scoreChange !== null) meta.push(`Skor ${signed(trend.scoreChange)} poin`);
+  if (trend.rowChange !== null) meta.push(`Baris ${signed(trend.rowChange)}`);
+  if (trend.newIssueTypes.length > 0) meta.push(`🆕 ${trend.newIssueTypes.map(i => i.type).join(', ')}`);
+  if (trend.resolvedIssueTypes.length > 0) meta.push(`✅ ${trend.resolvedIssueTypes.map(i => i.type).join(', ')}`);
+
+  container.innerHTML = `
+    <h4>📈 Riwayat Skor: ${escapeHtml(history.name)}</h4>
+    <div class="history-meta">${meta.map(item => `<span>${item}</span>`).join('')}</div>
+    <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+      ${grid}
+      <polyline class="history-line" points="${points.join(' ')}"></polyline>
+      ${dots}
+    </svg>
+  `;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // TEMPLATES
 // ─────────────────────────────────────────────────────────────────────────────
@@ -508,6 +682,18 @@ function initCloseResults() {
   elements.closeResults.addEventListener('click', hideResults);
 }
 
+/**
+ * Teks dari user/file (nama dataset, nama file, kolom) sebelum masuk innerHTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function formatFileSize(bytes) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
@@ -540,7 +726,7 @@ function showToast(message, type = 'info') {
   
   toast.innerHTML = `
     <span>${icons[type] || 'ℹ️'}</span>
-    <span>${message}</span>
+    <span>${escapeHtml(message)}</span>
   `;
   
   elements.toastContainer.appendChild(toast);
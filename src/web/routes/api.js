@@ -9,18 +9,29 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { createHash } from 'crypto';
 
 // Engine imports
 import { fileParser } from '../../utils/fileParser.js';
 import { DataAnalyzer } from '../../engine/analyzer.js';
-import { DataCleaner } from '../../engine/cleaner.js';
+import { DataCleaner, SURVIVORSHIP_RULES } from '../../engine/cleaner.js';
 import { DataConverter } from '../../engine/converter.js';
 import { ExcelFormatter } from '../../engine/formatter.js';
 import { ReportGenerator } from '../../engine/reporter.js';
+import { dataValidator } from '../../engine/validator.js';
+import { SchemaGenerator, SCHEMA_FORMATS } from '../../engine/schema.js';
+import { DriftDetector } from '../../engine/drift.js';
+import { DataComparer } from '../../engine/comparer.js';
+import { forensicAnalyzer } from '../../engine/forensic.js';
+import { qualityProfiles } from '../../engine/profiles.js';
+import { qualityHistory } from '../../engine/history.js';
+import { SAMPLING_METHODS } from '../../engine/sampler.js';
 import { TemplateEngine, getTemplateList } from '../../engine/generators/templateEngine.js';
 import { smartCreate } from '../../engine/generators/index.js';
 import { BOT_CONFIG } from '../../utils/constants.js';
+import { resultCache } from '../../utils/cache.js';
 import { formatFileSize, generateId } from '../../utils/helpers.js';
+import { OUTLIER_METHODS } from '../../utils/statistics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -47,7 +58,7 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-  const allowedExtensions = ['.xlsx', '.xls', '.csv', '.json'];
+  const allowedExtensions = BOT_CONFIG.SUPPORTED_EXTENSIONS;
   const ext = path.extname(file.originalname).toLowerCase();
   
   if (allowedExtensions.includes(ext)) {
@@ -61,10 +72,298 @@ const upload = multer({
   storage,
   fileFilter,
   limits: {
-    fileSize: BOT_CONFIG.MAX_FILE_SIZE
+    fileSize: BOT_CONFIG.MAX_UPLOAD_SIZE
   }
 });
 
+/**
+ * File di atas batas parse in-memory diproses streaming (jika formatnya mendukung)
+ */
+const shouldStream = (file) =>
+  file.size > BOT_CONFIG.MAX_FILE_SIZE && fileParser.canStream(file.originalname);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// REQUEST OPTIONS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Opsi request tidak valid: dijawab 400, bukan 500
+ */
+class OptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OptionError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Parser opsi milik engine (batas approval, hari libur, profil) → error-nya jadi OptionError
+ */
+const parseOption = (parse) => {
+  try {
+    return parse();
+  } catch (error) {
+    throw new OptionError(error.message);
+  }
+};
+
+const errorStatus = (error) => (error instanceof OptionError ? error.status : 500);
+
+/**
+ * Opsi format angka dari body: numberLocale ('id' / 'en') & columnLocales (JSON { kolom: locale })
+ */
+const numberOptions = (body) => {
+  const locales = ['id', 'en'];
+  const options = {};
+
+  if (body.numberLocale) {
+    if (!locales.includes(body.numberLocale)) {
+      throw new OptionError(`numberLocale harus salah satu: ${locales.join(', ')}`);
+    }
+    options.numberLocale = body.numberLocale;
+  }
+
+  if (body.columnLocales) {
+    let columnLocales = body.columnLocales;
+    if (typeof columnLocales === 'string') {
+      try {
+        columnLocales = JSON.parse(columnLocales);
+      } catch {
+        throw new OptionError('columnLocales harus JSON, contoh: {"Harga":"id","Amount":"en"}');
+      }
+    }
+    if (!columnLocales || typeof columnLocales !== 'object' || Array.isArray(columnLocales)) {
+      throw new OptionError('columnLocales harus object { kolom: locale }, contoh: {"Harga":"id","Amount":"en"}');
+    }
+    const invalid = Object.entries(columnLocales).filter(([, locale]) => !locales.includes(locale));
+    if (invalid.length > 0) {
+      throw new OptionError(`columnLocales "${invalid[0][0]}": locale harus salah satu: ${locales.join(', ')}`);
+    }
+    options.columnLocales = columnLocales;
+  }
+
+  return options;
+};
+
+/**
+ * Opsi duplikat mirip dari body: duplicateColumns ("Nama,Telepon"), duplicateThreshold (0..1),
+ * survivorship & survivorshipDateColumn (khusus /clean)
+ */
+const duplicateOptions = (body) => {
+  const options = {};
+
+  if (body.duplicateColumns) {
+    options.duplicateColumns = body.duplicateColumns;
+  }
+
+  if (body.duplicateThreshold !== undefined) {
+    const threshold = parseFloat(body.duplicateThreshold);
+    if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+      throw new OptionError('duplicateThreshold harus angka antara 0 dan 1, contoh: 0.85');
+    }
+    options.duplicateThreshold = threshold;
+  }
+
+  if (body.survivorship) {
+    if (!SURVIVORSHIP_RULES.includes(body.survivorship)) {
+      throw new OptionError(`survivorship harus salah satu: ${SURVIVORSHIP_RULES.join(', ')}`);
+    }
+    options.survivorship = body.survivorship;
+  }
+
+  if (body.survivorshipDateColumn) {
+    options.survivorshipDateColumn = body.survivorshipDateColumn;
+  }
+
+  return options;
+};
+
+/**
+ * Opsi outlier dari body: outlierMethod ('iqr' / 'zscore' / 'mad'), outlierThreshold,
+ * outlierGroupBy ('auto' / 'Jabatan' / 'Gaji:Jabatan,Harga:Produk') & multivariateOutliers
+ */
+const outlierOptions = (body) => {
+  const options = {};
+
+  if (body.outlierMethod) {
+    if (!OUTLIER_METHODS[body.outlierMethod]) {
+      throw new OptionError(`outlierMethod harus salah satu: ${Object.keys(OUTLIER_METHODS).join(', ')}`);
+    }
+    options.outlierMethod = body.outlierMethod;
+  }
+
+  if (body.outlierThreshold !== undefined) {
+    const threshold = parseFloat(body.outlierThreshold);
+    if (isNaN(threshold) || threshold <= 0) {
+      throw new OptionError('outlierThreshold harus angka positif, contoh: 3');
+    }
+    options.outlierThreshold = threshold;
+  }
+
+  if (body.outlierGroupBy) {
+    options.outlierGroupBy = body.outlierGroupBy;
+  }
+
+  if (body.multivariateOutliers !== undefined) {
+    options.multivariateOutliers = body.multivariateOutliers === 'true';
+  }
+
+  return options;
+};
+
+/**
+ * Opsi mode forensik dari body: forensicMode, approvalLimits ("5jt,10jt"),
+ * holidays ("2026-03-20,2026-03-23" atau JSON {"2026-03-20":"Cuti Bersama"}) & invoiceColumn
+ */
+const forensicOptions = (body) => {
+  const options = {};
+
+  if (body.forensicMode !== undefined) {
+    options.forensicMode = body.forensicMode === 'true';
+  }
+
+  if (body.approvalLimits) {
+    options.approvalLimits = parseOption(() => forensicAnalyzer.parseLimits(body.approvalLimits));
+  }
+
+  if (body.holidays) {
+    let holidays = body.holidays;
+    if (holidays.trim().startsWith('{')) {
+      try {
+        holidays = JSON.parse(holidays);
+      } catch {
+        throw new OptionError('holidays harus daftar tanggal atau JSON, contoh: {"2026-03-20":"Cuti Bersama"}');
+      }
+    }
+    options.holidays = parseOption(() => forensicAnalyzer.parseHolidays(holidays));
+  }
+
+  if (body.invoiceColumn) {
+    options.invoiceColumn = body.invoiceColumn;
+  }
+
+  return options;
+};
+
+/**
+ * Profil skor kualitas dari body: qualityProfile = id ("finance") atau profil custom JSON/YAML
+ */
+const profileOptions = (body) => {
+  if (!body.qualityProfile) return {};
+  return { qualityProfile: parseOption(() => qualityProfiles.resolve(body.qualityProfile)) };
+};
+
+/**
+ * Sampling file besar (> maxRowsAnalyze) dari body: samplingMethod ('reservoir' / 'systematic' /
+ * 'stratified' / 'head'), stratifyBy (kolom strata), samplingSeed & confidenceLevel (0.9 / 0.95 / 0.99)
+ */
+const samplingOptions = (body) => {
+  const options = {};
+
+  if (body.samplingMethod) {
+    if (!SAMPLING_METHODS[body.samplingMethod]) {
+      throw new OptionError(`samplingMethod harus salah satu: ${Object.keys(SAMPLING_METHODS).join(', ')}`);
+    }
+    options.samplingMethod = body.samplingMethod;
+  }
+
+  if (body.stratifyBy?.trim()) {
+    options.stratifyBy = body.stratifyBy.trim();
+    options.samplingMethod = options.samplingMethod ?? 'stratified';
+  }
+
+  // Dicek di depan, bukan hanya saat file melebihi maxRowsAnalyze
+  if (options.samplingMethod === 'stratified' && !options.stratifyBy) {
+    throw new OptionError('samplingMethod=stratified butuh stratifyBy (kolom strata), contoh: "Bulan" atau "Cabang"');
+  }
+
+  if (body.samplingSeed !== undefined && body.samplingSeed !== '') {
+    const seed = parseInt(body.samplingSeed, 10);
+    if (isNaN(seed)) {
+      throw new OptionError('samplingSeed harus bilangan bulat, contoh: 42');
+    }
+    options.samplingSeed = seed;
+  }
+
+  if (body.confidenceLevel !== undefined) {
+    const level = parseFloat(body.confidenceLevel);
+    if (isNaN(level) || level <= 0 || level >= 1) {
+      throw new OptionError('confidenceLevel harus angka antara 0 dan 1, contoh: 0.95');
+    }
+    options.confidenceLevel = level;
+  }
+
+  return options;
+};
+
+/**
+ * Nama kolom yang disebut opsi engine: [{ option, name }]
+ */
+const columnReferences = (options) => {
+  const references = [];
+  const add = (option, names) => {
+    for (const name of names) {
+      if (String(name).trim()) references.push({ option, name: String(name).trim() });
+    }
+  };
+
+  for (const option of ['duplicateColumns', 'addressColumns']) {
+    const value = options[option];
+    if (value) add(option, Array.isArray(value) ? value : String(value).split(','));
+  }
+  for (const option of ['invoiceColumn', 'stratifyBy', 'survivorshipDateColumn']) {
+    if (options[option]) add(option, [options[option]]);
+  }
+  // "Jabatan" atau "Gaji:Jabatan,Harga:Produk"
+  if (options.outlierGroupBy && options.outlierGroupBy !== 'auto') {
+    add('outlierGroupBy', String(options.outlierGroupBy).split(/[,:]/));
+  }
+
+  return references;
+};
+
+/**
+ * Kolom di opsi harus ada di header file (dicek setelah parse, sebelum engine jalan)
+ */
+const checkColumns = (options, headers) => {
+  const known = new Set(headers.map(header => String(header).toLowerCase()));
+  const missing = columnReferences(options).filter(ref => !known.has(ref.name.toLowerCase()));
+  if (missing.length > 0) {
+    throw new OptionError(
+      `Kolom ${missing.map(ref => `"${ref.name}" (${ref.option})`).join(', ')} tidak ditemukan. ` +
+      `Kolom tersedia: ${headers.join(', ')}`
+    );
+  }
+};
+
+/**
+ * Stream baris yang kolom opsinya sudah dicek dari chunk pertama
+ * (sebelum header response terkirim, jadi error masih bisa dijawab 400)
+ */
+const checkedStream = async (chunks, options) => {
+  const iterator = chunks[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  if (!first.done) checkColumns(options, first.value.headers);
+
+  return (async function* () {
+    if (first.done) return;
+    yield first.value;
+    yield* { [Symbol.asyncIterator]: () => iterator };
+  })();
+};
+
+/**
+ * Pemilik riwayat dari header X-API-Key (disimpan sebagai hash, bukan key-nya)
+ * Tanpa key tidak ada riwayat, jadi dataset satu pemanggil tidak terlihat pemanggil lain
+ */
+const historyOwner = (req) => {
+  const key = req.get('X-API-Key')?.trim();
+  return key ? `api:${createHash('sha256').update(key).digest('hex').slice(0, 16)}` : null;
+};
+
+const HISTORY_KEY_REQUIRED = 'Header X-API-Key wajib untuk riwayat dataset (riwayat dipisah per key)';
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ROUTER
 // ─────────────────────────────────────────────────────────────────────────────
@@ -80,7 +379,14 @@ router.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     version: '2.0.0',
-    service: 'Excel Intelligence Bot API'
+    service: 'Excel Intelligence Bot API',
+    limits: {
+      maxFileSize: BOT_CONFIG.MAX_FILE_SIZE,
+      maxUploadSize: BOT_CONFIG.MAX_UPLOAD_SIZE,
+      supportedFormats: BOT_CONFIG.SUPPORTED_EXTENSIONS,
+      streamableFormats: fileParser.streamableFormats
+    },
+    cache: resultCache.stats()
   });
 });
 
@@ -96,24 +402,94 @@ router.post('/analyze', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'File tidak ditemukan' });
     }
 
-    const { deepAnalysis = 'true' } = req.body;
-    
-    // Parse file
-    const parsedData = await fileParser.parse(req.file.path, req.file.originalname);
-    
-    // Analyze
-    const analyzer = new DataAnalyzer({ deepAnalysis: deepAnalysis === 'true' });
-    const result = await analyzer.analyze(parsedData);
+    const { deepAnalysis = 'true', sheet, workbook, fuzzyDuplicates = 'false', dataset, recordHistory = 'false' } = req.body;
+
+    // Riwayat opt-in: nama dataset atau recordHistory=true (nama dari pola nama file)
+    const owner = historyOwner(req);
+    const record = Boolean(dataset?.trim()) || recordHistory === 'true';
+    if (record && !owner) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: HISTORY_KEY_REQUIRED });
+    }
+
+    const options = {
+      deepAnalysis: deepAnalysis === 'true',
+      fuzzyDuplicates: fuzzyDuplicates === 'true',
+      ...duplicateOptions(req.body),
+      ...outlierOptions(req.body),
+      ...forensicOptions(req.body),
+      ...profileOptions(req.body),
+      ...samplingOptions(req.body),
+      ...numberOptions(req.body)
+    };
+    const analyzer = new DataAnalyzer(options);
+    const streamed = shouldStream(req.file);
+
+    let result;
+    let workbookResult = null;
+    let analyzedSheet = sheet ?? null;
+
+    if (streamed) {
+      // File besar dibaca per chunk (satu sheet saja)
+      result = await analyzer.analyzeStream(await checkedStream(
+        fileParser.streamRows(req.file.path, req.file.originalname, { sheetName: sheet }),
+        options
+      ));
+      analyzedSheet = result.summary.sheetName ?? analyzedSheet;
+    } else {
+      const parsedData = await fileParser.parse(req.file.path, req.file.originalname);
+      const sheetName = sheet || parsedData.activeSheet;
+      analyzedSheet = sheetName;
+
+      if (!parsedData.sheets[sheetName]) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          error: `Sheet "${sheetName}" tidak ditemukan`,
+          sheetNames: parsedData.sheetNames
+        });
+      }
+
+      // Mode workbook: default aktif jika file punya lebih dari satu sheet
+      const analyzeWorkbook = workbook !== undefined ? workbook === 'true' : parsedData.totalSheets > 1;
+
+      // Mode workbook: kolom cukup ada di salah satu sheet
+      checkColumns(options, analyzeWorkbook
+        ? [...new Set(Object.values(parsedData.sheets).flatMap(data => data.headers))]
+        : parsedData.sheets[sheetName].headers);
+
+      if (analyzeWorkbook) {
+        const { sheets, ...overview } = await analyzer.analyzeWorkbook(parsedData);
+        result = sheets[sheetName] || await analyzer.analyze(parsedData, sheetName);
+        workbookResult = overview;
+      } else {
+        result = await analyzer.analyze(parsedData, sheetName);
+      }
+    }
 
     // Cleanup temp file
     fs.unlinkSync(req.file.path);
 
+    // Riwayat skor per dataset (nama eksplisit atau pola nama file)
+    let history = null;
+    if (record) {
+      const { entry, ...recorded } = qualityHistory.record(result, {
+        filename: req.file.originalname,
+        dataset,
+        sheet: analyzedSheet,
+        owner
+      });
+      history = recorded;
+    }
+
     res.json({
       success: true,
       filename: req.file.originalname,
       fileSize: formatFileSize(req.file.size),
       processingTime: `${Date.now() - startTime}ms`,
-      analysis: result
+      streamed,
+      analysis: result,
+      workbook: workbookResult,
+      history
     });
 
   } catch (error) {
@@ -123,7 +499,315 @@ router.post('/analyze', upload.single('file'), async (req, res) => {
     }
     
     console.error('API Analyze Error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VALIDATE ENDPOINT
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/validate', upload.single('file'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'File tidak ditemukan' });
+    }
+
+    // "schema" = JSON Schema / Table Schema hasil /api/schema
+    const { sheet } = req.body;
+    const rules = req.body.rules ?? req.body.schema;
+    if (!rules || !String(rules).trim()) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: 'Aturan validasi (rules) atau schema wajib diisi (JSON/YAML)' });
+    }
+
+    // Aturan dicek dulu agar kesalahan penulisan aturan → 400, bukan 500
+    let ruleSet;
+    try {
+      ruleSet = dataValidator.parseRules(String(rules));
+    } catch (error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const analyzer = new DataAnalyzer({ deepAnalysis: false, rules: ruleSet, ...numberOptions(req.body) });
+    const streamed = shouldStream(req.file);
+
+    let result;
+
+    if (streamed) {
+      result = await analyzer.analyzeStream(
+        fileParser.streamRows(req.file.path, req.file.originalname, { sheetName: sheet })
+      );
+    } else {
+      const parsedData = await fileParser.parse(req.file.path, req.file.originalname);
+      const sheetName = sheet || parsedData.activeSheet;
+
+      if (!parsedData.sheets[sheetName]) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          error: `Sheet "${sheetName}" tidak ditemukan`,
+          sheetNames: parsedData.sheetNames
+        });
+      }
+
+      result = await analyzer.analyze(parsedData, sheetName);
+    }
+
+    // Cleanup temp file
+    fs.unlinkSync(req.file.path);
+
+    res.json({
+      success: true,
+      filename: req.file.originalname,
+      fileSize: formatFileSize(req.file.size),
+      processingTime: `${Date.now() - startTime}ms`,
+      streamed,
+      valid: result.validation.valid,
+      validation: result.validation,
+      analysis: result
+    });
+
+  } catch (error) {
+    // Cleanup on error
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    console.error('API Validate Error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SCHEMA ENDPOINT
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/schema', upload.single('file'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'File tidak ditemukan' });
+    }
+
+    const { format = 'json-schema', sheet, title } = req.body;
+    if (!SCHEMA_FORMATS.includes(format)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        error: `Format schema tidak didukung: ${format}`,
+        supportedFormats: SCHEMA_FORMATS
+      });
+    }
+
+    const analyzer = new DataAnalyzer({ deepAnalysis: false, ...numberOptions(req.body) });
+    const streamed = shouldStream(req.file);
+
+    let analysis;
+
+    if (streamed) {
+      analysis = await analyzer.analyzeStream(
+        fileParser.streamRows(req.file.path, req.file.originalname, { sheetName: sheet })
+      );
+    } else {
+      const parsedData = await fileParser.parse(req.file.path, req.file.originalname);
+      const sheetName = sheet || parsedData.activeSheet;
+
+      if (!parsedData.sheets[sheetName]) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          error: `Sheet "${sheetName}" tidak ditemukan`,
+          sheetNames: parsedData.sheetNames
+        });
+      }
+
+      analysis = await analyzer.analyze(parsedData, sheetName);
+    }
+
+    // Cleanup temp file
+    fs.unlinkSync(req.file.path);
+
+    const schema = new SchemaGenerator().generate(analysis, format, {
+      title: title || req.file.originalname.replace(/\.[^/.]+$/, '')
+    });
+
+    res.json({
+      success: true,
+      filename: req.file.originalname,
+      processingTime: `${Date.now() - startTime}ms`,
+      streamed,
+      format,
+      schema
+    });
+
+  } catch (error) {
+    // Cleanup on error
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    console.error('API Schema Error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DRIFT ENDPOINT
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/drift', upload.fields([
+  { name: 'base', maxCount: 1 },
+  { name: 'current', maxCount: 1 }
+]), async (req, res) => {
+  const startTime = Date.now();
+  const files = [...(req.files?.base ?? []), ...(req.files?.current ?? [])];
+
+  try {
+    const base = req.files?.base?.[0];
+    const current = req.files?.current?.[0];
+
+    if (!base || !current) {
+      files.forEach(file => fs.unlinkSync(file.path));
+      return res.status(400).json({ error: 'Dua file wajib diupload: base (file lama) & current (file baru)' });
+    }
+
+    const { baseSheet, currentSheet } = req.body;
+    const detector = new DriftDetector({ analyzerOptions: numberOptions(req.body) });
+    const streamed = shouldStream(base) || shouldStream(current);
+
+    let result;
+
+    if (streamed) {
+      // File besar: bandingkan dari statistik ringkas hasil streaming
+      const analyzeStream = (file, sheetName) => new DataAnalyzer({ ...detector.options.analyzerOptions, deepAnalysis: false })
+        .analyzeStream(fileParser.streamRows(file.path, file.originalname, { sheetName }));
+
+      result = detector.compareAnalyses(
+        await analyzeStream(base, baseSheet),
+        await analyzeStream(current, currentSheet)
+      );
+    } else {
+      const baseData = await fileParser.parse(base.path, base.originalname);
+      const currentData = await fileParser.parse(current.path, current.originalname);
+
+      for (const [data, sheetName] of [[baseData, baseSheet], [currentData, currentSheet]]) {
+        if (sheetName && !data.sheets[sheetName]) {
+          files.forEach(file => fs.unlinkSync(file.path));
+          return res.status(400).json({
+            error: `Sheet "${sheetName}" tidak ditemukan di ${data.metadata.filename}`,
+            sheetNames: data.sheetNames
+          });
+        }
+      }
+
+      result = await detector.detect(baseData, currentData, { baseSheet, currentSheet });
+    }
+
+    // Cleanup temp files
+    files.forEach(file => fs.unlinkSync(file.path));
+
+    res.json({
+      success: true,
+      base: base.originalname,
+      current: current.originalname,
+      processingTime: `${Date.now() - startTime}ms`,
+      streamed,
+      drift: result
+    });
+
+  } catch (error) {
+    // Cleanup on error
+    files.forEach(file => {
+      if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    });
+
+    console.error('API Drift Error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COMPARE ENDPOINT
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/compare', upload.fields([
+  { name: 'base', maxCount: 1 },
+  { name: 'current', maxCount: 1 }
+]), async (req, res) => {
+  const startTime = Date.now();
+  const files = [...(req.files?.base ?? []), ...(req.files?.current ?? [])];
+
+  try {
+    const base = req.files?.base?.[0];
+    const current = req.files?.current?.[0];
+
+    if (!base || !current) {
+      files.forEach(file => fs.unlinkSync(file.path));
+      return res.status(400).json({ error: 'Dua file wajib diupload: base (file lama) & current (file baru)' });
+    }
+
+    // key: kolom kunci ("NIK" / "Kode,Cabang"), kosong = deteksi otomatis
+    // format: json (default) / xlsx (workbook dengan highlight perubahan)
+    const { key = null, baseSheet, currentSheet, format = 'json' } = req.body;
+    if (!['json', 'xlsx'].includes(format)) {
+      files.forEach(file => fs.unlinkSync(file.path));
+      return res.status(400).json({ error: `Format "${format}" tidak didukung. Gunakan: json, xlsx` });
+    }
+
+    // Compare belum punya jalur streaming: kedua file dibaca utuh ke memori
+    const tooLarge = [base, current].find(file => file.size > BOT_CONFIG.MAX_FILE_SIZE);
+    if (tooLarge) {
+      files.forEach(file => fs.unlinkSync(file.path));
+      return res.status(413).json({
+        error: `File "${tooLarge.originalname}" terlalu besar untuk compare (maks ${formatFileSize(BOT_CONFIG.MAX_FILE_SIZE)}); ` +
+          'compare belum mendukung streaming. Gunakan /api/drift untuk membandingkan struktur file besar'
+      });
+    }
+
+    const baseData = await fileParser.parse(base.path, base.originalname);
+    const currentData = await fileParser.parse(current.path, current.originalname);
+
+    // Cleanup temp files (data sudah di memori)
+    files.forEach(file => fs.unlinkSync(file.path));
+
+    // Kolom kunci / sheet yang salah → 400, bukan 500
+    const comparer = new DataComparer({ analyzerOptions: numberOptions(req.body) });
+    let result;
+    try {
+      result = await comparer.compare(baseData, currentData, { keyColumn: key || null, baseSheet, currentSheet });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (format === 'xlsx') {
+      const formatter = new ExcelFormatter();
+      const buffer = await formatter.formatComparison(result, currentData.sheets[result.summary.currentSheet]);
+
+      const outputFilename = current.originalname.replace(/\.[^/.]+$/, '') + '_compare.xlsx';
+      res.setHeader('Content-Disposition', `attachment; filename="${outputFilename}"`);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('X-Processing-Time', `${Date.now() - startTime}ms`);
+      return res.send(buffer);
+    }
+
+    res.json({
+      success: true,
+      base: base.originalname,
+      current: current.originalname,
+      processingTime: `${Date.now() - startTime}ms`,
+      comparison: result
+    });
+
+  } catch (error) {
+    // Cleanup on error
+    files.forEach(file => {
+      if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    });
+
+    console.error('API Compare Error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -145,12 +829,14 @@ router.post('/clean', upload.single('file'), async (req, res) => {
       removeEmptyRows = 'true',
       trimWhitespace = 'true',
       fixCalculations = 'true',
-      formatOutput = 'false'
+      formatOutput = 'false',
+      mergeDuplicates = 'false',
+      migrateNpwp = 'false',
+      addNitku = 'false',
+      splitAddress = 'false',
+      addressColumns = null
     } = req.body;
 
-    // Parse file
-    const parsedData = await fileParser.parse(req.file.path, req.file.originalname);
-
     // Configure cleaner
     let cleanerOptions;
     switch (mode) {
@@ -172,8 +858,37 @@ router.post('/clean', upload.single('file'), async (req, res) => {
         };
     }
 
+    const options = {
+      ...cleanerOptions,
+      mergeDuplicates: mergeDuplicates === 'true',
+      migrateNpwp: migrateNpwp === 'true' || addNitku === 'true',
+      addNitku: addNitku === 'true',
+      splitAddress: splitAddress === 'true' || Boolean(addressColumns),
+      addressColumns: addressColumns || null,
+      ...duplicateOptions(req.body),
+      ...numberOptions(req.body)
+    };
+    const cleaner = new DataCleaner(options);
+
+    // File besar: bersihkan per chunk dan tulis XLSX langsung ke response
+    if (shouldStream(req.file)) {
+      const rows = await checkedStream(fileParser.streamRows(req.file.path, req.file.originalname), options);
+      const converter = new DataConverter();
+      const outputFilename = req.file.originalname.replace(/(\.[^/.]+)$/, '_cleaned.xlsx');
+      res.setHeader('Content-Disposition', `attachment; filename="${outputFilename}"`);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('X-Processing-Mode', 'stream');
+
+      await converter.convertStream(cleaner.cleanStream(rows), 'xlsx', res);
+      fs.unlinkSync(req.file.path);
+      return;
+    }
+
+    // Parse file
+    const parsedData = await fileParser.parse(req.file.path, req.file.originalname);
+    checkColumns(options, parsedData.sheets[parsedData.activeSheet]?.headers ?? []);
+
     // Clean
-    const cleaner = new DataCleaner(cleanerOptions);
     const cleanResult = await cleaner.clean(parsedData);
 
     // Generate output
@@ -196,6 +911,7 @@ router.post('/clean', upload.single('file'), async (req, res) => {
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('X-Processing-Time', `${Date.now() - startTime}ms`);
     res.setHeader('X-Rows-Removed', cleanResult.summary.rowsRemoved);
+    res.setHeader('X-Records-Merged', cleanResult.merges.length);
     res.send(outputBuffer);
 
   } catch (error) {
@@ -204,7 +920,12 @@ router.post('/clean', upload.single('file'), async (req, res) => {
     }
     
     console.error('API Clean Error:', error);
-    res.status(500).json({ error: error.message });
+
+    // Error di tengah streaming: header sudah terkirim, putus koneksi
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -226,24 +947,44 @@ router.post('/convert', upload.single('file'), async (req, res) => {
       sqlDialect = 'mysql'
     } = req.body;
 
-    // Parse file
-    const parsedData = await fileParser.parse(req.file.path, req.file.originalname);
-
-    // Convert
     const converter = new DataConverter({
       sqlTableName: sqlTable,
       sqlDialect,
       prettyPrint: true,
-      htmlStyles: true
+      htmlStyles: true,
+      ...numberOptions(req.body)
     });
-    
+    const baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+
+    // File besar: konversi per chunk langsung ke response
+    if (shouldStream(req.file)) {
+      const output = DataConverter.getStreamOutput(format);
+      if (!output) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          error: `Format "${format}" tidak mendukung file besar. Gunakan: csv, json, sql, xml, xlsx, txt`
+        });
+      }
+
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}${output.extension}"`);
+      res.setHeader('Content-Type', output.mimeType);
+      res.setHeader('X-Processing-Mode', 'stream');
+
+      await converter.convertStream(fileParser.streamRows(req.file.path, req.file.originalname), format, res);
+      fs.unlinkSync(req.file.path);
+      return;
+    }
+
+    // Parse file
+    const parsedData = await fileParser.parse(req.file.path, req.file.originalname);
+
+    // Convert
     const result = await converter.convert(parsedData, format);
 
     // Cleanup temp file
     fs.unlinkSync(req.file.path);
 
     // Prepare output
-    const baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
     const outputFilename = `${baseName}${result.extension}`;
 
     res.setHeader('Content-Disposition', `attachment; filename="${outputFilename}"`);
@@ -262,7 +1003,11 @@ router.post('/convert', upload.single('file'), async (req, res) => {
     }
     
     console.error('API Convert Error:', error);
-    res.status(500).json({ error: error.message });
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -308,7 +1053,7 @@ router.post('/create', async (req, res) => {
 
   } catch (error) {
     console.error('API Create Error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -355,7 +1100,7 @@ router.get('/templates/:type', async (req, res) => {
 
   } catch (error) {
     console.error('API Template Error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -405,7 +1150,7 @@ router.post('/format', upload.single('file'), async (req, res) => {
     }
     
     console.error('API Format Error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -430,7 +1175,15 @@ router.post('/report', upload.single('file'), async (req, res) => {
     const parsedData = await fileParser.parse(req.file.path, req.file.originalname);
 
     // Analyze
-    const analyzer = new DataAnalyzer({ deepAnalysis: true });
+    const options = {
+      deepAnalysis: true,
+      ...forensicOptions(req.body),
+      ...profileOptions(req.body),
+      ...samplingOptions(req.body)
+    };
+    checkColumns(options, parsedData.sheets[parsedData.activeSheet]?.headers ?? []);
+
+    const analyzer = new DataAnalyzer(options);
     const analysis = await analyzer.analyze(parsedData);
 
     // Generate report
@@ -456,7 +1209,7 @@ router.post('/report', upload.single('file'), async (req, res) => {
     }
     
     console.error('API Report Error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -478,6 +1231,57 @@ router.get('/styles', (req, res) => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// QUALITY PROFILES ENDPOINT
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.get('/profiles', (req, res) => {
+  res.json({
+    success: true,
+    profiles: qualityProfiles.list()
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// QUALITY HISTORY ENDPOINTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.get('/datasets', (req, res) => {
+  const owner = historyOwner(req);
+  if (!owner) {
+    return res.status(401).json({ error: HISTORY_KEY_REQUIRED });
+  }
+
+  const datasets = qualityHistory.list({ owner });
+  res.json({
+    success: true,
+    count: datasets.length,
+    datasets
+  });
+});
+
+router.get('/datasets/:id/history', (req, res) => {
+  const owner = historyOwner(req);
+  if (!owner) {
+    return res.status(401).json({ error: HISTORY_KEY_REQUIRED });
+  }
+
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : null;
+  if (limit !== null && (isNaN(limit) || limit < 1)) {
+    return res.status(400).json({ error: 'limit harus bilangan bulat ≥ 1' });
+  }
+
+  const history = qualityHistory.getHistory(req.params.id, { limit, owner });
+  if (!history) {
+    return res.status(404).json({ error: `Belum ada riwayat untuk dataset "${req.params.id}"` });
+  }
+
+  res.json({
+    success: true,
+    ...history
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ERROR HANDLER
 // ─────────────────────────────────────────────────────────────────────────────
@@ -488,13 +1292,13 @@ router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ 
-        error: `File terlalu besar. Maksimum: ${formatFileSize(BOT_CONFIG.MAX_FILE_SIZE)}` 
+        error: `File terlalu besar. Maksimum: ${formatFileSize(BOT_CONFIG.MAX_UPLOAD_SIZE)}` 
       });
     }
     return res.status(400).json({ error: error.message });
   }
 
-  res.status(500).json({ error: error.message || 'Internal server error' });
+  res.status(errorStatus(error)).json({ error: error.message || 'Internal server error' });
 });
 
 export default router;
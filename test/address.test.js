@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addressParser } from '../src/utils/address.js';
+import { DataCleaner } from '../src/engine/cleaner.js';
+
+test('alamat yang hanya berisi kota/kabupaten masuk ke kolom kota, bukan jalan', () => {
+  for (const [address, kota, provinsi] of [
+    ['Bandung', 'Bandung', 'Jawa Barat'],
+    ['Kab. Sleman', 'Kabupaten Sleman', 'DI Yogyakarta'],
+    ['Sleman, DI Yogyakarta', 'Kabupaten Sleman', 'DI Yogyakarta']
+  ]) {
+    const parsed = addressParser.parse(address);
+    assert.equal(parsed.jalan, null, address);
+    assert.equal(parsed.kota, kota, address);
+    assert.equal(parsed.provinsi, provinsi, address);
+  }
+});
+
+test('bagian pertama tanpa penanda jalan tetap jadi jalan jika bukan nama wilayah', () => {
+  const parsed = addressParser.parse('Merdeka, Bandung');
+  assert.equal(parsed.jalan, 'Merdeka');
+  assert.equal(parsed.kota, 'Bandung');
+});
+
+test('pecah alamat: kolom Jalan kosong untuk alamat berupa kota saja', () => {
+  const rows = [
+    { _rowIndex: 2, Nama: 'Budi', Alamat: 'Bandung' },
+    { _rowIndex: 3, Nama: 'Siti', Alamat: 'Jl. Malioboro No. 5, Kab. Sleman' }
+  ];
+  const { rows: cleaned } = new DataCleaner().splitAddress(rows, ['Nama', 'Alamat']);
+
+  assert.equal(cleaned[0].Jalan, '');
+  assert.equal(cleaned[0]['Kota/Kabupaten'], 'Bandung');
+  assert.equal(cleaned[1].Jalan, 'Jalan Malioboro');
+  assert.equal(cleaned[1].Nomor, '5');
+  assert.equal(cleaned[1]['Kota/Kabupaten'], 'Kabupaten Sleman');
+});
+
+test('alamat tanpa koma dipecah di awalan Desa/Kel/Kec/Kab/Kota', () => {
+  const parsed = addressParser.parse('Jl. Merdeka 5 Desa Sukamaju Kec. Cibeber Kab. Cianjur');
+  assert.equal(parsed.jalan, 'Jalan Merdeka');
+  assert.equal(parsed.nomor, '5');
+  assert.equal(parsed.kelurahan, 'Sukamaju');
+  assert.equal(parsed.kecamatan, 'Cibeber');
+  assert.equal(parsed.kota, 'Kabupaten Cianjur');
+
+  // "Kota" yang menjadi bagian nama jalan/kecamatan tidak memotong
+  const named = addressParser.parse('Jl. Kota Baru No. 3 Kec. Kota Baru Kota Jambi');
+  assert.equal(named.jalan, 'Jalan Kota Baru');
+  assert.equal(named.kecamatan, 'Kota Baru');
+  assert.equal(named.kota, 'Kota Jambi');
+});
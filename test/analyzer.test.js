@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileParser } from '../src/utils/fileParser.js';
+import { DataAnalyzer } from '../src/engine/analyzer.js';
+import { resultCache } from '../src/utils/cache.js';
+
+const csv = (lines) => Buffer.from(lines.join('\n'));
+
+test('hasil parse & analisis dari cache tidak ikut berubah saat hasil sebelumnya diubah', async () => {
+  resultCache.options.enabled = true;
+  resultCache.options.disk = false;
+  const buffer = csv(['Nama,Email,Gaji', 'Budi,budi@contoh,5000000', 'Siti,siti@contoh.id,', 'Budi,budi@contoh,5000000']);
+
+  const parsed = await fileParser.parse(buffer, 'pegawai.csv');
+  const analysis = await new DataAnalyzer().analyze(parsed);
+  const issueCount = analysis.issues.details.length;
+
+  parsed.sheets.Sheet1.rows[0].Nama = 'diubah';
+  parsed.sheets.Sheet1.headers.push('Kolom Baru');
+  analysis.issues.details.length = 0;
+  analysis.columnAnalysis.Nama.detectedType = 'diubah';
+
+  const reparsed = await fileParser.parse(buffer, 'pegawai.csv');
+  assert.equal(reparsed.metadata.cached, true);
+  assert.equal(reparsed.sheets.Sheet1.rows[0].Nama, 'Budi');
+  assert.deepEqual(reparsed.sheets.Sheet1.headers, ['Nama', 'Email', 'Gaji']);
+
+  const reanalyzed = await new DataAnalyzer().analyze(reparsed);
+  assert.equal(reanalyzed.metadata.cached, true);
+  assert.equal(reanalyzed.issues.details.length, issueCount);
+  assert.notEqual(reanalyzed.columnAnalysis.Nama.detectedType, 'diubah');
+});
+
+test('NIK lansia (lahir ≤ 1925) cocok dengan kolom tanggal lahir', async () => {
+  const buffer = csv([
+    'NIK,Nama,Tanggal Lahir,Jenis Kelamin',
+    '3273011508200001,Sastro,15/08/1920,L',
+    '3273015508240002,Sumirah,15/08/1924,P',
+    '3273010101250003,Karto,1925-01-01,L',
+    '3273011508250004,Darmo,15/08/1924,L'
+  ]);
+  const analysis = await new DataAnalyzer({ cache: false }).analyze(await fileParser.parse(buffer, 'lansia.csv'));
+  const mismatches = analysis.issues.details.filter(issue => issue.type === 'NIK_MISMATCH');
+
+  assert.deepEqual(mismatches.map(issue => issue.row), [5]);
+  assert.match(mismatches[0].message, /\(15\/08\/25\)/);
+});
+
+test('sampling stratified dengan kolom strata salah ditolak walau file kecil', async () => {
+  const parsed = await fileParser.parse(csv(['Nama,Bulan', 'Budi,Jan', 'Siti,Feb']), 'kecil.csv');
+
+  await assert.rejects(
+    new DataAnalyzer({ samplingMethod: 'stratified', stratifyBy: 'TidakAda', cache: false }).analyze(parsed),
+    /TidakAda/
+  );
+  await assert.rejects(
+    new DataAnalyzer({ samplingMethod: 'stratified', cache: false }).analyze(parsed),
+    /stratifyBy/
+  );
+});
+
+test('sampel reservoir streaming bisa diulang dengan seed yang sama', async () => {
+  const headers = ['No', 'Nilai'];
+  const rows = Array.from({ length: 500 }, (_, i) => ({ No: String(i + 1), Nilai: String((i * 7919) % 1000) }));
+  async function* chunks() {
+    for (let i = 0; i < rows.length; i += 100) {
+      yield { sheetName: 'Sheet1', headers, rows: rows.slice(i, i + 100), chunkIndex: i / 100, rowsRead: i + 100 };
+    }
+  }
+  const median = async (samplingSeed) => {
+    const result = await new DataAnalyzer({ streamSampleSize: 25, samplingSeed, cache: false }).analyzeStream(chunks());
+    return result.statistics.Nilai.median;
+  };
+
+  assert.equal(await median(null), await median(null));
+  assert.equal(await median(7), await median(7));
+});
+
+test('streaming: signature duplikat dibatasi & jumlahnya ditandai perkiraan', async () => {
+  const headers = ['Kode'];
+  const rows = [...['A', 'B', 'C', 'D', 'E'], ...['A', 'E', 'B']].map(Kode => ({ Kode }));
+  async function* chunks() {
+    yield { sheetName: 'Sheet1', headers, rows: rows.slice(0, 4), chunkIndex: 0, rowsRead: 4 };
+    yield { sheetName: 'Sheet1', headers, rows: rows.slice(4), chunkIndex: 1, rowsRead: rows.length };
+  }
+
+  const capped = await new DataAnalyzer({ deepAnalysis: false, streamDuplicateLimit: 3, cache: false }).analyzeStream(chunks());
+  assert.equal(capped.issues.counts.byType.DUPLICATE, 2); // E tidak dilacak lagi
+  assert.deepEqual(capped.summary.approximateChecks, ['DUPLICATE']);
+
+  const exact = await new DataAnalyzer({ deepAnalysis: false, cache: false }).analyzeStream(chunks());
+  assert.equal(exact.issues.counts.byType.DUPLICATE, 3);
+  assert.deepEqual(exact.summary.approximateChecks, []);
+});
@@ -0,0 +1,177 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+process.env.HISTORY_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'api-history-')), 'quality-history.json');
+process.env.RESULT_CACHE = 'false';
+
+const { default: apiRoutes } = await import('../src/web/routes/api.js');
+const { BOT_CONFIG } = await import('../src/utils/constants.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => server.close());
+
+const csvForm = (fields = {}) => {
+  const form = new FormData();
+  form.append('file', new Blob(['Nama,Gaji\nBudi,5000000\nSiti,4500000\n']), 'payroll.csv');
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return form;
+};
+
+const analyze = (fields, headers = {}) => fetch(`${baseUrl}/analyze`, { method: 'POST', body: csvForm(fields), headers });
+
+test('riwayat dataset hanya terlihat oleh pemilik X-API-Key yang sama', async () => {
+  const response = await analyze({ dataset: 'payroll' }, { 'X-API-Key': 'key-a' });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).history.dataset, 'payroll');
+
+  const own = await (await fetch(`${baseUrl}/datasets`, { headers: { 'X-API-Key': 'key-a' } })).json();
+  assert.deepEqual(own.datasets.map(d => d.dataset), ['payroll']);
+
+  const other = await (await fetch(`${baseUrl}/datasets`, { headers: { 'X-API-Key': 'key-b' } })).json();
+  assert.deepEqual(other.datasets, []);
+
+  const history = await fetch(`${baseUrl}/datasets/payroll/history`, { headers: { 'X-API-Key': 'key-b' } });
+  assert.equal(history.status, 404);
+});
+
+test('daftar dataset tanpa X-API-Key ditolak', async () => {
+  assert.equal((await fetch(`${baseUrl}/datasets`)).status, 401);
+  assert.equal((await fetch(`${baseUrl}/datasets/payroll/history`)).status, 401);
+});
+
+test('analisis tidak masuk riwayat kecuali diminta', async () => {
+  const key = { 'X-API-Key': 'key-c' };
+  const plain = await (await analyze({}, key)).json();
+  assert.equal(plain.history, null);
+
+  const recorded = await (await analyze({ recordHistory: 'true' }, key)).json();
+  assert.equal(recorded.history.dataset, 'payroll');
+
+  const own = await (await fetch(`${baseUrl}/datasets`, { headers: key })).json();
+  assert.equal(own.datasets[0].runs, 1);
+});
+
+test('meminta riwayat tanpa X-API-Key ditolak sebelum analisis', async () => {
+  const response = await analyze({ dataset: 'payroll' });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /X-API-Key/);
+});
+
+for (const [field, value] of [
+  ['outlierMethod', 'median'],
+  ['outlierThreshold', '-1'],
+  ['duplicateThreshold', '2'],
+  ['samplingMethod', 'acak'],
+  ['samplingSeed', 'abc'],
+  ['confidenceLevel', '5'],
+  ['columnLocales', '{"Gaji":'],
+  ['columnLocales', 'null'],
+  ['holidays', '{2026-03-20}'],
+  ['approvalLimits', 'banyak'],
+  ['qualityProfile', 'tidak-ada']
+]) {
+  test(`/analyze: ${field}=${value} tidak valid → 400`, async () => {
+    const response = await analyze({ [field]: value });
+    const body = await response.json();
+    assert.equal(response.status, 400, body.error);
+    assert.ok(body.error);
+  });
+}
+
+test('/clean & /report: opsi tidak valid → 400', async () => {
+  const clean = await fetch(`${baseUrl}/clean`, { method: 'POST', body: csvForm({ duplicateThreshold: '0' }) });
+  assert.equal(clean.status, 400);
+
+  const report = await fetch(`${baseUrl}/report`, { method: 'POST', body: csvForm({ samplingMethod: 'acak' }) });
+  assert.equal(report.status, 400);
+});
+
+for (const fields of [
+  { outlierGroupBy: 'TidakAda' },
+  { outlierGroupBy: 'Gaji:TidakAda' },
+  { fuzzyDuplicates: 'true', duplicateColumns: 'Nama,TidakAda' },
+  { forensicMode: 'true', invoiceColumn: 'TidakAda' },
+  { stratifyBy: 'TidakAda' },
+  { numberLocale: 'xx' },
+  { columnLocales: '{"Gaji":"xx"}' }
+]) {
+  test(`/analyze: ${JSON.stringify(fields)} → 400`, async () => {
+    const response = await analyze(fields);
+    const body = await response.json();
+    assert.equal(response.status, 400, body.error);
+    assert.match(body.error, /TidakAda|harus salah satu/);
+  });
+}
+
+test('/analyze: nama kolom di opsi tidak peka huruf besar/kecil', async () => {
+  const response = await analyze({ outlierGroupBy: 'nama', fuzzyDuplicates: 'true', duplicateColumns: 'NAMA' });
+  assert.equal(response.status, 200);
+});
+
+for (const fields of [
+  { mergeDuplicates: 'true', duplicateColumns: 'TidakAda' },
+  { addressColumns: 'TidakAda' },
+  { mergeDuplicates: 'true', survivorship: 'xx' },
+  { mergeDuplicates: 'true', survivorship: 'latest', survivorshipDateColumn: 'TidakAda' }
+]) {
+  test(`/clean: ${JSON.stringify(fields)} → 400`, async () => {
+    const response = await fetch(`${baseUrl}/clean`, { method: 'POST', body: csvForm(fields) });
+    const body = await response.json();
+    assert.equal(response.status, 400, body.error);
+    assert.match(body.error, /TidakAda|harus salah satu/);
+  });
+}
+
+test('file streaming: kolom opsi dicek dari chunk pertama → 400', async () => {
+  const maxFileSize = BOT_CONFIG.MAX_FILE_SIZE;
+  BOT_CONFIG.MAX_FILE_SIZE = 1;
+  try {
+    const analyzed = await analyze({ outlierGroupBy: 'TidakAda' });
+    assert.equal(analyzed.status, 400);
+    assert.equal((await analyzed.json()).analysis, undefined);
+
+    const cleaned = await fetch(`${baseUrl}/clean`, { method: 'POST', body: csvForm({ addressColumns: 'TidakAda' }) });
+    assert.equal(cleaned.status, 400);
+    assert.match((await cleaned.json()).error, /TidakAda/);
+  } finally {
+    BOT_CONFIG.MAX_FILE_SIZE = maxFileSize;
+  }
+});
+
+test('/analyze: samplingMethod=stratified tanpa stratifyBy → 400 walau file kecil', async () => {
+  for (const fields of [{ samplingMethod: 'stratified' }, { samplingMethod: 'stratified', stratifyBy: '  ' }]) {
+    const response = await analyze(fields);
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /stratifyBy/);
+  }
+});
+
+test('/compare: file di atas MAX_FILE_SIZE ditolak 413 (belum ada jalur streaming)', async () => {
+  const maxFileSize = BOT_CONFIG.MAX_FILE_SIZE;
+  BOT_CONFIG.MAX_FILE_SIZE = 1;
+  try {
+    const form = new FormData();
+    form.append('base', new Blob(['Kode,Nilai\nA,1\n']), 'lama.csv');
+    form.append('current', new Blob(['Kode,Nilai\nA,2\n']), 'baru.csv');
+    const response = await fetch(`${baseUrl}/compare`, { method: 'POST', body: form });
+    assert.equal(response.status, 413);
+    assert.match((await response.json()).error, /streaming/);
+  } finally {
+    BOT_CONFIG.MAX_FILE_SIZE = maxFileSize;
+  }
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResultCache } from '../src/utils/cache.js';
+
+const rows = (count) => Array.from({ length: count }, (_, i) => ({ _rowIndex: i + 2, Nama: `Pegawai ${i}`, Gaji: 5000000 + i }));
+
+test('hasil yang melebihi batas ukuran memori tidak disimpan', () => {
+  const cache = new ResultCache({ enabled: true, disk: false, maxMemorySize: 64 * 1024 });
+
+  cache.set('parse', 'besar', { rows: rows(5000) });
+  assert.equal(cache.get('parse', 'besar'), undefined);
+  assert.equal(cache.stats().oversized, 1);
+  assert.equal(cache.stats().memorySize, 0);
+});
+
+test('entri terlama dibuang saat total ukuran melewati batas', () => {
+  const cache = new ResultCache({ enabled: true, disk: false, maxEntries: 100, maxMemorySize: 64 * 1024 });
+  const size = cache.estimateSize({ rows: rows(200) });
+
+  const fits = Math.floor(64 * 1024 / size);
+  for (let i = 0; i <= fits; i++) cache.set('parse', `file-${i}`, { rows: rows(200) });
+
+  assert.equal(cache.get('parse', 'file-0'), undefined);
+  assert.ok(cache.get('parse', `file-${fits}`));
+  assert.ok(cache.stats().memorySize <= 64 * 1024);
+});
+
+test('hasil yang diubah pemanggil tidak bocor ke hit berikutnya', () => {
+  const cache = new ResultCache({ enabled: true, disk: false });
+  const stored = { headers: ['Nama'], rows: rows(3) };
+
+  cache.set('parse', 'file', stored);
+  stored.rows[0].Nama = 'diubah sebelum hit';
+
+  const first = cache.get('parse', 'file');
+  first.rows[0].Nama = 'diubah pemanggil';
+  first.headers.push('Kolom Baru');
+
+  const second = cache.get('parse', 'file');
+  assert.equal(second.rows[0].Nama, 'Pegawai 0');
+  assert.deepEqual(second.headers, ['Nama']);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DuplicateMatcher } from '../src/engine/dedup.js';
+import { DATA_TYPES } from '../src/utils/constants.js';
+import { DataCleaner } from '../src/engine/cleaner.js';
+import { fileParser } from '../src/utils/fileParser.js';
+
+const headers = ['Nama', 'Telepon'];
+
+test('telepon yang hanya beda satu digit tidak dianggap duplikat', () => {
+  const rows = [
+    { Nama: 'Budi Santoso', Telepon: '081234567890' },
+    { Nama: 'Budi Santoso', Telepon: '081234567891' },
+    { Nama: 'Budi Santoso', Telepon: '+62 812-3456-7890' }
+  ];
+
+  const result = new DuplicateMatcher().findClusters(rows, headers, { Telepon: { detectedType: DATA_TYPES.PHONE } }, { columns: 'Nama,Telepon' });
+
+  assert.equal(result.clusters.length, 1);
+  assert.deepEqual(result.clusters[0].rows, [2, 4]);
+});
+
+test('email yang mirip tapi berbeda tidak dianggap duplikat', () => {
+  const rows = [
+    { Nama: 'Siti Aminah', Email: 'siti1@contoh.id' },
+    { Nama: 'Siti Aminah', Email: 'siti2@contoh.id' }
+  ];
+
+  const result = new DuplicateMatcher().findClusters(rows, ['Nama', 'Email'], { Email: { detectedType: DATA_TYPES.EMAIL } }, { columns: 'Nama,Email' });
+
+  assert.equal(result.clusters.length, 0);
+});
+
+test('cluster tidak merambat lewat rantai baris yang saling mirip', () => {
+  // Setiap nama hanya beda satu huruf dari tetangganya, ujung rantai jauh dari awal
+  const rows = ['Santoso', 'Santosa', 'Santusa', 'Santuse'].map(Nama => ({ Nama }));
+
+  const result = new DuplicateMatcher().findClusters(rows, ['Nama'], {}, { columns: 'Nama', threshold: 0.8 });
+
+  const matcher = new DuplicateMatcher();
+  assert.ok(result.clusters.length > 0);
+  for (const cluster of result.clusters) {
+    const [first, ...others] = cluster.rows.map(row => matcher.normalize(rows[row - 2].Nama, 'name'));
+    for (const other of others) {
+      assert.ok(matcher.fieldSimilarity(first, other, 'name') >= 0.8, `${first} ≉ ${other}`);
+    }
+  }
+});
+
+test('clean mergeDuplicates tidak menggabungkan 150 orang berbeda bernama sama', async () => {
+  const lines = ['Nama,Telepon'];
+  for (let i = 0; i < 150; i++) lines.push(`Budi Santoso,0812345${String(i).padStart(5, '0')}`);
+  const parsed = await fileParser.parse(Buffer.from(lines.join('\n')), 'kontak.csv');
+
+  const result = await new DataCleaner({ mergeDuplicates: true, duplicateColumns: 'Nama,Telepon' }).clean(parsed);
+
+  assert.equal(result.data.sheets[Object.keys(result.data.sheets)[0]].rows.length, 150);
+});
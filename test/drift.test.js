@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileParser } from '../src/utils/fileParser.js';
+import { DriftDetector } from '../src/engine/drift.js';
+
+const parse = (lines, filename) => fileParser.parse(Buffer.from(lines.join('\n')), filename);
+
+const payroll = (header, salaries) => [`Nama,Jabatan,${header}`, ...salaries.map((gaji, i) => `Pegawai ${i},Staf,${gaji}`)];
+const salaries = [4500000, 5200000, 6100000, 4800000, 7300000, 5500000, 6600000, 5900000];
+
+test('kolom dengan isi sama & nama berbagi kata dianggap rename (Gaji → Gaji Pokok)', async () => {
+  const base = await parse(payroll('Gaji', salaries), 'gaji_jan.csv');
+  const current = await parse(payroll('Gaji Pokok', salaries), 'gaji_feb.csv');
+
+  const result = await new DriftDetector({ analyzerOptions: { cache: false } }).detect(base, current);
+
+  assert.deepEqual(result.columns.removed, []);
+  assert.deepEqual(result.columns.added, []);
+  assert.equal(result.columns.renamed.length, 1);
+  assert.equal(result.columns.renamed[0].from, 'Gaji');
+  assert.equal(result.columns.renamed[0].to, 'Gaji Pokok');
+  assert.equal(result.columns.renamed[0].profileSimilarity, 1);
+});
+
+test('isi berbeda atau nama tanpa kata yang sama tetap dilaporkan hapus + tambah', async () => {
+  const base = await parse(payroll('Gaji', salaries), 'gaji_jan.csv');
+  const detector = new DriftDetector({ analyzerOptions: { cache: false } });
+
+  // Nama berbagi kata, tapi rentang nilainya jauh berbeda
+  const bonus = await parse(payroll('Gaji Lembur', salaries.map(value => value / 50)), 'lembur.csv');
+  const differentContent = await detector.detect(base, bonus);
+  assert.deepEqual(differentContent.columns.renamed, []);
+  assert.deepEqual(differentContent.columns.removed.map(col => col.column), ['Gaji']);
+
+  // Isi sama, tapi nama tidak berhubungan
+  const allowance = await parse(payroll('Tunjangan', salaries), 'tunjangan.csv');
+  const unrelatedName = await detector.detect(base, allowance);
+  assert.deepEqual(unrelatedName.columns.renamed, []);
+  assert.deepEqual(unrelatedName.columns.added.map(col => col.column), ['Tunjangan']);
+});
+
+test('kolom teks: nilai unik yang sama mendukung rename', async () => {
+  const base = await parse(['Kode,Kota', 'A1,Bandung', 'A2,Bogor', 'A3,Depok', 'A4,Bekasi'], 'lama.csv');
+  const current = await parse(['Kode,Kota Cabang', 'A1,Bandung', 'A2,Bogor', 'A3,Depok', 'A4,Bekasi'], 'baru.csv');
+
+  const result = await new DriftDetector({ analyzerOptions: { cache: false } }).detect(base, current);
+
+  assert.deepEqual(result.columns.renamed.map(({ from, to }) => ({ from, to })), [{ from: 'Kota', to: 'Kota Cabang' }]);
+});
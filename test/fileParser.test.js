@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { fileParser, buildCellMatrix } from '../src/utils/fileParser.js';
+
+// Workbook hasil ExcelJS tidak menyimpan hasil formula (tanpa <v>), seperti template invoice
+async function invoiceWithoutCachedResults() {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Invoice');
+  sheet.addRow(['No', 'Barang', 'Qty', 'Satuan', 'Harga', 'Jumlah']);
+  [['Kertas A4', 2, 'rim', 55000], ['Tinta', 3, 'botol', 30000], ['Map', 10, 'pcs', 2500], ['Stapler', 1, 'pcs', 45000]]
+    .forEach(([item, qty, unit, price], i) => {
+      const r = i + 2;
+      sheet.addRow([i + 1, item, qty, unit, price, { formula: `C${r}*E${r}` }]);
+    });
+  sheet.addRow([]);
+  sheet.addRow(['TOTAL', '', '', '', '', { formula: 'SUM(F2:F5)' }]);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+test('formula tanpa hasil tersimpan tetap tercatat di cellModel', async () => {
+  const parsed = await fileParser.parse(await invoiceWithoutCachedResults(), 'invoice.xlsx');
+  const sheet = parsed.sheets[parsed.activeSheet];
+
+  assert.equal(sheet.rows.length, 4);
+  assert.deepEqual(
+    sheet.rows.map(row => sheet.cellModel.formulas[row._rowIndex]?.Jumlah),
+    ['C2*E2', 'C3*E3', 'C4*E4', 'C5*E5']
+  );
+  assert.equal(sheet.cellModel.footer[0]?.formulas.Jumlah, 'SUM(F2:F5)');
+});
+
+test('formula sel kosong ikut terbawa ke matriks ekspor', async () => {
+  const parsed = await fileParser.parse(await invoiceWithoutCachedResults(), 'invoice.xlsx');
+  const cells = buildCellMatrix(parsed.sheets[parsed.activeSheet]);
+
+  assert.ok(cells.rows.every(rowCells => rowCells.some(cell => /^C\d+\*E\d+$/.test(cell.formula || ''))));
+});
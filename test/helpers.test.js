@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateNIK, validateNKK } from '../src/utils/helpers.js';
+
+test('NIK: tanggal lahir yang belum lewat di abad ini ditebak 19xx', (t) => {
+  const today = new Date();
+  if (today.getMonth() === 11 && today.getDate() === 31) return t.skip('31 Desember: tidak ada tanggal sesudahnya di tahun ini');
+
+  const yy = String(today.getFullYear() % 100).padStart(2, '0');
+  const result = validateNIK(`3273013112${yy}0001`);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.data.birthDate, `31/12/19${yy}`);
+});
+
+test('NIK: 29 Februari tahun 00 tetap valid (abad tidak diketahui)', () => {
+  assert.equal(validateNIK('3273012902000001').valid, true);
+  assert.equal(validateNIK('3273016902000002').valid, true);
+  assert.equal(validateNIK('3273012902010003').valid, false);
+});
+
+test('No. KK: tanggal terbit memakai tebakan abad yang sama', () => {
+  const result = validateNKK('3273011508200001');
+  assert.equal(result.valid, true);
+  assert.equal(result.data.issuedDate, '15/08/2020');
+});
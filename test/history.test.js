@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { QualityHistory } from '../src/engine/history.js';
+
+const analysis = (score) => ({
+  summary: { totalRows: 10, totalColumns: 3 },
+  qualityScore: { overall: score, grade: 'B', breakdown: {} },
+  issues: { total: 0, counts: { byType: {} } }
+});
+
+const tempStore = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), 'quality-history.json');
+
+test('file riwayat rusak dipindah ke *.corrupt-<waktu>, tidak ditimpa', () => {
+  const file = tempStore();
+  fs.writeFileSync(file, '{"version":1,"datasets":{"payroll":');
+
+  const history = new QualityHistory({ file });
+  history.record(analysis(80), { filename: 'payroll.xlsx' });
+
+  const backups = fs.readdirSync(path.dirname(file)).filter(name => name.includes('.corrupt-'));
+  assert.equal(backups.length, 1);
+  assert.equal(fs.readFileSync(path.join(path.dirname(file), backups[0]), 'utf-8'), '{"version":1,"datasets":{"payroll":');
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf-8')).datasets), ['payroll']);
+});
+
+test('file riwayat yang tidak bisa dibaca tidak ditimpa', () => {
+  const file = tempStore();
+  fs.mkdirSync(file); // EISDIR saat dibaca
+
+  const history = new QualityHistory({ file });
+  history.record(analysis(80), { filename: 'payroll.xlsx' });
+
+  assert.equal(history.readOnly, true);
+  assert.ok(fs.statSync(file).isDirectory());
+});
+
+test('riwayat dipisah per owner', () => {
+  const history = new QualityHistory({ file: tempStore() });
+  history.record(analysis(70), { filename: 'payroll_2025-01.xlsx', owner: 'guild:1' });
+  history.record(analysis(90), { filename: 'payroll_2025-01.xlsx', owner: 'guild:2' });
+
+  assert.deepEqual(history.list({ owner: 'guild:1' }).map(d => d.score), [70]);
+  assert.equal(history.getHistory('payroll', { owner: 'guild:2' }).entries[0].score, 90);
+  assert.equal(history.getHistory('payroll', { owner: 'guild:3' }), null);
+  assert.deepEqual(history.list(), []);
+});
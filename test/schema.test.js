@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileParser } from '../src/utils/fileParser.js';
+import { DataAnalyzer } from '../src/engine/analyzer.js';
+import { SchemaGenerator } from '../src/engine/schema.js';
+import { DataValidator } from '../src/engine/validator.js';
+
+const source = Buffer.from([
+  'Nama,Status,Gaji,Nilai,Tanggal Masuk,Email',
+  'Budi,aktif,5000000,1.5,01/02/2020,budi@contoh.co.id',
+  'Siti,nonaktif,4500000,2,15/03/2021,siti@contoh.co.id',
+  'Ani,cuti,7000000,3.25,01/04/2022,ani@contoh.co.id',
+  'Dedi,aktif,5500000,4,20/05/2023,dedi@contoh.co.id'
+].join('\n'));
+
+async function analyzeSource() {
+  const parsed = await fileParser.parse(source, 'pegawai.csv');
+  const analysis = await new DataAnalyzer({ cache: false }).analyze(parsed);
+  return { parsed, analysis };
+}
+
+test('kolom dengan tipe campuran diekspor sebagai teks', async () => {
+  const { analysis } = await analyzeSource();
+  const columns = new SchemaGenerator().infer(analysis);
+  const byName = Object.fromEntries(columns.map(col => [col.name, col]));
+
+  assert.equal(analysis.columnAnalysis.Status.detectedType, 'boolean');
+  assert.equal(byName.Status.type, 'string');
+  assert.equal(byName.Nilai.type, 'float');
+  assert.equal(byName.Email.type, 'email');
+});
+
+for (const format of ['json-schema', 'table-schema']) {
+  test(`file sumber lolos validasi dengan ${format} hasil ekspornya sendiri`, async () => {
+    const { parsed, analysis } = await analyzeSource();
+    const schema = new SchemaGenerator().generate(analysis, format);
+    const result = new DataValidator().validate(parsed, JSON.parse(JSON.stringify(schema)));
+
+    assert.equal(result.summary.violations, 0, JSON.stringify(result.issues.slice(0, 3)));
+    assert.equal(result.summary.valid, true);
+  });
+}